@@ -0,0 +1,117 @@
+/**
+ * Tella Auto Sender
+ * Sends a video page's extracted data to every destination with auto-send enabled,
+ * skipping destinations that already received the same data for this video.
+ */
+
+class TellaAutoSender {
+  /**
+   * @param {Function} onStatus - (state, message) => void, drives the in-page indicator
+   *                              state is 'sending' | 'delivered' | 'skipped' | 'queued' | 'failed'
+   */
+  constructor(onStatus) {
+    this.onStatus = typeof onStatus === 'function' ? onStatus : () => {};
+    this.destinationStore = new TellaDestinationStore();
+    this.routingRules = new TellaRoutingRules();
+    this.inFlight = new Set(); // storyIds currently being auto-sent
+
+    // Headless sidebar instance so auto-sends use the same payload, template and history code
+    this.webhook = new TellaSidebarWebhook(document.createElement('div'));
+
+    console.log('⚡ TellaAutoSender initialized');
+  }
+
+  /**
+   * Destinations that opted in to auto-send, narrowed by routing rules.
+   * A destination that enabled rules point at only receives videos those rules route to it
+   * (with the rule's template, if it has one); other auto-send destinations receive every video.
+   */
+  async getAutoSendDestinations(data) {
+    const { destinations } = await this.destinationStore.load();
+    const rules = await this.routingRules.load();
+    const routing = this.routingRules.evaluate(data, rules);
+    const ruleTargets = new Set(rules.filter(rule => rule.enabled).flatMap(rule => rule.destinationIds));
+
+    return destinations
+      .filter(destination => destination.autoSend)
+      .filter(destination => !ruleTargets.has(destination.id) || routing.routes[destination.id])
+      .map(destination => {
+        const route = routing.routes[destination.id];
+        if (route) {
+          console.log(`🧭 Auto-send routed to ${destination.name} by:`, route.ruleNames.join(', '));
+        }
+        return route && route.template ? { ...destination, template: route.template } : destination;
+      });
+  }
+
+  /**
+   * Auto-send freshly extracted data for a video
+   * @param {Object} data - Result of extractAllData()
+   * @param {string} storyId - Video the data belongs to
+   * @returns {Promise<Array|null>} Per-destination results, or null when nothing was attempted
+   */
+  async run(data, storyId) {
+    if (!data || !storyId || this.inFlight.has(storyId)) {
+      return null;
+    }
+
+    const destinations = await this.getAutoSendDestinations(data);
+    if (destinations.length === 0) {
+      return null;
+    }
+
+    this.inFlight.add(storyId);
+
+    try {
+      const payload = { ...this.webhook.getWebhookPayload(data), source: 'tella-extension-auto' };
+
+      // Only destinations that haven't received this exact data yet (sendToDestination records the new
+      // baseline under the same storyId)
+      const comparisons = await Promise.all(destinations.map(destination =>
+        this.webhook.changeTracker.compare(storyId, destination.id, payload.data)
+      ));
+      const pending = destinations.filter((destination, index) => comparisons[index].changed);
+      const skipped = destinations.length - pending.length;
+
+      if (pending.length === 0) {
+        console.log('⚡ Auto-send skipped - data unchanged since last send:', storyId);
+        this.onStatus('skipped', '⚡ Already sent - no changes');
+        return [];
+      }
+
+      this.onStatus('sending', `⚡ Auto-sending to ${pending.length} destination${pending.length === 1 ? '' : 's'}…`);
+
+      const results = await Promise.all(pending.map(destination => this.webhook.sendToDestination(destination, payload, { storyId })));
+
+      this.reportResults(results, skipped);
+      return results;
+
+    } catch (error) {
+      console.error('❌ Auto-send failed:', error);
+      this.onStatus('failed', `⚡ Auto-send failed: ${error.message}`);
+      return null;
+
+    } finally {
+      this.inFlight.delete(storyId);
+    }
+  }
+
+  reportResults(results, skipped) {
+    const delivered = results.filter(r => r.outcome === 'delivered');
+    const queued = results.filter(r => r.outcome === 'queued');
+    const failed = results.filter(r => r.outcome === 'failed');
+    const skippedNote = skipped > 0 ? ` (${skipped} unchanged)` : '';
+
+    if (failed.length > 0) {
+      const names = failed.map(r => r.destination.name).join(', ');
+      this.onStatus('failed', `⚡ Auto-send failed for ${names}: ${failed[0].error || 'Unknown error'}`);
+    } else if (queued.length > 0) {
+      this.onStatus('queued', `⚡ Auto-send queued for ${queued.map(r => r.destination.name).join(', ')} - retrying in the background`);
+    } else {
+      this.onStatus('delivered', `⚡ Auto-sent to ${delivered.map(r => r.destination.name).join(', ')}${skippedNote}`);
+    }
+  }
+}
+
+// Export for content scripts
+window.TellaAutoSender = TellaAutoSender;
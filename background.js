@@ -1,5 +1,50 @@
 // Simple Background script - just POST to webhook URL
 
+importScripts(
+  'webhook-outbox.js', 'destination-store.js', 'sync-history-store.js', 'payload-template.js', 'payload-schema.js', 'transcript-watcher.js',
+  'subtitle-builder.js', 'transcript-cleaner.js', 'keyword-extractor.js', 'transcript-analytics.js', 'data-extractor.js', 'change-tracker.js', 'routing-rules.js', 'library-sync.js'
+);
+
+// Default retry policy for webhook deliveries
+// Any of these can be overridden via chrome.storage.local.retryPolicy or request.retryPolicy
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 5,
+  baseDelayMs: 1000, // Delay before the second attempt
+  maxDelayMs: 30000, // Cap for the exponential backoff curve
+  backoffMultiplier: 2,
+  jitterRatio: 0.2, // +/- 20% randomisation so clients don't retry in lockstep
+  respectRetryAfter: true,
+  maxRetryAfterMs: 120000, // Give up instead of waiting longer than this for Retry-After
+  requestTimeoutMs: 30000 // Abort a single attempt after this long
+};
+
+// Sends from the sidebar are answered within this long (its message timeout is 180s); retries
+// that would run past it are handed to the outbox and the sidebar is told the delivery is queued
+const INLINE_SEND_BUDGET_MS = 150000;
+
+// How much of a webhook response body is kept for delivery history
+const RESPONSE_BODY_HISTORY_LIMIT = 2000;
+
+// Durable queue so deliveries survive service worker restarts
+const webhookOutbox = new TellaWebhookOutbox(handleSendToWebhook);
+
+// Named webhook destinations (and their per-destination secrets)
+const destinationStore = new TellaDestinationStore();
+
+// Delivery history shared with the sidebar (background records deliveries drained from the outbox)
+const syncHistoryStore = new TellaSyncHistoryStore();
+
+// Videos whose transcript is still being generated
+const transcriptWatcher = new TellaTranscriptWatcher(sendTranscriptReady);
+
+// Scheduled sync of every video the extension has seen
+const librarySync = new TellaLibrarySync(syncLibraryStory);
+const changeTracker = new TellaChangeTracker();
+const routingRules = new TellaRoutingRules();
+
+// Outgoing envelopes are checked against payload-schema.json before they are queued
+const payloadSchema = new TellaPayloadSchema();
+
 // Handle messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('📨 Background received:', request.action);
@@ -29,7 +74,32 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
     }
 
-    handleSendToWebhook(request.url, request.data)
+    const tabId = sender.tab?.id;
+
+    // Templated payloads are validated as the envelope they were rendered from
+    validatePayload(request.envelope || request.data, request.destinationName)
+      .then(async validation => {
+        if (!validation.valid && validation.mode === 'block') {
+          return { success: false, blocked: true, error: describeValidationErrors(validation.errors), validationErrors: validation.errors };
+        }
+
+        // Persist first so the payload isn't lost if the worker is torn down mid-send
+        const entry = await webhookOutbox.enqueue({
+          url: request.url,
+          data: request.data,
+          deliveryId: request.deliveryId,
+          retryPolicy: request.retryPolicy,
+          destinationId: request.destinationId,
+          destinationName: request.destinationName,
+          source: request.source,
+          history: request.history
+        });
+        const result = await webhookOutbox.process(entry.id, {
+          deadline: Date.now() + INLINE_SEND_BUDGET_MS,
+          onAttempt: (progress) => reportDeliveryAttempt(tabId, entry.id, progress)
+        });
+        return validation.valid ? result : { ...result, validationErrors: validation.errors };
+      })
       .then(result => {
         console.log('✅ Webhook handler result:', result);
         sendResponse(result);
@@ -45,82 +115,811 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep message channel open for async response
   }
 
+  if (request.action === 'watchTranscript') {
+    watchTranscript(request)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // History and change-tracking writes from the sidebar and extension pages, serialized here
+  if (request.action === 'syncHistoryWrite' || request.action === 'changeTrackerWrite') {
+    const store = request.action === 'syncHistoryWrite' ? syncHistoryStore : changeTracker;
+    store.handleWrite(request.method, request.args)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'discoverStories') {
+    librarySync.discover(request.stories)
+      .then(added => sendResponse({ success: true, added }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getLibrarySync') {
+    librarySync.getStatus()
+      .then(status => sendResponse({ success: true, status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'saveLibrarySyncSettings') {
+    librarySync.saveSettings(request.settings)
+      .then(settings => sendResponse({ success: true, settings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'librarySyncNow') {
+    runLibrarySync({ manual: true })
+      .then(summary => sendResponse({ success: true, summary }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getDiagnostics') {
+    getDiagnostics()
+      .then(diagnostics => sendResponse({ success: true, diagnostics }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'openOptionsPage') {
+    chrome.runtime.openOptionsPage()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getOutboxStats') {
+    webhookOutbox.getStats()
+      .then(stats => sendResponse({ success: true, stats }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   // Return false if we don't handle the message
   return false;
 });
 
-// Send data to webhook URL
-async function handleSendToWebhook(webhookUrl, data) {
-  try {
-    console.log('🚀 Sending to webhook:', {
-      url: sanitizeUrl(webhookUrl),
-      dataSize: JSON.stringify(data).length + ' bytes'
+// Drain queued deliveries whenever the alarm fires
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === OUTBOX_ALARM_NAME) {
+    drainOutbox();
+  } else if (alarm.name === TRANSCRIPT_WATCH_ALARM_NAME) {
+    transcriptWatcher.checkDue();
+  } else if (alarm.name === LIBRARY_SYNC_ALARM_NAME) {
+    runLibrarySync({ manual: false });
+  }
+});
+
+// Deliver anything due in the outbox and tell the user about background outcomes
+async function drainOutbox() {
+  const results = await webhookOutbox.drain();
+
+  // Deliveries sent from the sidebar were recorded there; background retries are recorded here
+  for (const { entry, result } of results) {
+    await recordDeliveryHistory(entry, result);
+  }
+
+  const delivered = results.filter(r => r.result.outboxStatus === 'delivered').length;
+  const failed = results.filter(r => r.result.outboxStatus === 'failed').length;
+
+  if (delivered > 0) {
+    chrome.notifications?.create({
+      type: 'basic',
+      iconUrl: 'icons/icon-128.png',
+      title: 'Queued Webhooks Delivered',
+      message: `${delivered} queued webhook ${delivered === 1 ? 'delivery' : 'deliveries'} sent successfully.`
     });
+  }
 
-    // Make HTTP POST request
-    const response = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': `Tella-Extension/${chrome.runtime.getManifest().version}`
+  if (failed > 0) {
+    chrome.notifications?.create({
+      type: 'basic',
+      iconUrl: 'icons/icon-128.png',
+      title: 'Webhook Delivery Failed',
+      message: `${failed} queued webhook ${failed === 1 ? 'delivery' : 'deliveries'} could not be delivered and ${failed === 1 ? 'was' : 'were'} given up.`
+    });
+  }
+}
+
+// Watch a video without a transcript, if any destination wants to hear when it is ready
+async function watchTranscript({ storyId, title, url }) {
+  if (!storyId) {
+    throw new Error('No story ID provided');
+  }
+
+  const destinations = await getTranscriptReadyDestinations();
+  if (destinations.length === 0) {
+    return { watching: false };
+  }
+
+  await transcriptWatcher.watch({ storyId, title, url });
+  return { watching: true, destinations: destinations.length };
+}
+
+// Destinations that opted in to transcript-ready events; with the video's data, narrowed by routing
+// rules like auto-send (a video is watched before its transcript exists, so rules can't be checked yet)
+async function getTranscriptReadyDestinations(data = null) {
+  const { destinations } = await destinationStore.load();
+  const optedIn = destinations.filter(destination => destination.notifyTranscriptReady);
+  return data ? routeDestinations(optedIn, data) : optedIn;
+}
+
+// Rules match on channels, duration and chapters, which the watch doesn't have: read the video from
+// the API like the library sync, falling back to what the watch knows
+async function loadTranscriptReadyRoutingData(watch, transcription) {
+  try {
+    const extracted = await new TellaDataExtractor({ storyId: watch.storyId }).extractFromAPI();
+    if (extracted) {
+      return TellaDataExtractor.buildPayloadData(extracted);
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not load the video for routing rules, using the watch details:', error);
+  }
+
+  return {
+    video: { id: watch.storyId, title: watch.title || null, url: watch.url || null, channelIDs: [] },
+    content: { transcription }
+  };
+}
+
+// Fire tella_transcript_ready to every opted-in destination through the outbox.
+// Throws when no destination accepted it, so the watcher tries again at its next check.
+async function sendTranscriptReady(watch, transcription) {
+  const destinations = await getTranscriptReadyDestinations(await loadTranscriptReadyRoutingData(watch, transcription));
+
+  const payload = {
+    schemaVersion: PAYLOAD_SCHEMA_VERSION,
+    event: 'tella_transcript_ready',
+    timestamp: new Date().toISOString(),
+    source: 'tella-extension-watcher',
+    data: {
+      video: {
+        id: watch.storyId,
+        title: watch.title || null,
+        url: watch.url || null
+      },
+      content: {
+        transcription
       },
-      body: JSON.stringify(data)
+      metadata: {
+        watchedSince: watch.createdAt,
+        checks: watch.checks + 1,
+        extensionVersion: chrome.runtime.getManifest().version
+      }
+    }
+  };
+
+  let delivered = 0;
+  let accepted = 0;
+  const failures = [];
+
+  for (const destination of destinations) {
+    try {
+      const result = await deliverFromBackground(destination, payload, {
+        title: watch.title, url: watch.url, videoId: watch.storyId
+      }, 'watcher');
+      if (result.success) delivered++;
+      // Queued deliveries are retried by the outbox, so they count as handled
+      if (result.success || result.queued) {
+        accepted++;
+      } else {
+        failures.push(`${destination.name}: ${result.error || 'delivery failed'}`);
+      }
+    } catch (error) {
+      console.error('❌ Transcript ready webhook failed:', destination.name, error);
+      failures.push(`${destination.name}: ${error.message}`);
+    }
+  }
+
+  // Only when nothing went out, so a retry can't send the event twice to a destination that has it
+  if (destinations.length > 0 && accepted === 0) {
+    throw new Error(failures.join('; '));
+  }
+
+  chrome.notifications?.create({
+    type: 'basic',
+    iconUrl: 'icons/icon-128.png',
+    title: 'Transcript Ready',
+    message: `"${watch.title || watch.storyId}" finished transcribing` +
+      (destinations.length ? ` - sent to ${delivered}/${destinations.length} destination${destinations.length === 1 ? '' : 's'}.` : '.')
+  });
+}
+
+// Send a payload to one destination through the outbox and record it in the delivery history
+async function deliverFromBackground(destination, payload, history, source) {
+  const validation = await validatePayload(payload, destination.name);
+  if (!validation.valid && validation.mode === 'block') {
+    const result = { success: false, error: describeValidationErrors(validation.errors) };
+    await recordDeliveryHistory({
+      url: destination.url,
+      data: payload,
+      destinationId: destination.id,
+      destinationName: destination.name,
+      history
+    }, result, source);
+    return result;
+  }
+
+  // Same per-destination template as sends from the sidebar
+  const data = destination.template && destination.template.trim()
+    ? TellaPayloadTemplate.renderJson(destination.template, TellaPayloadTemplate.buildContext(payload))
+    : payload;
+
+  const entry = await webhookOutbox.enqueue({
+    url: destination.url,
+    data,
+    retryPolicy: { maxAttempts: destination.maxAttempts },
+    source,
+    destinationId: destination.id,
+    destinationName: destination.name,
+    history
+  });
+  const result = await webhookOutbox.process(entry.id);
+  await recordDeliveryHistory(entry, result, source);
+  return result;
+}
+
+// Check an envelope against the payload schema; problems are logged, and the caller decides
+// what to do with them based on validation.mode (warn, block or off)
+async function validatePayload(envelope, destinationName) {
+  try {
+    const validation = await payloadSchema.check(envelope);
+    if (!validation.valid) {
+      console.warn(`⚠️ Payload for ${destinationName || 'webhook'} doesn't match schema v${PAYLOAD_SCHEMA_VERSION}:`, validation.errors);
+    }
+    return validation;
+  } catch (error) {
+    // A schema that can't be loaded must never stop deliveries
+    console.error('❌ Payload validation could not run:', error);
+    return { mode: 'off', checked: false, valid: true, errors: [] };
+  }
+}
+
+function describeValidationErrors(errors) {
+  const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+  return `Payload doesn't match schema v${PAYLOAD_SCHEMA_VERSION}: ${errors.slice(0, 3).join('; ')}${more}`;
+}
+
+// Run the library sync and summarise it in a notification
+async function runLibrarySync(options) {
+  const summary = await librarySync.run(options);
+  if (summary.alreadyRunning || summary.noDestinations) {
+    return summary;
+  }
+
+  const changed = summary.created + summary.updated;
+  // Scheduled runs stay quiet unless something was sent or went wrong
+  if (options.manual || changed > 0 || summary.failed > 0) {
+    const parts = [`${summary.created} new`, `${summary.updated} updated`, `${summary.unchanged} unchanged`];
+    if (summary.failed > 0) parts.push(`${summary.failed} failed`);
+
+    chrome.notifications?.create({
+      type: 'basic',
+      iconUrl: 'icons/icon-128.png',
+      title: 'Library Sync Finished',
+      message: summary.checked === 0
+        ? 'No videos known yet - open your Tella library or a video to add them.'
+        : `Checked ${summary.checked} video${summary.checked === 1 ? '' : 's'}: ${parts.join(', ')}.`
     });
+  }
 
-    // Check if request was successful
-    if (response.ok) {
+  return summary;
+}
+
+// Destinations the library sync sends to: the chosen ones, narrowed by routing rules like auto-send
+async function getLibrarySyncDestinations(data, settings) {
+  const { destinations } = await destinationStore.load();
+  return routeDestinations(destinations.filter(destination => settings.destinationIds.includes(destination.id)), data);
+}
+
+// Same routing as auto-send: destinations named by an enabled rule only receive the videos one of
+// their rules matches, with that rule's template
+async function routeDestinations(destinations, data) {
+  const rules = await routingRules.load();
+  const routing = routingRules.evaluate(data, rules);
+  const ruleTargets = new Set(rules.filter(rule => rule.enabled).flatMap(rule => rule.destinationIds));
+
+  return destinations
+    .filter(destination => !ruleTargets.has(destination.id) || routing.routes[destination.id])
+    .map(destination => {
+      const route = routing.routes[destination.id];
+      return route && route.template ? { ...destination, template: route.template } : destination;
+    });
+}
+
+// Extract one video with the user's session and send it wherever it is new or changed
+async function syncLibraryStory(storyId, settings) {
+  const extracted = await new TellaDataExtractor({ storyId }).extractFromAPI();
+  if (!extracted) {
+    throw new Error('Could not load the video from the Tella API (signed out, or the video was deleted)');
+  }
+
+  // Built by the same function as the sidebar's payloads, so both send identical data
+  const data = TellaDataExtractor.buildPayloadData(extracted);
+  const history = { title: data.video?.title || storyId, url: data.video?.url || null, videoId: storyId };
+
+  let outcome = 'unchanged';
+  const failures = [];
+
+  for (const destination of await getLibrarySyncDestinations(data, settings)) {
+    const comparison = await changeTracker.compare(storyId, destination.id, data);
+    if (!comparison.changed) continue;
+
+    const payload = {
+      schemaVersion: PAYLOAD_SCHEMA_VERSION,
+      event: comparison.event,
+      timestamp: new Date().toISOString(),
+      source: 'tella-extension-sync',
+      data,
+      changes: comparison.changes
+    };
+
+    const result = await deliverFromBackground(destination, payload, history, 'sync');
+    if (result.success || result.queued) {
+      await changeTracker.record(storyId, destination.id, comparison);
+      if (outcome !== 'created') {
+        outcome = comparison.event === TellaChangeTracker.EVENTS.created ? 'created' : 'updated';
+      }
+    } else {
+      failures.push(`${destination.name}: ${result.error || 'delivery failed'}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(failures.join('; '));
+  }
+
+  return outcome;
+}
+
+// Background state for the options page diagnostics
+async function getDiagnostics() {
+  const [outbox, watches, librarySyncStatus, alarms] = await Promise.all([
+    webhookOutbox.getStats(),
+    transcriptWatcher.list(),
+    librarySync.getStatus(),
+    chrome.alarms ? chrome.alarms.getAll() : []
+  ]);
+
+  return {
+    outbox,
+    transcriptWatches: watches.map(({ storyId, title, checks, createdAt, nextCheckAt }) => ({
+      storyId, title, checks, createdAt, nextCheckAt: new Date(nextCheckAt).toISOString()
+    })),
+    librarySync: librarySyncStatus,
+    alarms: alarms.map(alarm => ({
+      name: alarm.name,
+      periodInMinutes: alarm.periodInMinutes || null,
+      scheduledTime: new Date(alarm.scheduledTime).toISOString()
+    }))
+  };
+}
+
+// Add an outbox run to the delivery history
+async function recordDeliveryHistory(entry, result, source = 'outbox') {
+  try {
+    await syncHistoryStore.add({
+      title: entry.history?.title || 'Unknown',
+      url: entry.history?.url || null,
+      videoId: entry.history?.videoId || null,
+      destinationId: entry.destinationId,
+      destinationName: entry.destinationName,
+      webhookUrl: entry.url,
+      source,
+      payload: entry.data,
+      ...TellaSyncHistoryStore.describeResult(result)
+    });
+  } catch (error) {
+    console.error('❌ Error storing delivery history:', error);
+  }
+}
+
+// Send data to webhook URL, retrying transient failures with exponential backoff.
+// With options.deadline, a retry that couldn't finish by then is left to the outbox (deferred).
+async function handleSendToWebhook(webhookUrl, data, options = {}) {
+  const policy = await resolveRetryPolicy(options.retryPolicy);
+  const signingSecret = await getSigningSecret(options.destinationId);
+  const body = JSON.stringify(data);
+
+  console.log('🚀 Sending to webhook:', {
+    url: sanitizeUrl(webhookUrl),
+    destinationId: options.destinationId || null,
+    dataSize: body.length + ' bytes',
+    maxAttempts: policy.maxAttempts,
+    signed: !!signingSecret
+  });
+
+  let lastFailure = null;
+  let attempt = 0;
+  const attemptLog = [];
+
+  while (attempt < policy.maxAttempts) {
+    attempt++;
+
+    // Looked up per attempt so credentials never have to be persisted with the queued delivery,
+    // and a token edited during a retry wait is used by the next attempt
+    const customHeaders = buildCustomHeaders(await resolveCredentials(options.destinationId));
+    const outcome = await attemptWebhookDelivery(webhookUrl, body, policy, signingSecret, customHeaders);
+    attemptLog.push({
+      attempt,
+      status: outcome.status || null,
+      latencyMs: outcome.latencyMs,
+      error: outcome.error ? outcome.error.message : null
+    });
+
+    if (outcome.success) {
       console.log('✅ Webhook delivered successfully:', {
-        status: response.status,
-        statusText: response.statusText
+        status: outcome.status,
+        statusText: outcome.statusText,
+        attempt
       });
 
       return {
         success: true,
-        status: response.status,
-        message: `Webhook delivered successfully (${response.status})`
+        status: outcome.status,
+        attempts: attempt,
+        message: `Webhook delivered successfully (${outcome.status})` +
+          (attempt > 1 ? ` after ${attempt} attempts` : ''),
+        details: buildDeliveryDetails(webhookUrl, outcome, attemptLog)
       };
+    }
 
-    } else {
-      // Get error details if available
-      let errorDetail = '';
-      try {
-        const errorText = await response.text();
-        errorDetail = errorText ? ` - ${errorText.substring(0, 200)}` : '';
-      } catch (e) {
-        // Ignore error text parsing failures
-      }
+    lastFailure = outcome;
 
-      throw new Error(`HTTP ${response.status}: ${response.statusText}${errorDetail}`);
+    let delayMs = null;
+    if (outcome.retryable && attempt < policy.maxAttempts) {
+      delayMs = computeRetryDelay(attempt, policy, outcome.retryAfterMs);
     }
+    const deferred = delayMs !== null && !!options.deadline &&
+      Date.now() + delayMs + policy.requestTimeoutMs > options.deadline;
+    const willRetry = delayMs !== null && !deferred;
 
-  } catch (error) {
-    console.error('❌ Webhook delivery failed:', error);
+    console.warn(`⚠️ Webhook attempt ${attempt}/${policy.maxAttempts} failed:`, {
+      status: outcome.status || null,
+      error: outcome.error.message,
+      retryable: outcome.retryable,
+      nextDelayMs: delayMs,
+      deferred
+    });
+
+    if (typeof options.onAttempt === 'function') {
+      await options.onAttempt({
+        attempt,
+        maxAttempts: policy.maxAttempts,
+        status: outcome.status || null,
+        error: getFriendlyWebhookError(outcome.error.message),
+        retryable: outcome.retryable,
+        willRetry,
+        delayMs
+      });
+    }
+
+    if (deferred) {
+      console.warn(`⏳ Next attempt in ${delayMs}ms would outlast the caller, leaving it to the outbox`);
+      return {
+        success: false,
+        status: lastFailure.status || null,
+        attempts: attempt,
+        retryable: true,
+        retryDelayMs: delayMs,
+        error: getFriendlyWebhookError(lastFailure.error.message),
+        originalError: lastFailure.error.message,
+        details: buildDeliveryDetails(webhookUrl, lastFailure, attemptLog)
+      };
+    }
+
+    if (!willRetry) {
+      break;
+    }
+
+    await sleep(delayMs);
+  }
+
+  console.error('❌ Webhook delivery failed:', lastFailure.error);
+
+  return {
+    success: false,
+    status: lastFailure.status || null,
+    attempts: attempt,
+    retryable: lastFailure.retryable,
+    error: getFriendlyWebhookError(lastFailure.error.message),
+    originalError: lastFailure.error.message,
+    details: buildDeliveryDetails(webhookUrl, lastFailure, attemptLog)
+  };
+}
+
+// Request/response summary of the final attempt for delivery history (credentials masked)
+function buildDeliveryDetails(webhookUrl, outcome, attemptLog) {
+  return {
+    request: {
+      method: 'POST',
+      url: sanitizeUrl(webhookUrl),
+      headers: sanitizeHeaders(outcome.requestHeaders)
+    },
+    response: outcome.status ? {
+      status: outcome.status,
+      statusText: outcome.statusText || '',
+      body: outcome.responseBody || ''
+    } : null,
+    latencyMs: outcome.latencyMs,
+    attempts: attemptLog
+  };
+}
+
+// Perform a single POST attempt and classify the outcome
+async function attemptWebhookDelivery(webhookUrl, body, policy, signingSecret, customHeaders = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), policy.requestTimeoutMs);
+  const startedAt = Date.now();
+  let headers = {};
 
-    // Convert technical errors to user-friendly messages
-    let friendlyError = error.message;
+  try {
+    headers = {
+      ...customHeaders,
+      'Content-Type': 'application/json',
+      'User-Agent': `Tella-Extension/${chrome.runtime.getManifest().version}`
+    };
 
-    if (error.message.includes('Failed to fetch')) {
-      friendlyError = 'Network error - could not reach webhook URL. Check the URL and your internet connection.';
-    } else if (error.message.includes('ERR_CERT_')) {
-      friendlyError = 'SSL certificate error - the webhook URL may be invalid.';
-    } else if (error.message.includes('CORS')) {
-      friendlyError = 'CORS error - the webhook service may need to allow browser requests.';
-    } else if (error.message.includes('400')) {
-      friendlyError = 'Bad Request - the webhook service rejected the data format.';
-    } else if (error.message.includes('404')) {
-      friendlyError = 'Webhook URL not found. Please check the URL is correct.';
-    } else if (error.message.includes('500')) {
-      friendlyError = 'Webhook service error. Please try again later.';
+    // Sign every attempt with a fresh timestamp so receivers can reject replays
+    if (signingSecret) {
+      const { timestamp, signature } = await signWebhookBody(signingSecret, body);
+      headers['X-Tella-Timestamp'] = timestamp;
+      headers['X-Tella-Signature'] = signature;
+    }
+
+    // Make HTTP POST request
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers,
+      body,
+      signal: controller.signal
+    });
+
+    // Response body is kept (truncated) for delivery history
+    let responseText = '';
+    try {
+      responseText = await response.text();
+    } catch (e) {
+      // Ignore response body read failures
+    }
+    const latencyMs = Date.now() - startedAt;
+    const responseBody = responseText.length > RESPONSE_BODY_HISTORY_LIMIT
+      ? responseText.substring(0, RESPONSE_BODY_HISTORY_LIMIT) + '…'
+      : responseText;
+
+    // Check if request was successful
+    if (response.ok) {
+      return {
+        success: true,
+        status: response.status,
+        statusText: response.statusText,
+        requestHeaders: headers,
+        responseBody,
+        latencyMs
+      };
     }
 
+    // Get error details if available
+    const errorDetail = responseText ? ` - ${responseText.substring(0, 200)}` : '';
+
     return {
       success: false,
-      error: friendlyError,
-      originalError: error.message
+      status: response.status,
+      statusText: response.statusText,
+      requestHeaders: headers,
+      responseBody,
+      latencyMs,
+      retryable: isRetryableStatus(response.status),
+      retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+      error: new Error(`HTTP ${response.status}: ${response.statusText}${errorDetail}`)
     };
+
+  } catch (error) {
+    // Network failures and timeouts are always worth another attempt
+    const timedOut = error.name === 'AbortError';
+
+    return {
+      success: false,
+      status: null,
+      requestHeaders: headers,
+      latencyMs: Date.now() - startedAt,
+      retryable: true,
+      retryAfterMs: null,
+      error: timedOut
+        ? new Error(`Request timed out after ${Math.round(policy.requestTimeoutMs / 1000)}s`)
+        : error
+    };
+
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
+// HMAC-SHA256 over "<timestamp>.<raw body>", hex encoded as "sha256=<digest>"
+async function signWebhookBody(secret, body) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const encoder = new TextEncoder();
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const digest = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  const hex = Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+  return { timestamp, signature: `sha256=${hex}` };
+}
+
+// Signing secrets are stored per destination, keyed by destination ID
+async function getSigningSecret(destinationId) {
+  if (!destinationId) {
+    return null;
+  }
+
+  try {
+    return (await destinationStore.getSigningSecret(destinationId)) || null;
+  } catch (error) {
+    console.warn('⚠️ Could not load signing secret, sending unsigned:', error);
+    return null;
+  }
+}
+
+// Auth and custom headers of a destination, from the destination store
+async function resolveCredentials(destinationId) {
+  if (!destinationId) {
+    return null;
+  }
+
+  try {
+    return await destinationStore.getCredentials(destinationId);
+  } catch (error) {
+    console.warn('⚠️ Could not load destination credentials, sending without auth:', error);
+    return null;
+  }
+}
+
+// Turn a destination's auth scheme and custom headers into request headers
+function buildCustomHeaders(credentials) {
+  const headers = {};
+  if (!credentials) {
+    return headers;
+  }
+
+  credentials.headers.forEach(header => {
+    headers[header.name] = header.value;
+  });
+
+  const auth = credentials.auth;
+  if (auth.type === 'bearer') {
+    headers['Authorization'] = `Bearer ${auth.token}`;
+  } else if (auth.type === 'basic') {
+    headers['Authorization'] = `Basic ${encodeBase64(`${auth.username}:${auth.password}`)}`;
+  } else if (auth.type === 'apiKey') {
+    headers[auth.headerName] = auth.apiKey;
+  }
+
+  return headers;
+}
+
+// btoa only handles Latin-1, so encode as UTF-8 first
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  return btoa(String.fromCharCode(...bytes));
+}
+
+// 408 (timeout), 429 (rate limited) and 5xx are transient; other 4xx responses are permanent
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+function parseRetryAfter(headerValue) {
+  if (!headerValue) {
+    return null;
+  }
+
+  const seconds = Number(headerValue);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(headerValue);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+// Delay before the next attempt, or null if we should stop retrying
+function computeRetryDelay(attempt, policy, retryAfterMs) {
+  if (policy.respectRetryAfter && retryAfterMs !== null && retryAfterMs !== undefined) {
+    if (retryAfterMs > policy.maxRetryAfterMs) {
+      console.warn('⚠️ Retry-After exceeds maximum wait, giving up:', retryAfterMs + 'ms');
+      return null;
+    }
+    return retryAfterMs;
+  }
+
+  const exponential = policy.baseDelayMs * Math.pow(policy.backoffMultiplier, attempt - 1);
+  const capped = Math.min(exponential, policy.maxDelayMs);
+  const jitter = capped * policy.jitterRatio * (Math.random() * 2 - 1);
+
+  return Math.max(0, Math.round(capped + jitter));
+}
+
+// Merge stored and per-request overrides onto the default retry policy
+async function resolveRetryPolicy(overrides = {}) {
+  let stored = {};
+
+  try {
+    const result = await chrome.storage.local.get(['retryPolicy']);
+    stored = result.retryPolicy || {};
+  } catch (error) {
+    console.warn('⚠️ Could not load retry policy, using defaults:', error);
+  }
+
+  const policy = { ...DEFAULT_RETRY_POLICY, ...stored, ...(overrides || {}) };
+
+  // Guard against nonsensical values from storage
+  policy.maxAttempts = Math.min(Math.max(parseInt(policy.maxAttempts, 10) || 1, 1), 10);
+  policy.jitterRatio = Math.min(Math.max(Number(policy.jitterRatio) || 0, 0), 1);
+
+  return policy;
+}
+
+// Let the requesting tab know how each delivery attempt went
+function reportDeliveryAttempt(tabId, deliveryId, progress) {
+  if (tabId === undefined || tabId === null) {
+    return;
+  }
+
+  chrome.tabs.sendMessage(tabId, {
+    action: 'webhookDeliveryAttempt',
+    deliveryId: deliveryId || null,
+    ...progress
+  }).catch(() => {
+    // Tab may have navigated away - progress reporting is best effort
+  });
+}
+
+// Convert technical errors to user-friendly messages
+function getFriendlyWebhookError(message) {
+  if (message.includes('Failed to fetch')) {
+    return 'Network error - could not reach webhook URL. Check the URL and your internet connection.';
+  } else if (message.includes('timed out')) {
+    return 'The webhook service took too long to respond. Please try again later.';
+  } else if (message.includes('ERR_CERT_')) {
+    return 'SSL certificate error - the webhook URL may be invalid.';
+  } else if (message.includes('CORS')) {
+    return 'CORS error - the webhook service may need to allow browser requests.';
+  } else if (message.includes('HTTP 429')) {
+    return 'Rate limited - the webhook service is receiving too many requests.';
+  } else if (message.includes('400')) {
+    return 'Bad Request - the webhook service rejected the data format.';
+  } else if (message.includes('404')) {
+    return 'Webhook URL not found. Please check the URL is correct.';
+  } else if (message.includes('500')) {
+    return 'Webhook service error. Please try again later.';
+  }
+
+  return message;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 // Helper function to sanitize URL for logging (remove sensitive params)
 function sanitizeUrl(url) {
   try {
@@ -141,6 +940,25 @@ function sanitizeUrl(url) {
   }
 }
 
+// Helper function to sanitize headers for logging (mask credentials, keep the scheme)
+function sanitizeHeaders(headers) {
+  const sensitivePattern = /auth|token|key|secret|password|signature|cookie|session/i;
+  const sanitized = {};
+
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    if (name.toLowerCase() === 'authorization') {
+      const scheme = String(value).split(' ')[0];
+      sanitized[name] = `${scheme} [HIDDEN]`;
+    } else if (sensitivePattern.test(name)) {
+      sanitized[name] = '[HIDDEN]';
+    } else {
+      sanitized[name] = value;
+    }
+  });
+
+  return sanitized;
+}
+
 // Extension installation
 chrome.runtime.onInstalled.addListener((details) => {
   const version = chrome.runtime.getManifest().version;
@@ -164,8 +982,16 @@ chrome.runtime.onInstalled.addListener((details) => {
       message: `Updated to v${version} with improved webhook support!`
     });
   }
+
+  // An install/update restarts the worker - pick up anything still queued
+  drainOutbox();
+  // Alarms don't survive an update reliably; recreate the library sync schedule
+  librarySync.schedule();
 });
 
 chrome.runtime.onStartup.addListener(() => {
   console.log('🚀 Tella Webhook Extension started');
+
+  // Resume anything left in the outbox from the previous session
+  drainOutbox();
 });
\ No newline at end of file
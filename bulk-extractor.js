@@ -0,0 +1,514 @@
+/**
+ * Tella Bulk Extractor
+ * Bulk mode for the library / playlist pages: pick videos, extract each one through the
+ * same API pipeline as the video page and send them to a destination.
+ * Job state lives in chrome.storage.local so an interrupted run can be resumed.
+ */
+
+const BULK_JOB_STORAGE_KEY = 'bulkJob';
+const BULK_MAX_CONCURRENCY = 5;
+
+class TellaBulkExtractor {
+  constructor() {
+    this.launcher = null;
+    this.panel = null;
+    this.observer = null;
+    this.refreshTimeout = null;
+    this.videos = []; // [{storyId, title}] found on the current page
+    this.selectedIds = new Set();
+    this.job = null;
+    this.running = false;
+    this.pauseRequested = false;
+
+    // Headless sidebar instance so bulk sends go through the same payload, template and history code
+    this.webhook = new TellaSidebarWebhook(document.createElement('div'));
+
+    console.log('📦 TellaBulkExtractor initialized');
+  }
+
+  /**
+   * Show the launcher and keep the video list in sync as the SPA renders
+   */
+  attach() {
+    if (!this.launcher) {
+      this.launcher = document.createElement('button');
+      this.launcher.id = 'tella-bulk-launcher';
+      this.launcher.type = 'button';
+      this.launcher.className = 'tella-bulk-launcher';
+      this.launcher.style.display = 'none';
+      this.launcher.addEventListener('click', () => this.togglePanel());
+      document.body.appendChild(this.launcher);
+    }
+
+    if (!this.observer) {
+      this.observer = new MutationObserver(() => {
+        clearTimeout(this.refreshTimeout);
+        this.refreshTimeout = setTimeout(() => this.refreshVideos(), 500);
+      });
+      this.observer.observe(document.body, { childList: true, subtree: true });
+    }
+
+    this.refreshVideos();
+    this.loadJob().then(() => this.updateLauncher());
+  }
+
+  /**
+   * Remove the launcher and panel (e.g. when navigating to a video page)
+   */
+  detach() {
+    this.observer?.disconnect();
+    this.observer = null;
+    clearTimeout(this.refreshTimeout);
+
+    this.launcher?.remove();
+    this.launcher = null;
+    this.panel?.remove();
+    this.panel = null;
+
+    // A running job keeps going in the background of this tab; it can be resumed later if interrupted
+  }
+
+  /**
+   * Find video links on the page, de-duplicated by story ID
+   */
+  findVideoLinks() {
+    const videos = new Map();
+
+    document.querySelectorAll('a[href*="/video/"]').forEach(link => {
+      const match = link.getAttribute('href').match(/\/video\/([a-zA-Z0-9]+)/);
+      if (!match || videos.has(match[1])) return;
+
+      const title = (link.getAttribute('aria-label') || link.textContent || '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, 120);
+
+      videos.set(match[1], { storyId: match[1], title: title || match[1] });
+    });
+
+    return Array.from(videos.values());
+  }
+
+  refreshVideos() {
+    const videos = this.findVideoLinks();
+    const changed = videos.length !== this.videos.length ||
+      videos.some((video, index) => video.storyId !== this.videos[index]?.storyId);
+
+    if (!changed) return;
+
+    this.videos = videos;
+    this.updateLauncher();
+
+    // Library pages are how the background library sync learns about videos
+    if (videos.length > 0) {
+      chrome.runtime.sendMessage({ action: 'discoverStories', stories: videos })
+        .catch(error => console.warn('⚠️ Could not add videos to library sync:', error));
+    }
+
+    if (this.panel && !this.running) {
+      this.renderVideoList();
+    }
+  }
+
+  updateLauncher() {
+    if (!this.launcher) return;
+
+    const hasResumableJob = this.job && this.getCounts().pending > 0;
+    this.launcher.style.display = this.videos.length > 0 || hasResumableJob ? 'block' : 'none';
+    this.launcher.textContent = this.running
+      ? `📦 Bulk send ${this.getProgressLabel()}`
+      : `📦 Bulk send (${this.videos.length})`;
+  }
+
+  async togglePanel() {
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+      return;
+    }
+
+    await this.webhook.loadDestinations();
+    this.renderPanel();
+  }
+
+  /**
+   * Render the bulk panel: video picker, destination, concurrency, progress
+   */
+  renderPanel() {
+    this.panel = document.createElement('div');
+    this.panel.id = 'tella-bulk-panel';
+    this.panel.className = 'tella-bulk-panel';
+
+    const destinations = this.webhook.destinations;
+    const defaultDestinationId = this.job?.destinationId || this.webhook.selectedDestinationIds[0];
+
+    this.panel.innerHTML = `
+      <div class="tella-bulk-header">
+        <strong>📦 Bulk send</strong>
+        <button class="tella-btn-link" data-action="close" type="button" aria-label="Close">✕</button>
+      </div>
+
+      <div id="tella-bulk-message" class="tella-alert tella-alert-error" style="display: none;"></div>
+      <div id="tella-bulk-resume" class="tella-bulk-resume" style="display: none;"></div>
+
+      <div class="tella-bulk-controls">
+        <label class="tella-picker-option">
+          <input type="checkbox" id="tella-bulk-select-all" />
+          <span id="tella-bulk-select-all-label">Select all loaded videos</span>
+        </label>
+        <small class="tella-bulk-hint">Only videos Tella has loaded on this page are listed - scroll the library or playlist to load more.</small>
+        <div id="tella-bulk-video-list" class="tella-bulk-video-list"></div>
+
+        <div class="form-group">
+          <label for="tella-bulk-destination">Destination</label>
+          <select id="tella-bulk-destination">
+            ${destinations.map(d => `
+              <option value="${d.id}" ${d.id === defaultDestinationId ? 'selected' : ''}>${this.webhook.escapeHtml(d.name)}</option>
+            `).join('')}
+          </select>
+          ${destinations.length === 0 ? '<small>Add a destination from the Webhook tab on any video page first</small>' : ''}
+        </div>
+
+        <div class="form-group">
+          <label for="tella-bulk-concurrency">Videos at a time</label>
+          <input type="number" id="tella-bulk-concurrency" min="1" max="${BULK_MAX_CONCURRENCY}" value="${this.job?.concurrency || 2}" />
+        </div>
+      </div>
+
+      <div class="tella-bulk-progress" id="tella-bulk-progress" style="display: none;">
+        <div class="tella-bulk-progress-bar"><div id="tella-bulk-progress-fill"></div></div>
+        <div id="tella-bulk-progress-label"></div>
+        <div id="tella-bulk-item-list" class="tella-bulk-item-list"></div>
+      </div>
+
+      <div class="tella-bulk-actions">
+        <button id="tella-bulk-start" class="tella-btn tella-btn-primary" type="button">Start</button>
+        <button id="tella-bulk-pause" class="tella-btn tella-btn-secondary" type="button" style="display: none;">Pause</button>
+      </div>
+    `;
+
+    document.body.appendChild(this.panel);
+
+    this.panel.querySelector('[data-action="close"]').addEventListener('click', () => this.togglePanel());
+    this.panel.querySelector('#tella-bulk-select-all').addEventListener('change', (e) => {
+      this.selectedIds = e.target.checked ? new Set(this.videos.map(v => v.storyId)) : new Set();
+      this.renderVideoList();
+    });
+    this.panel.querySelector('#tella-bulk-start').addEventListener('click', () => this.startJob());
+    this.panel.querySelector('#tella-bulk-pause').addEventListener('click', () => this.pauseJob());
+
+    this.renderVideoList();
+    this.renderResumeBanner();
+    this.renderProgress();
+  }
+
+  renderVideoList() {
+    const listEl = this.panel?.querySelector('#tella-bulk-video-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = this.videos.map(video => `
+      <label class="tella-picker-option">
+        <input type="checkbox" value="${video.storyId}" ${this.selectedIds.has(video.storyId) ? 'checked' : ''} />
+        <span>${this.webhook.escapeHtml(video.title)}</span>
+      </label>
+    `).join('') || '<small>No videos found on this page</small>';
+
+    listEl.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.selectedIds.add(checkbox.value);
+        } else {
+          this.selectedIds.delete(checkbox.value);
+        }
+        this.updateStartButton();
+      });
+    });
+
+    const selectAll = this.panel.querySelector('#tella-bulk-select-all');
+    if (selectAll) {
+      selectAll.checked = this.videos.length > 0 && this.videos.every(v => this.selectedIds.has(v.storyId));
+    }
+
+    // Tella renders the library as it is scrolled, so say how many videos "all" currently means
+    const selectAllLabel = this.panel.querySelector('#tella-bulk-select-all-label');
+    if (selectAllLabel) {
+      selectAllLabel.textContent = `Select all ${this.videos.length} loaded video${this.videos.length === 1 ? '' : 's'}`;
+    }
+
+    this.updateStartButton();
+  }
+
+  updateStartButton() {
+    const startBtn = this.panel?.querySelector('#tella-bulk-start');
+    if (!startBtn) return;
+
+    startBtn.disabled = this.running || this.selectedIds.size === 0 || this.webhook.destinations.length === 0;
+    startBtn.textContent = `Send ${this.selectedIds.size} video${this.selectedIds.size === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Offer to resume a job that was interrupted (tab closed, navigated away, paused)
+   */
+  renderResumeBanner() {
+    const bannerEl = this.panel?.querySelector('#tella-bulk-resume');
+    if (!bannerEl) return;
+
+    const counts = this.job ? this.getCounts() : null;
+    if (!counts || this.running || (counts.pending === 0 && counts.failed === 0)) {
+      bannerEl.style.display = 'none';
+      return;
+    }
+
+    bannerEl.innerHTML = `
+      <div>Previous bulk send: ${counts.sent} of ${counts.total} sent${counts.failed ? `, ${counts.failed} failed` : ''}</div>
+      <div class="flex gap-2">
+        ${counts.pending > 0 ? '<button class="tella-btn-link" data-action="resume" type="button">Resume</button>' : ''}
+        ${counts.failed > 0 ? '<button class="tella-btn-link" data-action="retry" type="button">Retry failed</button>' : ''}
+        <button class="tella-btn-link" data-action="discard" type="button">Discard</button>
+      </div>
+    `;
+    bannerEl.style.display = 'block';
+
+    bannerEl.querySelector('[data-action="resume"]')?.addEventListener('click', () => this.runJob());
+    bannerEl.querySelector('[data-action="retry"]')?.addEventListener('click', () => this.retryFailed());
+    bannerEl.querySelector('[data-action="discard"]')?.addEventListener('click', () => this.discardJob());
+  }
+
+  renderProgress() {
+    const progressEl = this.panel?.querySelector('#tella-bulk-progress');
+    if (!progressEl) return;
+
+    if (!this.job) {
+      progressEl.style.display = 'none';
+      return;
+    }
+
+    const counts = this.getCounts();
+    const done = counts.total - counts.pending - counts.running;
+
+    progressEl.style.display = 'block';
+    progressEl.querySelector('#tella-bulk-progress-fill').style.width = `${counts.total ? (done / counts.total) * 100 : 0}%`;
+    progressEl.querySelector('#tella-bulk-progress-label').textContent =
+      `${done}/${counts.total} processed · ${counts.sent} sent · ${counts.queued} queued · ${counts.failed} failed` +
+      (this.running ? '' : (counts.pending > 0 ? ' · paused' : ' · finished'));
+
+    const icons = { pending: '⏸️', running: '⏳', sent: '✅', queued: '🔁', failed: '❌' };
+    progressEl.querySelector('#tella-bulk-item-list').innerHTML = this.job.items.map(item => `
+      <div class="tella-send-result" data-state="${item.status === 'sent' ? 'delivered' : item.status}">
+        <span class="tella-send-result-name">${this.webhook.escapeHtml(item.title)}</span>
+        <span class="tella-send-result-status">${icons[item.status] || ''} ${this.webhook.escapeHtml(item.error || item.status)}</span>
+      </div>
+    `).join('');
+
+    const pauseBtn = this.panel.querySelector('#tella-bulk-pause');
+    if (pauseBtn) {
+      pauseBtn.style.display = this.running ? 'inline-block' : 'none';
+      pauseBtn.textContent = this.pauseRequested ? 'Pausing…' : 'Pause';
+    }
+
+    this.updateStartButton();
+  }
+
+  /**
+   * Create a new job from the current selection and run it
+   */
+  async startJob() {
+    const destinationId = this.panel.querySelector('#tella-bulk-destination')?.value;
+    const concurrency = Math.min(
+      Math.max(parseInt(this.panel.querySelector('#tella-bulk-concurrency')?.value, 10) || 2, 1),
+      BULK_MAX_CONCURRENCY
+    );
+
+    if (!destinationId) {
+      return;
+    }
+
+    this.job = {
+      id: `bulk_${Date.now().toString(36)}`,
+      destinationId,
+      concurrency,
+      createdAt: new Date().toISOString(),
+      items: this.videos
+        .filter(video => this.selectedIds.has(video.storyId))
+        .map(video => ({ storyId: video.storyId, title: video.title, status: 'pending', error: null }))
+    };
+
+    await this.saveJob();
+    await this.runJob();
+  }
+
+  /**
+   * Process pending items with at most job.concurrency in flight
+   */
+  async runJob() {
+    if (this.running || !this.job) return;
+
+    const destination = this.webhook.destinations.find(d => d.id === this.job.destinationId);
+    if (!destination) {
+      console.error('❌ Bulk destination not found:', this.job.destinationId);
+      this.showMessage('The destination for this bulk send no longer exists - discard it and start a new one');
+      return;
+    }
+
+    this.showMessage(null);
+
+    // Loaded once per run; each video is evaluated against them in processItem
+    const rules = await this.webhook.routingRules.load();
+
+    this.running = true;
+    this.pauseRequested = false;
+
+    // Items left "running" by an interrupted run are picked up again
+    this.job.items.forEach(item => {
+      if (item.status === 'running') item.status = 'pending';
+    });
+
+    this.renderResumeBanner();
+    this.renderProgress();
+    console.log(`📦 Bulk send started: ${this.getCounts().pending} videos, ${this.job.concurrency} at a time`);
+
+    const worker = async () => {
+      while (!this.pauseRequested) {
+        const item = this.job.items.find(i => i.status === 'pending');
+        if (!item) return;
+
+        item.status = 'running';
+        this.renderProgress();
+        await this.processItem(item, destination, rules);
+        await this.saveJob();
+        this.renderProgress();
+        this.updateLauncher();
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: this.job.concurrency }, () => worker()));
+    } finally {
+      this.running = false;
+      this.job.items.forEach(item => {
+        if (item.status === 'running') item.status = 'pending';
+      });
+      await this.saveJob();
+      this.renderProgress();
+      this.renderResumeBanner();
+      this.updateLauncher();
+    }
+
+    const counts = this.getCounts();
+    console.log('📦 Bulk send stopped:', counts);
+  }
+
+  /**
+   * Extract one story through the API pipeline and send it, with the template of any routing rule
+   * that matches it, like a send from the video page
+   */
+  async processItem(item, destination, rules = []) {
+    try {
+      const extractor = new TellaDataExtractor({ storyId: item.storyId });
+      const data = await extractor.extractFromAPI();
+
+      if (!data) {
+        throw new Error('Could not load video data');
+      }
+
+      if (data.video?.title) {
+        item.title = data.video.title;
+      }
+
+      // Built from this item's data - the sidebar's extractedData stays the page's own video
+      const payload = { ...this.webhook.getWebhookPayload(data), source: 'tella-extension-bulk' };
+
+      const routing = this.webhook.routingRules.evaluate(data, rules);
+      const route = routing.routes[destination.id];
+      if (route) {
+        console.log(`🧭 Bulk item ${item.storyId} routed to ${destination.name} by:`, route.ruleNames.join(', '));
+      }
+
+      const result = await this.webhook.sendToDestination(this.webhook.routeDestination(destination, routing), payload, {
+        storyId: item.storyId
+      });
+
+      item.status = result.outcome === 'delivered' ? 'sent' : result.outcome;
+      item.error = result.outcome === 'delivered' ? null : result.error || null;
+
+    } catch (error) {
+      console.error('❌ Bulk item failed:', item.storyId, error);
+      item.status = 'failed';
+      item.error = error.message;
+    }
+  }
+
+  showMessage(message) {
+    const messageEl = this.panel?.querySelector('#tella-bulk-message');
+    if (!messageEl) return;
+
+    messageEl.textContent = message || '';
+    messageEl.style.display = message ? 'block' : 'none';
+  }
+
+  pauseJob() {
+    this.pauseRequested = true;
+    const pauseBtn = this.panel?.querySelector('#tella-bulk-pause');
+    if (pauseBtn) pauseBtn.textContent = 'Pausing…';
+  }
+
+  async retryFailed() {
+    this.job.items.forEach(item => {
+      if (item.status === 'failed') {
+        item.status = 'pending';
+        item.error = null;
+      }
+    });
+    await this.saveJob();
+    await this.runJob();
+  }
+
+  async discardJob() {
+    this.job = null;
+    await chrome.storage.local.remove([BULK_JOB_STORAGE_KEY]);
+    this.renderResumeBanner();
+    this.renderProgress();
+    this.updateLauncher();
+  }
+
+  getCounts() {
+    const items = this.job?.items || [];
+    const count = (status) => items.filter(i => i.status === status).length;
+
+    return {
+      total: items.length,
+      pending: count('pending'),
+      running: count('running'),
+      sent: count('sent'),
+      queued: count('queued'),
+      failed: count('failed')
+    };
+  }
+
+  getProgressLabel() {
+    const counts = this.getCounts();
+    return `${counts.total - counts.pending - counts.running}/${counts.total}`;
+  }
+
+  async loadJob() {
+    try {
+      const result = await chrome.storage.local.get([BULK_JOB_STORAGE_KEY]);
+      if (!this.running) {
+        this.job = result[BULK_JOB_STORAGE_KEY] || null;
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load bulk job:', error);
+    }
+  }
+
+  async saveJob() {
+    try {
+      await chrome.storage.local.set({ [BULK_JOB_STORAGE_KEY]: this.job });
+    } catch (error) {
+      console.warn('⚠️ Could not save bulk job progress:', error);
+    }
+  }
+}
+
+// Export for content scripts
+window.TellaBulkExtractor = TellaBulkExtractor;
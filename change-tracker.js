@@ -0,0 +1,247 @@
+/**
+ * Tella Change Tracker
+ * Remembers what was last delivered for each video and destination (a content hash plus a
+ * compact snapshot), so sends can tell created from updated videos and describe what changed.
+ * Compared anywhere; baselines are always written in the background service worker, because the
+ * lock that serializes writes only covers one context. Other contexts forward a changeTrackerWrite message.
+ */
+
+const DELIVERY_SNAPSHOTS_STORAGE_KEY = 'deliverySnapshots';
+const DELIVERY_SNAPSHOTS_LIMIT = 500; // storyId:destinationId pairs remembered
+
+const CHANGE_TRACKER_WRITE_METHODS = ['record', 'forgetDestination'];
+
+const VIDEO_EVENTS = {
+  created: 'tella_video_created',
+  updated: 'tella_video_updated'
+};
+
+class TellaChangeTracker {
+  constructor() {
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Compare data with what was last delivered to a destination
+   * @param {string} storyId
+   * @param {string} destinationId
+   * @param {Object} data - Payload data (video, timing, content, metadata)
+   * @returns {Promise<{event: string, changed: boolean, hash: string, snapshot: Object, changes: Object}>}
+   */
+  async compare(storyId, destinationId, data) {
+    const snapshot = await this.snapshot(data);
+    const hash = await this.fingerprint(snapshot);
+    const previous = (await this.readAll())[this.key(storyId, destinationId)];
+
+    if (!previous) {
+      return {
+        event: VIDEO_EVENTS.created,
+        changed: true,
+        hash,
+        snapshot,
+        changes: { added: Object.keys(snapshot), removed: [], modified: [], summary: 'New video' }
+      };
+    }
+
+    const changes = this.diff(previous.snapshot || {}, snapshot);
+    // Baselines recorded before hashes covered only the snapshot are re-hashed from their snapshot
+    const previousHash = previous.snapshot ? await this.fingerprint(previous.snapshot) : previous.hash;
+
+    return {
+      event: VIDEO_EVENTS.updated,
+      changed: previousHash !== hash,
+      hash,
+      snapshot,
+      changes: { ...changes, previousSentAt: previous.sentAt || null }
+    };
+  }
+
+  /**
+   * Remember a delivered (or queued) payload as the baseline for future comparisons
+   */
+  async record(storyId, destinationId, comparison) {
+    if (!this.ownsWrites()) {
+      return this.forwardWrite('record', [storyId, destinationId, comparison]);
+    }
+
+    await this.withLock(async () => {
+      const all = await this.readAll();
+      all[this.key(storyId, destinationId)] = {
+        hash: comparison.hash,
+        snapshot: comparison.snapshot,
+        sentAt: new Date().toISOString()
+      };
+      await this.writeAll(all);
+    });
+  }
+
+  /**
+   * Forget everything delivered to a destination (e.g. when it is deleted)
+   */
+  async forgetDestination(destinationId) {
+    if (!this.ownsWrites()) {
+      return this.forwardWrite('forgetDestination', [destinationId]);
+    }
+
+    await this.withLock(async () => {
+      const all = await this.readAll();
+      Object.keys(all)
+        .filter(key => key.endsWith(`:${destinationId}`))
+        .forEach(key => delete all[key]);
+      await this.writeAll(all);
+    });
+  }
+
+  /**
+   * SHA-256 of a snapshot. Only the snapshot is hashed, so a video counts as changed exactly when
+   * diff() finds a change - settings-derived fields (segments, subtitles, transcriptClean, analytics,
+   * keywords, chaptersMd), view counts and extraction metadata never make it look edited.
+   */
+  async fingerprint(snapshot) {
+    const stable = Object.keys(snapshot).sort().map(field => [field, snapshot[field]]);
+    return this.sha256(JSON.stringify(stable));
+  }
+
+  /**
+   * Small, diffable summary of the fields people care about.
+   * Empty values are left out so they show up as added/removed rather than modified.
+   */
+  async snapshot(data) {
+    const video = data?.video || {};
+    const timing = data?.timing || {};
+    const content = data?.content || {};
+    const transcript = content.transcription?.transcript || data?.transcript || '';
+
+    const fields = {
+      'video.title': video.title || data?.title,
+      'video.description': video.description || data?.description,
+      'video.url': video.url || data?.videoUrl,
+      'video.slug': video.slug,
+      'video.channelIDs': Array.isArray(video.channelIDs) && video.channelIDs.length ? [...video.channelIDs].sort().join(',') : null,
+      'timing.duration': timing.duration || data?.duration,
+      'content.chapters': (content.chapters || data?.chapters || []).map(chapter => ({
+        title: chapter.title || '',
+        timestamp: chapter.timestamp ?? null,
+        description: chapter.description || ''
+      })),
+      'content.transcription': transcript ? {
+        wordCount: transcript.split(/\s+/).filter(Boolean).length,
+        hash: await this.sha256(transcript)
+      } : null
+    };
+
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) =>
+      value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+    ));
+  }
+
+  /**
+   * Field-level diff of two snapshots
+   * @returns {{added: string[], removed: string[], modified: Object[], summary: string}}
+   */
+  diff(previous, current) {
+    const added = Object.keys(current).filter(field => !(field in previous));
+    const removed = Object.keys(previous).filter(field => !(field in current));
+    const modified = Object.keys(current)
+      .filter(field => field in previous && JSON.stringify(previous[field]) !== JSON.stringify(current[field]))
+      .map(field => this.describeModification(field, previous[field], current[field]));
+
+    const labels = [...added, ...removed, ...modified.map(m => m.field)].map(field => field.split('.').pop());
+
+    return {
+      added,
+      removed,
+      modified,
+      summary: labels.length ? `Changed: ${labels.join(', ')}` : 'No changes'
+    };
+  }
+
+  describeModification(field, from, to) {
+    if (field === 'content.chapters') {
+      const fromTitles = from.map(chapter => chapter.title);
+      const toTitles = to.map(chapter => chapter.title);
+
+      return {
+        field,
+        from: from.length,
+        to: to.length,
+        added: toTitles.filter(title => !fromTitles.includes(title)),
+        removed: fromTitles.filter(title => !toTitles.includes(title))
+      };
+    }
+
+    if (field === 'content.transcription') {
+      // The transcript itself is too large to repeat; word counts show the scale of the change
+      return { field, from: { wordCount: from.wordCount }, to: { wordCount: to.wordCount } };
+    }
+
+    return { field, from, to };
+  }
+
+  key(storyId, destinationId) {
+    return `${storyId}:${destinationId}`;
+  }
+
+  async sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  async readAll() {
+    const result = await chrome.storage.local.get([DELIVERY_SNAPSHOTS_STORAGE_KEY]);
+    return result[DELIVERY_SNAPSHOTS_STORAGE_KEY] || {};
+  }
+
+  async writeAll(all) {
+    // Keep the most recently sent pairs
+    const trimmed = Object.fromEntries(
+      Object.entries(all)
+        .sort(([, a], [, b]) => (b.sentAt || '').localeCompare(a.sentAt || ''))
+        .slice(0, DELIVERY_SNAPSHOTS_LIMIT)
+    );
+
+    await chrome.storage.local.set({ [DELIVERY_SNAPSHOTS_STORAGE_KEY]: trimmed });
+  }
+
+  ownsWrites() {
+    return typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+  }
+
+  /**
+   * Run a write in the background service worker (see handleWrite)
+   */
+  async forwardWrite(method, args) {
+    const response = await chrome.runtime.sendMessage({ action: 'changeTrackerWrite', method, args });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not update delivery snapshots');
+    }
+    return response.result;
+  }
+
+  /**
+   * Apply a write forwarded by another context
+   */
+  async handleWrite(method, args = []) {
+    if (!CHANGE_TRACKER_WRITE_METHODS.includes(method)) {
+      throw new Error(`Unknown change tracker write: ${method}`);
+    }
+    return this[method](...args);
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the snapshots key (within the background service worker)
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn, fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+}
+
+TellaChangeTracker.EVENTS = VIDEO_EVENTS;
+
+// Export for content scripts
+self.TellaChangeTracker = TellaChangeTracker;
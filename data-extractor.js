@@ -0,0 +1,1660 @@
+/**
+ * Tella Data Extractor
+ * Extracts video metadata, chapters and transcript through Tella's session-authenticated
+ * /api/stories/{id} endpoints, with a DOM fallback on video pages.
+ * Loaded as a content script and by the background service worker (library sync),
+ * so the API path must not depend on window/document.
+ */
+
+// How content.transcription.segments is split; size means seconds per segment (duration),
+// sentences per segment (sentence) or the minimum pause in seconds that starts a new segment (silence)
+const DEFAULT_SEGMENTATION = {
+  mode: 'duration',
+  size: 30
+};
+
+const SEGMENTATION_SIZE_DEFAULTS = {
+  duration: 30,
+  sentence: 3,
+  silence: 1.5
+};
+
+class TellaDataExtractor {
+  /**
+   * @param {Object} options - storyId overrides the ID taken from the URL (used by bulk mode)
+   */
+  constructor(options = {}) {
+    this.data = {};
+    this.isRecordingPage = this.detectRecordingPage();
+    this.storyId = options.storyId || this.extractStoryId();
+    this.segmentation = { ...DEFAULT_SEGMENTATION };
+    this.transcriptCleaner = new TellaTranscriptCleaner();
+    this.keywordExtractor = new TellaKeywordExtractor();
+  }
+
+  /**
+   * Load the transcript segmentation settings chosen in the sidebar
+   */
+  async loadSegmentationSettings() {
+    try {
+      const result = await chrome.storage.local.get(['transcriptSegmentation']);
+      this.segmentation = this.normalizeSegmentation(result.transcriptSegmentation);
+    } catch (error) {
+      console.warn('⚠️ Could not load segmentation settings, using defaults:', error);
+      this.segmentation = { ...DEFAULT_SEGMENTATION };
+    }
+
+    return this.segmentation;
+  }
+
+  normalizeSegmentation(settings) {
+    const mode = SEGMENTATION_SIZE_DEFAULTS[settings?.mode] !== undefined ? settings.mode : DEFAULT_SEGMENTATION.mode;
+    const size = parseFloat(settings?.size);
+
+    return {
+      mode,
+      size: size > 0 ? size : SEGMENTATION_SIZE_DEFAULTS[mode]
+    };
+  }
+
+  /**
+   * URL of the page the extractor runs in, or null in the background service worker
+   */
+  getPageUrl() {
+    return typeof window !== 'undefined' ? window.location.href : null;
+  }
+
+  extractStoryId() {
+    // Extract story ID from URL
+    const url = this.getPageUrl() || '';
+    const patterns = [
+      /\/video\/([a-zA-Z0-9]+)\/view/,
+      /\/video\/([a-zA-Z0-9]+)/,
+      /\/stories\/([a-zA-Z0-9]+)/,
+      /\/watch\/([a-zA-Z0-9]+)/
+    ];
+
+    for (const pattern of patterns) {
+      const match = url.match(pattern);
+      if (match) {
+        console.log('✅ Story ID extracted:', match[1]);
+        return match[1];
+      }
+    }
+
+    console.log('❌ Could not extract story ID from URL:', url);
+    return null;
+  }
+
+  async extractFromAPI() {
+    if (!this.storyId) {
+      console.log('❌ No story ID available for API extraction');
+      return null;
+    }
+
+    try {
+      console.log('🔍 Attempting API extraction for story:', this.storyId);
+
+      await this.loadSegmentationSettings();
+      await this.transcriptCleaner.loadSettings();
+      await this.keywordExtractor.loadSettings();
+
+      // Try to extract from document endpoint
+      const documentData = await this.fetchDocumentData();
+      if (documentData) {
+        console.log('✅ Document data retrieved, fetching transcriptions...');
+
+        // Also fetch transcription data
+        const transcriptionData = await this.fetchTranscriptionData();
+
+        console.log('✅ API extraction successful');
+        return this.parseDocumentData(documentData, transcriptionData);
+      }
+
+    } catch (error) {
+      console.error('❌ API extraction failed:', error);
+    }
+
+    return null;
+  }
+
+  async fetchDocumentData() {
+    const documentUrl = `https://www.tella.tv/api/stories/${this.storyId}/document`;
+
+    try {
+      console.log('📡 Fetching document data:', documentUrl);
+      // Include the Tella session cookie when called from the background service worker
+      const response = await fetch(documentUrl, { credentials: 'include' });
+
+      if (response.ok) {
+        const data = await response.json();
+        console.log('✅ Document data retrieved');
+        return data;
+      } else {
+        console.error('❌ Document API failed:', response.status);
+        return null;
+      }
+    } catch (error) {
+      console.error('❌ Document fetch error:', error);
+      return null;
+    }
+  }
+
+  async fetchTranscriptionData() {
+    const transcriptionUrl = `https://www.tella.tv/api/stories/${this.storyId}/transcriptions`;
+
+    try {
+      console.log('📡 Fetching transcription data:', transcriptionUrl);
+      const response = await fetch(transcriptionUrl, { credentials: 'include' });
+
+      if (response.ok) {
+        const data = await response.json();
+        console.log('✅ Transcription data retrieved');
+        return data;
+      } else {
+        console.log('⚠️ Transcription API failed (may not be available):', response.status);
+        return null;
+      }
+    } catch (error) {
+      console.log('⚠️ Transcription fetch error (may not be available):', error);
+      return null;
+    }
+  }
+
+  parseDocumentData(data, transcriptionData = null) {
+    console.log('🔍 Parsing comprehensive document data');
+    console.log('📊 Raw document data:', JSON.stringify(data, null, 2));
+    console.log('📊 Raw transcription data:', JSON.stringify(transcriptionData, null, 2));
+
+    // Parse transcription data if available
+    const transcriptionInfo = this.parseTranscriptionData(transcriptionData);
+
+    // Extract story data from nested structure
+    const story = data.story || data;
+
+    console.log('🔍 Available story fields:', Object.keys(story));
+    console.log('📖 Looking for chapters in:', {
+      chapters: story.chapters,
+      scenes: story.scenes,
+      sceneIDs: story.sceneIDs,
+      segments: story.segments,
+      timeline: story.timeline
+    });
+    
+    // Check for channel IDs in various possible field names
+    // First check top-level in story
+    let channelIDs = story.channelIDs || story.channelIds || story.channels || null;
+
+    // If story.channelIDs is null/empty, check root data object
+    if (!channelIDs || (Array.isArray(channelIDs) && channelIDs.length === 0)) {
+      channelIDs = data.channelIDs || data.channelIds || data.channels || null;
+      if (channelIDs) {
+        console.log('📺 Found channelIDs in root data object:', channelIDs);
+      }
+    }
+
+    // Handle single channelId (singular) - convert to array
+    if (!channelIDs && (story.channelId || data.channelId)) {
+      channelIDs = story.channelId || data.channelId;
+    }
+    
+    console.log('📺 Channel IDs found:', {
+      storyChannelIDs: story.channelIDs,
+      dataChannelIDs: data.channelIDs,
+      channelIds: story.channelIds || data.channelIds,
+      channelId: story.channelId || data.channelId,
+      channels: story.channels || data.channels,
+      resolved: channelIDs,
+      allStoryKeys: Object.keys(story).filter(k => k.toLowerCase().includes('channel')),
+      allDataKeys: Object.keys(data).filter(k => k.toLowerCase().includes('channel'))
+    });
+    
+    // Ensure channelIDs is always an array (never null/undefined)
+    // If it's already an array, use it; if it's a single value, wrap it; otherwise use empty array
+    const channelIDsArray = Array.isArray(channelIDs) 
+      ? channelIDs 
+      : (channelIDs !== null && channelIDs !== undefined ? [channelIDs] : []);
+
+    const chapters = this.parseChapters(story.chapters);
+    const durationSeconds = this.formatDuration(story.duration);
+    const sections = this.buildChapterSections(chapters, transcriptionInfo.transcriptionWords, durationSeconds);
+
+    const extractedData = {
+      // Core video information
+      video: {
+        id: story.id || this.storyId,
+        title: story.name || null,
+        description: story.description || '',
+        url: story.url || (this.extractStoryId() === this.storyId
+          ? this.getPageUrl()
+          : `https://www.tella.tv/video/${this.storyId}/view`),
+        dimensions: story.dimensions || null,
+        views: story.views || 0,
+        slug: story.slug || null,
+        channelIDs: channelIDsArray // Always an array, never null/undefined
+      },
+
+      // Timing and date information
+      timing: {
+        duration: (() => {
+          console.log('🕒 About to format duration. Raw value:', story.duration, 'Type:', typeof story.duration);
+          const formatted = this.formatDuration(story.duration);
+          console.log('🕒 Duration formatted result:', formatted);
+          return formatted;
+        })(), // Duration in seconds
+        durationMs: story.duration || null, // Keep original milliseconds
+        createdAt: story.createdAt || null,
+        updatedAt: story.updatedAt || null,
+        lastSeen: story.lastSeen || null
+      },
+
+      // Content structure
+      content: {
+        chapters: chapters,
+        sections: sections,
+        transcription: transcriptionInfo,
+        analytics: this.buildAnalytics(transcriptionInfo.transcriptionWords, sections, (durationSeconds || 0) * 1000),
+        keywords: this.buildKeywords(transcriptionInfo, chapters)
+      },
+
+      // Extraction metadata
+      metadata: {
+        extractedAt: new Date().toISOString(),
+        pageUrl: this.getPageUrl(),
+        extractionMethod: 'api',
+        extensionVersion: chrome?.runtime?.getManifest?.()?.version || 'unknown'
+      }
+    };
+
+    // Unknown values stay null so every payload has the same keys (see payload-schema.json)
+    console.log('📺 ChannelIDs:', extractedData.video?.channelIDs);
+    console.log('📺 Full video object:', JSON.stringify(extractedData.video, null, 2));
+    console.log('✅ Comprehensive data parsed:', extractedData);
+    return extractedData;
+  }
+
+  parseTranscriptionData(transcriptionData) {
+    if (!transcriptionData) {
+      console.log('📝 No transcription data available');
+      return {};
+    }
+
+    console.log('📝 Parsing transcription data');
+
+    const result = {};
+
+    // Parse transcription metadata
+    if (transcriptionData.transcriptions) {
+      result.transcriptionMetadata = transcriptionData.transcriptions;
+
+      // Extract transcription status and details
+      if (Array.isArray(transcriptionData.transcriptions) && transcriptionData.transcriptions.length > 1) {
+        result.transcriptionStatus = transcriptionData.transcriptions[0] || 'Unknown';
+        result.transcriptionDetails = transcriptionData.transcriptions[1] || [];
+      }
+    }
+
+    // Parse word-level transcript data - handle nested structure
+    let words = null;
+
+    // Try different nested structures for words
+    if (transcriptionData.words && Array.isArray(transcriptionData.words)) {
+      words = transcriptionData.words;
+    } else if (transcriptionData.transcriptions && Array.isArray(transcriptionData.transcriptions) && transcriptionData.transcriptions.length > 1) {
+      // Structure: transcriptions[1][0].words
+      const transcriptionDetails = transcriptionData.transcriptions[1];
+      if (Array.isArray(transcriptionDetails) && transcriptionDetails.length > 0) {
+        words = transcriptionDetails[0].words;
+      }
+    }
+
+    if (words && Array.isArray(words)) {
+      console.log(`📝 Found ${words.length} transcript words`);
+      result.transcriptionWords = words;
+      result.transcript = this.formatTranscriptFromWords(words);
+      const transcriptClean = this.transcriptCleaner.clean(words);
+      if (transcriptClean) {
+        result.transcriptClean = transcriptClean;
+      }
+      result.transcriptWordCount = words.length;
+      result.transcriptDurationMs = this.calculateTranscriptDuration(words);
+      result.segments = this.getTranscriptSegmentsByTimestamp(words, this.segmentation);
+      result.segmentation = { ...this.segmentation };
+      Object.assign(result, this.buildSubtitles(words));
+    } else {
+      console.log('❌ No transcript words found in expected structure');
+    }
+
+    return result;
+  }
+
+  formatTranscriptFromWords(words) {
+    if (!words || !Array.isArray(words)) {
+      return '';
+    }
+
+    // Filter out hidden words and join text
+    const visibleWords = words
+      .filter(word => !word.hidden && word.text)
+      .map(word => word.text.trim())
+      .filter(text => text.length > 0);
+
+    return visibleWords.join(' ');
+  }
+
+  buildAnalytics(words, sections, durationMs) {
+    try {
+      return new TellaTranscriptAnalytics(this.transcriptCleaner, this.keywordExtractor).analyze(words, sections, durationMs);
+    } catch (error) {
+      // Like captions, analytics are a bonus - never fail the extraction over them
+      console.warn('⚠️ Could not build transcript analytics:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Keywords from the transcript (the cleaned one when available) and chapter titles
+   */
+  buildKeywords(transcription, chapters) {
+    try {
+      const fillers = this.transcriptCleaner.fillerPhrases().filter(phrase => phrase.length === 1).map(phrase => phrase[0]);
+      const keywords = this.keywordExtractor.extract(
+        transcription?.transcriptClean || transcription?.transcript || '',
+        (chapters || []).map(chapter => chapter.title),
+        fillers
+      );
+      if (keywords) {
+        console.log(`🏷️ Extracted ${keywords.length} keywords`);
+      }
+      return keywords;
+    } catch (error) {
+      console.warn('⚠️ Could not extract keywords:', error);
+      return null;
+    }
+  }
+
+  buildSubtitles(words) {
+    try {
+      const { srt, vtt, cueCount } = new TellaSubtitleBuilder().build(words);
+      if (cueCount === 0) {
+        return {};
+      }
+
+      console.log(`🎬 Built ${cueCount} subtitle cues`);
+      return { srt, vtt };
+    } catch (error) {
+      // Captions are a bonus - never fail the extraction over them
+      console.warn('⚠️ Could not build subtitles:', error);
+      return {};
+    }
+  }
+
+  calculateTranscriptDuration(words) {
+    if (!words || words.length === 0) {
+      return 0;
+    }
+
+    // Find the last word's end time
+    const lastWord = words[words.length - 1];
+    return lastWord.end_ || 0;
+  }
+
+  /**
+   * Group transcript words into timed segments
+   * @param {Array} words - transcriptionWords ({text, start, end_, hidden}, ms)
+   * @param {Object|number} options - {mode: 'duration'|'sentence'|'silence', size}, or a duration in ms
+   */
+  getTranscriptSegmentsByTimestamp(words, options = {}) {
+    if (!words || !Array.isArray(words)) {
+      return [];
+    }
+
+    const settings = typeof options === 'number'
+      ? { mode: 'duration', size: options / 1000 }
+      : this.normalizeSegmentation(options);
+
+    const visibleWords = words.filter(word => !word.hidden && word.text && word.text.trim().length > 0);
+
+    // Decide, word by word, whether the next word starts a new segment
+    let sentencesInSegment = 0;
+    const startsNewSegment = {
+      duration: (word, segment) => word.start - segment[0].start >= settings.size * 1000,
+      sentence: () => sentencesInSegment >= Math.max(1, Math.round(settings.size)),
+      silence: (word, segment) => word.start - segment[segment.length - 1].end_ >= settings.size * 1000
+    }[settings.mode];
+
+    const groups = [];
+    let current = [];
+
+    for (const word of visibleWords) {
+      if (current.length > 0 && startsNewSegment(word, current)) {
+        groups.push(current);
+        current = [];
+        sentencesInSegment = 0;
+      }
+
+      current.push(word);
+
+      if (/[.!?]["')\]]?$/.test(word.text.trim())) {
+        sentencesInSegment++;
+      }
+    }
+
+    // Add final segment
+    if (current.length > 0) {
+      groups.push(current);
+    }
+
+    return groups.map((group, index) => {
+      const startMs = group[0].start || 0;
+      const endMs = group[group.length - 1].end_ || startMs;
+
+      return {
+        index,
+        startMs,
+        endMs,
+        startFormatted: this.formatTimestamp(Math.floor(startMs / 1000)),
+        endFormatted: this.formatTimestamp(Math.floor(endMs / 1000)),
+        text: group.map(w => w.text.trim()).join(' '),
+        wordCount: group.length
+      };
+    });
+  }
+
+  parseChapters(chapters) {
+    console.log('📖 Parsing chapters:', chapters, 'Type:', typeof chapters, 'IsArray:', Array.isArray(chapters));
+
+    if (!chapters) {
+      console.log('❌ No chapters data provided');
+      return [];
+    }
+
+    if (!Array.isArray(chapters)) {
+      console.log('❌ Chapters is not an array:', chapters);
+      return [];
+    }
+
+    if (chapters.length === 0) {
+      console.log('❌ Chapters array is empty');
+      return [];
+    }
+
+    console.log(`📖 Processing ${chapters.length} chapters`);
+    return chapters.map((chapter, index) => {
+      console.log(`📖 Chapter ${index}:`, chapter);
+      return {
+        id: chapter.id || null,
+        timestamp: chapter.timestamp || 0,
+        timestampFormatted: this.formatTimestamp(chapter.timestamp || 0),
+        title: chapter.title || '',
+        description: chapter.description || ''
+      };
+    });
+  }
+
+  /**
+   * Split the transcript at each chapter's timestamp so every chapter carries its own text.
+   * Chapter timestamps are in seconds, word timings in milliseconds.
+   */
+  buildChapterSections(chapters, words, durationSeconds) {
+    if (!Array.isArray(chapters) || chapters.length === 0) {
+      return [];
+    }
+
+    const visibleWords = Array.isArray(words)
+      ? words.filter(word => !word.hidden && word.text && word.text.trim().length > 0)
+      : [];
+    const lastWordEndMs = visibleWords.length > 0 ? visibleWords[visibleWords.length - 1].end_ || 0 : 0;
+    const videoEndMs = Math.max((durationSeconds || 0) * 1000, lastWordEndMs);
+
+    const sorted = [...chapters].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+    const sections = sorted.map((chapter, index) => {
+      const startMs = (chapter.timestamp || 0) * 1000;
+      const next = sorted[index + 1];
+      const endMs = next ? (next.timestamp || 0) * 1000 : Math.max(videoEndMs, startMs);
+
+      // Words spoken before the first chapter marker belong to the first chapter
+      const sectionWords = visibleWords.filter(word =>
+        (index === 0 || word.start >= startMs) && (!next || word.start < endMs)
+      );
+      const text = sectionWords.map(word => word.text.trim()).join(' ');
+
+      return {
+        index,
+        chapterId: chapter.id || null,
+        title: chapter.title || '',
+        description: chapter.description || '',
+        startSeconds: startMs / 1000,
+        endSeconds: endMs / 1000,
+        startFormatted: this.formatTimestamp(Math.floor(startMs / 1000)),
+        endFormatted: this.formatTimestamp(Math.floor(endMs / 1000)),
+        text,
+        wordCount: sectionWords.length
+      };
+    });
+
+    console.log(`📚 Built ${sections.length} chapter sections`);
+    return sections;
+  }
+
+  formatDuration(input) {
+    console.log('⏱️ [START] Formatting duration:', input, 'Type:', typeof input);
+
+    try {
+      // Handle different input types and convert to number
+      let value = null;
+
+      if (typeof input === 'number' && !isNaN(input)) {
+        value = input;
+      } else if (typeof input === 'string' && !isNaN(parseFloat(input))) {
+        value = parseFloat(input);
+      } else if (input && input.duration) {
+        return this.formatDuration(input.duration);
+      }
+
+      if (!value || value <= 0) {
+        console.log('❌ Invalid duration value:', input);
+        return null;
+      }
+
+      // Auto-detect if input is seconds or milliseconds
+      // Values > 10000 are likely milliseconds, smaller values are likely seconds
+      let totalSeconds;
+      if (value > 10000) {
+        console.log('⏱️ Detected milliseconds, converting to seconds...');
+        totalSeconds = Math.floor(value / 1000);
+      } else {
+        console.log('⏱️ Detected seconds, using directly...');
+        totalSeconds = Math.floor(value);
+      }
+
+      console.log('⏱️ [END] Returning total seconds:', totalSeconds);
+      return totalSeconds;
+
+    } catch (error) {
+      console.error('❌ [ERROR] Duration formatting failed:', error);
+      return null;
+    }
+  }
+
+  formatTimestamp(seconds) {
+    if (typeof seconds !== 'number') {
+      return '0:00';
+    }
+
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = seconds % 60;
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  }
+
+  detectRecordingPage() {
+    // Check if we're on a Tella recording page (must have /view or story ID in URL)
+    const url = this.getPageUrl() || '';
+    
+    // Must be a specific video page, not the videos list page
+    const isVideoPage = url.includes('/video/') && (
+      url.includes('/view') ||  // Must have /view for video pages
+      url.match(/\/video\/([a-zA-Z0-9]+)$/)  // Or ends with video ID (no trailing slash)
+    );
+    
+    return url.includes('/watch/') ||
+           url.includes('/recordings/') ||
+           isVideoPage ||
+           (this.storyId !== null);  // Has a valid story ID
+  }
+
+  extractTitle() {
+    return this.findTitle()?.value ?? null;
+  }
+
+  /**
+   * @returns {{value: string, source: string}|null} Title and where on the page it was found
+   */
+  findTitle() {
+    // Get title from document.title (most reliable for Tella)
+    const pageTitle = document.title;
+    if (pageTitle && pageTitle !== 'Tella') {
+      let title = pageTitle.replace(' — Tella', '').trim();
+      if (title.length > 0) {
+        return { value: title, source: 'document-title' };
+      }
+    }
+
+    // Fallback to input/textbox elements
+    const inputs = document.querySelectorAll('input[type="text"], textbox');
+    for (const input of inputs) {
+      const value = input.value || input.textContent;
+      if (value && value.trim().length > 10) {
+        return { value: value.trim(), source: 'title-input' };
+      }
+    }
+
+    // Final fallback to h1 elements
+    const h1s = document.querySelectorAll('h1');
+    for (const h1 of h1s) {
+      if (h1.textContent && h1.textContent.trim().length > 5) {
+        return { value: h1.textContent.trim(), source: 'heading' };
+      }
+    }
+
+    return null;
+  }
+
+  extractTranscript() {
+    return this.findTranscript()?.value ?? null;
+  }
+
+  /**
+   * @returns {{value: string, source: string}|null} Transcript and where on the page it was found
+   */
+  findTranscript() {
+    // Try to find clean transcript text first
+    let transcript = this.extractCleanTranscript();
+
+    if (!transcript) {
+      // Try to expand transcript if collapsed
+      this.expandTranscriptIfNeeded();
+      // Try again after expanding
+      transcript = this.extractCleanTranscript();
+    }
+
+    if (transcript) {
+      return { value: this.cleanTranscript(transcript), source: 'transcript-panel' };
+    }
+
+    // Look for raw transcript data and parse it
+    transcript = this.parseRawTranscriptData();
+    return transcript ? { value: this.cleanTranscript(transcript), source: 'transcript-data' } : null;
+  }
+
+  extractCleanTranscript() {
+    // Try to find display transcript content (not raw JSON)
+    const transcriptSelectors = [
+      '[data-testid="transcript-display"]',
+      '[data-testid="transcript-content"]',
+      '.transcript-display',
+      '.transcript-content',
+      '.transcript-text',
+      '.video-transcript',
+      '[class*="transcript"][class*="text"]',
+      '[class*="transcript"][class*="display"]',
+      '.transcript p',
+      '.transcript div p',
+      '[data-cy="transcript"] p'
+    ];
+
+    for (const selector of transcriptSelectors) {
+      const element = document.querySelector(selector);
+      if (element) {
+        const text = element.textContent?.trim();
+        // Make sure it's actual transcript text, not JSON or metadata
+        if (text && text.length > 50 && !text.includes('transcriptionWords') && !text.includes('"text"')) {
+          return text;
+        }
+      }
+    }
+
+    // Try to find multiple transcript paragraphs/segments
+    // Look for all possible transcript containers (including hidden/collapsed ones)
+    const transcriptContainers = document.querySelectorAll('.transcript, [data-testid*="transcript"], [class*="transcript"], [id*="transcript"]');
+    
+    for (const transcriptContainer of transcriptContainers) {
+      // Get all text content, including from hidden elements
+      const allTextElements = transcriptContainer.querySelectorAll('p, div, span, li');
+      const transcriptParts = [];
+
+      for (const element of allTextElements) {
+        const text = element.textContent?.trim();
+        // Include text even if element is hidden (display:none, etc.)
+        if (text && text.length > 10 && !text.includes('{') && !text.includes('transcriptionWords') && !text.includes('Show more') && !text.includes('Show less')) {
+          transcriptParts.push(text);
+        }
+      }
+
+      // Also try getting direct text content of container (in case it's all in one element)
+      const containerText = transcriptContainer.textContent?.trim();
+      if (containerText && containerText.length > 50 && !containerText.includes('transcriptionWords')) {
+        // Use container text if it's longer than the sum of parts (might have more content)
+        if (containerText.length > transcriptParts.join(' ').length) {
+          return containerText;
+        }
+      }
+
+      if (transcriptParts.length > 0) {
+        const combined = transcriptParts.join(' ');
+        // Only return if we got a substantial amount of text
+        if (combined.length > 100) {
+          return combined;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  expandTranscriptIfNeeded() {
+    // Look for transcript toggle/expand buttons
+    const toggleSelectors = [
+      '[data-testid="transcript-toggle"]',
+      '[data-testid*="show-transcript"]',
+      '.transcript-toggle',
+      '.show-transcript',
+      '[aria-label*="transcript"]',
+      'button[class*="transcript"]',
+      '[class*="transcript"][class*="button"]'
+    ];
+
+    for (const selector of toggleSelectors) {
+      const toggle = document.querySelector(selector);
+      if (toggle && (
+        toggle.textContent.toLowerCase().includes('show') ||
+        toggle.textContent.toLowerCase().includes('expand') ||
+        !toggle.classList.contains('expanded')
+      )) {
+        try {
+          toggle.click();
+          // Give time for content to load
+          return true;
+        } catch (e) {
+          console.warn('Could not click transcript toggle:', e);
+        }
+      }
+    }
+    return false;
+  }
+
+  parseRawTranscriptData() {
+    // Look for script tags or data attributes that might contain transcript JSON
+    const scripts = document.querySelectorAll('script[type="application/json"], script:not([src])');
+
+    for (const script of scripts) {
+      const content = script.textContent || script.innerHTML;
+      if (content && content.includes('transcriptionWords')) {
+        try {
+          // Try to extract and parse the transcript JSON
+          const transcript = this.extractTextFromTranscriptionJson(content);
+          if (transcript) {
+            return transcript;
+          }
+        } catch (e) {
+          console.warn('Could not parse transcript JSON:', e);
+        }
+      }
+    }
+
+    // Look for data attributes or hidden elements with transcript data
+    const dataElements = document.querySelectorAll('[data-transcript], [data-transcription]');
+    for (const element of dataElements) {
+      const data = element.dataset.transcript || element.dataset.transcription;
+      if (data) {
+        try {
+          const transcript = this.extractTextFromTranscriptionJson(data);
+          if (transcript) {
+            return transcript;
+          }
+        } catch (e) {
+          console.warn('Could not parse transcript data attribute:', e);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  extractTextFromTranscriptionJson(jsonString) {
+    try {
+      // Clean up the JSON string
+      let cleanJson = jsonString;
+
+      // Remove escape characters and fix common JSON issues
+      cleanJson = cleanJson.replace(/\\\"/g, '"').replace(/\\\\/g, '\\');
+
+      // Try to find the transcriptionWords array
+      const transcriptionWordsMatch = cleanJson.match(/\"transcriptionWords\"\s*:\s*\[(.*?)\]/s);
+      if (!transcriptionWordsMatch) {
+        return null;
+      }
+
+      // Extract words from the JSON structure
+      const wordsText = transcriptionWordsMatch[1];
+      const words = [];
+
+      // Use regex to find all text values
+      const textMatches = wordsText.matchAll(/\"text\"\s*:\s*\"([^"]+)\"/g);
+      for (const match of textMatches) {
+        words.push(match[1]);
+      }
+
+      if (words.length > 0) {
+        return words.join(' ');
+      }
+
+      // Fallback: try to parse as full JSON
+      const parsed = JSON.parse(cleanJson);
+      if (parsed.transcriptionWords && Array.isArray(parsed.transcriptionWords)) {
+        return parsed.transcriptionWords
+          .filter(word => word.text && !word.hidden)
+          .map(word => word.text)
+          .join(' ');
+      }
+
+    } catch (e) {
+      // If JSON parsing fails, try simple text extraction
+      const textPattern = /\"text\"\s*:\s*\"([^"]+)\"/g;
+      const matches = Array.from(jsonString.matchAll(textPattern));
+      if (matches.length > 0) {
+        return matches.map(match => match[1]).join(' ');
+      }
+    }
+
+    return null;
+  }
+
+  cleanTranscript(transcript) {
+    if (!transcript || typeof transcript !== 'string') {
+      return null;
+    }
+
+    // Clean up the transcript text
+    let cleaned = transcript
+      .trim()
+      .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+      .replace(/\n+/g, ' ') // Replace newlines with spaces
+      .replace(/[""]/g, '"') // Normalize quotes
+      .replace(/['']/g, "'") // Normalize apostrophes
+      .replace(/…/g, '...') // Normalize ellipsis
+      .replace(/\s+([,.!?;:])/g, '$1') // Remove spaces before punctuation
+      .replace(/([.!?])\s*([a-z])/g, '$1 $2') // Ensure proper sentence spacing
+      .trim();
+
+    // Only return if it's substantial content
+    return cleaned.length > 20 ? cleaned : null;
+  }
+
+  extractChapters() {
+    const chapters = this.collectDomChapters();
+
+    // Format as bulleted list: "• 00:00 - Title:Description"
+    if (chapters.length > 0) {
+      return chapters
+        .map(chapter => `• ${chapter.time} - ${chapter.title}${chapter.description ? ':' + chapter.description : ''}`)
+        .join('\n');
+    }
+
+    return null;
+  }
+
+  /**
+   * Find chapters on the page
+   * @returns {Array<{time: string, title: string, description: string}>} At most 15
+   */
+  collectDomChapters() {
+    return this.findChapters()?.value || [];
+  }
+
+  /**
+   * @returns {{value: Array<{time: string, title: string, description: string}>, source: string}|null}
+   */
+  findChapters() {
+    const chapters = [];
+    let source = 'chapter-elements';
+
+    // Try specific chapter selectors first (Tella might have structured chapter elements)
+    const chapterSelectors = [
+      '[data-testid*="chapter"]',
+      '.chapter',
+      '.chapters',
+      '.chapter-item',
+      '[class*="chapter"]',
+      '.timeline-item',
+      '[data-cy*="chapter"]'
+    ];
+
+    // Check for structured chapter elements
+    for (const selector of chapterSelectors) {
+      const chapterElements = document.querySelectorAll(selector);
+      if (chapterElements.length > 0) {
+        for (const element of chapterElements) {
+          const chapterData = this.extractChapterFromElement(element);
+          if (chapterData) {
+            chapters.push(chapterData);
+          }
+        }
+        if (chapters.length > 0) break; // If we found structured chapters, use those
+      }
+    }
+
+    // Fallback to timestamp pattern matching if no structured chapters found
+    if (chapters.length === 0) {
+      chapters.push(...this.extractChaptersFromTimestamps());
+      source = 'timestamp-scan';
+    }
+
+    return chapters.length > 0
+      ? { value: chapters.slice(0, 15), source } // Limit to 15 chapters max
+      : null;
+  }
+
+  extractChapterFromElement(element) {
+    const text = element.textContent?.trim();
+    if (!text) return null;
+
+    // Look for timestamp in this element or its children
+    const timeMatch = text.match(/(\d{1,2}:\d{2}(?::\d{2})?)/);
+    if (!timeMatch) return null;
+
+    const time = timeMatch[1];
+
+    // Skip if this is likely the video duration (appears at the end)
+    if (this.isVideoDuration(time, text)) {
+      return null;
+    }
+
+    // Extract title and description, removing metadata
+    const remainingText = this.cleanChapterText(text.replace(timeMatch[0], '').trim());
+
+    // Try to split title and description intelligently
+    const { title, description } = this.parseChapterTitleAndDescription(remainingText);
+
+    return title && title.length > 2 ? { time, title, description } : null;
+  }
+
+  isVideoDuration(timestamp, fullText) {
+    // Check if this timestamp matches the video duration
+    const duration = this.extractDuration();
+    if (duration === timestamp) {
+      return true;
+    }
+
+    // Check if timestamp appears in a context that suggests it's the video duration
+    const durationContext = [
+      'duration', 'length', 'total time', 'video time',
+      'ago', 'uploaded', 'created', 'published'
+    ];
+
+    const lowerText = fullText.toLowerCase();
+    return durationContext.some(context => lowerText.includes(context));
+  }
+
+  cleanChapterText(text) {
+    // Remove common metadata patterns
+    return text
+      // Remove author names and dates
+      .replace(/\b[A-Z][a-z]+ [A-Z][a-z]+\d+ (day|week|month|year)s? ago/gi, '')
+      .replace(/\b(Connor|Finlayson|Add a description|Made|Edit|Share|Download)\b/gi, '')
+      // Remove common UI elements
+      .replace(/\b(Add a description|Made with|Download|Share|Edit)\b/gi, '')
+      // Remove extra whitespace and dots
+      .replace(/\.{3,}/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  parseChapterTitleAndDescription(text) {
+    if (!text || text.length < 3) {
+      return { title: null, description: null };
+    }
+
+    let title = '';
+    let description = '';
+
+    // Look for clear title patterns (often in title case or starting with capital)
+    const titlePatterns = [
+      // Pattern: "Title Word Another Word" followed by description
+      /^([A-Z][a-zA-Z\s]{10,50}?)([a-z].*)/,
+      // Pattern: "Multiple Words" followed by lowercase description
+      /^([A-Z][A-Za-z\s]{5,40}?)([a-z][a-z\s].*)/
+    ];
+
+    for (const pattern of titlePatterns) {
+      const match = text.match(pattern);
+      if (match) {
+        title = match[1].trim();
+        description = match[2].trim();
+        break;
+      }
+    }
+
+    // Fallback: Look for common separators
+    if (!title) {
+      const separators = [' - ', ': ', ' – ', ' | ', '. '];
+
+      for (const sep of separators) {
+        if (text.includes(sep)) {
+          const parts = text.split(sep);
+          title = parts[0].trim();
+          description = parts.slice(1).join(sep).trim();
+          break;
+        }
+      }
+    }
+
+    // If still no clear separation, use intelligent splitting
+    if (!title || title.length < 3) {
+      const words = text.split(' ');
+
+      // Find the best split point (usually around uppercase words)
+      let splitPoint = 0;
+      for (let i = 2; i < Math.min(words.length, 8); i++) {
+        if (words[i] && (
+          words[i][0] === words[i][0].toLowerCase() || // lowercase word suggests description start
+          words[i].length < 3 || // short words like "a", "the", "and"
+          ['and', 'the', 'of', 'for', 'in', 'on', 'with', 'to'].includes(words[i].toLowerCase())
+        )) {
+          splitPoint = i;
+          break;
+        }
+      }
+
+      if (splitPoint > 0) {
+        title = words.slice(0, splitPoint).join(' ');
+        description = words.slice(splitPoint).join(' ');
+      } else {
+        // Use first 4-6 words as title
+        title = words.slice(0, Math.min(6, words.length)).join(' ');
+        description = words.slice(Math.min(6, words.length)).join(' ');
+      }
+    }
+
+    // Clean up and validate
+    title = title.replace(/[^\w\s\-']/g, '').trim();
+    description = description.replace(/^[^\w]*/, '').trim(); // Remove leading non-word chars
+
+    // Limit lengths
+    title = title.substring(0, 50).trim();
+    description = description.substring(0, 120).trim();
+
+    // Don't return if title is just one short word or empty
+    if (!title || title.length < 3 || title.split(' ').length === 1 && title.length < 5) {
+      return { title: null, description: null };
+    }
+
+    return { title, description: description || null };
+  }
+
+  extractChaptersFromTimestamps() {
+    const chapters = [];
+    const allElements = document.querySelectorAll('*');
+    const processedElements = new Set();
+    const videoDuration = this.extractDuration();
+
+    for (const element of allElements) {
+      if (processedElements.has(element)) continue;
+
+      const text = element.textContent?.trim();
+      // Look for timestamp pattern like "00:00", "15:23", etc.
+      if (text && text.match(/^\d{1,2}:\d{2}(?::\d{2})?$/)) {
+        const time = text;
+
+        // Skip if this is the video duration or appears in duration context
+        if (time === videoDuration || this.isVideoDuration(time, element.parentElement?.textContent || '')) {
+          continue;
+        }
+
+        // Look for chapter content in nearby elements
+        const chapterInfo = this.findChapterContentNear(element);
+        if (chapterInfo) {
+          chapters.push({
+            time: time,
+            title: chapterInfo.title,
+            description: chapterInfo.description
+          });
+
+          // Mark related elements as processed to avoid duplicates
+          if (chapterInfo.element) {
+            processedElements.add(chapterInfo.element);
+          }
+        }
+      }
+    }
+
+    // Remove duplicates by time and sort by timestamp
+    const uniqueChapters = [];
+    const seenTimes = new Set();
+
+    for (const chapter of chapters) {
+      if (!seenTimes.has(chapter.time)) {
+        seenTimes.add(chapter.time);
+        uniqueChapters.push(chapter);
+      }
+    }
+
+    // Sort chapters by time
+    uniqueChapters.sort((a, b) => {
+      const timeA = this.convertTimeToSeconds(a.time);
+      const timeB = this.convertTimeToSeconds(b.time);
+      return timeA - timeB;
+    });
+
+    return uniqueChapters;
+  }
+
+  convertTimeToSeconds(timeString) {
+    const parts = timeString.split(':').map(part => parseInt(part, 10));
+    if (parts.length === 2) {
+      return parts[0] * 60 + parts[1]; // MM:SS
+    } else if (parts.length === 3) {
+      return parts[0] * 3600 + parts[1] * 60 + parts[2]; // HH:MM:SS
+    }
+    return 0;
+  }
+
+  findChapterContentNear(timestampElement) {
+    // Search in parent containers for chapter title/description
+    let current = timestampElement.parentElement;
+
+    for (let i = 0; i < 3 && current; i++) { // Check up to 3 parent levels
+      const siblings = current.children;
+
+      for (const sibling of siblings) {
+        if (sibling === timestampElement || sibling.contains(timestampElement)) continue;
+
+        const siblingText = sibling.textContent?.trim();
+        if (siblingText && siblingText.length > 5 && siblingText.length < 300) {
+          // Clean the text using our improved cleaning method
+          const cleanedText = this.cleanChapterText(siblingText);
+
+          if (cleanedText && cleanedText.length > 5) {
+            // Use our improved title/description parsing
+            const { title, description } = this.parseChapterTitleAndDescription(cleanedText);
+
+            if (title && title.length > 2) {
+              return { title, description, element: sibling };
+            }
+          }
+        }
+      }
+
+      current = current.parentElement;
+    }
+
+    return null;
+  }
+
+  extractCreatedDate() {
+    return this.findCreatedDate()?.value ?? null;
+  }
+
+  /**
+   * @returns {{value: string, source: string}|null} ISO date and where on the page it was found
+   */
+  findCreatedDate() {
+    // Search for relative dates like "1 day ago", "2 weeks ago", etc.
+    const allElements = document.querySelectorAll('*');
+    for (const element of allElements) {
+      const text = element.textContent?.trim();
+      if (text) {
+        // Look for relative date patterns
+        const relativeMatch = text.match(/(\d+)\s+(day|days|week|weeks|month|months|hour|hours|minute|minutes)\s+ago/i);
+        if (relativeMatch) {
+          const amount = parseInt(relativeMatch[1]);
+          const unit = relativeMatch[2].toLowerCase();
+
+          // Convert relative date to actual date
+          const now = new Date();
+          if (unit.startsWith('minute')) {
+            now.setMinutes(now.getMinutes() - amount);
+          } else if (unit.startsWith('hour')) {
+            now.setHours(now.getHours() - amount);
+          } else if (unit.startsWith('day')) {
+            now.setDate(now.getDate() - amount);
+          } else if (unit.startsWith('week')) {
+            now.setDate(now.getDate() - (amount * 7));
+          } else if (unit.startsWith('month')) {
+            now.setMonth(now.getMonth() - amount);
+          }
+
+          return { value: now.toISOString(), source: 'relative-date' };
+        }
+      }
+    }
+
+    // Look for absolute dates with traditional selectors
+    const dateSelectors = [
+      '[data-testid="created-date"]',
+      '.created-date',
+      '.recording-date',
+      '.upload-date',
+      '[data-cy="created-date"]',
+      'time[datetime]'
+    ];
+
+    for (const selector of dateSelectors) {
+      const element = document.querySelector(selector);
+      if (element) {
+        // Check for datetime attribute first
+        if (element.hasAttribute('datetime')) {
+          return { value: new Date(element.getAttribute('datetime')).toISOString(), source: 'date-attribute' };
+        }
+        // Parse text content
+        const dateText = element.textContent.trim();
+        if (dateText) {
+          const parsed = new Date(dateText);
+          if (!isNaN(parsed.getTime())) {
+            return { value: parsed.toISOString(), source: 'date-text' };
+          }
+        }
+      }
+    }
+
+    // Fallback to meta tags
+    const metaDate = document.querySelector('meta[property="article:published_time"]') ||
+                     document.querySelector('meta[property="video:release_date"]');
+    if (metaDate && metaDate.content) {
+      return { value: new Date(metaDate.content).toISOString(), source: 'meta-tag' };
+    }
+
+    return null;
+  }
+
+  extractViews() {
+    return this.findViews().value;
+  }
+
+  /**
+   * @returns {{value: number, source: string}} View count and where on the page it was found
+   */
+  findViews() {
+    // Look for embedded JSON data containing view count
+    const scripts = document.querySelectorAll('script[type="application/json"], script:not([src])');
+
+    for (const script of scripts) {
+      const content = script.textContent || script.innerHTML;
+      if (content && content.includes('"views"')) {
+        try {
+          // Try to extract views from JSON structure
+          const viewsMatch = content.match(/"views"\s*:\s*(\d+)/);
+          if (viewsMatch) {
+            const views = parseInt(viewsMatch[1], 10);
+            return { value: views, source: 'page-data' };
+          }
+
+          // Try to parse as full JSON to get views value
+          const parsed = JSON.parse(content);
+          if (parsed && typeof parsed.views === 'number') {
+            return { value: parsed.views, source: 'page-data' };
+          }
+
+          // Check if it's nested in the JSON structure
+          if (parsed && parsed.props && parsed.props.pageProps &&
+              typeof parsed.props.pageProps.views === 'number') {
+            return { value: parsed.props.pageProps.views, source: 'page-data' };
+          }
+
+          // Check for other common nested patterns
+          if (parsed && parsed.video && typeof parsed.video.views === 'number') {
+            return { value: parsed.video.views, source: 'page-data' };
+          }
+
+        } catch (e) {
+          // JSON parsing failed, continue to next script
+          continue;
+        }
+      }
+    }
+
+    // Fallback: Look for view count in page elements
+    const viewSelectors = [
+      '[data-testid*="view"]',
+      '.view-count',
+      '.views',
+      '[class*="view"]',
+      '[aria-label*="view"]'
+    ];
+
+    for (const selector of viewSelectors) {
+      const element = document.querySelector(selector);
+      if (element && element.textContent) {
+        const text = element.textContent.trim();
+        // Look for patterns like "123 views", "1.2K views", etc.
+        const viewMatch = text.match(/(\d+(?:\.\d+)?[KM]?)\s*views?/i);
+        if (viewMatch) {
+          const viewStr = viewMatch[1];
+          let views = parseFloat(viewStr);
+          if (viewStr.includes('K')) {
+            views *= 1000;
+          } else if (viewStr.includes('M')) {
+            views *= 1000000;
+          }
+          return { value: Math.floor(views), source: 'view-count-element' };
+        }
+      }
+    }
+
+    // Default to 0 if no views found (new videos typically have 0 views)
+    return { value: 0, source: 'default' };
+  }
+
+  extractPlaylist() {
+    // Look for playlist information
+    const playlistSelectors = [
+      '[data-testid="playlist-name"]',
+      '.playlist-name',
+      '.collection-name',
+      '[data-cy="playlist"]',
+      '.breadcrumb .playlist',
+      '.video-collection'
+    ];
+
+    for (const selector of playlistSelectors) {
+      const element = document.querySelector(selector);
+      if (element && element.textContent.trim()) {
+        return element.textContent.trim();
+      }
+    }
+
+    // Check breadcrumbs or navigation
+    const breadcrumbs = document.querySelectorAll('.breadcrumb a, nav a');
+    for (const breadcrumb of breadcrumbs) {
+      if (breadcrumb.textContent.includes('Playlist') ||
+          breadcrumb.textContent.includes('Collection')) {
+        return breadcrumb.textContent.trim();
+      }
+    }
+
+    return null;
+  }
+
+  extractDuration() {
+    return this.findDuration()?.value ?? null;
+  }
+
+  /**
+   * @returns {{value: string, source: string}|null} Duration ("M:SS" or "H:MM:SS") and where on the page it was found
+   */
+  findDuration() {
+    // First priority: Look for aria-label="duration" elements
+    const durationLabel = document.querySelector('[aria-label="duration"]');
+    if (durationLabel) {
+      const durationText = durationLabel.textContent?.trim();
+      if (durationText && durationText.match(/\d{1,2}:\d{2}(:\d{2})?/)) {
+        return { value: durationText, source: 'duration-label' };
+      }
+    }
+
+    // Second priority: Look for duration in player areas
+    const playerElements = document.querySelectorAll('[class*="player"], [id*="player"], [data-testid*="player"]');
+    for (const playerEl of playerElements) {
+      const timeElements = playerEl.querySelectorAll('*');
+      for (const timeEl of timeElements) {
+        const text = timeEl.textContent?.trim();
+        if (text && text.match(/^\d{1,2}:\d{2}(:\d{2})?$/) &&
+            !timeEl.closest('[class*="chapter"]') &&
+            !timeEl.closest('[class*="timestamp"]')) {
+          // Check if this is in a player context
+          const isInPlayer = timeEl.closest('[class*="player"]') ||
+                           timeEl.closest('[id*="player"]') ||
+                           timeEl.closest('[data-testid*="player"]');
+          if (isInPlayer) {
+            return { value: text, source: 'player' };
+          }
+        }
+      }
+    }
+
+    // Third priority: Look for specific duration display selectors
+    const durationSelectors = [
+      '[data-testid="video-duration"]',
+      '[data-testid="duration"]',
+      '.video-duration',
+      '.duration',
+      '.total-duration',
+      '.time-display .total',
+      '[class*="duration"]'
+    ];
+
+    for (const selector of durationSelectors) {
+      const element = document.querySelector(selector);
+      if (element) {
+        const durationText = element.textContent?.trim();
+        if (durationText && durationText.match(/\d+:\d+/)) {
+          return { value: durationText, source: 'duration-element' };
+        }
+      }
+    }
+
+    // Fourth priority: Video element duration
+    const videoElement = document.querySelector('video');
+    if (videoElement && videoElement.duration && !isNaN(videoElement.duration)) {
+      return { value: this.formatDuration(videoElement.duration), source: 'video-element' };
+    }
+
+    // Last resort: Find longest duration that's not in chapter area
+    const allElements = document.querySelectorAll('*');
+    const timeElements = [];
+
+    for (const element of allElements) {
+      const text = element.textContent?.trim();
+      if (text && text.match(/^\d{1,2}:\d{2}(:\d{2})?$/)) {
+        // Skip if clearly in chapter area
+        const isInChapterArea = element.closest('[class*="chapter"]') ||
+                               element.closest('[class*="timestamp"]') ||
+                               element.closest('[data-testid*="chapter"]');
+
+        // Skip if context suggests it's a timestamp
+        const elementContext = element.parentElement?.textContent || '';
+        const isTimestamp = elementContext.includes('ago') ||
+                          this.isVideoDuration(text, elementContext);
+
+        if (!isInChapterArea && !isTimestamp) {
+          timeElements.push({
+            text: text,
+            seconds: this.convertTimeToSeconds(text)
+          });
+        }
+      }
+    }
+
+    // Return the longest duration found
+    if (timeElements.length > 0) {
+      timeElements.sort((a, b) => b.seconds - a.seconds);
+      return { value: timeElements[0].text, source: 'longest-time' };
+    }
+
+    return null;
+  }
+
+
+  extractVideoUrl() {
+    return window.location.href;
+  }
+
+  extractDescription() {
+    return this.findDescription()?.value ?? null;
+  }
+
+  /**
+   * @returns {{value: string, source: string}|null} Description and where on the page it was found
+   */
+  findDescription() {
+    const descSelectors = [
+      '[data-testid="video-description"]',
+      '.video-description',
+      '.description',
+      '[data-cy="description"]',
+      'meta[property="og:description"]',
+      'meta[name="description"]'
+    ];
+
+    for (const selector of descSelectors) {
+      const element = document.querySelector(selector);
+      if (element) {
+        if (element.tagName === 'META') {
+          return element.content ? { value: element.content, source: 'meta-tag' } : null;
+        }
+        if (element.textContent?.trim()) {
+          return { value: element.textContent.trim(), source: 'description-element' };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read every field the page can provide, each as {value, source} (null when not found).
+   * Times are converted to seconds and chapters to the API chapter shape, so
+   * TellaDomDataAdapter only has to place them and rate how far each source can be trusted.
+   */
+  readDomFields() {
+    const duration = this.findDuration();
+    const chapters = this.findChapters();
+
+    return {
+      // The story ID from the URL keeps change tracking, history and routing tied to the video
+      id: this.storyId ? { value: this.storyId, source: 'location' } : null,
+      title: this.findTitle(),
+      description: this.findDescription(),
+      url: { value: this.extractVideoUrl(), source: 'location' },
+      views: this.findViews(),
+      duration: duration && {
+        // The <video> element fallback already yields seconds
+        value: typeof duration.value === 'number' ? duration.value : this.convertTimeToSeconds(duration.value) || null,
+        source: duration.source
+      },
+      createdAt: this.findCreatedDate(),
+      chapters: chapters && {
+        value: chapters.value.map(chapter => {
+          const timestamp = this.convertTimeToSeconds(chapter.time);
+          return {
+            id: null,
+            timestamp,
+            timestampFormatted: this.formatTimestamp(timestamp),
+            title: chapter.title,
+            description: chapter.description || ''
+          };
+        }),
+        source: chapters.source
+      },
+      transcript: this.findTranscript()
+    };
+  }
+
+  async extractAllData() {
+    // Try API extraction first for comprehensive data
+    const apiData = await this.extractFromAPI();
+    if (apiData) {
+      console.log('✅ Using API data with comprehensive video metadata and chapters');
+      this.data = apiData;
+
+      // Check if transcript exists in API data (content.transcription.transcript)
+      const apiTranscript = this.data.content?.transcription?.transcript;
+      
+      // Add transcript from API or fallback to DOM
+      // Only fallback if API transcript is missing or empty
+      if (!apiTranscript || apiTranscript.trim().length === 0) {
+        const transcriptReading = this.findTranscript();
+        const transcript = transcriptReading?.value;
+        if (transcript) {
+          // Add to both locations for compatibility
+          if (!this.data.content) {
+            this.data.content = {};
+          }
+          if (!this.data.content.transcription) {
+            this.data.content.transcription = {};
+          }
+          this.data.content.transcription.transcript = transcript;
+          this.addCleanTranscript(this.data);
+          this.data.content.keywords = this.buildKeywords(this.data.content.transcription, this.data.content.chapters);
+          this.data.transcript = transcript; // Also add root level for backward compatibility
+          this.data.metadata.extractionMethod = 'api+dom';
+          this.data.metadata.domFields = new TellaDomDataAdapter().describe({
+            'content.transcription.transcript': transcriptReading
+          });
+        }
+      } else {
+        // Ensure root-level transcript exists for backward compatibility
+        this.data.transcript = apiTranscript;
+      }
+
+      return this.data;
+    }
+
+    console.log('📋 Falling back to DOM extraction');
+    // Fallback to DOM extraction if API fails, in the same shape as the API path
+    this.data = new TellaDomDataAdapter().adapt(this.readDomFields(), {
+      pageUrl: this.getPageUrl(),
+      extensionVersion: chrome?.runtime?.getManifest?.()?.version || 'unknown'
+    });
+    await this.transcriptCleaner.loadSettings();
+    await this.keywordExtractor.loadSettings();
+    this.addCleanTranscript(this.data);
+    this.data.content.keywords = this.buildKeywords(this.data.content.transcription, this.data.content.chapters);
+
+    return this.data;
+  }
+
+  /**
+   * Add transcriptClean for a transcript read from the page (no word timings, so no paragraphs)
+   */
+  addCleanTranscript(data) {
+    const transcriptClean = this.transcriptCleaner.cleanText(data.content.transcription.transcript);
+    if (transcriptClean) {
+      data.content.transcription.transcriptClean = transcriptClean;
+    }
+  }
+
+  /**
+   * The payload `data` for extracted data: adds content.chaptersMd.
+   * Every sender (sidebar, bulk, auto-send, library sync) builds data here so payloads match.
+   */
+  static buildPayloadData(data) {
+    const contentData = data?.content || {};
+
+    return {
+      ...data,
+      content: {
+        ...contentData,
+        chaptersMd: TellaDataExtractor.formatChaptersAsMarkdown(contentData.chapters || [])
+      }
+    };
+  }
+
+  /**
+   * Format chapters as markdown bulleted list
+   * Format: - 00:00 {ChapterName} - {description}
+   */
+  static formatChaptersAsMarkdown(chapters) {
+    if (!chapters || !Array.isArray(chapters) || chapters.length === 0) {
+      return '';
+    }
+
+    return chapters
+      .map(chapter => {
+        // Get timestamp - prefer formatted version, or format from timestamp
+        let timestamp;
+        if (chapter.timestampFormatted) {
+          timestamp = chapter.timestampFormatted;
+        } else if (chapter.timestamp !== undefined) {
+          timestamp = TellaDataExtractor.formatTimestampWithLeadingZeros(chapter.timestamp);
+        } else {
+          timestamp = '00:00';
+        }
+
+        const title = chapter.title || 'Untitled';
+        const description = chapter.description || '';
+
+        return description ? `- ${timestamp} ${title} - ${description}` : `- ${timestamp} ${title}`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Format timestamp from seconds to HH:MM:SS or MM:SS with leading zeros
+   */
+  static formatTimestampWithLeadingZeros(seconds) {
+    if (typeof seconds !== 'number') return '00:00';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const remainingSeconds = Math.floor(seconds % 60);
+
+    if (hours > 0) {
+      return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+    }
+    return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+  }
+}
+
+// Export for content scripts (window) and the background service worker (self)
+self.TellaDataExtractor = TellaDataExtractor;
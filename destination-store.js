@@ -0,0 +1,315 @@
+/**
+ * Tella Destination Store
+ * Named webhook destinations persisted in chrome.storage.local
+ * Shared by the sidebar (content script) and the background service worker
+ */
+
+const DESTINATIONS_STORAGE_KEY = 'webhookDestinations';
+const SELECTED_DESTINATIONS_STORAGE_KEY = 'selectedDestinationIds';
+const SIGNING_SECRETS_STORAGE_KEY = 'webhookSigningSecrets';
+const CREDENTIALS_STORAGE_KEY = 'webhookDestinationCredentials';
+
+// Auth schemes a destination can use; credentials live under CREDENTIALS_STORAGE_KEY, never on the destination
+const DESTINATION_AUTH_TYPES = ['none', 'bearer', 'basic', 'apiKey'];
+
+class TellaDestinationStore {
+  /**
+   * Load destinations and the current send selection,
+   * migrating the legacy single webhookUrl / webhookConfig keys on first run
+   * @returns {Promise<{destinations: Array, selectedIds: Array}>}
+   */
+  async load() {
+    const result = await chrome.storage.local.get([
+      DESTINATIONS_STORAGE_KEY,
+      SELECTED_DESTINATIONS_STORAGE_KEY,
+      'webhookUrl',
+      'webhookConfig',
+      'retryPolicy'
+    ]);
+
+    let destinations = result[DESTINATIONS_STORAGE_KEY];
+    let selectedIds = result[SELECTED_DESTINATIONS_STORAGE_KEY];
+
+    if (!Array.isArray(destinations)) {
+      destinations = await this.migrateLegacyWebhook(result);
+      selectedIds = destinations.map(d => d.id);
+    }
+
+    destinations = destinations.map(d => this.normalize(d));
+
+    // Drop selections that point at deleted destinations
+    selectedIds = (Array.isArray(selectedIds) ? selectedIds : [])
+      .filter(id => destinations.some(d => d.id === id));
+
+    // Default to the first destination so Send always has a target
+    if (selectedIds.length === 0 && destinations.length > 0) {
+      selectedIds = [destinations[0].id];
+    }
+
+    return { destinations, selectedIds };
+  }
+
+  /**
+   * Convert the pre-destinations single webhook URL into a "Default" destination
+   */
+  async migrateLegacyWebhook(stored) {
+    const legacyUrl = stored.webhookUrl || stored.webhookConfig?.baseUrl;
+    if (!legacyUrl) {
+      return [];
+    }
+
+    console.log('🔄 Migrating single webhook URL to named destinations');
+
+    const destination = this.normalize({
+      name: 'Default',
+      url: legacyUrl,
+      maxAttempts: stored.retryPolicy?.maxAttempts
+    });
+
+    // Signing secrets used to be keyed by URL - re-key by destination ID
+    const secretsResult = await chrome.storage.local.get([SIGNING_SECRETS_STORAGE_KEY]);
+    const secrets = { ...(secretsResult[SIGNING_SECRETS_STORAGE_KEY] || {}) };
+    if (secrets[legacyUrl]) {
+      secrets[destination.id] = secrets[legacyUrl];
+      delete secrets[legacyUrl];
+    }
+
+    await chrome.storage.local.set({
+      [DESTINATIONS_STORAGE_KEY]: [destination],
+      [SELECTED_DESTINATIONS_STORAGE_KEY]: [destination.id],
+      [SIGNING_SECRETS_STORAGE_KEY]: secrets
+    });
+    await chrome.storage.local.remove(['webhookUrl', 'webhookConfig']);
+
+    return [destination];
+  }
+
+  /**
+   * Get all destinations
+   */
+  async list() {
+    const { destinations } = await this.load();
+    return destinations;
+  }
+
+  /**
+   * Get a single destination by ID
+   */
+  async get(id) {
+    const destinations = await this.list();
+    return destinations.find(d => d.id === id) || null;
+  }
+
+  /**
+   * Create or update a destination
+   * @param {Object} destination - Destination fields; include id to update
+   * @returns {Promise<Object>} The saved destination
+   */
+  async upsert(destination) {
+    const { destinations, selectedIds } = await this.load();
+    const existingIndex = destinations.findIndex(d => d.id === destination.id);
+
+    let saved;
+    if (existingIndex >= 0) {
+      saved = this.normalize({
+        ...destinations[existingIndex],
+        ...destination,
+        updatedAt: new Date().toISOString()
+      });
+      destinations[existingIndex] = saved;
+    } else {
+      saved = this.normalize({ ...destination, id: undefined });
+      destinations.push(saved);
+    }
+
+    // New destinations start selected when they are the only one
+    const nextSelected = selectedIds.length === 0 ? [saved.id] : selectedIds;
+
+    await chrome.storage.local.set({
+      [DESTINATIONS_STORAGE_KEY]: destinations,
+      [SELECTED_DESTINATIONS_STORAGE_KEY]: nextSelected
+    });
+
+    return saved;
+  }
+
+  /**
+   * Delete a destination and its secrets
+   */
+  async remove(id) {
+    const { destinations, selectedIds } = await this.load();
+    const secretsResult = await chrome.storage.local.get([SIGNING_SECRETS_STORAGE_KEY, CREDENTIALS_STORAGE_KEY]);
+    const secrets = { ...(secretsResult[SIGNING_SECRETS_STORAGE_KEY] || {}) };
+    const credentials = { ...(secretsResult[CREDENTIALS_STORAGE_KEY] || {}) };
+    delete secrets[id];
+    delete credentials[id];
+
+    await chrome.storage.local.set({
+      [DESTINATIONS_STORAGE_KEY]: destinations.filter(d => d.id !== id),
+      [SELECTED_DESTINATIONS_STORAGE_KEY]: selectedIds.filter(selectedId => selectedId !== id),
+      [SIGNING_SECRETS_STORAGE_KEY]: secrets,
+      [CREDENTIALS_STORAGE_KEY]: credentials
+    });
+  }
+
+  /**
+   * Persist which destinations the Send button targets
+   */
+  async saveSelection(ids) {
+    await chrome.storage.local.set({ [SELECTED_DESTINATIONS_STORAGE_KEY]: ids });
+  }
+
+  /**
+   * Get the HMAC signing secret for a destination
+   */
+  async getSigningSecret(id) {
+    const result = await chrome.storage.local.get([SIGNING_SECRETS_STORAGE_KEY]);
+    return result[SIGNING_SECRETS_STORAGE_KEY]?.[id] || '';
+  }
+
+  /**
+   * Set (or clear, with an empty value) the signing secret for a destination
+   */
+  async setSigningSecret(id, secret) {
+    const result = await chrome.storage.local.get([SIGNING_SECRETS_STORAGE_KEY]);
+    const secrets = { ...(result[SIGNING_SECRETS_STORAGE_KEY] || {}) };
+
+    if (secret) {
+      secrets[id] = secret;
+    } else {
+      delete secrets[id];
+    }
+
+    await chrome.storage.local.set({ [SIGNING_SECRETS_STORAGE_KEY]: secrets });
+  }
+
+  /**
+   * Get the auth scheme and custom headers for a destination
+   * @returns {Promise<{auth: Object, headers: Array<{name: string, value: string}>}>}
+   */
+  async getCredentials(id) {
+    const result = await chrome.storage.local.get([CREDENTIALS_STORAGE_KEY]);
+    return this.normalizeCredentials(result[CREDENTIALS_STORAGE_KEY]?.[id]);
+  }
+
+  /**
+   * Set (or clear, when there is no auth and no headers) the credentials for a destination
+   */
+  async setCredentials(id, credentials) {
+    const result = await chrome.storage.local.get([CREDENTIALS_STORAGE_KEY]);
+    const stored = { ...(result[CREDENTIALS_STORAGE_KEY] || {}) };
+    const normalized = this.normalizeCredentials(credentials);
+
+    if (normalized.auth.type === 'none' && normalized.headers.length === 0) {
+      delete stored[id];
+    } else {
+      stored[id] = normalized;
+    }
+
+    await chrome.storage.local.set({ [CREDENTIALS_STORAGE_KEY]: stored });
+  }
+
+  /**
+   * Keep only the fields relevant to the chosen auth scheme and drop empty headers
+   */
+  normalizeCredentials(credentials) {
+    const auth = credentials?.auth || {};
+    const type = DESTINATION_AUTH_TYPES.includes(auth.type) ? auth.type : 'none';
+
+    let normalizedAuth = { type: 'none' };
+    if (type === 'bearer' && auth.token) {
+      normalizedAuth = { type, token: auth.token };
+    } else if (type === 'basic' && (auth.username || auth.password)) {
+      normalizedAuth = { type, username: auth.username || '', password: auth.password || '' };
+    } else if (type === 'apiKey' && auth.apiKey) {
+      normalizedAuth = { type, headerName: (auth.headerName || '').trim() || 'X-API-Key', apiKey: auth.apiKey };
+    }
+
+    const headers = (Array.isArray(credentials?.headers) ? credentials.headers : [])
+      .map(header => ({ name: (header?.name || '').trim(), value: header?.value ?? '' }))
+      .filter(header => header.name);
+
+    return { auth: normalizedAuth, headers };
+  }
+
+  /**
+   * Validate credentials before saving, returning an error message or null
+   */
+  validateCredentials(credentials) {
+    const headerNamePattern = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+    const reserved = ['content-type', 'content-length', 'host', 'x-tella-signature', 'x-tella-timestamp'];
+    const names = [
+      ...(credentials.auth?.type === 'apiKey' ? [credentials.auth.headerName || 'X-API-Key'] : []),
+      ...(credentials.headers || []).map(h => h.name)
+    ];
+
+    for (const name of names) {
+      if (!headerNamePattern.test(name)) {
+        return `"${name}" is not a valid header name`;
+      }
+      if (reserved.includes(name.toLowerCase())) {
+        return `The ${name} header is set by the extension and can't be overridden`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Fill in defaults so older stored destinations keep working
+   */
+  normalize(destination) {
+    const now = new Date().toISOString();
+    const maxAttempts = parseInt(destination.maxAttempts, 10);
+
+    return {
+      id: destination.id || this.createId(),
+      name: (destination.name || '').trim() || this.nameFromUrl(destination.url),
+      url: (destination.url || '').trim(),
+      maxAttempts: maxAttempts ? Math.min(Math.max(maxAttempts, 1), 10) : 5,
+      template: typeof destination.template === 'string' ? destination.template : '', // Empty = default envelope
+      autoSend: destination.autoSend === true, // Send automatically after the video page is extracted
+      notifyTranscriptReady: destination.notifyTranscriptReady === true, // Send tella_transcript_ready when transcription finishes
+      createdAt: destination.createdAt || now,
+      updatedAt: destination.updatedAt || now
+    };
+  }
+
+  /**
+   * Derive a readable default name from a webhook URL
+   */
+  nameFromUrl(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+      return 'Webhook';
+    }
+  }
+
+  /**
+   * Validate a webhook URL, returning an error message or null
+   */
+  validateUrl(url) {
+    if (!url) {
+      return 'Please enter a webhook URL';
+    }
+
+    try {
+      const parsed = new URL(url);
+      if (!parsed.protocol.startsWith('http')) {
+        return 'Webhook URL must use http or https';
+      }
+    } catch (e) {
+      return 'Please enter a valid webhook URL';
+    }
+
+    return null;
+  }
+
+  createId() {
+    return `dest_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+}
+
+// Export for content scripts (window) and the background service worker (self)
+self.TellaDestinationStore = TellaDestinationStore;
@@ -0,0 +1,113 @@
+/**
+ * Tella DOM Data Adapter
+ * Maps what TellaDataExtractor scraped from the page (when the Tella API is unavailable) into
+ * the same video/timing/content/metadata shape as API data, so scenarios built on
+ * data.video.title keep working. Every page-derived field is listed in metadata.domFields with
+ * the place it was read from and how far that place can be trusted:
+ *
+ *   high   - a dedicated element or page data meant to hold exactly this value
+ *   medium - a generic element that usually holds it
+ *   low    - a heuristic guess (longest time on the page, "2 weeks ago", a default)
+ */
+
+// Confidence of each field per source reported by TellaDataExtractor's find* methods
+const DOM_FIELD_CONFIDENCE = {
+  'video.id': { location: 'high' },
+  'video.title': { 'document-title': 'high', 'title-input': 'medium', heading: 'low' },
+  'video.description': { 'description-element': 'high', 'meta-tag': 'medium' },
+  'video.url': { location: 'high' },
+  'video.views': { 'page-data': 'high', 'view-count-element': 'medium', default: 'low' },
+  'timing.duration': {
+    'duration-label': 'high',
+    'video-element': 'high',
+    player: 'medium',
+    'duration-element': 'medium',
+    'longest-time': 'low'
+  },
+  'timing.createdAt': { 'date-attribute': 'high', 'meta-tag': 'high', 'date-text': 'medium', 'relative-date': 'low' },
+  'content.chapters': { 'chapter-elements': 'medium', 'timestamp-scan': 'low' },
+  'content.transcription.transcript': { 'transcript-panel': 'medium', 'transcript-data': 'medium' }
+};
+
+class TellaDomDataAdapter {
+  /**
+   * Build payload data from page readings
+   * @param {Object} readings - Result of TellaDataExtractor.readDomFields(): {value, source} or null per field
+   * @param {{pageUrl: string, extensionVersion: string}} context
+   * @returns {Object} Data in the API shape; fields the page didn't provide are null
+   */
+  adapt(readings, context = {}) {
+    const value = (key) => readings[key]?.value ?? null;
+    const duration = value('duration');
+    const transcript = value('transcript') || '';
+
+    return {
+      video: {
+        id: value('id'),
+        title: value('title'),
+        description: value('description') || '',
+        url: value('url'),
+        dimensions: null,
+        views: typeof value('views') === 'number' ? value('views') : null,
+        slug: null,
+        channelIDs: []
+      },
+      timing: {
+        duration,
+        durationMs: duration === null ? null : duration * 1000,
+        createdAt: value('createdAt'),
+        updatedAt: null,
+        lastSeen: null
+      },
+      content: {
+        chapters: value('chapters') || [],
+        sections: [],
+        transcription: transcript ? { transcript } : {},
+        analytics: null // Needs word timings, which the page doesn't expose
+      },
+      metadata: {
+        extractedAt: new Date().toISOString(),
+        pageUrl: context.pageUrl || null,
+        extractionMethod: 'dom',
+        extensionVersion: context.extensionVersion || 'unknown',
+        domFields: this.describe({
+          'video.id': readings.id,
+          'video.title': readings.title,
+          'video.description': readings.description,
+          'video.url': readings.url,
+          'video.views': readings.views,
+          'timing.duration': readings.duration,
+          'timing.createdAt': readings.createdAt,
+          'content.chapters': readings.chapters,
+          'content.transcription.transcript': readings.transcript
+        })
+      },
+      transcript // Root-level copy kept for backward compatibility, as on the API path
+    };
+  }
+
+  /**
+   * Describe where page-derived fields came from
+   * @param {Object<string, {value: *, source: string}|null>} readingsByPath - Keyed by payload field path
+   * @returns {Object<string, {source: string, confidence: string}>} Only fields that were found
+   */
+  describe(readingsByPath) {
+    const fields = {};
+
+    Object.entries(readingsByPath).forEach(([path, reading]) => {
+      if (!reading || reading.value === null || reading.value === undefined || reading.value === '') {
+        return;
+      }
+      fields[path] = { source: reading.source, confidence: this.confidenceFor(path, reading.source) };
+    });
+
+    return fields;
+  }
+
+  confidenceFor(path, source) {
+    return DOM_FIELD_CONFIDENCE[path]?.[source] || 'low';
+  }
+}
+
+// Export for content scripts
+window.TellaDomDataAdapter = TellaDomDataAdapter;
@@ -0,0 +1,172 @@
+/**
+ * Tella Floating Panel
+ * Fallback for when the Webhook tab can't be injected into Tella's sidebar (e.g. after a Tella
+ * redesign): a draggable, collapsible panel in the page corner hosting the same
+ * TellaSidebarWebhook interface, isolated in a shadow root by TellaShadowPanel.
+ */
+
+const FLOATING_PANEL_STORAGE_KEY = 'floatingPanelState';
+const FLOATING_PANEL_MARGIN = 16; // Minimum distance kept from the viewport edges
+
+class TellaFloatingPanel {
+  constructor() {
+    this.host = null;
+    this.shadowPanel = null;
+    this.root = null;
+    this.webhookInterface = null;
+    this.state = { left: null, top: null, collapsed: false };
+    this.drag = null;
+
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onResize = () => this.applyPosition();
+  }
+
+  /**
+   * Create the panel and render the webhook interface inside it
+   * @returns {Promise<TellaSidebarWebhook>} The interface hosted by the panel
+   */
+  async show() {
+    if (this.host) {
+      return this.webhookInterface;
+    }
+
+    await this.loadState();
+
+    this.host = document.createElement('div');
+    this.host.id = 'tella-webhook-floating';
+    this.host.style.cssText = 'position: fixed; z-index: 2147483000; width: 380px; max-width: calc(100vw - 32px);';
+    this.shadowPanel = new TellaShadowPanel(this.host, { stylesheets: ['floating-panel.css'] });
+    document.body.appendChild(this.host);
+    this.root = this.shadowPanel.attach();
+
+    this.root.innerHTML = `
+      <div class="tella-floating" data-collapsed="${this.state.collapsed}">
+        <div class="tella-floating-header" title="Drag to move">
+          <span class="tella-floating-title">🔗 Webhooks for Tella</span>
+          <button class="tella-floating-action" data-action="collapse" type="button" aria-label="Collapse"></button>
+          <button class="tella-floating-action" data-action="close" type="button" aria-label="Close">✕</button>
+        </div>
+        <div class="tella-floating-notice">Tella's sidebar couldn't be found, so the Webhook tab opened here instead.</div>
+        <div class="tella-floating-body"></div>
+      </div>
+    `;
+
+    const header = this.root.querySelector('.tella-floating-header');
+    header.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    this.root.querySelector('[data-action="collapse"]').addEventListener('click', () => this.toggleCollapsed());
+    this.root.querySelector('[data-action="close"]').addEventListener('click', () => this.destroy());
+
+    // Keep typing in the panel from triggering Tella's keyboard shortcuts (space to play, etc.)
+    ['keydown', 'keyup', 'keypress'].forEach(type => {
+      this.host.addEventListener(type, (e) => e.stopPropagation());
+    });
+
+    this.updateCollapseButton();
+    this.applyPosition();
+    window.addEventListener('resize', this.onResize);
+
+    this.webhookInterface = new TellaSidebarWebhook(this.root.querySelector('.tella-floating-body'));
+    await this.webhookInterface.init();
+    this.applyPosition(); // The rendered interface changes the panel height
+
+    console.log('🪟 Floating webhook panel shown');
+    return this.webhookInterface;
+  }
+
+  toggleCollapsed() {
+    this.state.collapsed = !this.state.collapsed;
+    this.root.querySelector('.tella-floating').setAttribute('data-collapsed', String(this.state.collapsed));
+    this.updateCollapseButton();
+    this.applyPosition();
+    this.saveState();
+  }
+
+  updateCollapseButton() {
+    const button = this.root.querySelector('[data-action="collapse"]');
+    button.textContent = this.state.collapsed ? '▢' : '–';
+    button.setAttribute('aria-label', this.state.collapsed ? 'Expand' : 'Collapse');
+  }
+
+  onPointerDown(event) {
+    if (event.button !== 0 || event.target.closest('button')) return;
+
+    const rect = this.host.getBoundingClientRect();
+    this.drag = { offsetX: event.clientX - rect.left, offsetY: event.clientY - rect.top };
+
+    window.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+    event.preventDefault();
+  }
+
+  onPointerMove(event) {
+    if (!this.drag) return;
+
+    this.state.left = event.clientX - this.drag.offsetX;
+    this.state.top = event.clientY - this.drag.offsetY;
+    this.applyPosition();
+  }
+
+  onPointerUp() {
+    this.drag = null;
+    window.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+    this.saveState();
+  }
+
+  /**
+   * Place the panel at the saved position (bottom-right by default), kept inside the viewport
+   */
+  applyPosition() {
+    if (!this.host) return;
+
+    const width = this.host.offsetWidth || 380;
+    const height = this.host.offsetHeight || 48;
+    const maxLeft = Math.max(window.innerWidth - width - FLOATING_PANEL_MARGIN, FLOATING_PANEL_MARGIN);
+    const maxTop = Math.max(window.innerHeight - height - FLOATING_PANEL_MARGIN, FLOATING_PANEL_MARGIN);
+
+    const left = this.state.left === null ? maxLeft : this.state.left;
+    const top = this.state.top === null ? maxTop : this.state.top;
+
+    this.host.style.left = `${Math.min(Math.max(left, FLOATING_PANEL_MARGIN), maxLeft)}px`;
+    this.host.style.top = `${Math.min(Math.max(top, FLOATING_PANEL_MARGIN), maxTop)}px`;
+  }
+
+  async loadState() {
+    try {
+      const result = await chrome.storage.local.get([FLOATING_PANEL_STORAGE_KEY]);
+      this.state = { ...this.state, ...(result[FLOATING_PANEL_STORAGE_KEY] || {}) };
+    } catch (error) {
+      console.warn('⚠️ Could not load floating panel position:', error);
+    }
+  }
+
+  saveState() {
+    chrome.storage.local.set({ [FLOATING_PANEL_STORAGE_KEY]: this.state })
+      .catch(error => console.warn('⚠️ Could not save floating panel position:', error));
+  }
+
+  destroy() {
+    if (this.webhookInterface) {
+      this.webhookInterface.destroy();
+      this.webhookInterface = null;
+    }
+
+    window.removeEventListener('resize', this.onResize);
+    this.onPointerUp();
+
+    if (this.shadowPanel) {
+      this.shadowPanel.destroy();
+      this.shadowPanel = null;
+      this.root = null;
+    }
+
+    if (this.host) {
+      this.host.remove();
+      this.host = null;
+    }
+  }
+}
+
+// Export for content scripts
+window.TellaFloatingPanel = TellaFloatingPanel;
@@ -0,0 +1,319 @@
+/**
+ * Tella Keyword Extractor
+ * On-device keywords for tagging videos (content.keywords), from the transcript and chapter titles.
+ * Candidate phrases are the runs of words between stopwords and punctuation (RAKE); each phrase
+ * scores the sum of its words' degree/frequency, weighted by how often the phrase occurs and
+ * boosted when it appears in a chapter title. Scores are relative to the best keyword (0-1).
+ *
+ * Stopwords come from the transcript's language (detected from the stopwords it contains, or set
+ * in the sidebar). The blocklist removes words or phrases; the allowlist always includes its
+ * entries when the video mentions them.
+ */
+
+const KEYWORD_SETTINGS_STORAGE_KEY = 'keywordSettings';
+
+const DEFAULT_KEYWORD_SETTINGS = {
+  enabled: true,
+  language: 'auto',
+  maxKeywords: 15,
+  blocklist: [],
+  allowlist: []
+};
+
+const KEYWORD_MAX_PHRASE_WORDS = 3;
+const KEYWORD_HEADING_BOOST = 2;
+
+const KEYWORD_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese',
+  it: 'Italian',
+  nl: 'Dutch'
+};
+
+const KEYWORD_STOPWORDS = {
+  en: [
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+    'does', 'doing', 'down', 'during', 'each', 'even', 'every', 'few', 'for', 'from', 'further', 'get', 'got', 'had',
+    'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+    'its', 'just', 'let', 'may', 'me', 'might', 'more', 'most', 'much', 'must', 'my', 'no', 'nor', 'not', 'now', 'of',
+    'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own', 'same', 'she', 'should',
+    'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this',
+    'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when',
+    'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours',
+    "i'm", "i've", "i'll", "i'd", "it's", "that's", "there's", "don't", "doesn't", "didn't", "can't", "won't",
+    "isn't", "aren't", "we're", "we've", "we'll", "you're", "you've", "you'll", "they're", "let's", "what's"
+  ],
+  es: [
+    'a', 'al', 'algo', 'algunos', 'ante', 'antes', 'aquí', 'así', 'bien', 'cada', 'como', 'con', 'cuando', 'de', 'del',
+    'desde', 'donde', 'dos', 'el', 'él', 'ella', 'ellos', 'en', 'entre', 'era', 'es', 'esa', 'ese', 'eso', 'esta',
+    'está', 'están', 'este', 'esto', 'estos', 'fue', 'ha', 'hacer', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los',
+    'más', 'me', 'mi', 'muy', 'nada', 'ni', 'no', 'nos', 'nosotros', 'o', 'para', 'pero', 'poco', 'por', 'porque',
+    'puede', 'que', 'qué', 'se', 'ser', 'si', 'sí', 'sin', 'sobre', 'son', 'su', 'sus', 'también', 'te', 'tiene',
+    'todo', 'todos', 'tu', 'un', 'una', 'uno', 'unos', 'va', 'vamos', 'y', 'ya', 'yo'
+  ],
+  fr: [
+    'à', 'afin', 'ai', 'au', 'aussi', 'aux', 'avec', 'avoir', 'bien', 'c', 'ça', 'ce', 'cela', 'ces', 'cet', 'cette',
+    'comme', 'comment', 'd', 'dans', 'de', 'des', 'donc', 'du', 'elle', 'elles', 'en', 'est', 'et', 'été', 'être',
+    'eu', 'faire', 'fait', 'il', 'ils', 'j', 'je', 'l', 'la', 'le', 'les', 'leur', 'lui', 'm', 'ma', 'mais', 'me',
+    'même', 'mes', 'moi', 'mon', 'n', 'ne', 'nos', 'notre', 'nous', 'on', 'ont', 'ou', 'où', 'par', 'pas', 'peu',
+    'plus', 'pour', 'qu', 'que', 'qui', 's', 'sa', 'sans', 'se', 'ses', 'si', 'son', 'sont', 'sur', 't', 'ta', 'te',
+    'tes', 'toi', 'ton', 'tous', 'tout', 'très', 'tu', 'un', 'une', 'va', 'voilà', 'vos', 'votre', 'vous', 'y'
+  ],
+  de: [
+    'aber', 'alle', 'allem', 'allen', 'aller', 'alles', 'als', 'also', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin',
+    'bis', 'bist', 'da', 'damit', 'dann', 'das', 'dass', 'dein', 'dem', 'den', 'denn', 'der', 'des', 'die', 'dies',
+    'diese', 'dieser', 'dieses', 'doch', 'dort', 'du', 'durch', 'ein', 'eine', 'einem', 'einen', 'einer', 'eines',
+    'er', 'es', 'etwas', 'euch', 'für', 'gibt', 'habe', 'haben', 'hat', 'hier', 'ich', 'ihr', 'ihre', 'im', 'in',
+    'ist', 'ja', 'jetzt', 'kann', 'kein', 'keine', 'man', 'mein', 'mich', 'mir', 'mit', 'muss', 'nach', 'nicht',
+    'noch', 'nun', 'nur', 'ob', 'oder', 'ohne', 'schon', 'sehr', 'sein', 'sich', 'sie', 'sind', 'so', 'um', 'und',
+    'uns', 'unser', 'unter', 'viel', 'vom', 'von', 'vor', 'war', 'was', 'weil', 'wenn', 'wer', 'werden', 'wie',
+    'wir', 'wird', 'wo', 'zu', 'zum', 'zur'
+  ],
+  pt: [
+    'a', 'ao', 'aos', 'aqui', 'as', 'até', 'com', 'como', 'da', 'das', 'de', 'dela', 'dele', 'do', 'dos', 'e', 'é',
+    'ela', 'ele', 'eles', 'em', 'entre', 'era', 'essa', 'esse', 'isso', 'esta', 'está', 'este', 'eu', 'foi', 'há',
+    'isto', 'já', 'lhe', 'mais', 'mas', 'me', 'mesmo', 'meu', 'minha', 'muito', 'na', 'não', 'nas', 'nem', 'no',
+    'nos', 'nós', 'num', 'numa', 'o', 'os', 'ou', 'para', 'pela', 'pelo', 'por', 'porque', 'quando', 'que', 'se',
+    'sem', 'ser', 'seu', 'sua', 'são', 'também', 'tem', 'tudo', 'um', 'uma', 'vai', 'você', 'vocês'
+  ],
+  it: [
+    'a', 'ad', 'al', 'alla', 'anche', 'che', 'chi', 'ci', 'come', 'con', 'cosa', 'così', 'da', 'dal', 'dalla', 'del',
+    'della', 'dei', 'delle', 'di', 'dove', 'e', 'è', 'ed', 'gli', 'ha', 'hanno', 'ho', 'i', 'il', 'in', 'io', 'la',
+    'le', 'lei', 'lo', 'loro', 'lui', 'ma', 'mi', 'molto', 'ne', 'nel', 'nella', 'noi', 'non', 'o', 'per', 'perché',
+    'più', 'poi', 'quando', 'quello', 'questa', 'questo', 'se', 'si', 'sia', 'siamo', 'sono', 'su', 'sul', 'sulla',
+    'tra', 'tu', 'tutto', 'un', 'una', 'uno', 'voi'
+  ],
+  nl: [
+    'aan', 'al', 'alles', 'als', 'bij', 'dan', 'dat', 'de', 'deze', 'die', 'dit', 'doen', 'door', 'dus', 'een', 'en',
+    'er', 'geen', 'heb', 'hebben', 'heeft', 'hem', 'het', 'hier', 'hij', 'hoe', 'ik', 'in', 'is', 'ja', 'je', 'kan',
+    'maar', 'me', 'met', 'mij', 'mijn', 'naar', 'niet', 'nog', 'nu', 'of', 'om', 'ons', 'ook', 'op', 'over', 'te',
+    'tot', 'uit', 'van', 'veel', 'voor', 'was', 'wat', 'we', 'wel', 'werd', 'wij', 'wordt', 'zal', 'ze', 'zij',
+    'zijn', 'zo', 'zou'
+  ]
+};
+
+class TellaKeywordExtractor {
+  constructor(settings = {}) {
+    this.settings = this.normalizeSettings(settings);
+    this.stopwordSets = {};
+  }
+
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get([KEYWORD_SETTINGS_STORAGE_KEY]);
+      this.settings = this.normalizeSettings(result[KEYWORD_SETTINGS_STORAGE_KEY]);
+    } catch (error) {
+      console.warn('⚠️ Could not load keyword settings, using defaults:', error);
+      this.settings = this.normalizeSettings();
+    }
+    return this.settings;
+  }
+
+  async saveSettings(settings) {
+    this.settings = this.normalizeSettings(settings);
+    await chrome.storage.local.set({ [KEYWORD_SETTINGS_STORAGE_KEY]: this.settings });
+    return this.settings;
+  }
+
+  normalizeSettings(settings = {}) {
+    const merged = { ...DEFAULT_KEYWORD_SETTINGS, ...(settings || {}) };
+    const maxKeywords = parseInt(merged.maxKeywords, 10);
+    const toList = (value) => {
+      const entries = Array.isArray(value) ? value : String(value || '').split(/[\n,]/);
+      return [...new Set(entries.map(entry => this.normalizePhrase(String(entry))).filter(Boolean))];
+    };
+
+    return {
+      enabled: merged.enabled !== false,
+      language: KEYWORD_LANGUAGES[merged.language] ? merged.language : 'auto',
+      maxKeywords: maxKeywords > 0 ? Math.min(maxKeywords, 50) : DEFAULT_KEYWORD_SETTINGS.maxKeywords,
+      blocklist: toList(merged.blocklist),
+      allowlist: toList(merged.allowlist)
+    };
+  }
+
+  /**
+   * @param {string} transcript
+   * @param {string[]} headings - Chapter titles
+   * @param {string[]} ignoredWords - Extra words never used, e.g. filler words
+   * @returns {Array<{keyword: string, score: number, count: number, source: string}>|null}
+   *   Best first; source is allowlist, chapters or transcript. null when extraction is turned off.
+   */
+  extract(transcript, headings = [], ignoredWords = []) {
+    if (!this.settings.enabled) {
+      return null;
+    }
+
+    const headingText = headings.filter(Boolean).join('\n');
+    const language = this.settings.language === 'auto'
+      ? this.detectLanguage(`${headingText} ${transcript || ''}`.split(/\s+/))
+      : this.settings.language;
+
+    const blockedWords = this.settings.blocklist.filter(entry => !entry.includes(' '));
+    const stopwords = new Set([...this.stopwords(language), ...blockedWords, ...ignoredWords]);
+
+    const transcriptPhrases = this.candidatePhrases(transcript || '', stopwords);
+    const headingPhrases = this.candidatePhrases(headingText, stopwords);
+    const headingKeys = new Set(headingPhrases.map(phrase => phrase.join(' ')));
+
+    // RAKE word scores: degree (co-occurring words, itself included) over frequency
+    const frequency = new Map();
+    const degree = new Map();
+    [...transcriptPhrases, ...headingPhrases].forEach(phrase => {
+      phrase.forEach(word => {
+        frequency.set(word, (frequency.get(word) || 0) + 1);
+        degree.set(word, (degree.get(word) || 0) + phrase.length);
+      });
+    });
+
+    // Every phrase is a candidate, and so is each word of a longer phrase, so a topic mentioned
+    // in many different phrases ("new dashboard", "dashboard updates") still counts as one
+    const candidates = new Map();
+    const addCandidate = (words) => {
+      const key = words.join(' ');
+      const candidate = candidates.get(key) || { keyword: key, words, count: 0 };
+      candidate.count++;
+      candidates.set(key, candidate);
+    };
+    [...transcriptPhrases, ...headingPhrases].forEach(phrase => {
+      addCandidate(phrase);
+      if (phrase.length > 1) {
+        phrase.filter(word => word.length > 2).forEach(word => addCandidate([word]));
+      }
+    });
+
+    const scored = [...candidates.values()]
+      .filter(candidate => !this.settings.blocklist.includes(candidate.keyword))
+      .filter(candidate => candidate.count > 1 || headingKeys.has(candidate.keyword))
+      .map(candidate => {
+        const inHeadings = headingKeys.has(candidate.keyword);
+        const wordScore = candidate.words.reduce((sum, word) => sum + degree.get(word) / frequency.get(word), 0);
+        return {
+          ...candidate,
+          source: inHeadings ? 'chapters' : 'transcript',
+          score: wordScore * Math.log2(1 + candidate.count) * (inHeadings ? KEYWORD_HEADING_BOOST : 1)
+        };
+      })
+      .sort((a, b) => b.score - a.score || a.keyword.localeCompare(b.keyword));
+
+    const selected = this.findAllowed(`${headingText}\n${transcript || ''}`);
+    const topScore = scored[0]?.score || 1;
+
+    scored.forEach(candidate => {
+      // Skip a word or phrase that mostly occurs inside one already chosen ("pricing" after "pricing page")
+      const covered = selected.some(chosen =>
+        chosen.keyword !== candidate.keyword &&
+        ` ${chosen.keyword} `.includes(` ${candidate.keyword} `) &&
+        candidate.count < chosen.count * 2
+      );
+      if (covered || selected.some(chosen => chosen.keyword === candidate.keyword)) {
+        return;
+      }
+
+      selected.push({
+        keyword: candidate.keyword,
+        score: Math.round(candidate.score / topScore * 1000) / 1000,
+        count: candidate.count,
+        source: candidate.source
+      });
+    });
+
+    return selected.slice(0, this.settings.maxKeywords);
+  }
+
+  /**
+   * Allowlisted words and phrases that occur in the text, always listed first
+   */
+  findAllowed(text) {
+    const words = text.split(/\s+/).map(word => this.normalizeWord(word)).filter(Boolean);
+    const joined = ` ${words.join(' ')} `;
+
+    return this.settings.allowlist
+      .map(entry => ({ keyword: entry, count: joined.split(` ${entry} `).length - 1 }))
+      .filter(entry => entry.count > 0)
+      .map(entry => ({ keyword: entry.keyword, score: 1, count: entry.count, source: 'allowlist' }));
+  }
+
+  /**
+   * Split text into runs of content words, cut at punctuation and stopwords
+   * @returns {string[][]} Phrases of at most KEYWORD_MAX_PHRASE_WORDS words
+   */
+  candidatePhrases(text, stopwords) {
+    const phrases = [];
+
+    // Sentence punctuation only splits before a space, so "make.com" and "v2.1" stay whole
+    text.split(/[.,!?;:]+(?=\s|$)|[()[\]{}"“”«»\n]+|\s[-–—]\s/).forEach(fragment => {
+      let run = [];
+      const flush = () => {
+        for (let i = 0; i < run.length; i += KEYWORD_MAX_PHRASE_WORDS) {
+          const phrase = run.slice(i, i + KEYWORD_MAX_PHRASE_WORDS);
+          if (phrase.length > 1 || phrase[0].length > 2) {
+            phrases.push(phrase);
+          }
+        }
+        run = [];
+      };
+
+      fragment.split(/\s+/).forEach(raw => {
+        const word = this.normalizeWord(raw);
+        if (!word || stopwords.has(word) || /^\d+$/.test(word)) {
+          flush();
+        } else {
+          run.push(word);
+        }
+      });
+      flush();
+    });
+
+    return phrases;
+  }
+
+  /**
+   * Pick the language whose stopwords occur most often (English when none match)
+   */
+  detectLanguage(words) {
+    const normalized = words.map(word => this.normalizeWord(word)).filter(Boolean);
+    let best = 'en';
+    let bestHits = 0;
+
+    Object.keys(KEYWORD_STOPWORDS).forEach(language => {
+      const stopwords = this.stopwords(language);
+      const hits = normalized.filter(word => stopwords.has(word)).length;
+      if (hits > bestHits) {
+        best = language;
+        bestHits = hits;
+      }
+    });
+
+    return best;
+  }
+
+  stopwords(language) {
+    if (!this.stopwordSets[language]) {
+      this.stopwordSets[language] = new Set(KEYWORD_STOPWORDS[language] || KEYWORD_STOPWORDS.en);
+    }
+    return this.stopwordSets[language];
+  }
+
+  // Lowercase and trim punctuation, keeping inner apostrophes, dots and hyphens ("make.com", "e-mail")
+  normalizeWord(word) {
+    return word.toLowerCase()
+      .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+      .replace(/['’]s$/, '')
+      .replace(/’/g, "'");
+  }
+
+  normalizePhrase(phrase) {
+    return phrase.split(/\s+/).map(word => this.normalizeWord(word)).filter(Boolean).join(' ');
+  }
+}
+
+TellaKeywordExtractor.DEFAULTS = DEFAULT_KEYWORD_SETTINGS;
+TellaKeywordExtractor.LANGUAGES = KEYWORD_LANGUAGES;
+
+// Export for content scripts, extension pages (window) and the background service worker (self)
+self.TellaKeywordExtractor = TellaKeywordExtractor;
@@ -0,0 +1,234 @@
+/**
+ * Tella Library Sync
+ * Scheduled background sync: re-extracts every known video through the /api/stories/{id}
+ * endpoints and hands new or changed ones to the configured destinations.
+ *
+ * Tella has no public endpoint that lists a user's stories, so the catalog of known videos is
+ * built from what the extension sees: library/playlist pages (bulk mode) and opened video pages.
+ * The sync re-checks those videos; it never finds videos the user hasn't come across in Tella.
+ */
+
+const LIBRARY_SYNC_STATE_STORAGE_KEY = 'librarySyncState';
+const LIBRARY_SYNC_SETTINGS_STORAGE_KEY = 'librarySyncSettings';
+const LIBRARY_SYNC_ALARM_NAME = 'tella-library-sync';
+const LIBRARY_SYNC_INTERVALS = [15, 60, 360, 1440]; // Minutes offered in the sidebar
+
+const DEFAULT_LIBRARY_SYNC_SETTINGS = {
+  enabled: false,
+  intervalMinutes: 60,
+  destinationIds: []
+};
+
+class TellaLibrarySync {
+  /**
+   * @param {Function} syncStory - async (storyId, settings) => 'created' | 'updated' | 'unchanged'
+   *                               Extracts one video and delivers it where it changed; throws on failure
+   */
+  constructor(syncStory) {
+    this.syncStory = syncStory;
+    this.lock = Promise.resolve();
+    this.running = false;
+
+    console.log('🔄 TellaLibrarySync initialized');
+  }
+
+  async getSettings() {
+    const result = await chrome.storage.local.get([LIBRARY_SYNC_SETTINGS_STORAGE_KEY]);
+    return this.normalizeSettings(result[LIBRARY_SYNC_SETTINGS_STORAGE_KEY]);
+  }
+
+  /**
+   * Save the schedule and (re)create or clear the alarm to match
+   */
+  async saveSettings(settings) {
+    const normalized = this.normalizeSettings(settings);
+    await chrome.storage.local.set({ [LIBRARY_SYNC_SETTINGS_STORAGE_KEY]: normalized });
+    await this.schedule(normalized);
+    return normalized;
+  }
+
+  normalizeSettings(settings) {
+    const interval = parseInt(settings?.intervalMinutes, 10);
+
+    return {
+      enabled: settings?.enabled === true,
+      intervalMinutes: LIBRARY_SYNC_INTERVALS.includes(interval) ? interval : DEFAULT_LIBRARY_SYNC_SETTINGS.intervalMinutes,
+      destinationIds: Array.isArray(settings?.destinationIds) ? settings.destinationIds : []
+    };
+  }
+
+  /**
+   * Keep the alarm in line with the settings (called on save and on worker startup)
+   */
+  async schedule(settings) {
+    if (!chrome.alarms) return;
+
+    settings = settings || await this.getSettings();
+    const existing = await chrome.alarms.get(LIBRARY_SYNC_ALARM_NAME);
+
+    if (!settings.enabled) {
+      if (existing) {
+        await chrome.alarms.clear(LIBRARY_SYNC_ALARM_NAME);
+        console.log('⏰ Library sync alarm cleared');
+      }
+      return;
+    }
+
+    if (!existing || existing.periodInMinutes !== settings.intervalMinutes) {
+      chrome.alarms.create(LIBRARY_SYNC_ALARM_NAME, {
+        delayInMinutes: settings.intervalMinutes,
+        periodInMinutes: settings.intervalMinutes
+      });
+      console.log(`⏰ Library sync scheduled every ${settings.intervalMinutes} minutes`);
+    }
+  }
+
+  /**
+   * Add videos seen by the extension to the catalog
+   * @param {Array<{storyId: string, title: string}>} stories
+   */
+  async discover(stories) {
+    const valid = (stories || []).filter(story => story && /^[a-zA-Z0-9]+$/.test(story.storyId || ''));
+    if (valid.length === 0) return 0;
+
+    return this.withLock(async () => {
+      const state = await this.readState();
+      let added = 0;
+
+      valid.forEach(({ storyId, title }) => {
+        const known = state.stories[storyId];
+        if (!known) {
+          state.stories[storyId] = { title: title || null, discoveredAt: new Date().toISOString(), lastSyncedAt: null };
+          added++;
+        } else if (title && !known.title) {
+          known.title = title;
+        }
+      });
+
+      await this.writeState(state);
+      if (added > 0) {
+        console.log(`🔄 ${added} new videos added to the library catalog`);
+      }
+      return added;
+    });
+  }
+
+  /**
+   * Sync every known video once
+   * @param {Object} options - manual: started with "Sync now" rather than the schedule
+   * @returns {Promise<Object>} Summary {checked, created, updated, unchanged, failed, startedAt, finishedAt, manual},
+   *                            or {alreadyRunning} / {noDestinations} when nothing was synced
+   */
+  async run(options = {}) {
+    const settings = await this.getSettings();
+
+    if (this.running) {
+      return { alreadyRunning: true };
+    }
+    // Without destinations every video would be fetched from Tella for nothing
+    if (settings.destinationIds.length === 0) {
+      console.log('🔄 Library sync skipped: no destinations chosen');
+      return { noDestinations: true };
+    }
+    this.running = true;
+
+    const summary = {
+      manual: !!options.manual,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      checked: 0,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+      errors: []
+    };
+
+    try {
+      const state = await this.readState();
+      const storyIds = Object.keys(state.stories);
+
+      console.log(`🔄 Library sync started (${storyIds.length} videos)`);
+
+      // One video at a time keeps the load on Tella's API gentle
+      for (const storyId of storyIds) {
+        summary.checked++;
+
+        try {
+          const outcome = await this.syncStory(storyId, settings);
+          summary[outcome] = (summary[outcome] || 0) + 1;
+          await this.updateStory(storyId, { lastSyncedAt: new Date().toISOString(), lastOutcome: outcome, lastError: null });
+        } catch (error) {
+          console.warn('⚠️ Library sync failed for', storyId, error);
+          summary.failed++;
+          summary.errors.push({ storyId, error: error.message });
+          await this.updateStory(storyId, { lastOutcome: 'failed', lastError: error.message });
+        }
+      }
+
+    } finally {
+      summary.finishedAt = new Date().toISOString();
+      summary.errors = summary.errors.slice(0, 10);
+      this.running = false;
+
+      await this.withLock(async () => {
+        const state = await this.readState();
+        state.lastRun = summary;
+        await this.writeState(state);
+      });
+    }
+
+    console.log('🔄 Library sync finished:', summary);
+    return summary;
+  }
+
+  async updateStory(storyId, changes) {
+    await this.withLock(async () => {
+      const state = await this.readState();
+      if (state.stories[storyId]) {
+        Object.assign(state.stories[storyId], changes);
+        await this.writeState(state);
+      }
+    });
+  }
+
+  /**
+   * Catalog size, last run summary and settings for the sidebar
+   */
+  async getStatus() {
+    const [state, settings] = await Promise.all([this.readState(), this.getSettings()]);
+    const alarm = chrome.alarms ? await chrome.alarms.get(LIBRARY_SYNC_ALARM_NAME) : null;
+
+    return {
+      settings,
+      running: this.running,
+      knownVideos: Object.keys(state.stories).length,
+      lastRun: state.lastRun || null,
+      nextRunAt: alarm?.scheduledTime ? new Date(alarm.scheduledTime).toISOString() : null
+    };
+  }
+
+  async readState() {
+    const result = await chrome.storage.local.get([LIBRARY_SYNC_STATE_STORAGE_KEY]);
+    const state = result[LIBRARY_SYNC_STATE_STORAGE_KEY] || {};
+    return { stories: state.stories || {}, lastRun: state.lastRun || null };
+  }
+
+  async writeState(state) {
+    await chrome.storage.local.set({ [LIBRARY_SYNC_STATE_STORAGE_KEY]: state });
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the sync state key (only the background service worker writes it)
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn, fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+}
+
+TellaLibrarySync.INTERVALS = LIBRARY_SYNC_INTERVALS;
+
+// Export for the background service worker (self) and the sidebar's schedule picker (window)
+self.TellaLibrarySync = TellaLibrarySync;
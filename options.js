@@ -0,0 +1,1028 @@
+/**
+ * Tella Options Page
+ * Full configuration outside the Tella sidebar: destinations, templates, routing rules, settings,
+ * delivery history, diagnostics and import/export. Uses the same stores as the sidebar, so changes
+ * made here show up on Tella (and vice versa) - it keeps the extension configurable when the
+ * sidebar can't be injected.
+ */
+
+// Stand-in video for template previews (the sidebar previews with the open video instead)
+const OPTIONS_SAMPLE_PAYLOAD = {
+  schemaVersion: PAYLOAD_SCHEMA_VERSION,
+  event: 'tella_video_created',
+  timestamp: '2025-01-01T12:00:00.000Z',
+  source: 'tella-extension-sidebar',
+  data: {
+    video: {
+      id: 'sample123',
+      title: 'Product walkthrough',
+      description: 'A quick tour of the new dashboard.',
+      url: 'https://www.tella.tv/video/sample123/view',
+      slug: 'product-walkthrough',
+      channelIDs: ['channel1']
+    },
+    timing: { duration: 185 },
+    content: {
+      chapters: [
+        { title: 'Intro', timestamp: 0, timestampFormatted: '0:00', description: '' },
+        { title: 'Dashboard', timestamp: 42, timestampFormatted: '0:42', description: 'Charts and filters' }
+      ],
+      chaptersMd: '- 0:00 Intro\n- 0:42 Dashboard - Charts and filters',
+      transcription: { transcript: 'Hi, welcome to the product walkthrough.', text: 'Hi, welcome to the product walkthrough.' }
+    },
+    metadata: { extractionMethod: 'api' }
+  },
+  changes: { added: ['video.title'], removed: [], modified: [], summary: 'New video' }
+};
+
+class TellaOptionsPage {
+  constructor() {
+    this.destinationStore = new TellaDestinationStore();
+    this.historyStore = new TellaSyncHistoryStore();
+    this.changeTracker = new TellaChangeTracker();
+    this.routingRules = new TellaRoutingRules();
+    this.backup = new TellaSettingsBackup();
+    this.payloadSchema = new TellaPayloadSchema();
+    this.transcriptCleaner = new TellaTranscriptCleaner();
+    this.keywordExtractor = new TellaKeywordExtractor();
+
+    this.destinations = [];
+    this.rules = [];
+    this.editingDestinationId = null;
+    this.editingRuleId = null;
+    this.historyFilters = { status: 'all', destinationId: '', search: '' };
+    this.diagnostics = null;
+  }
+
+  async init() {
+    document.getElementById('options-version').textContent = `Version ${chrome.runtime.getManifest().version}`;
+
+    this.setupNavigation();
+    this.setupDestinationForm();
+    this.setupRuleForm();
+    this.setupSettings();
+    this.setupHistory();
+    this.setupDiagnostics();
+    this.setupBackup();
+
+    await this.reload();
+
+    // Keep in sync with changes made from the sidebar or the background
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local') return;
+      if (changes.webhookDestinations || changes.routingRules) {
+        this.reload();
+      } else if (changes.syncHistory && this.isSectionVisible('history')) {
+        this.renderHistory();
+      }
+    });
+
+    const section = window.location.hash.slice(1);
+    if (section) this.showSection(section);
+
+    console.log('⚙️ TellaOptionsPage ready');
+  }
+
+  async reload() {
+    const { destinations } = await this.destinationStore.load();
+    this.destinations = destinations;
+    this.rules = await this.routingRules.load();
+
+    this.renderDestinationList();
+    this.renderRuleList();
+    this.renderHistoryDestinationFilter();
+    await this.loadSettings();
+  }
+
+  /**
+   * Send a message to the background service worker
+   */
+  async sendMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from the background service worker');
+    }
+    return response;
+  }
+
+  // ----- Navigation and messages -----
+
+  setupNavigation() {
+    document.querySelectorAll('.options-nav button').forEach(button => {
+      button.addEventListener('click', () => this.showSection(button.getAttribute('data-section')));
+    });
+  }
+
+  showSection(name) {
+    const section = document.getElementById(`options-${name}`);
+    if (!section) return;
+
+    document.querySelectorAll('.options-section').forEach(el => {
+      el.style.display = el === section ? 'block' : 'none';
+    });
+    document.querySelectorAll('.options-nav button').forEach(button => {
+      button.classList.toggle('active', button.getAttribute('data-section') === name);
+    });
+    history.replaceState(null, '', `#${name}`);
+
+    if (name === 'history') this.renderHistory();
+    if (name === 'diagnostics') this.loadDiagnostics();
+    if (name === 'settings') this.loadLibrarySync();
+  }
+
+  isSectionVisible(name) {
+    return document.getElementById(`options-${name}`)?.style.display === 'block';
+  }
+
+  showMessage(message, type = 'success') {
+    const el = document.getElementById('options-message');
+    el.textContent = message;
+    el.className = `options-message options-message-${type}`;
+    el.style.display = 'block';
+
+    clearTimeout(this.messageTimeout);
+    this.messageTimeout = setTimeout(() => { el.style.display = 'none'; }, type === 'error' ? 8000 : 4000);
+  }
+
+  showError(message) {
+    this.showMessage(message, 'error');
+  }
+
+  // ----- Destinations -----
+
+  renderDestinationList() {
+    const listEl = document.getElementById('options-destination-list');
+
+    if (this.destinations.length === 0) {
+      listEl.innerHTML = '<div class="options-empty">No destinations yet</div>';
+      return;
+    }
+
+    listEl.innerHTML = this.destinations.map(destination => `
+      <div class="options-item" data-destination-id="${destination.id}">
+        <div class="options-item-info">
+          <strong>${this.escapeHtml(destination.name)}</strong>
+          ${destination.autoSend ? '<span class="options-badge">⚡ Auto</span>' : ''}
+          ${destination.notifyTranscriptReady ? '<span class="options-badge">📝 Transcript ready</span>' : ''}
+          ${destination.template.trim() ? '<span class="options-badge">Template</span>' : ''}
+          <small>${this.escapeHtml(this.maskUrl(destination.url))}</small>
+        </div>
+        <div class="options-item-actions">
+          <button class="options-btn-link" data-action="edit" type="button">Edit</button>
+          <button class="options-btn-link" data-action="delete" type="button">Delete</button>
+        </div>
+      </div>
+    `).join('');
+
+    listEl.querySelectorAll('.options-item').forEach(item => {
+      const id = item.getAttribute('data-destination-id');
+      item.querySelector('[data-action="edit"]').addEventListener('click', () => this.openDestinationForm(id));
+      item.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteDestination(id));
+    });
+  }
+
+  setupDestinationForm() {
+    const form = document.getElementById('options-destination-form');
+
+    document.getElementById('options-add-destination').addEventListener('click', () => this.openDestinationForm());
+    document.getElementById('options-cancel-destination').addEventListener('click', () => this.closeDestinationForm());
+    document.getElementById('options-add-header').addEventListener('click', () => this.addCustomHeaderRow());
+    document.getElementById('options-auth-type').addEventListener('change', (e) => this.updateAuthFields(e.target.value));
+
+    document.getElementById('options-generate-secret').addEventListener('click', () => {
+      const bytes = crypto.getRandomValues(new Uint8Array(32));
+      const input = document.getElementById('options-destination-secret');
+      input.value = Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+      input.type = 'text'; // Reveal so it can be copied to the receiving endpoint
+    });
+
+    const templateInput = document.getElementById('options-destination-template');
+    templateInput.addEventListener('input', () => this.updateTemplatePreview());
+    document.getElementById('options-template-example').addEventListener('click', () => {
+      templateInput.value = TellaPayloadTemplate.EXAMPLE;
+      this.updateTemplatePreview();
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveDestination();
+    });
+  }
+
+  /**
+   * Show the destination editor, empty or filled with an existing destination
+   */
+  async openDestinationForm(destinationId = null) {
+    const destination = destinationId ? this.destinations.find(d => d.id === destinationId) : null;
+    this.editingDestinationId = destination ? destination.id : null;
+
+    const signingSecret = destination ? await this.destinationStore.getSigningSecret(destination.id) : '';
+    const credentials = destination
+      ? await this.destinationStore.getCredentials(destination.id)
+      : this.destinationStore.normalizeCredentials(null);
+
+    document.getElementById('options-destination-form-title').textContent = destination ? `Edit ${destination.name}` : 'Add destination';
+    document.getElementById('options-destination-name').value = destination?.name || '';
+    document.getElementById('options-destination-url').value = destination?.url || '';
+    document.getElementById('options-destination-attempts').value = destination?.maxAttempts || 5;
+    document.getElementById('options-destination-auto-send').checked = !!destination?.autoSend;
+    document.getElementById('options-destination-transcript-ready').checked = !!destination?.notifyTranscriptReady;
+    document.getElementById('options-destination-template').value = destination?.template || '';
+
+    const secretInput = document.getElementById('options-destination-secret');
+    secretInput.value = signingSecret;
+    secretInput.type = 'password';
+
+    this.fillCredentialsForm(credentials);
+    this.updateTemplatePreview();
+
+    document.getElementById('options-destination-form').style.display = 'block';
+    document.getElementById('options-add-destination').style.display = 'none';
+  }
+
+  closeDestinationForm() {
+    this.editingDestinationId = null;
+    document.getElementById('options-destination-form').style.display = 'none';
+    document.getElementById('options-add-destination').style.display = '';
+  }
+
+  async saveDestination() {
+    const value = (id) => document.getElementById(id).value;
+    const template = value('options-destination-template');
+
+    const urlError = this.destinationStore.validateUrl(value('options-destination-url').trim());
+    if (urlError) {
+      this.showError(urlError);
+      return;
+    }
+
+    if (template.trim()) {
+      try {
+        new TellaPayloadTemplate(template);
+      } catch (error) {
+        this.showError(`Template error: ${error.message}`);
+        return;
+      }
+    }
+
+    const credentials = this.readCredentialsForm();
+    const credentialsError = this.destinationStore.validateCredentials(credentials);
+    if (credentialsError) {
+      this.showError(credentialsError);
+      return;
+    }
+
+    try {
+      const saved = await this.destinationStore.upsert({
+        id: this.editingDestinationId || undefined,
+        name: value('options-destination-name'),
+        url: value('options-destination-url').trim(),
+        maxAttempts: parseInt(value('options-destination-attempts'), 10) || 5,
+        template: template.trim() ? template : '',
+        autoSend: document.getElementById('options-destination-auto-send').checked,
+        notifyTranscriptReady: document.getElementById('options-destination-transcript-ready').checked
+      });
+
+      await this.destinationStore.setSigningSecret(saved.id, value('options-destination-secret').trim());
+      await this.destinationStore.setCredentials(saved.id, credentials);
+
+      this.closeDestinationForm();
+      await this.reload();
+      this.showMessage(`✅ Destination "${saved.name}" saved`);
+    } catch (error) {
+      console.error('❌ Error saving destination:', error);
+      this.showError(`Failed to save destination: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a destination and everything that refers to it (same cleanup as the sidebar)
+   */
+  async deleteDestination(destinationId) {
+    const destination = this.destinations.find(d => d.id === destinationId);
+    if (!destination || !window.confirm(`Delete destination "${destination.name}"?`)) {
+      return;
+    }
+
+    try {
+      await this.destinationStore.remove(destinationId);
+      await this.changeTracker.forgetDestination(destinationId);
+      await this.routingRules.removeDestination(destinationId);
+
+      if (this.editingDestinationId === destinationId) {
+        this.closeDestinationForm();
+      }
+
+      await this.reload();
+      this.showMessage(`🗑️ Destination "${destination.name}" deleted`);
+    } catch (error) {
+      console.error('❌ Error deleting destination:', error);
+      this.showError(`Failed to delete destination: ${error.message}`);
+    }
+  }
+
+  updateAuthFields(type) {
+    document.querySelectorAll('.options-auth-fields').forEach(fields => {
+      fields.style.display = fields.getAttribute('data-auth-type') === type ? 'flex' : 'none';
+    });
+  }
+
+  addCustomHeaderRow(header = { name: '', value: '' }) {
+    const row = document.createElement('div');
+    row.className = 'options-row options-header-row';
+    row.innerHTML = `
+      <input type="text" class="options-header-name" placeholder="Header name" autocomplete="off">
+      <input type="password" class="options-header-value" placeholder="Value" autocomplete="off">
+      <button class="options-btn-link" type="button" aria-label="Remove header">✕</button>
+    `;
+    row.querySelector('.options-header-name').value = header.name;
+    row.querySelector('.options-header-value').value = header.value;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+
+    document.getElementById('options-custom-headers').appendChild(row);
+  }
+
+  readCredentialsForm() {
+    const value = (id) => document.getElementById(id).value;
+
+    return this.destinationStore.normalizeCredentials({
+      auth: {
+        type: value('options-auth-type'),
+        token: value('options-auth-token').trim(),
+        username: value('options-auth-username').trim(),
+        password: value('options-auth-password'),
+        headerName: value('options-auth-header-name').trim(),
+        apiKey: value('options-auth-api-key').trim()
+      },
+      headers: Array.from(document.querySelectorAll('.options-header-row')).map(row => ({
+        name: row.querySelector('.options-header-name').value.trim(),
+        value: row.querySelector('.options-header-value').value
+      }))
+    });
+  }
+
+  fillCredentialsForm(credentials) {
+    const auth = credentials.auth;
+    const fields = {
+      'options-auth-type': auth.type,
+      'options-auth-token': auth.token || '',
+      'options-auth-username': auth.username || '',
+      'options-auth-password': auth.password || '',
+      'options-auth-header-name': auth.type === 'apiKey' ? auth.headerName : '',
+      'options-auth-api-key': auth.apiKey || ''
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+      document.getElementById(id).value = value;
+    });
+    this.updateAuthFields(auth.type);
+
+    document.getElementById('options-custom-headers').innerHTML = '';
+    credentials.headers.forEach(header => this.addCustomHeaderRow(header));
+  }
+
+  /**
+   * Render the template against the sample video
+   */
+  updateTemplatePreview() {
+    const previewEl = document.getElementById('options-template-preview');
+    const template = document.getElementById('options-destination-template').value;
+
+    try {
+      const rendered = template.trim()
+        ? TellaPayloadTemplate.renderJson(template, TellaPayloadTemplate.buildContext(OPTIONS_SAMPLE_PAYLOAD))
+        : OPTIONS_SAMPLE_PAYLOAD;
+      previewEl.classList.remove('options-preview-error');
+      previewEl.textContent = JSON.stringify(rendered, null, 2);
+    } catch (error) {
+      previewEl.classList.add('options-preview-error');
+      previewEl.textContent = `⚠️ ${error.message}`;
+    }
+  }
+
+  // ----- Routing rules -----
+
+  renderRuleList() {
+    const listEl = document.getElementById('options-rule-list');
+
+    if (this.rules.length === 0) {
+      listEl.innerHTML = '<div class="options-empty">No routing rules - every send goes to the destinations you pick</div>';
+      return;
+    }
+
+    const destinationName = (id) => this.destinations.find(d => d.id === id)?.name || 'Deleted destination';
+
+    listEl.innerHTML = this.rules.map(rule => `
+      <div class="options-item" data-rule-id="${rule.id}" data-enabled="${rule.enabled}">
+        <div class="options-item-info">
+          <strong>${this.escapeHtml(rule.name)}</strong>
+          <small>${this.escapeHtml(rule.conditions.map(c => this.routingRules.describeCondition(c)).join(rule.match === 'any' ? ' or ' : ' and '))}</small>
+          <small>→ ${this.escapeHtml(rule.destinationIds.map(destinationName).join(', '))}${rule.template.trim() ? ' (custom template)' : ''}</small>
+        </div>
+        <div class="options-item-actions">
+          <label class="options-checkbox" title="Enabled">
+            <input type="checkbox" data-action="toggle" ${rule.enabled ? 'checked' : ''}>
+          </label>
+          <button class="options-btn-link" data-action="edit" type="button">Edit</button>
+          <button class="options-btn-link" data-action="delete" type="button">Delete</button>
+        </div>
+      </div>
+    `).join('');
+
+    listEl.querySelectorAll('.options-item').forEach(item => {
+      const ruleId = item.getAttribute('data-rule-id');
+      item.querySelector('[data-action="toggle"]').addEventListener('change', (e) => this.toggleRule(ruleId, e.target.checked));
+      item.querySelector('[data-action="edit"]').addEventListener('click', () => this.openRuleForm(ruleId));
+      item.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteRule(ruleId));
+    });
+  }
+
+  setupRuleForm() {
+    document.getElementById('options-add-rule').addEventListener('click', () => this.openRuleForm());
+    document.getElementById('options-cancel-rule').addEventListener('click', () => this.closeRuleForm());
+    document.getElementById('options-add-condition').addEventListener('click', () => this.addConditionRow());
+    document.getElementById('options-rule-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveRule();
+    });
+  }
+
+  openRuleForm(ruleId = null) {
+    const rule = ruleId ? this.rules.find(r => r.id === ruleId) : null;
+    this.editingRuleId = rule ? rule.id : null;
+
+    document.getElementById('options-rule-form-title').textContent = rule ? `Edit ${rule.name}` : 'Add rule';
+    document.getElementById('options-rule-name').value = rule?.name || '';
+    document.getElementById('options-rule-match').value = rule?.match || 'all';
+    document.getElementById('options-rule-template').value = rule?.template || '';
+
+    document.getElementById('options-rule-conditions').innerHTML = '';
+    (rule?.conditions?.length ? rule.conditions : [{ field: 'channel', operator: 'is', value: '' }])
+      .forEach(condition => this.addConditionRow(condition));
+
+    document.getElementById('options-rule-destinations').innerHTML = this.renderDestinationCheckboxes(rule?.destinationIds || []);
+
+    document.getElementById('options-rule-form').style.display = 'block';
+    document.getElementById('options-add-rule').style.display = 'none';
+  }
+
+  closeRuleForm() {
+    this.editingRuleId = null;
+    document.getElementById('options-rule-form').style.display = 'none';
+    document.getElementById('options-add-rule').style.display = '';
+  }
+
+  addConditionRow(condition = { field: 'title', operator: 'contains', value: '' }) {
+    const fields = TellaRoutingRules.FIELDS;
+    const row = document.createElement('div');
+    row.className = 'options-row options-rule-condition';
+    row.innerHTML = `
+      <select class="options-condition-field">
+        ${Object.entries(fields).map(([key, field]) => `<option value="${key}">${field.label}</option>`).join('')}
+      </select>
+      <select class="options-condition-operator"></select>
+      <input type="text" class="options-condition-value" placeholder="Value">
+      <button class="options-btn-link" type="button" aria-label="Remove condition">✕</button>
+    `;
+
+    const fieldSelect = row.querySelector('.options-condition-field');
+    const operatorSelect = row.querySelector('.options-condition-operator');
+    const valueInput = row.querySelector('.options-condition-value');
+
+    const renderOperators = () => {
+      const field = fields[fieldSelect.value];
+      operatorSelect.innerHTML = Object.entries(field.operators)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+      // Transcript conditions have no value
+      valueInput.style.display = fieldSelect.value === 'transcript' ? 'none' : '';
+      valueInput.type = ['duration', 'chapters'].includes(fieldSelect.value) ? 'number' : 'text';
+    };
+
+    fieldSelect.value = fields[condition.field] ? condition.field : 'title';
+    renderOperators();
+    if (fields[fieldSelect.value].operators[condition.operator]) {
+      operatorSelect.value = condition.operator;
+    }
+    valueInput.value = condition.value || '';
+
+    fieldSelect.addEventListener('change', renderOperators);
+    row.querySelector('button').addEventListener('click', () => row.remove());
+
+    document.getElementById('options-rule-conditions').appendChild(row);
+  }
+
+  async saveRule() {
+    const existing = this.rules.find(r => r.id === this.editingRuleId);
+    const rule = this.routingRules.normalize({
+      id: this.editingRuleId || undefined,
+      createdAt: existing?.createdAt,
+      enabled: existing?.enabled ?? true,
+      name: document.getElementById('options-rule-name').value,
+      match: document.getElementById('options-rule-match').value,
+      template: document.getElementById('options-rule-template').value,
+      conditions: Array.from(document.querySelectorAll('.options-rule-condition')).map(row => ({
+        field: row.querySelector('.options-condition-field').value,
+        operator: row.querySelector('.options-condition-operator').value,
+        value: row.querySelector('.options-condition-value').value
+      })),
+      destinationIds: this.readCheckedIds('options-rule-destinations')
+    });
+
+    const ruleError = this.routingRules.validate(rule);
+    if (ruleError) {
+      this.showError(ruleError);
+      return;
+    }
+
+    if (rule.template.trim()) {
+      try {
+        new TellaPayloadTemplate(rule.template);
+      } catch (error) {
+        this.showError(`Template error: ${error.message}`);
+        return;
+      }
+    }
+
+    try {
+      await this.routingRules.upsert(rule);
+      this.closeRuleForm();
+      await this.reload();
+      this.showMessage(`✅ Rule "${rule.name}" saved`);
+    } catch (error) {
+      console.error('❌ Error saving rule:', error);
+      this.showError(`Failed to save rule: ${error.message}`);
+    }
+  }
+
+  async toggleRule(ruleId, enabled) {
+    const rule = this.rules.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    await this.routingRules.upsert({ ...rule, enabled });
+    await this.reload();
+  }
+
+  async deleteRule(ruleId) {
+    const rule = this.rules.find(r => r.id === ruleId);
+    if (!rule || !window.confirm(`Delete rule "${rule.name}"?`)) {
+      return;
+    }
+
+    await this.routingRules.remove(ruleId);
+    if (this.editingRuleId === ruleId) {
+      this.closeRuleForm();
+    }
+    await this.reload();
+  }
+
+  // ----- Settings -----
+
+  setupSettings() {
+    const modeSelect = document.getElementById('options-segment-mode');
+    const sizeInput = document.getElementById('options-segment-size');
+
+    modeSelect.addEventListener('change', () => {
+      // Each mode has its own unit, so switching resets the size to that mode's default
+      sizeInput.value = SEGMENTATION_SIZE_DEFAULTS[modeSelect.value];
+      this.saveSegmentation();
+    });
+    sizeInput.addEventListener('change', () => this.saveSegmentation());
+
+    document.getElementById('options-cleanup-default-fillers').textContent = TellaTranscriptCleaner.FILLER_WORDS.join(', ');
+    ['enabled', 'fillers', 'repeats', 'sentences', 'pause', 'custom-fillers'].forEach(id => {
+      document.getElementById(`options-cleanup-${id}`).addEventListener('change', () => this.saveTranscriptCleanup());
+    });
+
+    document.getElementById('options-keywords-language').innerHTML = [
+      '<option value="auto">Detect automatically</option>',
+      ...Object.entries(TellaKeywordExtractor.LANGUAGES).map(([code, name]) => `<option value="${code}">${name}</option>`)
+    ].join('');
+    ['enabled', 'language', 'max', 'blocklist', 'allowlist'].forEach(id => {
+      document.getElementById(`options-keywords-${id}`).addEventListener('change', () => this.saveKeywordSettings());
+    });
+
+    document.getElementById('options-payload-validation').addEventListener('change', async (e) => {
+      const mode = await this.payloadSchema.setMode(e.target.value);
+      this.showMessage(`✅ Payload validation: ${e.target.options[e.target.selectedIndex].text}`);
+      e.target.value = mode;
+    });
+
+    document.getElementById('options-history-retention').addEventListener('change', async (e) => {
+      const retention = await this.historyStore.setRetention(e.target.value);
+      e.target.value = retention;
+      this.showMessage(`✅ Keeping the last ${retention} deliveries`);
+    });
+
+    document.getElementById('options-library-sync-interval').innerHTML = TellaLibrarySync.INTERVALS
+      .map(minutes => `<option value="${minutes}">${this.formatInterval(minutes)}</option>`)
+      .join('');
+
+    ['options-library-sync-enabled', 'options-library-sync-interval', 'options-library-sync-destinations'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.saveLibrarySync());
+    });
+    document.getElementById('options-library-sync-now').addEventListener('click', () => this.runLibrarySyncNow());
+  }
+
+  async loadSettings() {
+    const result = await chrome.storage.local.get(['transcriptSegmentation']);
+    const mode = SEGMENTATION_SIZE_DEFAULTS[result.transcriptSegmentation?.mode] !== undefined
+      ? result.transcriptSegmentation.mode
+      : DEFAULT_SEGMENTATION.mode;
+
+    document.getElementById('options-segment-mode').value = mode;
+    document.getElementById('options-segment-size').value = result.transcriptSegmentation?.size || SEGMENTATION_SIZE_DEFAULTS[mode];
+    document.getElementById('options-segment-help').textContent = this.getSegmentationHelp(mode);
+    document.getElementById('options-history-retention').value = await this.historyStore.getRetention();
+    document.getElementById('options-payload-validation').value = await this.payloadSchema.getMode();
+
+    const cleanup = await this.transcriptCleaner.loadSettings();
+    document.getElementById('options-cleanup-enabled').checked = cleanup.enabled;
+    document.getElementById('options-cleanup-fillers').checked = cleanup.removeFillers;
+    document.getElementById('options-cleanup-repeats').checked = cleanup.removeRepeats;
+    document.getElementById('options-cleanup-sentences').checked = cleanup.fixSentences;
+    document.getElementById('options-cleanup-pause').value = cleanup.paragraphPause;
+    document.getElementById('options-cleanup-custom-fillers').value = cleanup.customFillers.join('\n');
+
+    const keywords = await this.keywordExtractor.loadSettings();
+    document.getElementById('options-keywords-enabled').checked = keywords.enabled;
+    document.getElementById('options-keywords-language').value = keywords.language;
+    document.getElementById('options-keywords-max').value = keywords.maxKeywords;
+    document.getElementById('options-keywords-blocklist').value = keywords.blocklist.join('\n');
+    document.getElementById('options-keywords-allowlist').value = keywords.allowlist.join('\n');
+
+    await this.loadLibrarySync();
+  }
+
+  async saveSegmentation() {
+    const mode = document.getElementById('options-segment-mode').value;
+    const size = parseFloat(document.getElementById('options-segment-size').value) || SEGMENTATION_SIZE_DEFAULTS[mode];
+
+    document.getElementById('options-segment-help').textContent = this.getSegmentationHelp(mode);
+    await chrome.storage.local.set({ transcriptSegmentation: { mode, size } });
+    this.showMessage('✅ Segmentation saved - applies to the next extraction');
+  }
+
+  async saveTranscriptCleanup() {
+    const settings = await this.transcriptCleaner.saveSettings({
+      enabled: document.getElementById('options-cleanup-enabled').checked,
+      removeFillers: document.getElementById('options-cleanup-fillers').checked,
+      removeRepeats: document.getElementById('options-cleanup-repeats').checked,
+      fixSentences: document.getElementById('options-cleanup-sentences').checked,
+      paragraphPause: document.getElementById('options-cleanup-pause').value,
+      customFillers: document.getElementById('options-cleanup-custom-fillers').value
+    });
+
+    document.getElementById('options-cleanup-pause').value = settings.paragraphPause;
+    this.showMessage('✅ Transcript cleanup saved - applies to the next extraction');
+  }
+
+  async saveKeywordSettings() {
+    const settings = await this.keywordExtractor.saveSettings({
+      enabled: document.getElementById('options-keywords-enabled').checked,
+      language: document.getElementById('options-keywords-language').value,
+      maxKeywords: document.getElementById('options-keywords-max').value,
+      blocklist: document.getElementById('options-keywords-blocklist').value,
+      allowlist: document.getElementById('options-keywords-allowlist').value
+    });
+
+    document.getElementById('options-keywords-max').value = settings.maxKeywords;
+    this.showMessage('✅ Keywords saved - apply to the next extraction');
+  }
+
+  getSegmentationHelp(mode) {
+    return {
+      duration: 'Seconds per segment',
+      sentence: 'Sentences per segment',
+      silence: 'A pause of at least this many seconds starts a new segment'
+    }[mode] || '';
+  }
+
+  async loadLibrarySync() {
+    const statusEl = document.getElementById('options-library-sync-status');
+
+    try {
+      const { status } = await this.sendMessage({ action: 'getLibrarySync' });
+
+      document.getElementById('options-library-sync-enabled').checked = status.settings.enabled;
+      document.getElementById('options-library-sync-interval').value = String(status.settings.intervalMinutes);
+      document.getElementById('options-library-sync-destinations').innerHTML =
+        this.renderDestinationCheckboxes(status.settings.destinationIds);
+
+      const syncNowBtn = document.getElementById('options-library-sync-now');
+      syncNowBtn.disabled = status.running;
+      syncNowBtn.textContent = status.running ? '🔄 Syncing…' : '🔄 Sync now';
+
+      const parts = [`${status.knownVideos} video${status.knownVideos === 1 ? '' : 's'} known`];
+      if (status.lastRun?.finishedAt) {
+        parts.push(`last run ${new Date(status.lastRun.finishedAt).toLocaleString()}: ${status.lastRun.created} new, ${status.lastRun.updated} updated${status.lastRun.failed ? `, ${status.lastRun.failed} failed` : ''}`);
+      }
+      if (status.settings.enabled && status.nextRunAt) {
+        parts.push(`next ${new Date(status.nextRunAt).toLocaleString()}`);
+      }
+      statusEl.textContent = parts.join(' · ');
+    } catch (error) {
+      console.warn('⚠️ Could not load library sync status:', error);
+      statusEl.textContent = 'Library sync status unavailable';
+    }
+  }
+
+  async saveLibrarySync() {
+    const settings = {
+      enabled: document.getElementById('options-library-sync-enabled').checked,
+      intervalMinutes: document.getElementById('options-library-sync-interval').value,
+      destinationIds: this.readCheckedIds('options-library-sync-destinations')
+    };
+
+    if (settings.enabled && settings.destinationIds.length === 0) {
+      this.showError('Choose at least one destination for library sync');
+    }
+
+    try {
+      await this.sendMessage({ action: 'saveLibrarySyncSettings', settings });
+      await this.loadLibrarySync();
+    } catch (error) {
+      this.showError(`Failed to save library sync settings: ${error.message}`);
+    }
+  }
+
+  async runLibrarySyncNow() {
+    const syncNowBtn = document.getElementById('options-library-sync-now');
+    syncNowBtn.disabled = true;
+    syncNowBtn.textContent = '🔄 Syncing…';
+
+    try {
+      const { summary } = await this.sendMessage({ action: 'librarySyncNow' });
+      if (summary.alreadyRunning) {
+        this.showError('⏳ A library sync is already running');
+      } else if (summary.noDestinations) {
+        this.showError('Choose at least one destination for library sync');
+      } else {
+        this.showMessage(`✅ Library sync: ${summary.checked} checked, ${summary.created} new, ${summary.updated} updated${summary.failed ? `, ${summary.failed} failed` : ''}`,
+          summary.failed ? 'error' : 'success');
+      }
+    } catch (error) {
+      this.showError(`Library sync failed: ${error.message}`);
+    } finally {
+      await this.loadLibrarySync();
+    }
+  }
+
+  formatInterval(minutes) {
+    if (minutes < 60) return `${minutes} minutes`;
+    if (minutes === 60) return 'hour';
+    if (minutes < 1440) return `${minutes / 60} hours`;
+    return 'day';
+  }
+
+  // ----- History -----
+
+  setupHistory() {
+    const statusSelect = document.getElementById('options-history-status');
+    const destinationSelect = document.getElementById('options-history-destination');
+    const searchInput = document.getElementById('options-history-search');
+
+    statusSelect.addEventListener('change', () => {
+      this.historyFilters.status = statusSelect.value;
+      this.renderHistory();
+    });
+    destinationSelect.addEventListener('change', () => {
+      this.historyFilters.destinationId = destinationSelect.value;
+      this.renderHistory();
+    });
+    searchInput.addEventListener('input', () => {
+      this.historyFilters.search = searchInput.value;
+      this.renderHistory();
+    });
+
+    document.getElementById('options-clear-history').addEventListener('click', async () => {
+      if (!window.confirm('Clear the delivery history?')) return;
+      await this.historyStore.clear();
+      this.renderHistory();
+    });
+  }
+
+  renderHistoryDestinationFilter() {
+    const select = document.getElementById('options-history-destination');
+    select.innerHTML = '<option value="">All destinations</option>' + this.destinations
+      .map(destination => `<option value="${destination.id}">${this.escapeHtml(destination.name)}</option>`)
+      .join('');
+    select.value = this.destinations.some(d => d.id === this.historyFilters.destinationId) ? this.historyFilters.destinationId : '';
+  }
+
+  async renderHistory() {
+    const listEl = document.getElementById('options-history-list');
+    const entries = await this.historyStore.list(this.historyFilters);
+
+    if (entries.length === 0) {
+      listEl.innerHTML = '<div class="options-empty">No deliveries yet</div>';
+      return;
+    }
+
+    const icons = { delivered: '✅', queued: '⏳', failed: '❌' };
+
+    listEl.innerHTML = entries.map(entry => {
+      const state = entry.outcome || (entry.success ? 'delivered' : 'failed');
+      const details = entry.details;
+      const headers = Object.entries(details?.request?.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+
+      return `
+        <div class="options-item options-history-item" data-state="${state}">
+          <div class="options-item-info">
+            <strong>${icons[state]} ${this.escapeHtml(entry.title || 'Unknown')}</strong>
+            <small>
+              ${this.escapeHtml(entry.destinationName || this.maskUrl(entry.webhookUrl || ''))}
+              · ${new Date(entry.timestamp).toLocaleString()}
+              · ${entry.status || (state === 'delivered' ? 'OK' : (state === 'queued' ? 'Queued' : 'Error'))}
+              ${details?.latencyMs != null ? `· ${details.latencyMs} ms` : ''}
+              ${entry.source && entry.source !== 'sidebar' ? `· ${this.escapeHtml(entry.source)}` : ''}
+            </small>
+            ${entry.error ? `<small class="options-error-text">${this.escapeHtml(entry.error)}</small>` : ''}
+            <details>
+              <summary>Details</summary>
+              ${details?.request ? `<div>${details.request.method} ${this.escapeHtml(this.maskUrl(details.request.url))}</div>` : ''}
+              ${headers ? `<pre>${this.escapeHtml(headers)}</pre>` : ''}
+              ${details?.response ? `<div>Response ${details.response.status} ${this.escapeHtml(details.response.statusText || '')}</div>` : ''}
+              ${details?.response?.body ? `<pre>${this.escapeHtml(details.response.body)}</pre>` : ''}
+              ${entry.payload ? `<div>Payload</div><pre>${this.escapeHtml(JSON.stringify(entry.payload, null, 2))}</pre>` : ''}
+            </details>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // ----- Diagnostics -----
+
+  setupDiagnostics() {
+    document.getElementById('options-refresh-diagnostics').addEventListener('click', () => this.loadDiagnostics());
+    document.getElementById('options-copy-diagnostics').addEventListener('click', async () => {
+      if (!this.diagnostics) await this.loadDiagnostics();
+      await navigator.clipboard.writeText(JSON.stringify(this.diagnostics, null, 2));
+      this.showMessage('📋 Diagnostics copied to the clipboard');
+    });
+  }
+
+  /**
+   * Gather storage, background and sidebar injection state (no secrets or payloads)
+   */
+  async loadDiagnostics() {
+    const contentEl = document.getElementById('options-diagnostics-content');
+    const stored = await chrome.storage.local.get(['sidebarInjectionStatus', 'syncHistory']);
+    const bytesInUse = await chrome.storage.local.getBytesInUse(null);
+
+    let background;
+    try {
+      background = (await this.sendMessage({ action: 'getDiagnostics' })).diagnostics;
+    } catch (error) {
+      background = { error: error.message };
+    }
+
+    const history = stored.syncHistory || [];
+    this.diagnostics = {
+      extensionVersion: chrome.runtime.getManifest().version,
+      userAgent: navigator.userAgent,
+      generatedAt: new Date().toISOString(),
+      storage: { bytesInUse, destinations: this.destinations.length, rules: this.rules.length, historyEntries: history.length },
+      sidebarInjection: stored.sidebarInjectionStatus || null,
+      recentFailures: history
+        .filter(entry => !entry.success)
+        .slice(0, 5)
+        .map(({ timestamp, destinationName, status, error, source }) => ({ timestamp, destinationName, status, error, source })),
+      background
+    };
+
+    const injection = this.diagnostics.sidebarInjection;
+    const outbox = background.outbox;
+
+    contentEl.innerHTML = `
+      <div class="options-card">
+        <h3>Sidebar injection</h3>
+        ${injection
+          ? `<p>${injection.success ? '✅ Webhook tab injected' : `❌ ${this.escapeHtml(injection.error || 'Injection failed')}`}
+             on ${new Date(injection.at).toLocaleString()} (${injection.attempts} attempt${injection.attempts === 1 ? '' : 's'})</p>
+             <small>${this.escapeHtml(injection.url)}</small>
+             ${injection.success ? '' : '<p class="options-help">Tella\'s page layout may have changed. Everything can still be configured here, and auto-send, transcript ready events and library sync keep working.</p>'}`
+          : '<p>No Tella video page opened yet</p>'}
+      </div>
+      <div class="options-card">
+        <h3>Background</h3>
+        ${background.error
+          ? `<p class="options-error-text">${this.escapeHtml(background.error)}</p>`
+          : `<p>Outbox: ${outbox.pending} pending, ${outbox.in_flight} in flight, ${outbox.delivered} delivered, ${outbox.failed} failed</p>
+             <p>Transcript watches: ${background.transcriptWatches.length}</p>
+             <p>Library sync: ${background.librarySync.knownVideos} known videos, ${background.librarySync.settings.enabled ? 'scheduled' : 'off'}</p>
+             <p>Alarms: ${background.alarms.map(alarm => this.escapeHtml(alarm.name)).join(', ') || 'none'}</p>`}
+      </div>
+      <div class="options-card">
+        <h3>Storage</h3>
+        <p>${this.formatBytes(bytesInUse)} used · ${this.destinations.length} destinations · ${this.rules.length} rules · ${history.length} history entries</p>
+      </div>
+      <div class="options-card">
+        <h3>Recent failures</h3>
+        ${this.diagnostics.recentFailures.length
+          ? this.diagnostics.recentFailures.map(failure => `<p><small>${new Date(failure.timestamp).toLocaleString()}</small> ${this.escapeHtml(failure.destinationName || '')}: ${this.escapeHtml(failure.error || String(failure.status))}</p>`).join('')
+          : '<p>None</p>'}
+      </div>
+    `;
+  }
+
+  // ----- Import / Export -----
+
+  setupBackup() {
+    document.getElementById('options-export').addEventListener('click', () => this.exportSettings());
+    document.getElementById('options-import').addEventListener('click', () => this.importSettings());
+  }
+
+  async exportSettings() {
+    const includeSecrets = document.getElementById('options-export-secrets').checked;
+    const backup = await this.backup.export({ includeSecrets });
+
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tella-webhooks-settings-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    this.showMessage(`📤 Exported ${backup.destinations.length} destinations and ${backup.rules.length} rules${includeSecrets ? ' (with secrets)' : ''}`);
+  }
+
+  async importSettings() {
+    const file = document.getElementById('options-import-file').files[0];
+    if (!file) {
+      this.showError('Choose an exported settings file first');
+      return;
+    }
+
+    const replace = document.getElementById('options-import-replace').checked;
+    if (replace && !window.confirm('Replace all destinations and rules with the ones in this file?')) {
+      return;
+    }
+
+    try {
+      const backup = JSON.parse(await file.text());
+      const result = await this.backup.import(backup, { replace });
+
+      // The background owns the library sync alarm - let it reschedule from the imported settings
+      if (backup.settings?.librarySyncSettings) {
+        await this.sendMessage({ action: 'saveLibrarySyncSettings', settings: backup.settings.librarySyncSettings })
+          .catch(error => console.warn('⚠️ Could not reschedule library sync:', error));
+      }
+
+      await this.reload();
+      this.showMessage(`📥 Imported ${result.destinations} destinations and ${result.rules} rules${result.secrets ? ` (${result.secrets} with secrets)` : ''}`);
+    } catch (error) {
+      console.error('❌ Import failed:', error);
+      this.showError(error instanceof SyntaxError ? 'This file is not valid JSON' : `Import failed: ${error.message}`);
+    }
+  }
+
+  // ----- Helpers -----
+
+  renderDestinationCheckboxes(checkedIds) {
+    if (this.destinations.length === 0) {
+      return '<small>Add a destination first</small>';
+    }
+
+    return this.destinations.map(destination => `
+      <label class="options-checkbox">
+        <input type="checkbox" value="${destination.id}" ${checkedIds.includes(destination.id) ? 'checked' : ''}>
+        ${this.escapeHtml(destination.name)}
+      </label>
+    `).join('');
+  }
+
+  readCheckedIds(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input:checked`)).map(input => input.value);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Shorten a webhook URL for display, hiding the secret-bearing path
+   */
+  maskUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const path = parsed.pathname.length > 12 ? parsed.pathname.slice(0, 8) + '…' : parsed.pathname;
+      return `${parsed.host}${path}`;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new TellaOptionsPage().init().catch(error => console.error('❌ Failed to initialize options page:', error));
+});
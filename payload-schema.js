@@ -0,0 +1,160 @@
+/**
+ * Tella Payload Schema
+ * Versioned shape of the webhook envelope. payload-schema.json documents it for the people
+ * building scenarios on top; this module stamps the version on envelopes and validates outgoing
+ * envelopes against the same file before they are sent.
+ *
+ * The validator covers the JSON Schema keywords payload-schema.json uses: type, const, enum,
+ * required, properties, additionalProperties (as a schema), items, minimum and local $ref.
+ * Unknown keywords (format, description) are ignored, and extra properties are allowed unless
+ * additionalProperties says otherwise, so new fields stay backwards compatible.
+ */
+
+const PAYLOAD_SCHEMA_VERSION = '1.0';
+const PAYLOAD_SCHEMA_FILE = 'payload-schema.json';
+
+// What happens to a payload that doesn't match the schema
+const PAYLOAD_VALIDATION_STORAGE_KEY = 'payloadValidation';
+const PAYLOAD_VALIDATION_MODES = ['warn', 'block', 'off'];
+const DEFAULT_PAYLOAD_VALIDATION_MODE = 'warn';
+
+const PAYLOAD_VALIDATION_MAX_ERRORS = 20;
+
+class TellaPayloadSchema {
+  constructor() {
+    this.schema = null;
+  }
+
+  /**
+   * Load payload-schema.json from the extension package (cached)
+   */
+  async load() {
+    if (!this.schema) {
+      const response = await fetch(chrome.runtime.getURL(PAYLOAD_SCHEMA_FILE));
+      this.schema = await response.json();
+    }
+    return this.schema;
+  }
+
+  async getMode() {
+    const result = await chrome.storage.local.get([PAYLOAD_VALIDATION_STORAGE_KEY]);
+    const mode = result[PAYLOAD_VALIDATION_STORAGE_KEY];
+    return PAYLOAD_VALIDATION_MODES.includes(mode) ? mode : DEFAULT_PAYLOAD_VALIDATION_MODE;
+  }
+
+  async setMode(mode) {
+    const value = PAYLOAD_VALIDATION_MODES.includes(mode) ? mode : DEFAULT_PAYLOAD_VALIDATION_MODE;
+    await chrome.storage.local.set({ [PAYLOAD_VALIDATION_STORAGE_KEY]: value });
+    return value;
+  }
+
+  /**
+   * Validate an outgoing envelope using the configured mode.
+   * Envelopes without a schemaVersion (replays of payloads sent before versioning, or of
+   * template output) are not checked.
+   * @returns {Promise<{mode: string, checked: boolean, valid: boolean, errors: string[]}>}
+   */
+  async check(envelope) {
+    const mode = await this.getMode();
+    if (mode === 'off' || !envelope || typeof envelope !== 'object' || !('schemaVersion' in envelope)) {
+      return { mode, checked: false, valid: true, errors: [] };
+    }
+
+    const errors = this.validate(envelope, await this.load());
+    return { mode, checked: true, valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate a value against a (sub)schema
+   * @returns {string[]} Readable violations such as "data.video.title: expected string or null, got number"
+   */
+  validate(value, schema, root = schema, path = '', errors = []) {
+    if (errors.length >= PAYLOAD_VALIDATION_MAX_ERRORS || !schema) {
+      return errors;
+    }
+
+    if (schema.$ref) {
+      return this.validate(value, this.resolveRef(schema.$ref, root), root, path, errors);
+    }
+
+    const at = path || '(payload)';
+
+    if ('const' in schema && value !== schema.const) {
+      errors.push(`${at}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${at}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+      return errors;
+    }
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this.matchesType(value, type))) {
+        errors.push(`${at}: expected ${types.join(' or ')}, got ${this.describeType(value)}`);
+        return errors;
+      }
+    }
+
+    if (typeof value === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) {
+      errors.push(`${at}: must be at least ${schema.minimum}, got ${value}`);
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      (schema.required || [])
+        .filter(key => !(key in value))
+        .forEach(key => errors.push(`${path ? path + '.' : ''}${key}: is required`));
+
+      Object.entries(schema.properties || {})
+        .filter(([key]) => key in value)
+        .forEach(([key, propertySchema]) => {
+          this.validate(value[key], propertySchema, root, path ? `${path}.${key}` : key, errors);
+        });
+
+      if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        Object.keys(value)
+          .filter(key => !(key in (schema.properties || {})))
+          .forEach(key => {
+            this.validate(value[key], schema.additionalProperties, root, path ? `${path}.${key}` : key, errors);
+          });
+      }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => this.validate(item, schema.items, root, `${at}[${index}]`, errors));
+    }
+
+    return errors.slice(0, PAYLOAD_VALIDATION_MAX_ERRORS);
+  }
+
+  resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+  }
+
+  matchesType(value, type) {
+    switch (type) {
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      default: return typeof value === type;
+    }
+  }
+
+  describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+}
+
+TellaPayloadSchema.VERSION = PAYLOAD_SCHEMA_VERSION;
+TellaPayloadSchema.MODES = PAYLOAD_VALIDATION_MODES;
+
+// Export for content scripts, extension pages (window) and the background service worker (self)
+self.TellaPayloadSchema = TellaPayloadSchema;
@@ -0,0 +1,373 @@
+/**
+ * Tella Payload Template
+ * Mustache-style templates that reshape the webhook payload per destination
+ *
+ * Syntax (the rendered output must be valid JSON):
+ *   {{video.title}}                 Value, escaped for use inside a JSON string
+ *   {{{video.title}}}               Value, inserted as-is
+ *   {{content.chapters | json}}     Value piped through filters (json output is never escaped)
+ *   {{#each content.chapters}}…{{/each}}   Loop; inside use {{title}}, {{this}}, {{@index}}, {{@number}}, {{@first}}, {{@last}}
+ *   {{#if content.transcription}}…{{else}}…{{/if}}
+ *   {{! comment }}
+ */
+
+const TEMPLATE_TAG_PATTERN = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+const TEMPLATE_EXAMPLE = `{
+  "title": "{{video.title}}",
+  "url": "{{video.url}}",
+  "summary": "{{video.description | truncate:280}}",
+  "durationSeconds": {{timing.duration | default:0 | json}},
+  "chapters": [
+    {{#each content.chapters}}{ "title": "{{title}}", "start": "{{timestampFormatted}}" }{{#if @last}}{{else}},{{/if}}
+    {{/each}}
+  ],
+  "chaptersMarkdown": "{{content.chapters | markdown}}",
+  "transcript": "{{content.transcription.transcript | truncate:2000}}"
+}`;
+
+class TellaPayloadTemplate {
+  /**
+   * @param {string} source - Template text
+   */
+  constructor(source) {
+    this.source = source || '';
+    this.tree = this.parse(this.source);
+  }
+
+  /**
+   * Render a template to a string
+   */
+  static render(source, context) {
+    return new TellaPayloadTemplate(source).render(context);
+  }
+
+  /**
+   * Render a template and parse the result as the JSON payload to send
+   */
+  static renderJson(source, context) {
+    const output = TellaPayloadTemplate.render(source, context);
+
+    try {
+      return JSON.parse(output);
+    } catch (error) {
+      throw new Error(`Template output is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the render context from a webhook envelope.
+   * Envelope fields (event, timestamp, source, data) stay available and
+   * data's sections (video, timing, content, metadata) are exposed at the top level.
+   */
+  static buildContext(payload) {
+    return { ...(payload?.data || {}), ...(payload || {}) };
+  }
+
+  /**
+   * Parse template text into a tree of text, variable, each and if nodes
+   */
+  parse(source) {
+    const root = { type: 'root', children: [] };
+    // Each frame tracks the branch (children or elseChildren) new nodes are added to
+    const stack = [{ node: root, branch: root.children }];
+    let current = root.children;
+    let lastIndex = 0;
+    let match;
+
+    TEMPLATE_TAG_PATTERN.lastIndex = 0;
+    while ((match = TEMPLATE_TAG_PATTERN.exec(source)) !== null) {
+      if (match.index > lastIndex) {
+        current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = TEMPLATE_TAG_PATTERN.lastIndex;
+
+      const raw = match[1] !== undefined;
+      const tag = (raw ? match[1] : match[2]).trim();
+
+      if (tag.startsWith('!')) {
+        continue;
+      }
+
+      const blockMatch = tag.match(/^#(each|if)\s+(.+)$/);
+      if (blockMatch) {
+        const block = { type: blockMatch[1], expression: blockMatch[2].trim(), children: [], elseChildren: [] };
+        current.push(block);
+        stack.push({ node: block, branch: block.children });
+        current = block.children;
+        continue;
+      }
+
+      if (tag === 'else') {
+        const frame = stack[stack.length - 1];
+        if (frame.node.type === 'root') {
+          throw new Error('{{else}} used outside of an {{#if}} or {{#each}} block');
+        }
+        frame.branch = frame.node.elseChildren;
+        current = frame.branch;
+        continue;
+      }
+
+      const closeMatch = tag.match(/^\/(each|if)$/);
+      if (closeMatch) {
+        const block = stack[stack.length - 1].node;
+        if (block.type !== closeMatch[1]) {
+          throw new Error(`Unexpected {{/${closeMatch[1]}}}` +
+            (block.type === 'root' ? '' : ` - {{#${block.type} ${block.expression}}} is still open`));
+        }
+        stack.pop();
+        current = stack[stack.length - 1].branch;
+        continue;
+      }
+
+      current.push({ type: 'variable', expression: tag, raw });
+    }
+
+    if (lastIndex < source.length) {
+      current.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    if (stack.length > 1) {
+      const block = stack[stack.length - 1].node;
+      throw new Error(`Unclosed {{#${block.type} ${block.expression}}}`);
+    }
+
+    return root;
+  }
+
+  /**
+   * Render the parsed template against a context object
+   */
+  render(context) {
+    return this.renderNodes(this.tree.children, [{ value: context, locals: {} }]);
+  }
+
+  renderNodes(nodes, scopes) {
+    return nodes.map(node => this.renderNode(node, scopes)).join('');
+  }
+
+  renderNode(node, scopes) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'variable': {
+        const { value, raw } = this.evaluate(node.expression, scopes);
+        return this.stringify(value, raw || node.raw);
+      }
+
+      case 'if': {
+        const { value } = this.evaluate(node.expression, scopes);
+        return this.renderNodes(this.isTruthy(value) ? node.children : node.elseChildren, scopes);
+      }
+
+      case 'each': {
+        const { value } = this.evaluate(node.expression, scopes);
+        const items = Array.isArray(value)
+          ? value
+          : (value && typeof value === 'object' ? Object.values(value) : []);
+
+        if (items.length === 0) {
+          return this.renderNodes(node.elseChildren, scopes);
+        }
+
+        return items.map((item, index) => this.renderNodes(node.children, [
+          ...scopes,
+          {
+            value: item,
+            locals: {
+              '@index': index,
+              '@number': index + 1,
+              '@first': index === 0,
+              '@last': index === items.length - 1
+            }
+          }
+        ])).join('');
+      }
+
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Evaluate "path | filter:arg | filter" against the scope stack
+   * @returns {{value: *, raw: boolean}} raw is true when a filter already produced JSON
+   */
+  evaluate(expression, scopes) {
+    const [path, ...filters] = this.splitPipes(expression);
+    let value = this.lookup(path.trim(), scopes);
+    let raw = false;
+
+    filters.forEach(filterExpression => {
+      const filterMatch = filterExpression.trim().match(/^([a-zA-Z]+)(?::([\s\S]*))?$/);
+      if (!filterMatch) {
+        throw new Error(`Invalid filter "${filterExpression.trim()}"`);
+      }
+
+      const [, name, argument] = filterMatch;
+      const filter = TellaPayloadTemplate.filters[name];
+      if (!filter) {
+        throw new Error(`Unknown filter "${name}"`);
+      }
+
+      value = filter(value, this.parseArgument(argument));
+      raw = name === 'json';
+    });
+
+    return { value, raw };
+  }
+
+  /**
+   * Split on pipes that aren't inside a quoted filter argument
+   */
+  splitPipes(expression) {
+    const parts = [];
+    let buffer = '';
+    let quote = null;
+
+    for (const char of expression) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '|') {
+        parts.push(buffer);
+        buffer = '';
+        continue;
+      }
+      buffer += char;
+    }
+    parts.push(buffer);
+
+    return parts;
+  }
+
+  parseArgument(argument) {
+    if (argument === undefined) return undefined;
+
+    const trimmed = argument.trim();
+    const quoted = trimmed.match(/^(["'])([\s\S]*)\1$/);
+    if (quoted) return quoted[2];
+    if (trimmed !== '' && !isNaN(Number(trimmed))) return Number(trimmed);
+    return trimmed;
+  }
+
+  /**
+   * Resolve a dotted path, searching from the innermost loop scope outwards
+   */
+  lookup(path, scopes) {
+    if (path === 'this' || path === '.') {
+      return scopes[scopes.length - 1].value;
+    }
+
+    const segments = path.replace(/^this\./, '').split('.');
+    const [head, ...rest] = segments;
+
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+
+      if (head in scope.locals) {
+        return this.walk(scope.locals[head], rest);
+      }
+
+      if (scope.value && typeof scope.value === 'object' && head in scope.value) {
+        return this.walk(scope.value[head], rest);
+      }
+
+      // "this.x" only ever refers to the current loop item
+      if (path.startsWith('this.')) {
+        return undefined;
+      }
+    }
+
+    return undefined;
+  }
+
+  walk(value, segments) {
+    return segments.reduce((current, segment) => (current == null ? undefined : current[segment]), value);
+  }
+
+  isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.keys(value).length > 0;
+    return !!value;
+  }
+
+  /**
+   * Convert a value to template output. Escaped output is safe inside a JSON string literal.
+   */
+  stringify(value, raw) {
+    if (raw) {
+      return typeof value === 'string' ? value : (value === undefined ? '' : JSON.stringify(value));
+    }
+
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return JSON.stringify(text).slice(1, -1);
+  }
+
+  /**
+   * Seconds to M:SS / H:MM:SS
+   */
+  static formatSeconds(totalSeconds) {
+    const seconds = Math.max(0, Math.floor(Number(totalSeconds) || 0));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const remaining = (seconds % 60).toString().padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${minutes.toString().padStart(2, '0')}:${remaining}`
+      : `${minutes}:${remaining}`;
+  }
+}
+
+TellaPayloadTemplate.filters = {
+  // {{video.description | truncate:280}}
+  truncate: (value, length = 100) => {
+    if (value == null) return value;
+    const text = String(value);
+    return text.length > length ? text.slice(0, Math.max(length - 1, 0)) + '…' : text;
+  },
+
+  // Chapters become "- 0:00 Title - Description" lines, other arrays/objects become bullet lists
+  markdown: (value) => {
+    if (Array.isArray(value)) {
+      return value.map(item => {
+        if (item && typeof item === 'object' && 'title' in item) {
+          const timestamp = item.timestampFormatted || TellaPayloadTemplate.formatSeconds(item.timestamp);
+          return `- ${timestamp} ${item.title || 'Untitled'}${item.description ? ` - ${item.description}` : ''}`;
+        }
+        return `- ${typeof item === 'object' ? JSON.stringify(item) : item}`;
+      }).join('\n');
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.entries(value)
+        .map(([key, item]) => `- **${key}**: ${typeof item === 'object' ? JSON.stringify(item) : item}`)
+        .join('\n');
+    }
+
+    return value == null ? '' : String(value);
+  },
+
+  // Emit a JSON literal, e.g. "chapters": {{content.chapters | json}}
+  json: (value) => JSON.stringify(value === undefined ? null : value),
+
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  upper: (value) => (value == null ? value : String(value).toUpperCase()),
+  lower: (value) => (value == null ? value : String(value).toLowerCase()),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  // {{content.keywords | pluck:keyword | join}} - one field of every item in a list
+  pluck: (value, key) => (Array.isArray(value) ? value.map(item => (item == null ? item : item[key])) : value),
+  length: (value) => (value == null ? 0 : (typeof value === 'object' && !Array.isArray(value) ? Object.keys(value).length : value.length)),
+  timestamp: (value) => TellaPayloadTemplate.formatSeconds(value)
+};
+
+TellaPayloadTemplate.EXAMPLE = TEMPLATE_EXAMPLE;
+
+// Export for content scripts
+self.TellaPayloadTemplate = TellaPayloadTemplate;
@@ -0,0 +1,38 @@
+/**
+ * Tella Toolbar Popup
+ * Second fallback for the Webhook tab: the same TellaSidebarWebhook interface, opened from the
+ * extension's toolbar icon. It talks to the open Tella tab through the content script, so it
+ * keeps working when neither the sidebar tab nor the floating panel could be shown.
+ */
+
+async function initializePopup() {
+  // No Tella page to mirror here, so follow the browser's color scheme
+  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+  document.getElementById('popup-root').setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const url = tab?.url || '';
+
+  if (!/^https:\/\/(www\.)?tella\.tv\//.test(url)) {
+    showPopupNotice('Open a video on tella.tv to send it to your webhooks.');
+  } else if (!url.includes('/video/') && !url.includes('/watch/') && !url.includes('/recordings/')) {
+    showPopupNotice('Open a single video to send it. Library pages have a bulk send toolbar.');
+  }
+
+  const webhookInterface = new TellaSidebarWebhook(document.getElementById('tella-webhook-panel'));
+  await webhookInterface.init();
+}
+
+function showPopupNotice(message) {
+  document.getElementById('popup-notice-text').textContent = message;
+  document.getElementById('popup-notice').style.display = 'flex';
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('popup-open-options').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+
+  initializePopup().catch(error => console.error('❌ Failed to initialize popup:', error));
+});
@@ -0,0 +1,277 @@
+/**
+ * Tella Routing Rules
+ * Rules that route a video to destinations (optionally with a template override) based on its
+ * channel, title, duration, chapter count and transcript. Stored in chrome.storage.local.
+ *
+ * A rule matches when all (or any) of its conditions pass. Each evaluation keeps a reason per
+ * condition so the sidebar can explain why a video was or wasn't routed somewhere.
+ */
+
+const ROUTING_RULES_STORAGE_KEY = 'routingRules';
+
+// Supported condition fields and their operators (labels are shown in the rule editor)
+const ROUTING_FIELDS = {
+  channel: {
+    label: 'Channel ID',
+    operators: { is: 'is', is_not: 'is not' }
+  },
+  title: {
+    label: 'Title',
+    operators: { contains: 'contains', not_contains: 'does not contain', matches: 'matches regex' }
+  },
+  duration: {
+    label: 'Duration (seconds)',
+    operators: { gte: 'at least', lte: 'at most' }
+  },
+  chapters: {
+    label: 'Chapter count',
+    operators: { gte: 'at least', lte: 'at most', eq: 'exactly' }
+  },
+  transcript: {
+    label: 'Transcript',
+    operators: { present: 'is present', absent: 'is missing' }
+  }
+};
+
+class TellaRoutingRules {
+  /**
+   * Load saved rules
+   * @returns {Promise<Array>}
+   */
+  async load() {
+    const result = await chrome.storage.local.get([ROUTING_RULES_STORAGE_KEY]);
+    return (result[ROUTING_RULES_STORAGE_KEY] || []).map(rule => this.normalize(rule));
+  }
+
+  async save(rules) {
+    await chrome.storage.local.set({ [ROUTING_RULES_STORAGE_KEY]: rules.map(rule => this.normalize(rule)) });
+  }
+
+  /**
+   * Add a rule or replace the one with the same ID
+   */
+  async upsert(rule) {
+    const rules = await this.load();
+    const normalized = this.normalize({ ...rule, updatedAt: new Date().toISOString() });
+    const index = rules.findIndex(r => r.id === normalized.id);
+
+    if (index >= 0) {
+      rules[index] = normalized;
+    } else {
+      rules.push(normalized);
+    }
+
+    await this.save(rules);
+    return normalized;
+  }
+
+  async remove(ruleId) {
+    const rules = await this.load();
+    await this.save(rules.filter(rule => rule.id !== ruleId));
+  }
+
+  /**
+   * Drop a deleted destination from every rule
+   */
+  async removeDestination(destinationId) {
+    const rules = await this.load();
+    await this.save(rules.map(rule => ({
+      ...rule,
+      destinationIds: rule.destinationIds.filter(id => id !== destinationId)
+    })));
+  }
+
+  normalize(rule) {
+    const now = new Date().toISOString();
+
+    return {
+      id: rule.id || `rule_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      name: (rule.name || '').trim() || 'Untitled rule',
+      enabled: rule.enabled !== false,
+      match: rule.match === 'any' ? 'any' : 'all',
+      conditions: (rule.conditions || [])
+        .filter(condition => ROUTING_FIELDS[condition.field])
+        .map(condition => ({
+          field: condition.field,
+          operator: ROUTING_FIELDS[condition.field].operators[condition.operator]
+            ? condition.operator
+            : Object.keys(ROUTING_FIELDS[condition.field].operators)[0],
+          value: condition.value == null ? '' : String(condition.value).trim()
+        })),
+      destinationIds: Array.isArray(rule.destinationIds) ? rule.destinationIds : [],
+      template: typeof rule.template === 'string' ? rule.template : '', // Empty = the destination's own template
+      createdAt: rule.createdAt || now,
+      updatedAt: rule.updatedAt || now
+    };
+  }
+
+  /**
+   * Return an error message for an invalid rule, or null
+   */
+  validate(rule) {
+    if (rule.conditions.length === 0) {
+      return 'Add at least one condition';
+    }
+
+    if (rule.destinationIds.length === 0) {
+      return 'Choose at least one destination for this rule';
+    }
+
+    for (const condition of rule.conditions) {
+      const needsValue = condition.field !== 'transcript';
+
+      if (needsValue && condition.value === '') {
+        return `${ROUTING_FIELDS[condition.field].label} needs a value`;
+      }
+
+      if (['duration', 'chapters'].includes(condition.field) && isNaN(Number(condition.value))) {
+        return `${ROUTING_FIELDS[condition.field].label} must be a number`;
+      }
+
+      if (condition.operator === 'matches') {
+        try {
+          new RegExp(condition.value, 'i');
+        } catch (error) {
+          return `Invalid title pattern: ${error.message}`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluate every enabled rule against extracted data
+   * @param {Object} data - Extracted data (video, timing, content) or DOM-fallback data
+   * @param {Array} rules
+   * @returns {{active: boolean, routes: Object, results: Array}}
+   *   routes: destinationId -> {template, ruleNames}; results: per-rule outcome with a reason per condition
+   */
+  evaluate(data, rules) {
+    const enabled = rules.filter(rule => rule.enabled);
+    const routes = {};
+
+    const results = enabled.map(rule => {
+      const conditions = rule.conditions.map(condition => ({
+        condition,
+        ...this.evaluateCondition(condition, data)
+      }));
+
+      const matched = rule.match === 'any'
+        ? conditions.some(c => c.passed)
+        : conditions.every(c => c.passed);
+
+      if (matched) {
+        rule.destinationIds.forEach(destinationId => {
+          const route = routes[destinationId] || { template: '', ruleNames: [] };
+          route.ruleNames.push(rule.name);
+          // The first matching rule with a template wins
+          if (!route.template && rule.template.trim()) {
+            route.template = rule.template;
+          }
+          routes[destinationId] = route;
+        });
+      }
+
+      return { rule, matched, conditions };
+    });
+
+    return { active: enabled.length > 0, routes, results };
+  }
+
+  /**
+   * @returns {{passed: boolean, reason: string}}
+   */
+  evaluateCondition(condition, data) {
+    const facts = this.getFacts(data);
+    const { operator } = condition;
+    const value = condition.value;
+
+    switch (condition.field) {
+      case 'channel': {
+        const inChannel = facts.channelIDs.includes(value);
+        const channels = facts.channelIDs.length ? facts.channelIDs.join(', ') : 'none';
+        return {
+          passed: operator === 'is_not' ? !inChannel : inChannel,
+          reason: `channel ${inChannel ? 'includes' : 'does not include'} ${value} (channels: ${channels})`
+        };
+      }
+
+      case 'title': {
+        const title = facts.title;
+        let found;
+        if (operator === 'matches') {
+          try {
+            found = new RegExp(value, 'i').test(title);
+          } catch (error) {
+            return { passed: false, reason: `invalid pattern /${value}/` };
+          }
+        } else {
+          found = title.toLowerCase().includes(value.toLowerCase());
+        }
+        const described = operator === 'matches' ? `/${value}/i` : `"${value}"`;
+        return {
+          passed: operator === 'not_contains' ? !found : found,
+          reason: `title "${title}" ${found ? (operator === 'matches' ? 'matches' : 'contains') : (operator === 'matches' ? 'does not match' : 'does not contain')} ${described}`
+        };
+      }
+
+      case 'duration':
+      case 'chapters': {
+        const actual = condition.field === 'duration' ? facts.duration : facts.chapterCount;
+        const target = Number(value);
+        const passed = operator === 'gte' ? actual >= target : (operator === 'lte' ? actual <= target : actual === target);
+        const symbol = { gte: '≥', lte: '≤', eq: '=' }[operator];
+        const unit = condition.field === 'duration' ? 's' : ' chapters';
+        return {
+          passed,
+          reason: `${condition.field} ${actual}${unit} ${passed ? 'is' : 'is not'} ${symbol} ${target}${unit}`
+        };
+      }
+
+      case 'transcript':
+        return {
+          passed: operator === 'absent' ? !facts.hasTranscript : facts.hasTranscript,
+          reason: facts.hasTranscript ? 'transcript is present' : 'transcript is missing'
+        };
+
+      default:
+        return { passed: false, reason: `unknown field ${condition.field}` };
+    }
+  }
+
+  /**
+   * The values rules look at, from API or DOM-fallback data
+   */
+  getFacts(data) {
+    const video = data?.video || {};
+    const content = data?.content || {};
+    const transcript = content.transcription?.transcript || data?.transcript || '';
+
+    return {
+      channelIDs: Array.isArray(video.channelIDs) ? video.channelIDs.map(String) : [],
+      title: video.title || data?.title || '',
+      duration: Number(data?.timing?.duration ?? data?.duration) || 0,
+      chapterCount: (content.chapters || data?.chapters || []).length,
+      hasTranscript: transcript.trim().length > 0
+    };
+  }
+
+  /**
+   * Human-readable summary of a condition, e.g. "Title matches regex tutorial"
+   */
+  describeCondition(condition) {
+    const field = ROUTING_FIELDS[condition.field];
+    if (!field) return condition.field;
+
+    const operator = field.operators[condition.operator] || condition.operator;
+    return condition.field === 'transcript'
+      ? `${field.label} ${operator}`
+      : `${field.label} ${operator} ${condition.value}`;
+  }
+}
+
+TellaRoutingRules.FIELDS = ROUTING_FIELDS;
+
+// Export for content scripts
+self.TellaRoutingRules = TellaRoutingRules;
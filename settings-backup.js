@@ -0,0 +1,150 @@
+/**
+ * Tella Settings Backup
+ * Export and import of the extension configuration (destinations, routing rules and settings)
+ * as a single JSON document. Secrets are only included when asked for.
+ * Shared by the options page and anything else that needs to move configuration around.
+ */
+
+const SETTINGS_BACKUP_FORMAT = 'tella-webhooks-settings';
+const SETTINGS_BACKUP_VERSION = 1;
+
+// Plain settings keys copied as-is (validated by their own stores on read)
+const SETTINGS_BACKUP_KEYS = [
+  'retryPolicy',
+  'transcriptSegmentation',
+  'historyRetention',
+  'librarySyncSettings',
+  'payloadValidation',
+  'transcriptCleanup',
+  'keywordSettings'
+];
+
+class TellaSettingsBackup {
+  constructor() {
+    this.destinationStore = new TellaDestinationStore();
+    this.routingRules = new TellaRoutingRules();
+  }
+
+  /**
+   * Build a backup document
+   * @param {Object} options - includeSecrets: add signing secrets, auth and custom headers
+   * @returns {Promise<Object>}
+   */
+  async export(options = {}) {
+    const { destinations, selectedIds } = await this.destinationStore.load();
+    const rules = await this.routingRules.load();
+    const settings = await chrome.storage.local.get(SETTINGS_BACKUP_KEYS);
+
+    const backup = {
+      format: SETTINGS_BACKUP_FORMAT,
+      version: SETTINGS_BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      destinations,
+      selectedDestinationIds: selectedIds,
+      rules,
+      settings
+    };
+
+    if (options.includeSecrets) {
+      backup.secrets = {};
+      for (const destination of destinations) {
+        const signingSecret = await this.destinationStore.getSigningSecret(destination.id);
+        const credentials = await this.destinationStore.getCredentials(destination.id);
+        if (signingSecret || credentials.auth.type !== 'none' || credentials.headers.length > 0) {
+          backup.secrets[destination.id] = { signingSecret, ...credentials };
+        }
+      }
+    }
+
+    return backup;
+  }
+
+  /**
+   * Return an error message for a document that isn't a usable backup, or null
+   */
+  validate(backup) {
+    if (!backup || typeof backup !== 'object' || backup.format !== SETTINGS_BACKUP_FORMAT) {
+      return 'This file is not a Webhooks for Tella settings export';
+    }
+
+    if (backup.version > SETTINGS_BACKUP_VERSION) {
+      return `This export was made by a newer version of the extension (format v${backup.version})`;
+    }
+
+    if (!Array.isArray(backup.destinations) || !Array.isArray(backup.rules || [])) {
+      return 'The export is missing its destinations';
+    }
+
+    const invalid = backup.destinations.find(destination => this.destinationStore.validateUrl(destination?.url));
+    if (invalid) {
+      return `Destination "${invalid.name || 'Unnamed'}" has an invalid webhook URL`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a backup document
+   * @param {Object} backup - Result of export()
+   * @param {Object} options - replace: remove destinations and rules that aren't in the backup
+   *                           (otherwise entries are merged by ID, the backup winning)
+   * @returns {Promise<{destinations: number, rules: number, secrets: number}>}
+   */
+  async import(backup, options = {}) {
+    const error = this.validate(backup);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const current = await this.destinationStore.load();
+    const imported = backup.destinations.map(destination => this.destinationStore.normalize(destination));
+    const importedIds = imported.map(destination => destination.id);
+
+    const destinations = options.replace
+      ? imported
+      : [...current.destinations.filter(destination => !importedIds.includes(destination.id)), ...imported];
+    const destinationIds = destinations.map(destination => destination.id);
+
+    const selectedIds = (Array.isArray(backup.selectedDestinationIds) ? backup.selectedDestinationIds : current.selectedIds)
+      .filter(id => destinationIds.includes(id));
+
+    const currentRules = options.replace ? [] : await this.routingRules.load();
+    const importedRules = (backup.rules || []).map(rule => this.routingRules.normalize(rule));
+    const rules = [
+      ...currentRules.filter(rule => !importedRules.some(r => r.id === rule.id)),
+      ...importedRules
+    ].map(rule => ({ ...rule, destinationIds: rule.destinationIds.filter(id => destinationIds.includes(id)) }));
+
+    const settings = Object.fromEntries(
+      Object.entries(backup.settings || {}).filter(([key]) => SETTINGS_BACKUP_KEYS.includes(key))
+    );
+
+    await chrome.storage.local.set({
+      [DESTINATIONS_STORAGE_KEY]: destinations,
+      [SELECTED_DESTINATIONS_STORAGE_KEY]: selectedIds,
+      ...settings
+    });
+    await this.routingRules.save(rules);
+
+    // Removed destinations take their secrets with them
+    if (options.replace) {
+      for (const destination of current.destinations.filter(d => !destinationIds.includes(d.id))) {
+        await this.destinationStore.setSigningSecret(destination.id, '');
+        await this.destinationStore.setCredentials(destination.id, null);
+      }
+    }
+
+    const secrets = Object.entries(backup.secrets || {}).filter(([id]) => importedIds.includes(id));
+    for (const [id, secret] of secrets) {
+      await this.destinationStore.setSigningSecret(id, secret.signingSecret || '');
+      await this.destinationStore.setCredentials(id, secret);
+    }
+
+    console.log('📥 Settings imported:', { destinations: imported.length, rules: importedRules.length, secrets: secrets.length });
+    return { destinations: imported.length, rules: importedRules.length, secrets: secrets.length };
+  }
+}
+
+// Export for the options page
+self.TellaSettingsBackup = TellaSettingsBackup;
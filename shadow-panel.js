@@ -0,0 +1,91 @@
+/**
+ * Tella Shadow Panel
+ * Gives the webhook interface its own shadow root inside Tella's page: webhook-panel.css is
+ * loaded there, Tella's stylesheets can't reach in and ours can't leak out. The theme tokens
+ * follow Tella's light/dark mode by mirroring it onto the root's data-theme attribute.
+ */
+
+const SHADOW_PANEL_STYLESHEET = 'webhook-panel.css';
+
+class TellaShadowPanel {
+  /**
+   * @param {HTMLElement} host - Element in Tella's DOM that receives the shadow root
+   * @param {Object} options - stylesheets: extra extension stylesheets to load after the panel's own
+   */
+  constructor(host, options = {}) {
+    this.host = host;
+    this.stylesheets = [SHADOW_PANEL_STYLESHEET, ...(options.stylesheets || [])];
+    this.root = null;
+    this.themeObserver = null;
+  }
+
+  /**
+   * Create (or reuse) the shadow root and return the themed root element to render into
+   * @returns {HTMLElement}
+   */
+  attach() {
+    if (this.root && this.root.isConnected) {
+      return this.root;
+    }
+
+    // The host may outlive an injector (e.g. a panel left over from a previous attach)
+    const shadow = this.host.shadowRoot || this.host.attachShadow({ mode: 'open' });
+    this.root = shadow.querySelector('.tella-webhook-root');
+
+    if (!this.root) {
+      shadow.innerHTML = this.stylesheets
+        .map(file => `<link rel="stylesheet" href="${chrome.runtime.getURL(file)}">`)
+        .join('');
+      this.root = document.createElement('div');
+      this.root.className = 'tella-webhook-root';
+      shadow.appendChild(this.root);
+    }
+
+    this.applyTheme();
+    this.observeTheme();
+
+    return this.root;
+  }
+
+  /**
+   * Tella switches to dark mode with a class (Tailwind's `dark`) or a data-theme attribute
+   * on <html> or <body>
+   * @returns {'light'|'dark'}
+   */
+  detectTheme() {
+    const isDark = [document.documentElement, document.body].some(element =>
+      element && (element.classList.contains('dark') || element.getAttribute('data-theme') === 'dark')
+    );
+    return isDark ? 'dark' : 'light';
+  }
+
+  applyTheme() {
+    if (!this.root) return;
+
+    const theme = this.detectTheme();
+    if (this.root.getAttribute('data-theme') !== theme) {
+      this.root.setAttribute('data-theme', theme);
+      console.log('🎨 Webhook panel theme:', theme);
+    }
+  }
+
+  observeTheme() {
+    if (this.themeObserver) return;
+
+    this.themeObserver = new MutationObserver(() => this.applyTheme());
+    [document.documentElement, document.body].filter(Boolean).forEach(element => {
+      this.themeObserver.observe(element, { attributes: true, attributeFilter: ['class', 'data-theme'] });
+    });
+  }
+
+  destroy() {
+    if (this.themeObserver) {
+      this.themeObserver.disconnect();
+      this.themeObserver = null;
+    }
+    this.root = null;
+  }
+}
+
+// Export for content scripts
+window.TellaShadowPanel = TellaShadowPanel;
@@ -31,6 +31,7 @@ class TellaSidebarInjector {
     this.sidebarContainer = null;
     this.webhookTab = null;
     this.webhookPanel = null;
+    this.panelShadow = null; // TellaShadowPanel isolating the interface inside webhookPanel
     this.injectionAttempts = 0;
     this.maxAttempts = 10;
     this.retryDelay = 1000; // 1 second
@@ -41,6 +42,21 @@ class TellaSidebarInjector {
     console.log('🔍 TellaSidebarInjector initialized');
   }
 
+  /**
+   * Remember the outcome of the last injection for the options page diagnostics
+   */
+  recordInjectionStatus(success, error) {
+    chrome.storage?.local.set({
+      sidebarInjectionStatus: {
+        success,
+        error,
+        attempts: this.injectionAttempts,
+        url: window.location.href,
+        at: new Date().toISOString()
+      }
+    }).catch(storageError => console.warn('⚠️ Could not record injection status:', storageError));
+  }
+
   /**
    * Initialize sidebar injection process
    */
@@ -67,6 +83,8 @@ class TellaSidebarInjector {
       // Try to find and inject into sidebar
       const success = await this.findAndInjectSidebar();
 
+      this.recordInjectionStatus(success, success ? null : 'Tella sidebar not found after all attempts');
+
       if (success) {
         console.log('✅ Sidebar injection successful');
         this.setupNavigationObserver();
@@ -88,6 +106,7 @@ class TellaSidebarInjector {
 
     } catch (error) {
       console.error('❌ Sidebar injection error:', error);
+      this.recordInjectionStatus(false, error.message);
 
       // Report error to error handler
       if (window.tellaErrorHandler) {
@@ -748,7 +767,9 @@ class TellaSidebarInjector {
   }
 
   /**
-   * Create webhook panel element (empty container - interface rendering handled by sidebar-webhook.js)
+   * Create webhook panel element (empty container - interface rendering handled by sidebar-webhook.js).
+   * The panel stays in Tella's DOM so the native tab switching keeps working; the interface is
+   * rendered into its shadow root (see getWebhookContainer).
    */
   createWebhookPanel() {
     // Create main panel container - just an empty container
@@ -1677,7 +1698,8 @@ class TellaSidebarInjector {
     const event = new CustomEvent('webhookTabActivated', {
       detail: {
         tab: this.webhookTab,
-        panel: this.webhookPanel
+        panel: this.webhookPanel,
+        container: this.getWebhookContainer()
       }
     });
     document.dispatchEvent(event);
@@ -1790,6 +1812,21 @@ class TellaSidebarInjector {
     return this.webhookPanel;
   }
 
+  /**
+   * Get the element inside the panel's shadow root that the webhook interface renders into
+   */
+  getWebhookContainer() {
+    if (!this.webhookPanel || !window.TellaShadowPanel) {
+      return this.webhookPanel;
+    }
+
+    if (!this.panelShadow || this.panelShadow.host !== this.webhookPanel) {
+      this.panelShadow?.destroy();
+      this.panelShadow = new window.TellaShadowPanel(this.webhookPanel);
+    }
+    return this.panelShadow.attach();
+  }
+
   /**
    * Cleanup method with observer disposal
    */
@@ -1803,6 +1840,11 @@ class TellaSidebarInjector {
       this.webhookPanel.remove();
     }
 
+    if (this.panelShadow) {
+      this.panelShadow.destroy();
+      this.panelShadow = null;
+    }
+
     // Clean up all MutationObservers
     this.observers.forEach(observer => {
       try {
@@ -3,13 +3,34 @@
  * Adapted from popup.js for inline sidebar integration
  */
 
+// Upper bound for a send. The background answers within INLINE_SEND_BUDGET_MS (150s) and hands
+// retries that would take longer to its outbox, answering "queued" instead.
+const WEBHOOK_SEND_TIMEOUT_MS = 180000;
+
 class TellaSidebarWebhook {
   constructor(containerElement) {
     this.container = containerElement;
-    this.webhookUrl = '';
+    this.destinationStore = new TellaDestinationStore();
+    this.destinations = [];
+    this.selectedDestinationIds = [];
+    this.editingDestinationId = null;
     this.extractedData = {};
     this.currentTab = null;
     this.initialized = false;
+    this.activeDeliveries = new Map(); // deliveryId -> destination, for background progress messages
+    this.segmentation = { mode: 'duration', size: 30 };
+    this.transcriptCleaner = new TellaTranscriptCleaner();
+    this.keywordExtractor = new TellaKeywordExtractor();
+    this.payloadSchema = new TellaPayloadSchema();
+    this.payloadValidation = 'warn'; // What the background does with payloads that don't match the schema
+    this.historyStore = new TellaSyncHistoryStore();
+    this.changeTracker = new TellaChangeTracker();
+    this.routingRules = new TellaRoutingRules();
+    this.rules = [];
+    this.editingRuleId = null;
+    this.routing = null; // Last rule evaluation for extractedData
+    this.historyFilters = { status: 'all', destinationId: '', search: '' };
+    this.runtimeMessageListener = null;
 
     console.log('🔗 TellaSidebarWebhook initialized in container:', containerElement);
   }
@@ -31,8 +52,13 @@ class TellaSidebarWebhook {
     try {
       console.log('🚀 Initializing sidebar webhook interface...');
 
-      // Load saved webhook URL
-      await this.loadWebhookUrl();
+      // Load saved webhook destinations and extraction settings
+      await this.loadDestinations();
+      await this.loadRules();
+      await this.loadSegmentationSettings();
+      await this.transcriptCleaner.loadSettings();
+      await this.keywordExtractor.loadSettings();
+      this.payloadValidation = await this.payloadSchema.getMode();
 
       // Get current tab information
       await this.getCurrentTabInfo();
@@ -59,56 +85,163 @@ class TellaSidebarWebhook {
   }
 
   /**
-   * Load saved webhook URL from storage
+   * Load saved webhook destinations from storage
    */
-  async loadWebhookUrl() {
+  async loadDestinations() {
     try {
-      const result = await chrome.storage.local.get(['webhookUrl', 'webhookConfig']);
+      const { destinations, selectedIds } = await this.destinationStore.load();
 
       // Check for Chrome runtime errors
       if (chrome.runtime.lastError) {
         throw new Error(chrome.runtime.lastError.message);
       }
 
-      // Use webhookUrl if available, or migrate from old webhookConfig structure
-      if (result.webhookUrl) {
-        this.webhookUrl = result.webhookUrl;
-      } else if (result.webhookConfig && result.webhookConfig.baseUrl) {
-        // Migration: convert old config structure to simple URL
-        this.webhookUrl = result.webhookConfig.baseUrl;
-        // Save as simple URL and clean up old config
-        await chrome.storage.local.set({ webhookUrl: this.webhookUrl });
-        if (chrome.runtime.lastError) {
-          throw new Error(chrome.runtime.lastError.message);
-        }
-        await chrome.storage.local.remove(['webhookConfig']);
-        if (chrome.runtime.lastError) {
-          throw new Error(chrome.runtime.lastError.message);
-        }
-      }
+      this.destinations = destinations;
+      this.selectedDestinationIds = selectedIds;
 
-      console.log('✅ Webhook URL loaded:', this.webhookUrl ? 'configured' : 'not configured');
+      console.log('✅ Webhook destinations loaded:', this.destinations.length);
 
     } catch (error) {
-      console.error('❌ Error loading webhook URL:', error);
+      console.error('❌ Error loading webhook destinations:', error);
 
       // Report to error handler and try fallback
       if (window.tellaErrorHandler) {
-        const fallbackValue = window.tellaErrorHandler.tryLocalStorageFallback('read', 'webhookUrl');
-        if (fallbackValue) {
-          // Fallback returns the stored value directly (string)
-          this.webhookUrl = fallbackValue;
-          console.log('✅ Webhook URL loaded from fallback storage');
+        const fallbackValue = window.tellaErrorHandler.tryLocalStorageFallback('read', 'webhookDestinations');
+        if (Array.isArray(fallbackValue)) {
+          this.destinations = fallbackValue;
+          this.selectedDestinationIds = fallbackValue.slice(0, 1).map(d => d.id);
+          console.log('✅ Webhook destinations loaded from fallback storage');
         } else {
           window.tellaErrorHandler.handleError('storage_access', error, {
             operation: 'read',
-            key: 'webhookUrl'
+            key: 'webhookDestinations'
           });
         }
       }
     }
   }
 
+
+
+  /**
+   * Load routing rules
+   */
+  async loadRules() {
+    try {
+      this.rules = await this.routingRules.load();
+    } catch (error) {
+      console.warn('⚠️ Could not load routing rules:', error);
+      this.rules = [];
+    }
+  }
+
+  /**
+   * Load how the transcript is split into segments
+   */
+  async loadSegmentationSettings() {
+    try {
+      const result = await chrome.storage.local.get(['transcriptSegmentation']);
+      if (result.transcriptSegmentation) {
+        this.segmentation = { ...this.segmentation, ...result.transcriptSegmentation };
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load segmentation settings:', error);
+    }
+  }
+
+  /**
+   * Save segmentation settings and re-extract so the preview and payload pick them up
+   */
+  async saveSegmentationSettings() {
+    const mode = this.container.querySelector('#sidebar-segment-mode')?.value || 'duration';
+    const size = parseFloat(this.container.querySelector('#sidebar-segment-size')?.value) || SEGMENTATION_SIZE_DEFAULTS[mode];
+
+    this.segmentation = { mode, size };
+
+    const helpEl = this.container.querySelector('#sidebar-segment-help');
+    if (helpEl) helpEl.textContent = this.getSegmentationHelp(mode);
+
+    try {
+      await chrome.storage.local.set({ transcriptSegmentation: this.segmentation });
+      console.log('✅ Segmentation settings saved:', this.segmentation);
+
+      if (this.extractedData && Object.keys(this.extractedData).length > 0) {
+        await this.extractData();
+      }
+    } catch (error) {
+      console.error('❌ Error saving segmentation settings:', error);
+      this.showError(`Failed to save segmentation settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save transcript cleanup settings and re-extract so transcriptClean picks them up
+   */
+  async saveTranscriptCleanup() {
+    const field = (id) => this.container.querySelector(`#sidebar-cleanup-${id}`);
+
+    try {
+      const settings = await this.transcriptCleaner.saveSettings({
+        enabled: field('enabled').checked,
+        removeFillers: field('fillers').checked,
+        removeRepeats: field('repeats').checked,
+        fixSentences: field('sentences').checked,
+        paragraphPause: field('pause').value,
+        customFillers: field('custom-fillers').value
+      });
+      console.log('✅ Transcript cleanup settings saved:', settings);
+
+      if (this.extractedData && Object.keys(this.extractedData).length > 0) {
+        await this.extractData();
+      }
+    } catch (error) {
+      console.error('❌ Error saving transcript cleanup settings:', error);
+      this.showError(`Failed to save transcript cleanup settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save keyword settings and re-extract so content.keywords picks them up
+   */
+  async saveKeywordSettings() {
+    const field = (id) => this.container.querySelector(`#sidebar-keywords-${id}`);
+
+    try {
+      const settings = await this.keywordExtractor.saveSettings({
+        enabled: field('enabled').checked,
+        language: field('language').value,
+        maxKeywords: field('max').value,
+        blocklist: field('blocklist').value,
+        allowlist: field('allowlist').value
+      });
+      console.log('✅ Keyword settings saved:', settings);
+
+      if (this.extractedData && Object.keys(this.extractedData).length > 0) {
+        await this.extractData();
+      }
+    } catch (error) {
+      console.error('❌ Error saving keyword settings:', error);
+      this.showError(`Failed to save keyword settings: ${error.message}`);
+    }
+  }
+
+  getSegmentationHelp(mode) {
+    return {
+      duration: 'Seconds per segment',
+      sentence: 'Sentences per segment',
+      silence: 'A pause of at least this many seconds starts a new segment'
+    }[mode] || '';
+  }
+
+  /**
+   * Generate a random 32-byte hex signing secret
+   */
+  generateSigningSecret() {
+    const bytes = new Uint8Array(32);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
   /**
    * Get current tab information
    */
@@ -195,7 +328,9 @@ class TellaSidebarWebhook {
    * Render the sidebar webhook interface
    */
   renderInterface() {
-    const hasWebhook = !!this.webhookUrl;
+    const hasWebhook = this.destinations.length > 0;
+    const cleanup = this.transcriptCleaner.settings;
+    const keywords = this.keywordExtractor.settings;
 
     this.container.innerHTML = `
       <div class="flex flex-col w-full group">
@@ -208,13 +343,28 @@ class TellaSidebarWebhook {
 
         <!-- Configuration Section -->
         <div id="sidebar-config" class="tella-config-section" style="display: ${hasWebhook ? 'none' : 'block'};">
+          <button id="sidebar-open-options" class="tella-btn-link" type="button">⚙️ Open all settings in a tab</button>
+
+          <!-- Saved destinations (rendered by renderDestinationList) -->
+          <div id="sidebar-destination-list" class="tella-destination-list"></div>
+
+          <h4 id="sidebar-destination-form-title" class="tella-section-title">Add destination</h4>
+
+          <div class="form-group">
+            <label for="sidebar-destination-name">Name</label>
+            <input
+              type="text"
+              id="sidebar-destination-name"
+              placeholder="e.g. Blog pipeline"
+            />
+          </div>
+
           <div class="form-group">
             <label for="sidebar-webhook-url">Webhook URL</label>
             <input
               type="url"
               id="sidebar-webhook-url"
               placeholder="https://hooks.make.com/webhook-id"
-              value="${this.webhookUrl}"
             />
             <small>
               Paste your webhook URL from
@@ -225,9 +375,103 @@ class TellaSidebarWebhook {
             </small>
           </div>
 
+          <div class="form-group">
+            <label for="sidebar-max-attempts">Delivery attempts</label>
+            <input
+              type="number"
+              id="sidebar-max-attempts"
+              min="1"
+              max="10"
+              value="5"
+            />
+            <small>Failed deliveries (timeouts, rate limits, 5xx errors) are retried with exponential backoff</small>
+          </div>
+
+          <div class="form-group">
+            <label class="tella-checkbox-label" for="sidebar-auto-send">
+              <input type="checkbox" id="sidebar-auto-send" />
+              Auto-send when a video page loads
+            </label>
+            <small>Sends as soon as the video data is extracted, without opening this tab. A video is only sent again when its data changes.</small>
+          </div>
+
+          <div class="form-group">
+            <label class="tella-checkbox-label" for="sidebar-transcript-ready">
+              <input type="checkbox" id="sidebar-transcript-ready" />
+              Send when transcription finishes
+            </label>
+            <small>If a video has no transcript yet, the extension keeps checking in the background and sends a <code>tella_transcript_ready</code> event once it does.</small>
+          </div>
+
+          <div class="form-group">
+            <label for="sidebar-signing-secret">Signing secret (optional)</label>
+            <div class="flex gap-2">
+              <input
+                type="password"
+                id="sidebar-signing-secret"
+                placeholder="Leave empty to send unsigned requests"
+                autocomplete="off"
+              />
+              <button id="sidebar-generate-secret" class="tella-btn tella-btn-secondary" type="button">Generate</button>
+            </div>
+            <small>
+              When set, each request carries <code>X-Tella-Signature</code> (HMAC-SHA256 of
+              <code>timestamp.body</code>) and <code>X-Tella-Timestamp</code> headers your endpoint can verify
+            </small>
+          </div>
+
+          <div class="form-group">
+            <label for="sidebar-auth-type">Authentication</label>
+            <select id="sidebar-auth-type">
+              <option value="none">None</option>
+              <option value="bearer">Bearer token</option>
+              <option value="basic">Basic auth</option>
+              <option value="apiKey">API key header</option>
+            </select>
+            <div class="tella-auth-fields" data-auth-type="bearer" style="display: none;">
+              <input type="password" id="sidebar-auth-token" placeholder="Token" autocomplete="off" />
+            </div>
+            <div class="tella-auth-fields" data-auth-type="basic" style="display: none;">
+              <input type="text" id="sidebar-auth-username" placeholder="Username" autocomplete="off" />
+              <input type="password" id="sidebar-auth-password" placeholder="Password" autocomplete="off" />
+            </div>
+            <div class="tella-auth-fields" data-auth-type="apiKey" style="display: none;">
+              <input type="text" id="sidebar-auth-header-name" placeholder="X-API-Key" autocomplete="off" />
+              <input type="password" id="sidebar-auth-api-key" placeholder="API key" autocomplete="off" />
+            </div>
+          </div>
+
+          <div class="form-group">
+            <label for="sidebar-destination-template">Payload template (optional)</label>
+            <textarea
+              id="sidebar-destination-template"
+              class="tella-template-input"
+              rows="8"
+              spellcheck="false"
+              placeholder="Leave empty to send the standard {event, timestamp, source, data} payload"
+            ></textarea>
+            <div class="flex gap-2">
+              <button id="sidebar-template-example" class="tella-btn-link" type="button">Insert example</button>
+              <button id="sidebar-template-preview-toggle" class="tella-btn-link" type="button">Show preview</button>
+            </div>
+            <pre id="sidebar-template-preview" class="tella-template-preview" style="display: none;"></pre>
+            <small>
+              Mustache-style: <code>{{video.title}}</code>, <code>{{#each content.chapters}}…{{/each}}</code>,
+              <code>{{#if …}}…{{else}}…{{/if}}</code> and filters <code>truncate:n</code>, <code>markdown</code>,
+              <code>json</code>, <code>default:x</code>, <code>join</code>, <code>pluck:field</code>, <code>timestamp</code>. The result must be valid JSON.
+            </small>
+          </div>
+
+          <div class="form-group">
+            <label>Custom headers</label>
+            <div id="sidebar-custom-headers" class="tella-custom-headers"></div>
+            <button id="sidebar-add-header" class="tella-btn-link" type="button">+ Add header</button>
+            <small>Credentials and header values are stored separately from the URL and are never shown in logs</small>
+          </div>
+
           <div class="flex pointer-events-auto gap-2" style="margin-top: 12px;">
             <span class="inline-flex">
-              <button id="sidebar-save-webhook" aria-label="Save Webhook Configuration" class="inline-flex items-center text-sm font-medium transition ease-in-out duration-150 active:scale-97 will-change-transform group whitespace-nowrap border text-slate-400 border-transparent hover:bg-slate-50 dark:hover:bg-white/[.10] dark:bg-night-900/[.06] hover:text-slate-900 dark:text-gray-100 dark:hover:text-white focus:outline-none focus-visible:shadow-outline-indigo px-3 py-1 rounded-lg pl-2.5" tabindex="0" type="button">
+              <button id="sidebar-save-webhook" aria-label="Save Destination" class="inline-flex items-center text-sm font-medium transition ease-in-out duration-150 active:scale-97 will-change-transform group whitespace-nowrap border text-slate-400 border-transparent hover:bg-slate-50 dark:hover:bg-white/[.10] dark:bg-night-900/[.06] hover:text-slate-900 dark:text-gray-100 dark:hover:text-white focus:outline-none focus-visible:shadow-outline-indigo px-3 py-1 rounded-lg pl-2.5" tabindex="0" type="button">
                 <div class="relative flex items-center justify-center gap-1">
                   <span class="">
                     <svg aria-hidden="false" aria-label="" class="stroke-current w-5 h-5" height="24" width="24" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
@@ -236,10 +480,155 @@ class TellaSidebarWebhook {
                       <polyline points="7,3 7,8 15,8"/>
                     </svg>
                   </span>
-                  <span>Save Configuration</span>
+                  <span>Save Destination</span>
                 </div>
               </button>
             </span>
+            <span class="inline-flex" id="sidebar-config-done-container" style="display: ${hasWebhook ? 'inline-flex' : 'none'};">
+              <button id="sidebar-config-done" class="tella-btn tella-btn-secondary" type="button">Done</button>
+            </span>
+          </div>
+
+          <!-- Routing rules (rendered by renderRuleList / openRuleForm) -->
+          <h4 class="tella-section-title" style="margin-top: 20px;">Routing rules</h4>
+          <small class="tella-section-help">Pick destinations (and optionally a different template) by channel, title, duration, chapter count or transcript. Matching rules pre-select their destinations before you send and decide where auto-send delivers.</small>
+          <div id="sidebar-rule-list" class="tella-rule-list"></div>
+
+          <div id="sidebar-rule-form" class="tella-rule-form" style="display: none;">
+            <div class="form-group">
+              <label for="sidebar-rule-name">Rule name</label>
+              <input type="text" id="sidebar-rule-name" placeholder="e.g. Tutorials to blog" />
+            </div>
+
+            <div class="form-group">
+              <label for="sidebar-rule-match">Route when</label>
+              <select id="sidebar-rule-match">
+                <option value="all">all conditions match</option>
+                <option value="any">any condition matches</option>
+              </select>
+              <div id="sidebar-rule-conditions"></div>
+              <button id="sidebar-add-condition" class="tella-btn-link" type="button">+ Add condition</button>
+            </div>
+
+            <div class="form-group">
+              <label>Send to</label>
+              <div id="sidebar-rule-destinations" class="tella-rule-destinations"></div>
+            </div>
+
+            <div class="form-group">
+              <label for="sidebar-rule-template">Template override (optional)</label>
+              <textarea id="sidebar-rule-template" rows="4" spellcheck="false" placeholder="Leave empty to use each destination's own template"></textarea>
+            </div>
+
+            <div class="flex gap-2">
+              <button id="sidebar-save-rule" class="tella-btn tella-btn-primary" type="button">Save rule</button>
+              <button id="sidebar-cancel-rule" class="tella-btn tella-btn-secondary" type="button">Cancel</button>
+            </div>
+          </div>
+          <button id="sidebar-add-rule" class="tella-btn-link" type="button">+ Add rule</button>
+
+          <!-- Extraction settings (apply to every destination) -->
+          <h4 class="tella-section-title" style="margin-top: 20px;">Transcript segments</h4>
+          <div class="form-group">
+            <label for="sidebar-segment-mode">Split <code>content.transcription.segments</code> by</label>
+            <div class="flex gap-2">
+              <select id="sidebar-segment-mode">
+                <option value="duration" ${this.segmentation.mode === 'duration' ? 'selected' : ''}>Fixed duration</option>
+                <option value="sentence" ${this.segmentation.mode === 'sentence' ? 'selected' : ''}>Sentences</option>
+                <option value="silence" ${this.segmentation.mode === 'silence' ? 'selected' : ''}>Pauses</option>
+              </select>
+              <input type="number" id="sidebar-segment-size" min="0.5" step="0.5" value="${this.segmentation.size}" />
+            </div>
+            <small id="sidebar-segment-help">${this.getSegmentationHelp(this.segmentation.mode)}</small>
+          </div>
+
+          <h4 class="tella-section-title" style="margin-top: 20px;">Transcript cleanup</h4>
+          <div class="form-group">
+            <label class="tella-checkbox-label">
+              <input type="checkbox" id="sidebar-cleanup-enabled" ${cleanup.enabled ? 'checked' : ''} />
+              <span>Add a cleaned-up <code>content.transcription.transcriptClean</code></span>
+            </label>
+            <label class="tella-checkbox-label">
+              <input type="checkbox" id="sidebar-cleanup-fillers" ${cleanup.removeFillers ? 'checked' : ''} />
+              <span>Remove filler words (${TellaTranscriptCleaner.FILLER_WORDS.slice(0, 3).join(', ')}…)</span>
+            </label>
+            <label class="tella-checkbox-label">
+              <input type="checkbox" id="sidebar-cleanup-repeats" ${cleanup.removeRepeats ? 'checked' : ''} />
+              <span>Remove repeated words ("the the")</span>
+            </label>
+            <label class="tella-checkbox-label">
+              <input type="checkbox" id="sidebar-cleanup-sentences" ${cleanup.fixSentences ? 'checked' : ''} />
+              <span>Fix capitalization and punctuation</span>
+            </label>
+          </div>
+          <div class="form-group">
+            <label for="sidebar-cleanup-pause">New paragraph after a pause of (seconds)</label>
+            <input type="number" id="sidebar-cleanup-pause" min="0" step="0.5" value="${cleanup.paragraphPause}" />
+            <small>0 keeps the transcript in one paragraph</small>
+          </div>
+          <div class="form-group">
+            <label for="sidebar-cleanup-custom-fillers">Extra filler words or phrases</label>
+            <textarea id="sidebar-cleanup-custom-fillers" class="tella-template-input" rows="3" spellcheck="false" placeholder="One per line, e.g.&#10;you know&#10;basically">${this.escapeHtml(cleanup.customFillers.join('\n'))}</textarea>
+          </div>
+
+          <h4 class="tella-section-title" style="margin-top: 20px;">Keywords</h4>
+          <div class="form-group">
+            <label class="tella-checkbox-label">
+              <input type="checkbox" id="sidebar-keywords-enabled" ${keywords.enabled ? 'checked' : ''} />
+              <span>Add <code>content.keywords</code> from the transcript and chapter titles</span>
+            </label>
+          </div>
+          <div class="form-group">
+            <label for="sidebar-keywords-language">Transcript language</label>
+            <div class="flex gap-2">
+              <select id="sidebar-keywords-language">
+                <option value="auto" ${keywords.language === 'auto' ? 'selected' : ''}>Detect automatically</option>
+                ${Object.entries(TellaKeywordExtractor.LANGUAGES).map(([code, name]) => `
+                <option value="${code}" ${keywords.language === code ? 'selected' : ''}>${name}</option>`).join('')}
+              </select>
+              <input type="number" id="sidebar-keywords-max" min="1" max="50" step="1" value="${keywords.maxKeywords}" title="Maximum number of keywords" />
+            </div>
+            <small>Picks the stopwords left out of keywords. The number is the most keywords sent.</small>
+          </div>
+          <div class="form-group">
+            <label for="sidebar-keywords-blocklist">Never use these keywords</label>
+            <textarea id="sidebar-keywords-blocklist" class="tella-template-input" rows="3" spellcheck="false" placeholder="One word or phrase per line">${this.escapeHtml(keywords.blocklist.join('\n'))}</textarea>
+          </div>
+          <div class="form-group">
+            <label for="sidebar-keywords-allowlist">Always use these keywords when mentioned</label>
+            <textarea id="sidebar-keywords-allowlist" class="tella-template-input" rows="3" spellcheck="false" placeholder="One word or phrase per line, e.g.&#10;onboarding&#10;pricing page">${this.escapeHtml(keywords.allowlist.join('\n'))}</textarea>
+          </div>
+
+          <h4 class="tella-section-title" style="margin-top: 20px;">Payload validation</h4>
+          <div class="form-group">
+            <label for="sidebar-payload-validation">When a payload doesn't match schema v${TellaPayloadSchema.VERSION}</label>
+            <select id="sidebar-payload-validation">
+              <option value="warn" ${this.payloadValidation === 'warn' ? 'selected' : ''}>Send it anyway and show a warning</option>
+              <option value="block" ${this.payloadValidation === 'block' ? 'selected' : ''}>Don't send it</option>
+              <option value="off" ${this.payloadValidation === 'off' ? 'selected' : ''}>Don't check payloads</option>
+            </select>
+            <small>Payloads are checked against the JSON Schema shipped with the extension (<code>payload-schema.json</code>), before any template is applied.</small>
+          </div>
+
+          <!-- Background library sync (rendered by loadLibrarySync) -->
+          <h4 class="tella-section-title" style="margin-top: 20px;">Library sync (known videos)</h4>
+          <small class="tella-section-help">Re-checks the videos the extension already knows on a schedule and sends the ones that changed or haven't reached a destination yet, even with Tella closed. It can't find new videos by itself: open your library page (or a video) to add them. Uses your Tella login, so stay signed in.</small>
+          <div class="form-group">
+            <label class="tella-checkbox-label">
+              <input type="checkbox" id="sidebar-library-sync-enabled" />
+              <span>Sync automatically every</span>
+              <select id="sidebar-library-sync-interval">
+                ${TellaLibrarySync.INTERVALS.map(minutes => `<option value="${minutes}">${this.formatInterval(minutes)}</option>`).join('')}
+              </select>
+            </label>
+          </div>
+          <div class="form-group">
+            <label>Send to</label>
+            <div id="sidebar-library-sync-destinations" class="tella-rule-destinations"></div>
+          </div>
+          <div class="flex gap-2" style="align-items: center;">
+            <button id="sidebar-library-sync-now" class="tella-btn tella-btn-secondary" type="button">🔄 Sync now</button>
+            <small id="sidebar-library-sync-status" class="tella-library-sync-status"></small>
           </div>
         </div>
 
@@ -263,7 +652,13 @@ class TellaSidebarWebhook {
             </span>
           </div>
 
-          <!-- Primary Send Button (shows when webhook URL is configured) -->
+          <!-- Destination Picker (rendered by renderDestinationPicker) -->
+          <div id="sidebar-destination-picker" class="tella-destination-picker"></div>
+
+          <!-- Why the picker was set this way (rendered by renderRoutingExplanation) -->
+          <div id="sidebar-routing" class="tella-routing" style="display: none;"></div>
+
+          <!-- Primary Send Button (shows when a destination is configured) -->
           <div id="sidebar-primary-send" class="flex pointer-events-auto gap-2" style="margin-bottom: 16px; display: ${hasWebhook ? 'block' : 'none'};">
             <span class="inline-flex w-full md:w-auto whitespace-nowrap">
               <button id="sidebar-send-to-webhook" aria-label="Send to Webhook" class="inline-flex items-center text-sm font-medium transition ease-in-out duration-150 active:scale-97 will-change-transform group whitespace-nowrap border text-white bg-gradient-to-b from-[#6D60FF] to-[#5E51F8] border-[#5E51F8] focus-visible:border-[#5E51F8] focus:outline-none focus-visible:shadow-outline-indigo dark:focus-visible:shadow-outline-indigo-dark shadow-purple-primary hover:shadow-purple-primary-lg py-2 px-3 rounded-lg pl-2.5 w-full md:w-auto" tabindex="0" type="button">
@@ -280,6 +675,9 @@ class TellaSidebarWebhook {
             </span>
           </div>
 
+          <!-- Per-destination send results -->
+          <div id="sidebar-send-results" class="tella-send-results" style="display: none;"></div>
+
           <!-- Data Preview -->
           <div id="sidebar-data-preview" class="tella-data-preview" style="display: none; margin-top: 16px; padding: 12px; background: #f8f9fa; border-radius: 8px; border: 1px solid #e9ecef;">
             <h4 style="margin: 0 0 12px 0; font-size: 14px; font-weight: 600; color: #212529;">📊 Extracted Data Preview</h4>
@@ -329,6 +727,24 @@ class TellaSidebarWebhook {
               <div id="sidebar-preview-transcript" class="transcript-preview" style="max-height: 150px; overflow-y: auto; padding: 8px; background: white; border-radius: 4px; font-size: 11px; line-height: 1.6; color: #495057;">
                 <!-- Transcript will be inserted here -->
               </div>
+              <div id="sidebar-subtitle-downloads" class="tella-subtitle-downloads" style="display: none;">
+                <button id="sidebar-download-srt" class="tella-btn-link" type="button">⬇️ Download SRT</button>
+                <button id="sidebar-download-vtt" class="tella-btn-link" type="button">⬇️ Download WebVTT</button>
+              </div>
+            </div>
+
+            <!-- Speaking Analytics Section -->
+            <div class="analytics-section" id="sidebar-analytics-section" style="display: none; margin-bottom: 12px;">
+              <h5 style="margin: 0 0 8px 0; font-size: 12px; font-weight: 600; color: #495057;">🎙️ Speaking analytics</h5>
+              <div id="sidebar-preview-analytics" class="data-summary" style="font-size: 12px; line-height: 1.6;">
+                <!-- Analytics summary will be inserted here -->
+              </div>
+            </div>
+
+            <!-- Keywords Section -->
+            <div class="keywords-section" id="sidebar-keywords-section" style="display: none; margin-bottom: 12px;">
+              <h5 style="margin: 0 0 8px 0; font-size: 12px; font-weight: 600; color: #495057;">🏷️ Keywords</h5>
+              <div id="sidebar-preview-keywords" class="data-summary" style="font-size: 12px; line-height: 1.6;"></div>
             </div>
           </div>
 
@@ -365,12 +781,55 @@ class TellaSidebarWebhook {
                   </div>
                 </button>
               </span>
+              <span class="inline-flex">
+                <button id="sidebar-show-history" aria-label="Delivery History" class="inline-flex items-center text-sm font-medium transition ease-in-out duration-150 active:scale-97 will-change-transform group whitespace-nowrap border text-slate-400 border-transparent hover:bg-slate-50 dark:hover:bg-white/[.10] dark:bg-night-900/[.06] hover:text-slate-900 dark:text-gray-100 dark:hover:text-white focus:outline-none focus-visible:shadow-outline-indigo px-3 py-1 rounded-lg pl-2.5" tabindex="0" type="button">
+                  <div class="relative flex items-center justify-center gap-1">
+                    <span class="">
+                      <svg aria-hidden="false" aria-label="" class="stroke-current w-5 h-5" height="24" width="24" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M3 12a9 9 0 1 0 3-6.7L3 8"/>
+                        <path d="M3 3v5h5"/>
+                        <path d="M12 7v5l3 3"/>
+                      </svg>
+                    </span>
+                    <span>History</span>
+                  </div>
+                </button>
+              </span>
             </div>
           </div>
 
 
         </div>
 
+        <!-- History Section -->
+        <div id="sidebar-history" class="tella-history-section" style="display: none;">
+          <div class="tella-history-header">
+            <h4 class="tella-section-title">Delivery history</h4>
+            <button id="sidebar-history-back" class="tella-btn-link" type="button">← Back</button>
+          </div>
+
+          <div class="tella-history-filters">
+            <select id="sidebar-history-status">
+              <option value="all">All</option>
+              <option value="success">Delivered</option>
+              <option value="failed">Failed</option>
+            </select>
+            <select id="sidebar-history-destination">
+              <option value="">All destinations</option>
+            </select>
+            <input type="text" id="sidebar-history-search" placeholder="Search videos" />
+          </div>
+
+          <div id="sidebar-history-list" class="tella-history-list"></div>
+
+          <div class="tella-history-footer">
+            <label for="sidebar-history-retention">Keep last</label>
+            <input type="number" id="sidebar-history-retention" min="1" max="500" />
+            <span>deliveries</span>
+            <button id="sidebar-history-clear" class="tella-btn-link" type="button">Clear history</button>
+          </div>
+        </div>
+
         <!-- Results Section -->
         <div id="sidebar-results" class="tella-results-section" style="display: none;">
           <!-- Success Message -->
@@ -391,18 +850,209 @@ class TellaSidebarWebhook {
       </div>
     `;
 
+    this.renderDestinationList();
+    this.renderDestinationPicker();
+    this.renderRuleList();
+    this.loadLibrarySync();
+
     console.log('✅ Sidebar interface rendered');
   }
 
+  /**
+   * Render saved destinations with edit/delete actions in the config section
+   */
+  renderDestinationList() {
+    const listEl = this.container.querySelector('#sidebar-destination-list');
+    if (!listEl) return;
+
+    if (this.destinations.length === 0) {
+      listEl.innerHTML = '';
+      return;
+    }
+
+    listEl.innerHTML = `
+      <h4 class="tella-section-title">Destinations</h4>
+      ${this.destinations.map(destination => `
+        <div class="tella-destination-item" data-destination-id="${destination.id}">
+          <div class="tella-destination-info">
+            <strong>${this.escapeHtml(destination.name)}${destination.autoSend ? ' <span class="tella-destination-badge">⚡ Auto</span>' : ''}</strong>
+            <small>${this.escapeHtml(this.maskUrl(destination.url))}</small>
+          </div>
+          <div class="tella-destination-actions">
+            <button class="tella-btn-link" data-action="edit" type="button">Edit</button>
+            <button class="tella-btn-link" data-action="delete" type="button">Delete</button>
+          </div>
+        </div>
+      `).join('')}
+    `;
+
+    listEl.querySelectorAll('.tella-destination-item').forEach(item => {
+      const destinationId = item.getAttribute('data-destination-id');
+      item.querySelector('[data-action="edit"]')?.addEventListener('click', () => this.editDestination(destinationId));
+      item.querySelector('[data-action="delete"]')?.addEventListener('click', () => this.deleteDestination(destinationId));
+    });
+  }
+
+  /**
+   * Render the destination checkboxes next to the Send button
+   */
+  renderDestinationPicker() {
+    const pickerEl = this.container.querySelector('#sidebar-destination-picker');
+    if (!pickerEl) return;
+
+    if (this.destinations.length === 0) {
+      pickerEl.innerHTML = '';
+      return;
+    }
+
+    pickerEl.innerHTML = `
+      <div class="tella-picker-label">Send to</div>
+      ${this.destinations.map(destination => `
+        <label class="tella-picker-option">
+          <input
+            type="checkbox"
+            value="${destination.id}"
+            ${this.selectedDestinationIds.includes(destination.id) ? 'checked' : ''}
+          />
+          <span>${this.escapeHtml(destination.name)}</span>
+        </label>
+      `).join('')}
+    `;
+
+    pickerEl.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        this.selectedDestinationIds = Array.from(pickerEl.querySelectorAll('input[type="checkbox"]:checked'))
+          .map(input => input.value);
+        this.updateSendButtonLabel();
+        this.destinationStore.saveSelection(this.selectedDestinationIds)
+          .catch(error => console.warn('⚠️ Could not save destination selection:', error));
+      });
+    });
+
+    this.updateSendButtonLabel();
+  }
+
+  /**
+   * Reflect how many destinations are selected on the Send button
+   */
+  updateSendButtonLabel(label) {
+    const primarySendBtn = this.container.querySelector('#sidebar-send-to-webhook');
+    const spanElement = primarySendBtn?.querySelector('span:last-child');
+    if (!spanElement) return;
+
+    if (label) {
+      spanElement.textContent = label;
+      return;
+    }
+
+    const count = this.getSelectedDestinations().length;
+    spanElement.textContent = count > 1 ? `Send to ${count} Destinations` : 'Send to Webhook';
+  }
+
 
   /**
    * Setup event listeners for the interface
    */
   setupEventListeners() {
-    // Save webhook URL
+    // Save destination
     const saveBtn = this.container.querySelector('#sidebar-save-webhook');
     if (saveBtn) {
-      saveBtn.addEventListener('click', () => this.saveWebhookUrl());
+      saveBtn.addEventListener('click', () => this.saveDestination());
+    }
+
+    // Close the destinations manager
+    const doneBtn = this.container.querySelector('#sidebar-config-done');
+    if (doneBtn) {
+      doneBtn.addEventListener('click', () => {
+        this.resetDestinationForm();
+        this.updateInterface();
+      });
+    }
+
+    // Generate signing secret
+    const generateSecretBtn = this.container.querySelector('#sidebar-generate-secret');
+    if (generateSecretBtn) {
+      generateSecretBtn.addEventListener('click', () => {
+        const secretInput = this.container.querySelector('#sidebar-signing-secret');
+        if (secretInput) {
+          secretInput.value = this.generateSigningSecret();
+          secretInput.type = 'text'; // Reveal so it can be copied to the receiving endpoint
+        }
+      });
+    }
+
+    // Transcript segmentation settings
+    const segmentModeSelect = this.container.querySelector('#sidebar-segment-mode');
+    const segmentSizeInput = this.container.querySelector('#sidebar-segment-size');
+    if (segmentModeSelect && segmentSizeInput) {
+      segmentModeSelect.addEventListener('change', () => {
+        // Each mode has its own unit, so switching resets the size to that mode's default
+        // (SEGMENTATION_SIZE_DEFAULTS is defined in data-extractor.js)
+        segmentSizeInput.value = SEGMENTATION_SIZE_DEFAULTS[segmentModeSelect.value];
+        this.saveSegmentationSettings();
+      });
+      segmentSizeInput.addEventListener('change', () => this.saveSegmentationSettings());
+    }
+
+    ['#sidebar-cleanup-enabled', '#sidebar-cleanup-fillers', '#sidebar-cleanup-repeats', '#sidebar-cleanup-sentences',
+      '#sidebar-cleanup-pause', '#sidebar-cleanup-custom-fillers'].forEach(selector => {
+      this.container.querySelector(selector)?.addEventListener('change', () => this.saveTranscriptCleanup());
+    });
+
+    ['#sidebar-keywords-enabled', '#sidebar-keywords-language', '#sidebar-keywords-max', '#sidebar-keywords-blocklist',
+      '#sidebar-keywords-allowlist'].forEach(selector => {
+      this.container.querySelector(selector)?.addEventListener('change', () => this.saveKeywordSettings());
+    });
+
+    const payloadValidationSelect = this.container.querySelector('#sidebar-payload-validation');
+    if (payloadValidationSelect) {
+      payloadValidationSelect.addEventListener('change', async () => {
+        this.payloadValidation = await this.payloadSchema.setMode(payloadValidationSelect.value);
+        console.log('✅ Payload validation mode saved:', this.payloadValidation);
+      });
+    }
+
+    // Auth scheme picker
+    const authTypeSelect = this.container.querySelector('#sidebar-auth-type');
+    if (authTypeSelect) {
+      authTypeSelect.addEventListener('change', () => this.updateAuthFields(authTypeSelect.value));
+    }
+
+    // Payload template editor with live preview
+    const templateInput = this.container.querySelector('#sidebar-destination-template');
+    if (templateInput) {
+      let previewTimer = null;
+      templateInput.addEventListener('input', () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(() => this.updateTemplatePreview(), 300);
+      });
+    }
+
+    const templateExampleBtn = this.container.querySelector('#sidebar-template-example');
+    if (templateExampleBtn) {
+      templateExampleBtn.addEventListener('click', () => {
+        if (templateInput) {
+          templateInput.value = TellaPayloadTemplate.EXAMPLE;
+          this.updateTemplatePreview();
+        }
+      });
+    }
+
+    const templatePreviewToggle = this.container.querySelector('#sidebar-template-preview-toggle');
+    if (templatePreviewToggle) {
+      templatePreviewToggle.addEventListener('click', () => {
+        const previewEl = this.container.querySelector('#sidebar-template-preview');
+        const showing = previewEl?.style.display !== 'none';
+        if (previewEl) previewEl.style.display = showing ? 'none' : 'block';
+        templatePreviewToggle.textContent = showing ? 'Show preview' : 'Hide preview';
+        if (!showing) this.updateTemplatePreview();
+      });
+    }
+
+    // Custom headers
+    const addHeaderBtn = this.container.querySelector('#sidebar-add-header');
+    if (addHeaderBtn) {
+      addHeaderBtn.addEventListener('click', () => this.addCustomHeaderRow());
     }
 
     // Webhook URL input
@@ -410,7 +1060,7 @@ class TellaSidebarWebhook {
     if (webhookUrlInput) {
       webhookUrlInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
-          this.saveWebhookUrl();
+          this.saveDestination();
         }
       });
     }
@@ -431,9 +1081,9 @@ class TellaSidebarWebhook {
     const primarySendBtn = this.container.querySelector('#sidebar-send-to-webhook');
     if (primarySendBtn) {
       primarySendBtn.addEventListener('click', async () => {
-        // Ensure webhook URL is loaded before sending
-        if (!this.webhookUrl) {
-          await this.loadWebhookUrl();
+        // Ensure destinations are loaded before sending
+        if (this.destinations.length === 0) {
+          await this.loadDestinations();
         }
         this.sendToWebhook();
       });
@@ -446,12 +1096,133 @@ class TellaSidebarWebhook {
       configBtn.addEventListener('click', () => this.showConfigSection());
     }
 
+    // Routing rules
+    const addRuleBtn = this.container.querySelector('#sidebar-add-rule');
+    if (addRuleBtn) {
+      addRuleBtn.addEventListener('click', () => this.openRuleForm());
+    }
+
+    const addConditionBtn = this.container.querySelector('#sidebar-add-condition');
+    if (addConditionBtn) {
+      addConditionBtn.addEventListener('click', () => this.addConditionRow());
+    }
+
+    const saveRuleBtn = this.container.querySelector('#sidebar-save-rule');
+    if (saveRuleBtn) {
+      saveRuleBtn.addEventListener('click', () => this.saveRule());
+    }
+
+    const cancelRuleBtn = this.container.querySelector('#sidebar-cancel-rule');
+    if (cancelRuleBtn) {
+      cancelRuleBtn.addEventListener('click', () => this.closeRuleForm());
+    }
+
+    // Options page (content scripts can't open it themselves)
+    const openOptionsBtn = this.container.querySelector('#sidebar-open-options');
+    if (openOptionsBtn) {
+      openOptionsBtn.addEventListener('click', () => {
+        this.sendRuntimeMessage({ action: 'openOptionsPage' })
+          .catch(error => this.showError(`Could not open the options page: ${error.message}`));
+      });
+    }
+
+    // Library sync
+    ['#sidebar-library-sync-enabled', '#sidebar-library-sync-interval'].forEach(selector => {
+      this.container.querySelector(selector)?.addEventListener('change', () => this.saveLibrarySyncSettings());
+    });
+    this.container.querySelector('#sidebar-library-sync-destinations')
+      ?.addEventListener('change', () => this.saveLibrarySyncSettings());
+
+    const syncNowBtn = this.container.querySelector('#sidebar-library-sync-now');
+    if (syncNowBtn) {
+      syncNowBtn.addEventListener('click', () => this.runLibrarySyncNow());
+    }
+
+    // Delivery history
+    const historyBtn = this.container.querySelector('#sidebar-show-history');
+    if (historyBtn) {
+      historyBtn.addEventListener('click', () => this.showHistorySection());
+    }
+
+    const historyBackBtn = this.container.querySelector('#sidebar-history-back');
+    if (historyBackBtn) {
+      historyBackBtn.addEventListener('click', () => this.hideHistorySection());
+    }
+
+    const historyStatusSelect = this.container.querySelector('#sidebar-history-status');
+    if (historyStatusSelect) {
+      historyStatusSelect.addEventListener('change', () => {
+        this.historyFilters.status = historyStatusSelect.value;
+        this.renderHistory();
+      });
+    }
+
+    const historyDestinationSelect = this.container.querySelector('#sidebar-history-destination');
+    if (historyDestinationSelect) {
+      historyDestinationSelect.addEventListener('change', () => {
+        this.historyFilters.destinationId = historyDestinationSelect.value;
+        this.renderHistory();
+      });
+    }
+
+    const historySearchInput = this.container.querySelector('#sidebar-history-search');
+    if (historySearchInput) {
+      let searchTimer = null;
+      historySearchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+          this.historyFilters.search = historySearchInput.value;
+          this.renderHistory();
+        }, 200);
+      });
+    }
+
+    const historyRetentionInput = this.container.querySelector('#sidebar-history-retention');
+    if (historyRetentionInput) {
+      historyRetentionInput.addEventListener('change', async () => {
+        const retention = await this.historyStore.setRetention(historyRetentionInput.value);
+        historyRetentionInput.value = retention;
+        this.renderHistory();
+      });
+    }
+
+    const historyClearBtn = this.container.querySelector('#sidebar-history-clear');
+    if (historyClearBtn) {
+      historyClearBtn.addEventListener('click', async () => {
+        if (window.confirm('Clear all delivery history?')) {
+          await this.historyStore.clear();
+          this.renderHistory();
+        }
+      });
+    }
+
+    // Subtitle downloads
+    const downloadSrtBtn = this.container.querySelector('#sidebar-download-srt');
+    if (downloadSrtBtn) {
+      downloadSrtBtn.addEventListener('click', () => this.downloadSubtitles('srt'));
+    }
+
+    const downloadVttBtn = this.container.querySelector('#sidebar-download-vtt');
+    if (downloadVttBtn) {
+      downloadVttBtn.addEventListener('click', () => this.downloadSubtitles('vtt'));
+    }
+
     // Try again
     const tryAgainBtn = this.container.querySelector('#sidebar-try-again');
     if (tryAgainBtn) {
       tryAgainBtn.addEventListener('click', () => this.extractData());
     }
 
+    // Delivery progress reported by the background script
+    if (!this.runtimeMessageListener && chrome?.runtime?.onMessage) {
+      this.runtimeMessageListener = (message) => {
+        if (message?.action === 'webhookDeliveryAttempt' && this.activeDeliveries.has(message.deliveryId)) {
+          this.handleDeliveryAttempt(message);
+        }
+        return false;
+      };
+      chrome.runtime.onMessage.addListener(this.runtimeMessageListener);
+    }
 
 
     console.log('✅ Event listeners setup complete');
@@ -586,6 +1357,404 @@ class TellaSidebarWebhook {
     }
   }
 
+  /**
+   * Render saved routing rules in the config section
+   */
+  renderRuleList() {
+    const listEl = this.container.querySelector('#sidebar-rule-list');
+    if (!listEl) return;
+
+    if (this.rules.length === 0) {
+      listEl.innerHTML = '';
+      return;
+    }
+
+    const destinationName = (id) => this.destinations.find(d => d.id === id)?.name || 'Deleted destination';
+
+    listEl.innerHTML = this.rules.map(rule => `
+      <div class="tella-rule-item" data-rule-id="${rule.id}" data-enabled="${rule.enabled}">
+        <div class="tella-destination-info">
+          <strong>${this.escapeHtml(rule.name)}</strong>
+          <small>${this.escapeHtml(rule.conditions.map(c => this.routingRules.describeCondition(c)).join(rule.match === 'any' ? ' or ' : ' and '))}</small>
+          <small>→ ${this.escapeHtml(rule.destinationIds.map(destinationName).join(', '))}${rule.template.trim() ? ' (custom template)' : ''}</small>
+        </div>
+        <div class="tella-destination-actions">
+          <label class="tella-checkbox-label" title="Enabled">
+            <input type="checkbox" data-action="toggle" ${rule.enabled ? 'checked' : ''} />
+          </label>
+          <button class="tella-btn-link" data-action="edit" type="button">Edit</button>
+          <button class="tella-btn-link" data-action="delete" type="button">Delete</button>
+        </div>
+      </div>
+    `).join('');
+
+    listEl.querySelectorAll('.tella-rule-item').forEach(item => {
+      const ruleId = item.getAttribute('data-rule-id');
+      item.querySelector('[data-action="toggle"]')?.addEventListener('change', (e) => this.toggleRule(ruleId, e.target.checked));
+      item.querySelector('[data-action="edit"]')?.addEventListener('click', () => this.openRuleForm(ruleId));
+      item.querySelector('[data-action="delete"]')?.addEventListener('click', () => this.deleteRule(ruleId));
+    });
+  }
+
+  /**
+   * Show the rule editor, empty or filled with an existing rule
+   */
+  openRuleForm(ruleId = null) {
+    const rule = ruleId ? this.rules.find(r => r.id === ruleId) : null;
+    this.editingRuleId = rule ? rule.id : null;
+
+    const formEl = this.container.querySelector('#sidebar-rule-form');
+    const addRuleBtn = this.container.querySelector('#sidebar-add-rule');
+    if (!formEl) return;
+
+    this.container.querySelector('#sidebar-rule-name').value = rule?.name || '';
+    this.container.querySelector('#sidebar-rule-match').value = rule?.match || 'all';
+    this.container.querySelector('#sidebar-rule-template').value = rule?.template || '';
+
+    const conditionsEl = this.container.querySelector('#sidebar-rule-conditions');
+    conditionsEl.innerHTML = '';
+    (rule?.conditions?.length ? rule.conditions : [{ field: 'channel', operator: 'is', value: '' }])
+      .forEach(condition => this.addConditionRow(condition));
+
+    const destinationsEl = this.container.querySelector('#sidebar-rule-destinations');
+    destinationsEl.innerHTML = this.destinations.map(destination => `
+      <label class="tella-picker-option">
+        <input type="checkbox" value="${destination.id}" ${rule?.destinationIds.includes(destination.id) ? 'checked' : ''} />
+        <span>${this.escapeHtml(destination.name)}</span>
+      </label>
+    `).join('');
+
+    formEl.style.display = 'block';
+    if (addRuleBtn) addRuleBtn.style.display = 'none';
+  }
+
+  closeRuleForm() {
+    this.editingRuleId = null;
+
+    const formEl = this.container.querySelector('#sidebar-rule-form');
+    const addRuleBtn = this.container.querySelector('#sidebar-add-rule');
+    if (formEl) formEl.style.display = 'none';
+    if (addRuleBtn) addRuleBtn.style.display = '';
+  }
+
+  /**
+   * Add a field / operator / value row to the rule editor
+   */
+  addConditionRow(condition = { field: 'title', operator: 'contains', value: '' }) {
+    const conditionsEl = this.container.querySelector('#sidebar-rule-conditions');
+    if (!conditionsEl) return;
+
+    const fields = TellaRoutingRules.FIELDS;
+    const row = document.createElement('div');
+    row.className = 'tella-rule-condition';
+    row.innerHTML = `
+      <select class="tella-condition-field">
+        ${Object.entries(fields).map(([key, field]) => `<option value="${key}">${field.label}</option>`).join('')}
+      </select>
+      <select class="tella-condition-operator"></select>
+      <input type="text" class="tella-condition-value" placeholder="Value" />
+      <button class="tella-btn-link" type="button" aria-label="Remove condition">✕</button>
+    `;
+
+    const fieldSelect = row.querySelector('.tella-condition-field');
+    const operatorSelect = row.querySelector('.tella-condition-operator');
+    const valueInput = row.querySelector('.tella-condition-value');
+
+    const renderOperators = () => {
+      const field = fields[fieldSelect.value];
+      operatorSelect.innerHTML = Object.entries(field.operators)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+      // Transcript conditions have no value
+      valueInput.style.display = fieldSelect.value === 'transcript' ? 'none' : '';
+      valueInput.type = ['duration', 'chapters'].includes(fieldSelect.value) ? 'number' : 'text';
+    };
+
+    fieldSelect.value = fields[condition.field] ? condition.field : 'title';
+    renderOperators();
+    if (fields[fieldSelect.value].operators[condition.operator]) {
+      operatorSelect.value = condition.operator;
+    }
+    valueInput.value = condition.value || '';
+
+    fieldSelect.addEventListener('change', renderOperators);
+    row.querySelector('button').addEventListener('click', () => row.remove());
+
+    conditionsEl.appendChild(row);
+  }
+
+  /**
+   * Save the rule in the editor
+   */
+  async saveRule() {
+    const rule = this.routingRules.normalize({
+      id: this.editingRuleId || undefined,
+      createdAt: this.rules.find(r => r.id === this.editingRuleId)?.createdAt,
+      enabled: this.rules.find(r => r.id === this.editingRuleId)?.enabled ?? true,
+      name: this.container.querySelector('#sidebar-rule-name')?.value || '',
+      match: this.container.querySelector('#sidebar-rule-match')?.value || 'all',
+      template: this.container.querySelector('#sidebar-rule-template')?.value || '',
+      conditions: Array.from(this.container.querySelectorAll('.tella-rule-condition')).map(row => ({
+        field: row.querySelector('.tella-condition-field').value,
+        operator: row.querySelector('.tella-condition-operator').value,
+        value: row.querySelector('.tella-condition-value').value
+      })),
+      destinationIds: Array.from(this.container.querySelectorAll('#sidebar-rule-destinations input:checked'))
+        .map(input => input.value)
+    });
+
+    const ruleError = this.routingRules.validate(rule);
+    if (ruleError) {
+      this.showError(ruleError);
+      return;
+    }
+
+    if (rule.template.trim()) {
+      try {
+        new TellaPayloadTemplate(rule.template);
+      } catch (error) {
+        this.showError(`Template error: ${error.message}`);
+        return;
+      }
+    }
+
+    try {
+      await this.routingRules.upsert(rule);
+      await this.loadRules();
+      this.closeRuleForm();
+      this.renderRuleList();
+      this.applyRouting();
+      this.showSuccess(`✅ Rule "${rule.name}" saved`);
+    } catch (error) {
+      console.error('❌ Error saving rule:', error);
+      this.showError(`Failed to save rule: ${error.message}`);
+    }
+  }
+
+  async toggleRule(ruleId, enabled) {
+    const rule = this.rules.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    await this.routingRules.upsert({ ...rule, enabled });
+    await this.loadRules();
+    this.renderRuleList();
+    this.applyRouting();
+  }
+
+  async deleteRule(ruleId) {
+    const rule = this.rules.find(r => r.id === ruleId);
+    if (!rule || !window.confirm(`Delete rule "${rule.name}"?`)) {
+      return;
+    }
+
+    await this.routingRules.remove(ruleId);
+    await this.loadRules();
+    if (this.editingRuleId === ruleId) {
+      this.closeRuleForm();
+    }
+    this.renderRuleList();
+    this.applyRouting();
+  }
+
+  /**
+   * Load the library sync schedule and status from the background
+   */
+  async loadLibrarySync() {
+    if (!this.container.querySelector('#sidebar-library-sync-status')) return;
+
+    try {
+      const response = await this.sendRuntimeMessage({ action: 'getLibrarySync' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      this.renderLibrarySync(response.status);
+    } catch (error) {
+      console.warn('⚠️ Could not load library sync status:', error);
+      this.container.querySelector('#sidebar-library-sync-status').textContent = 'Library sync status unavailable';
+    }
+  }
+
+  renderLibrarySync(status) {
+    const { settings } = status;
+
+    this.container.querySelector('#sidebar-library-sync-enabled').checked = settings.enabled;
+    this.container.querySelector('#sidebar-library-sync-interval').value = String(settings.intervalMinutes);
+
+    const destinationsEl = this.container.querySelector('#sidebar-library-sync-destinations');
+    destinationsEl.innerHTML = this.destinations.length
+      ? this.destinations.map(destination => `
+        <label class="tella-picker-option">
+          <input type="checkbox" value="${destination.id}" ${settings.destinationIds.includes(destination.id) ? 'checked' : ''} />
+          <span>${this.escapeHtml(destination.name)}</span>
+        </label>
+      `).join('')
+      : '<small>Add a destination first</small>';
+
+    const syncNowBtn = this.container.querySelector('#sidebar-library-sync-now');
+    syncNowBtn.disabled = status.running;
+    syncNowBtn.textContent = status.running ? '🔄 Syncing…' : '🔄 Sync now';
+
+    this.container.querySelector('#sidebar-library-sync-status').textContent = this.describeLibrarySync(status);
+  }
+
+  describeLibrarySync(status) {
+    const parts = [`${status.knownVideos} video${status.knownVideos === 1 ? '' : 's'} known`];
+    const lastRun = status.lastRun;
+
+    if (lastRun?.finishedAt) {
+      const failed = lastRun.failed ? `, ${lastRun.failed} failed` : '';
+      parts.push(`last run ${new Date(lastRun.finishedAt).toLocaleString()}: ${lastRun.created} new, ${lastRun.updated} updated${failed}`);
+    }
+
+    if (status.settings.enabled && status.nextRunAt) {
+      parts.push(`next ${new Date(status.nextRunAt).toLocaleTimeString()}`);
+    }
+
+    return parts.join(' · ');
+  }
+
+  async saveLibrarySyncSettings() {
+    const settings = {
+      enabled: this.container.querySelector('#sidebar-library-sync-enabled')?.checked === true,
+      intervalMinutes: this.container.querySelector('#sidebar-library-sync-interval')?.value,
+      destinationIds: Array.from(this.container.querySelectorAll('#sidebar-library-sync-destinations input:checked'))
+        .map(input => input.value)
+    };
+
+    if (settings.enabled && settings.destinationIds.length === 0) {
+      this.showError('Choose at least one destination for library sync');
+    }
+
+    try {
+      const response = await this.sendRuntimeMessage({ action: 'saveLibrarySyncSettings', settings });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      await this.loadLibrarySync();
+    } catch (error) {
+      console.error('❌ Error saving library sync settings:', error);
+      this.showError(`Failed to save library sync settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a library sync right away; the background posts a notification when it finishes
+   */
+  async runLibrarySyncNow() {
+    const syncNowBtn = this.container.querySelector('#sidebar-library-sync-now');
+    if (syncNowBtn) {
+      syncNowBtn.disabled = true;
+      syncNowBtn.textContent = '🔄 Syncing…';
+    }
+
+    try {
+      // A full library pass can take a while - allow well beyond the usual message timeout
+      const response = await this.sendRuntimeMessage({ action: 'librarySyncNow' }, 10 * 60 * 1000);
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response');
+      }
+
+      const summary = response.summary;
+      if (summary.alreadyRunning) {
+        this.showError('⏳ A library sync is already running');
+      } else if (summary.noDestinations) {
+        this.showError('Choose at least one destination for library sync');
+      } else if (summary.failed > 0) {
+        this.showError(`Library sync: ${summary.created} new, ${summary.updated} updated, ${summary.failed} failed (${summary.errors[0]?.error || 'unknown error'})`);
+      } else {
+        this.showSuccess(`✅ Library sync: ${summary.checked} checked, ${summary.created} new, ${summary.updated} updated`);
+      }
+    } catch (error) {
+      console.error('❌ Library sync failed:', error);
+      this.showError(`Library sync failed: ${error.message}`);
+    } finally {
+      await this.loadLibrarySync();
+    }
+  }
+
+  formatInterval(minutes) {
+    if (minutes < 60) return `${minutes} minutes`;
+    if (minutes === 60) return 'hour';
+    if (minutes < 1440) return `${minutes / 60} hours`;
+    return 'day';
+  }
+
+  /**
+   * Evaluate the rules for the current video and pre-select the destinations they route to.
+   * The selection is not saved, so videos no rule matches keep the user's usual selection.
+   */
+  applyRouting() {
+    if (!this.extractedData || Object.keys(this.extractedData).length === 0) {
+      this.routing = null;
+      this.renderRoutingExplanation();
+      return;
+    }
+
+    this.routing = this.routingRules.evaluate(this.extractedData, this.rules);
+
+    const routedIds = Object.keys(this.routing.routes).filter(id => this.destinations.some(d => d.id === id));
+    if (routedIds.length > 0) {
+      this.selectedDestinationIds = routedIds;
+      this.renderDestinationPicker();
+    }
+
+    this.renderRoutingExplanation();
+  }
+
+  /**
+   * "Why did this route here" - matched rules with the reasons each condition passed or failed
+   */
+  renderRoutingExplanation() {
+    const routingEl = this.container.querySelector('#sidebar-routing');
+    if (!routingEl) return;
+
+    if (!this.routing || !this.routing.active) {
+      routingEl.style.display = 'none';
+      routingEl.innerHTML = '';
+      return;
+    }
+
+    const destinationName = (id) => this.destinations.find(d => d.id === id)?.name || 'Deleted destination';
+    const matched = this.routing.results.filter(r => r.matched);
+    const unmatched = this.routing.results.filter(r => !r.matched);
+
+    const renderReasons = (result) => `
+      <ul>
+        ${result.conditions.map(c => `<li>${c.passed ? '✓' : '✗'} ${this.escapeHtml(c.reason)}</li>`).join('')}
+      </ul>
+    `;
+
+    routingEl.innerHTML = `
+      <div class="tella-routing-summary">
+        ${matched.length > 0
+          ? `🧭 Routed to ${this.escapeHtml(Object.keys(this.routing.routes).map(destinationName).join(', '))}`
+          : '🧭 No routing rule matched - using your selected destinations'}
+      </div>
+      ${matched.map(result => `
+        <details class="tella-routing-rule" data-matched="true">
+          <summary>Why: rule "${this.escapeHtml(result.rule.name)}" matched (${result.rule.match === 'any' ? 'any' : 'all'} conditions)</summary>
+          ${renderReasons(result)}
+        </details>
+      `).join('')}
+      ${unmatched.map(result => `
+        <details class="tella-routing-rule" data-matched="false">
+          <summary>Rule "${this.escapeHtml(result.rule.name)}" didn't match</summary>
+          ${renderReasons(result)}
+        </details>
+      `).join('')}
+    `;
+    routingEl.style.display = 'block';
+  }
+
+  /**
+   * Destination with the template of the rule that routed the video to it, if any
+   * @param {Object} routing - Rule evaluation for the video being sent; defaults to the current video's
+   */
+  routeDestination(destination, routing = this.routing) {
+    const route = routing?.routes?.[destination.id];
+    return route && route.template ? { ...destination, template: route.template } : destination;
+  }
+
   /**
    * Show preview of extracted data in status area
    */
@@ -623,56 +1792,308 @@ class TellaSidebarWebhook {
 
     // Update the data preview section if it exists
     this.updateDataPreview(this.extractedData);
+
+    // Route the new video
+    this.applyRouting();
   }
 
   /**
-   * Save webhook URL to storage
+   * Save the destination in the config form (new or being edited)
    */
-  async saveWebhookUrl() {
-    const webhookUrlInput = this.container.querySelector('#sidebar-webhook-url');
-    const webhookUrl = webhookUrlInput?.value?.trim();
-
-    if (!webhookUrl) {
-      this.showError('Please enter a webhook URL');
+  async saveDestination() {
+    const name = this.container.querySelector('#sidebar-destination-name')?.value?.trim() || '';
+    const webhookUrl = this.container.querySelector('#sidebar-webhook-url')?.value?.trim();
+    const maxAttempts = parseInt(this.container.querySelector('#sidebar-max-attempts')?.value, 10) || 5;
+    const signingSecret = this.container.querySelector('#sidebar-signing-secret')?.value?.trim() || '';
+    const template = this.container.querySelector('#sidebar-destination-template')?.value || '';
+    const autoSend = !!this.container.querySelector('#sidebar-auto-send')?.checked;
+    const notifyTranscriptReady = !!this.container.querySelector('#sidebar-transcript-ready')?.checked;
+
+    const urlError = this.destinationStore.validateUrl(webhookUrl);
+    if (urlError) {
+      this.showError(urlError);
       return;
     }
 
-    // Basic URL validation
-    try {
-      new URL(webhookUrl);
-    } catch (e) {
-      this.showError('Please enter a valid webhook URL');
+    // Syntax errors are caught here; output errors depend on the video and show up in the preview
+    if (template.trim()) {
+      try {
+        new TellaPayloadTemplate(template);
+      } catch (error) {
+        this.showError(`Template error: ${error.message}`);
+        return;
+      }
+    }
+
+    const credentials = this.readCredentialsForm();
+    const credentialsError = this.destinationStore.validateCredentials(credentials);
+    if (credentialsError) {
+      this.showError(credentialsError);
       return;
     }
 
+    const destination = {
+      id: this.editingDestinationId || undefined,
+      name,
+      url: webhookUrl,
+      maxAttempts,
+      template: template.trim() ? template : '',
+      autoSend,
+      notifyTranscriptReady
+    };
+
     try {
-      this.webhookUrl = webhookUrl;
-      await chrome.storage.local.set({ webhookUrl: this.webhookUrl });
-      
+      const saved = await this.destinationStore.upsert(destination);
+
       // Check for Chrome runtime errors (storage API doesn't throw, it sets lastError)
       if (chrome.runtime.lastError) {
         throw new Error(chrome.runtime.lastError.message);
       }
-      
-      this.showSuccess('✅ Webhook URL saved!');
+
+      await this.destinationStore.setSigningSecret(saved.id, signingSecret);
+      await this.destinationStore.setCredentials(saved.id, credentials);
+      await this.loadDestinations();
+
+      this.resetDestinationForm();
+      this.renderDestinationList();
+      this.renderDestinationPicker();
+
+      this.showSuccess(`✅ Destination "${saved.name}" saved!`);
       this.updateInterface();
 
-      console.log('✅ Webhook URL saved:', this.webhookUrl);
+      console.log('✅ Destination saved:', saved.name);
+
+    } catch (error) {
+      console.error('❌ Error saving destination:', error);
+      const errorMessage = error?.message || 'Unknown error';
+      this.showError(`Failed to save destination: ${errorMessage}`);
+
+      // Try localStorage fallback if available
+      if (window.tellaErrorHandler) {
+        const fallbackDestination = this.destinationStore.normalize(destination);
+        const fallbackDestinations = [
+          ...this.destinations.filter(d => d.id !== fallbackDestination.id),
+          fallbackDestination
+        ];
+        const fallbackResult = window.tellaErrorHandler.tryLocalStorageFallback('write', 'webhookDestinations', fallbackDestinations);
+        if (fallbackResult) {
+          console.log('✅ Saved to localStorage fallback');
+          this.destinations = fallbackDestinations;
+          this.selectedDestinationIds = [fallbackDestination.id];
+          this.renderDestinationList();
+          this.renderDestinationPicker();
+          this.showSuccess('✅ Destination saved (using fallback storage)!');
+          this.updateInterface();
+        }
+      }
+    }
+  }
+
+  /**
+   * Load a destination into the config form for editing
+   */
+  async editDestination(destinationId) {
+    const destination = this.destinations.find(d => d.id === destinationId);
+    if (!destination) return;
+
+    this.editingDestinationId = destinationId;
+
+    const signingSecret = await this.destinationStore.getSigningSecret(destinationId).catch(() => '');
+    const credentials = await this.destinationStore.getCredentials(destinationId)
+      .catch(() => this.destinationStore.normalizeCredentials(null));
+
+    this.container.querySelector('#sidebar-destination-name').value = destination.name;
+    this.container.querySelector('#sidebar-webhook-url').value = destination.url;
+    this.container.querySelector('#sidebar-max-attempts').value = destination.maxAttempts;
+    this.container.querySelector('#sidebar-signing-secret').value = signingSecret;
+    this.container.querySelector('#sidebar-destination-template').value = destination.template || '';
+    this.container.querySelector('#sidebar-auto-send').checked = !!destination.autoSend;
+    this.container.querySelector('#sidebar-transcript-ready').checked = !!destination.notifyTranscriptReady;
+    this.fillCredentialsForm(credentials);
+    this.updateTemplatePreview();
+
+    const formTitle = this.container.querySelector('#sidebar-destination-form-title');
+    if (formTitle) formTitle.textContent = `Edit "${destination.name}"`;
+  }
+
+  /**
+   * Delete a destination after confirmation
+   */
+  async deleteDestination(destinationId) {
+    const destination = this.destinations.find(d => d.id === destinationId);
+    if (!destination) return;
+
+    if (!window.confirm(`Delete destination "${destination.name}"?`)) {
+      return;
+    }
+
+    try {
+      await this.destinationStore.remove(destinationId);
+      await this.changeTracker.forgetDestination(destinationId);
+      await this.routingRules.removeDestination(destinationId);
+      await this.loadRules();
+      this.renderRuleList();
+      await this.loadDestinations();
+
+      if (this.editingDestinationId === destinationId) {
+        this.resetDestinationForm();
+      }
+
+      this.renderDestinationList();
+      this.renderDestinationPicker();
+      this.updateDoneButton();
+      this.showSuccess(`🗑️ Destination "${destination.name}" deleted`);
+
+    } catch (error) {
+      console.error('❌ Error deleting destination:', error);
+      this.showError(`Failed to delete destination: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear the config form back to "Add destination"
+   */
+  resetDestinationForm() {
+    this.editingDestinationId = null;
+
+    const fields = {
+      '#sidebar-destination-name': '',
+      '#sidebar-webhook-url': '',
+      '#sidebar-max-attempts': '5',
+      '#sidebar-signing-secret': '',
+      '#sidebar-destination-template': ''
+    };
+    Object.entries(fields).forEach(([selector, value]) => {
+      const input = this.container.querySelector(selector);
+      if (input) input.value = value;
+    });
+
+    const secretInput = this.container.querySelector('#sidebar-signing-secret');
+    if (secretInput) secretInput.type = 'password';
+
+    ['#sidebar-auto-send', '#sidebar-transcript-ready'].forEach(selector => {
+      const checkbox = this.container.querySelector(selector);
+      if (checkbox) checkbox.checked = false;
+    });
+
+    this.fillCredentialsForm(this.destinationStore.normalizeCredentials(null));
+
+    const formTitle = this.container.querySelector('#sidebar-destination-form-title');
+    if (formTitle) formTitle.textContent = 'Add destination';
+  }
+
+  /**
+   * Show only the inputs for the selected auth scheme
+   */
+  updateAuthFields(type) {
+    this.container.querySelectorAll('.tella-auth-fields').forEach(fields => {
+      fields.style.display = fields.getAttribute('data-auth-type') === type ? 'flex' : 'none';
+    });
+  }
+
+  /**
+   * Append a name/value row to the custom headers list
+   */
+  addCustomHeaderRow(header = { name: '', value: '' }) {
+    const listEl = this.container.querySelector('#sidebar-custom-headers');
+    if (!listEl) return;
+
+    const row = document.createElement('div');
+    row.className = 'tella-custom-header-row';
+    row.innerHTML = `
+      <input type="text" class="tella-header-name" placeholder="Header name" autocomplete="off" />
+      <input type="password" class="tella-header-value" placeholder="Value" autocomplete="off" />
+      <button class="tella-btn-link" type="button" aria-label="Remove header">✕</button>
+    `;
+    row.querySelector('.tella-header-name').value = header.name;
+    row.querySelector('.tella-header-value').value = header.value;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+
+    listEl.appendChild(row);
+  }
+
+  /**
+   * Collect the auth scheme and custom headers from the config form
+   */
+  readCredentialsForm() {
+    const value = (selector) => this.container.querySelector(selector)?.value || '';
+
+    const headers = Array.from(this.container.querySelectorAll('.tella-custom-header-row')).map(row => ({
+      name: row.querySelector('.tella-header-name').value.trim(),
+      value: row.querySelector('.tella-header-value').value
+    }));
+
+    return this.destinationStore.normalizeCredentials({
+      auth: {
+        type: value('#sidebar-auth-type') || 'none',
+        token: value('#sidebar-auth-token').trim(),
+        username: value('#sidebar-auth-username').trim(),
+        password: value('#sidebar-auth-password'),
+        headerName: value('#sidebar-auth-header-name').trim(),
+        apiKey: value('#sidebar-auth-api-key').trim()
+      },
+      headers
+    });
+  }
+
+  /**
+   * Load stored credentials into the (masked) config form inputs
+   */
+  fillCredentialsForm(credentials) {
+    const auth = credentials.auth;
+    const fields = {
+      '#sidebar-auth-type': auth.type,
+      '#sidebar-auth-token': auth.token || '',
+      '#sidebar-auth-username': auth.username || '',
+      '#sidebar-auth-password': auth.password || '',
+      '#sidebar-auth-header-name': auth.type === 'apiKey' ? auth.headerName : '',
+      '#sidebar-auth-api-key': auth.apiKey || ''
+    };
+    Object.entries(fields).forEach(([selector, value]) => {
+      const input = this.container.querySelector(selector);
+      if (input) input.value = value;
+    });
+    this.updateAuthFields(auth.type);
+
+    const listEl = this.container.querySelector('#sidebar-custom-headers');
+    if (listEl) listEl.innerHTML = '';
+    credentials.headers.forEach(header => this.addCustomHeaderRow(header));
+  }
+
+  /**
+   * Render the template in the config form against the current extracted data
+   */
+  updateTemplatePreview() {
+    const previewEl = this.container.querySelector('#sidebar-template-preview');
+    const template = this.container.querySelector('#sidebar-destination-template')?.value || '';
+    if (!previewEl || previewEl.style.display === 'none') return;
+
+    const payload = this.getWebhookPayload();
+    if (!payload || !this.extractedData || Object.keys(this.extractedData).length === 0) {
+      previewEl.classList.remove('tella-template-preview-error');
+      previewEl.textContent = 'Open a video to preview the payload with real data.';
+      return;
+    }
 
+    try {
+      const rendered = template.trim()
+        ? TellaPayloadTemplate.renderJson(template, TellaPayloadTemplate.buildContext(payload))
+        : payload;
+      previewEl.classList.remove('tella-template-preview-error');
+      previewEl.textContent = JSON.stringify(rendered, null, 2);
     } catch (error) {
-      console.error('❌ Error saving webhook URL:', error);
-      const errorMessage = error?.message || 'Unknown error';
-      this.showError(`Failed to save webhook URL: ${errorMessage}`);
-      
-      // Try localStorage fallback if available
-      if (window.tellaErrorHandler) {
-        const fallbackResult = window.tellaErrorHandler.tryLocalStorageFallback('write', 'webhookUrl', this.webhookUrl);
-        if (fallbackResult) {
-          console.log('✅ Saved to localStorage fallback');
-          this.showSuccess('✅ Webhook URL saved (using fallback storage)!');
-          this.updateInterface();
-        }
-      }
+      previewEl.classList.add('tella-template-preview-error');
+      previewEl.textContent = `⚠️ ${error.message}`;
+    }
+  }
+
+  /**
+   * Only offer "Done" when there is at least one destination to go back to
+   */
+  updateDoneButton() {
+    const doneContainer = this.container.querySelector('#sidebar-config-done-container');
+    if (doneContainer) {
+      doneContainer.style.display = this.destinations.length > 0 ? 'inline-flex' : 'none';
     }
   }
 
@@ -777,28 +2198,29 @@ class TellaSidebarWebhook {
   }
 
   /**
-   * Send extracted data to webhook
+   * Send extracted data to every selected destination
    */
   async sendToWebhook() {
     console.log('🚀 sendToWebhook called');
-    console.log('🔗 Webhook URL:', this.webhookUrl);
     console.log('📊 Extracted data:', this.extractedData);
 
-    if (!this.webhookUrl) {
-      console.error('❌ No webhook URL configured');
-      this.showError('Please configure a webhook URL first');
+    if (this.destinations.length === 0) {
+      console.error('❌ No webhook destinations configured');
+      this.showError('Please configure a webhook destination first');
+      return;
+    }
+
+    const destinations = this.getSelectedDestinations();
+    if (destinations.length === 0) {
+      this.showError('Select at least one destination to send to');
       return;
     }
 
     // Validate webhook URL format
-    try {
-      const url = new URL(this.webhookUrl);
-      if (!url.protocol.startsWith('http')) {
-        throw new Error('Webhook URL must use http or https');
-      }
-    } catch (e) {
-      console.error('❌ Invalid webhook URL:', e);
-      this.showError('Invalid webhook URL. Please check the URL format.');
+    const invalid = destinations.find(destination => this.destinationStore.validateUrl(destination.url));
+    if (invalid) {
+      console.error('❌ Invalid webhook URL for destination:', invalid.name);
+      this.showError(`Invalid webhook URL for "${invalid.name}". Please check the URL format.`);
       return;
     }
 
@@ -808,53 +2230,54 @@ class TellaSidebarWebhook {
       return;
     }
 
-    try {
-      const primarySendBtn = this.container.querySelector('#sidebar-send-to-webhook');
+    const primarySendBtn = this.container.querySelector('#sidebar-send-to-webhook');
 
+    try {
       // Disable button during sending
       if (primarySendBtn) {
         primarySendBtn.disabled = true;
-        const spanElement = primarySendBtn.querySelector('span:last-child');
-        if (spanElement) spanElement.textContent = 'Sending...';
       }
-
+      this.updateSendButtonLabel('Sending...');
       this.updateStatus('checking', 'Sending to webhook...');
 
       // Prepare payload with all extracted data
-      const enhancedData = this._buildEnhancedPayload();
-      
-      const payload = {
-        event: 'tella_data_extracted',
-        timestamp: new Date().toISOString(),
-        source: 'tella-extension-sidebar',
-        data: enhancedData
-      };
+      const payload = this.getWebhookPayload();
 
-      console.log('📡 Sending to webhook:', this.webhookUrl);
       console.log('📦 Payload:', payload);
       console.log('📦 Payload video.channelIDs:', payload.data?.video?.channelIDs);
       console.log('📦 Full payload JSON:', JSON.stringify(payload, null, 2));
 
-      // Send to webhook using proper promise handling with timeout
-      const response = await this.sendRuntimeMessage({
-        action: 'sendToWebhook',
-        url: this.webhookUrl,
-        data: payload
-      });
+      this.renderSendResults(destinations);
 
-      console.log('📨 Webhook response:', response);
+      const results = await Promise.all(
+        destinations.map(destination => this.sendToDestination(this.routeDestination(destination), payload))
+      );
 
-      if (response && response.success) {
-        this.showSuccess('✅ Successfully sent to webhook!');
+      const delivered = results.filter(r => r.outcome === 'delivered').length;
+      const queued = results.filter(r => r.outcome === 'queued').length;
+      const failed = results.filter(r => r.outcome === 'failed');
+
+      if (delivered === results.length) {
+        const target = results.length > 1 ? `${results.length} destinations` : 'webhook';
+        const attemptsNote = results.length === 1 && results[0].response?.attempts > 1
+          ? ` (after ${results[0].response.attempts} attempts)`
+          : '';
+        this.showSuccess(`✅ Successfully sent to ${target}!${attemptsNote}`);
         this.updateStatus('ready', 'Data sent successfully');
 
-        // Store in history
-        await this.storeSyncHistory();
+      } else if (failed.length === 0) {
+        // Nothing permanently failed - the rest is persisted in the background outbox
+        this.showError(
+          `⏳ Delivered to ${delivered} of ${results.length}; ${queued} queued and will retry automatically`
+        );
+        this.updateStatus('checking', 'Queued for retry');
 
       } else {
-        const errorMsg = response?.error || response?.message || 'Unknown error';
-        console.error('❌ Webhook send failed:', errorMsg);
-        throw new Error(errorMsg);
+        this.showError(
+          `Failed to send to ${failed.map(r => r.destination.name).join(', ')}`,
+          failed.map(r => `${r.destination.name}: ${r.error}`).join('\n')
+        );
+        this.updateStatus('error', 'Send failed');
       }
 
     } catch (error) {
@@ -863,15 +2286,265 @@ class TellaSidebarWebhook {
       this.showError('Failed to send to webhook: ' + error.message);
       this.updateStatus('error', 'Send failed');
     } finally {
-      const primarySendBtn = this.container.querySelector('#sidebar-send-to-webhook');
-
       // Re-enable button
       if (primarySendBtn) {
         primarySendBtn.disabled = false;
-        const spanElement = primarySendBtn.querySelector('span:last-child');
-        if (spanElement) spanElement.textContent = 'Send to Webhook';
       }
+      this.updateSendButtonLabel();
+    }
+  }
+
+  /**
+   * Send the payload to a single destination via the background script.
+   * The envelope's event becomes tella_video_created/tella_video_updated with a `changes` diff.
+   * @param {Object} options - skipTemplate: send payload as-is (history resends);
+   *                           storyId: video the payload belongs to, when the caller knows it better than data.video.id
+   * @returns {Promise<{destination: Object, outcome: string, response?: Object, error?: string}>}
+   */
+  async sendToDestination(destination, payload, options = {}) {
+    const deliveryId = this.generateDeliveryId();
+    this.activeDeliveries.set(deliveryId, destination);
+    this.updateDestinationResult(destination.id, 'sending', 'Sending…');
+
+    // Created vs updated, and what changed since this destination last received the video.
+    // Resends replay a stored payload as-is. Callers that compared first pass the storyId they compared
+    // under, so the baseline is recorded under the same key.
+    const storyId = options.storyId || payload?.data?.video?.id;
+    let comparison = null;
+    if (!options.skipTemplate && storyId) {
+      try {
+        comparison = await this.changeTracker.compare(storyId, destination.id, payload.data);
+        payload = { ...payload, event: comparison.event, changes: comparison.changes };
+      } catch (error) {
+        console.warn('⚠️ Change detection failed, sending without it:', error);
+      }
+    }
+
+    let data;
+    try {
+      // Resends replay exactly what was delivered before, so the template is not applied twice
+      data = options.skipTemplate ? payload : this.renderDestinationPayload(destination, payload);
+    } catch (error) {
+      console.error('❌ Template error for destination:', destination.name, error);
+      this.activeDeliveries.delete(deliveryId);
+      this.updateDestinationResult(destination.id, 'failed', `Template error: ${error.message}`);
+      return { destination, outcome: 'failed', error: `Template error: ${error.message}` };
+    }
+
+    const historyEntry = this.describeHistoryVideo(options.historyEnvelope || payload);
+
+    try {
+      console.log('📡 Sending to destination:', destination.name);
+
+      // Timeout is generous because the background retries failed attempts with backoff before answering
+      const response = await this.sendRuntimeMessage({
+        action: 'sendToWebhook',
+        url: destination.url,
+        // The background looks up auth and custom headers by ID for every attempt, so they aren't sent or queued
+        destinationId: destination.id,
+        destinationName: destination.name,
+        retryPolicy: { maxAttempts: destination.maxAttempts },
+        data,
+        // The background validates the standard envelope, even when a template reshaped it
+        envelope: data !== payload ? payload : undefined,
+        deliveryId,
+        source: historyEntry.source,
+        history: { title: historyEntry.title, url: historyEntry.url, videoId: historyEntry.videoId }
+      }, WEBHOOK_SEND_TIMEOUT_MS);
+
+      // Every outcome is recorded, including failures and deliveries handed to the outbox
+      await this.storeSyncHistory(destination, historyEntry, { sentData: data, response });
+
+      // Delivered and queued payloads become the baseline for the next change comparison
+      if (comparison && (response?.success || response?.queued)) {
+        await this.changeTracker.record(storyId, destination.id, comparison);
+      }
+
+      console.log('📨 Webhook response:', destination.name, response);
+
+      if (response && response.success) {
+        const attemptsNote = response.attempts > 1 ? ` after ${response.attempts} attempts` : '';
+        const changeNote = comparison
+          ? ` · ${comparison.event === TellaChangeTracker.EVENTS.created ? 'New video' : comparison.changes.summary}`
+          : '';
+        const schemaNote = response.validationErrors?.length
+          ? ` · ⚠️ ${response.validationErrors.length} schema warning${response.validationErrors.length === 1 ? '' : 's'}`
+          : '';
+        if (schemaNote) {
+          console.warn('⚠️ Payload schema warnings:', destination.name, response.validationErrors);
+        }
+        this.updateDestinationResult(destination.id, 'delivered', `Delivered (${response.status})${attemptsNote}${changeNote}${schemaNote}`);
+        return { destination, outcome: 'delivered', response };
+      }
+
+      if (response && response.queued) {
+        // Delivery failed for now but is persisted in the background outbox
+        const nextAttempt = response.nextAttemptAt ? new Date(response.nextAttemptAt).toLocaleTimeString() : 'shortly';
+        console.warn('⏳ Webhook delivery queued for background retry:', destination.name, response);
+        this.updateDestinationResult(destination.id, 'queued', `Queued - retrying at ${nextAttempt}`);
+        return { destination, outcome: 'queued', response, error: response.error };
+      }
+
+      const errorMsg = response?.error || response?.message || 'Unknown error';
+      console.error('❌ Webhook send failed:', destination.name, errorMsg);
+      this.updateDestinationResult(destination.id, 'failed', errorMsg);
+      return { destination, outcome: 'failed', response, error: errorMsg };
+
+    } catch (error) {
+      console.error('❌ Error sending to destination:', destination.name, error);
+      this.updateDestinationResult(destination.id, 'failed', error.message);
+      await this.storeSyncHistory(destination, historyEntry, {
+        sentData: data,
+        response: { success: false, error: error.message, originalError: error.message }
+      });
+      return { destination, outcome: 'failed', error: error.message };
+
+    } finally {
+      this.activeDeliveries.delete(deliveryId);
+    }
+  }
+
+  /**
+   * Shape the payload for a destination: its template if it has one, otherwise the standard envelope
+   */
+  renderDestinationPayload(destination, payload) {
+    if (!destination.template || !destination.template.trim()) {
+      return payload;
+    }
+
+    return TellaPayloadTemplate.renderJson(destination.template, TellaPayloadTemplate.buildContext(payload));
+  }
+
+  /**
+   * Show one result row per destination being sent to
+   */
+  renderSendResults(destinations) {
+    const resultsEl = this.container.querySelector('#sidebar-send-results');
+    if (!resultsEl) return;
+
+    resultsEl.innerHTML = destinations.map(destination => `
+      <div class="tella-send-result" data-destination-id="${destination.id}" data-state="pending">
+        <span class="tella-send-result-name">${this.escapeHtml(destination.name)}</span>
+        <span class="tella-send-result-status">Waiting…</span>
+      </div>
+    `).join('');
+    resultsEl.style.display = 'block';
+  }
+
+  /**
+   * Update the result row for one destination
+   * @param {string} state - sending | retrying | delivered | queued | failed
+   */
+  updateDestinationResult(destinationId, state, message) {
+    const row = this.container.querySelector(`.tella-send-result[data-destination-id="${destinationId}"]`);
+    if (!row) return;
+
+    const icons = { sending: '⏳', retrying: '🔁', delivered: '✅', queued: '⏳', failed: '❌' };
+    row.setAttribute('data-state', state);
+
+    const statusEl = row.querySelector('.tella-send-result-status');
+    if (statusEl) statusEl.textContent = `${icons[state] || ''} ${message}`.trim();
+  }
+
+  /**
+   * Destinations currently ticked in the picker
+   */
+  getSelectedDestinations() {
+    return this.destinations.filter(d => this.selectedDestinationIds.includes(d.id));
+  }
+
+  /**
+   * Show retry progress for an in-flight delivery, e.g. "Retrying 2/5…"
+   */
+  handleDeliveryAttempt(progress) {
+    console.log('🔁 Delivery attempt update:', progress);
+
+    const destination = this.activeDeliveries.get(progress.deliveryId);
+    if (!destination || !progress.willRetry) {
+      return;
+    }
+
+    const nextAttempt = progress.attempt + 1;
+    const label = `Retrying ${nextAttempt}/${progress.maxAttempts}…`;
+    const waitSeconds = Math.ceil((progress.delayMs || 0) / 1000);
+
+    this.updateDestinationResult(destination.id, 'retrying', `${label} (${progress.error}, waiting ${waitSeconds}s)`);
+
+    // With a single destination the button itself shows progress
+    if (this.activeDeliveries.size === 1) {
+      this.updateSendButtonLabel(label);
+    }
+
+    this.updateStatus('checking', `${destination.name}: ${label}`);
+  }
+
+  /**
+   * Generate an ID used to match background progress messages to this send
+   */
+  generateDeliveryId() {
+    return `dlv_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Compact summary of content.analytics (hidden when the transcript has no word timings)
+   */
+  updateAnalyticsPreview(analytics) {
+    const section = this.container.querySelector('#sidebar-analytics-section');
+    const summaryEl = this.container.querySelector('#sidebar-preview-analytics');
+    if (!section || !summaryEl) return;
+
+    if (!analytics) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const rows = [
+      ['Pace', `${analytics.wordsPerMinute} words/min · talking ${Math.round(analytics.talkTime.talkRatio * 100)}% of the video`],
+      ['Fillers', `${analytics.fillers.count} (${analytics.fillers.per100Words} per 100 words)`],
+      ['Reading time', `${analytics.readingTime.minutes} min`]
+    ];
+
+    const paced = analytics.chapters.filter(chapter => chapter.wordCount > 0);
+    if (paced.length > 1) {
+      const sorted = [...paced].sort((a, b) => a.wordsPerMinute - b.wordsPerMinute);
+      const slowest = sorted[0];
+      const fastest = sorted[sorted.length - 1];
+      rows.push(['Chapters', `slowest "${slowest.title}" (${slowest.wordsPerMinute}) · fastest "${fastest.title}" (${fastest.wordsPerMinute})`]);
+    }
+
+    const longestPause = analytics.longestPauses[0];
+    if (longestPause) {
+      rows.push(['Longest pause', `${(longestPause.durationMs / 1000).toFixed(1)}s at ${longestPause.startFormatted}`]);
+    }
+
+    if (analytics.topTerms.length > 0) {
+      rows.push(['Top terms', analytics.topTerms.slice(0, 5).map(term => `${term.term} (${term.count})`).join(', ')]);
+    }
+
+    summaryEl.innerHTML = rows.map(([label, value]) => `
+      <div class="data-item" style="margin-bottom: 4px;">
+        <strong>${label}:</strong>
+        <span>${this.escapeHtml(value)}</span>
+      </div>
+    `).join('');
+    section.style.display = 'block';
+  }
+
+  /**
+   * List content.keywords, allowlisted ones first (hidden when there are none)
+   */
+  updateKeywordsPreview(keywords) {
+    const section = this.container.querySelector('#sidebar-keywords-section');
+    const keywordsEl = this.container.querySelector('#sidebar-preview-keywords');
+    if (!section || !keywordsEl) return;
+
+    if (!Array.isArray(keywords) || keywords.length === 0) {
+      section.style.display = 'none';
+      return;
     }
+
+    keywordsEl.textContent = keywords.map(keyword => keyword.keyword).join(', ');
+    section.style.display = 'block';
   }
 
   /**
@@ -941,9 +2614,13 @@ class TellaSidebarWebhook {
         const timestamp = chapter.timestampFormatted || this.formatTimestamp(chapter.timestamp || 0);
         const title = chapter.title || 'Untitled';
         const description = chapter.description ? ` - ${chapter.description}` : '';
+        const section = (contentData.sections || []).find(s => s.chapterId && s.chapterId === chapter.id);
+        const wordCount = section && section.wordCount > 0
+          ? ` <span style="font-weight: 400; color: #6c757d;">(${section.wordCount} words)</span>`
+          : '';
         
         chapterEl.innerHTML = `
-          <div style="font-weight: 600; color: #212529;">${timestamp} - ${title}</div>
+          <div style="font-weight: 600; color: #212529;">${timestamp} - ${title}${wordCount}</div>
           ${description ? `<div style="color: #6c757d; font-size: 10px; margin-top: 2px;">${description}</div>` : ''}
         `;
         
@@ -991,9 +2668,21 @@ class TellaSidebarWebhook {
       transcriptSection.style.display = 'none';
     }
 
+    // Subtitle downloads (only available when word timings were extracted)
+    const subtitleDownloads = this.container.querySelector('#sidebar-subtitle-downloads');
+    if (subtitleDownloads) {
+      subtitleDownloads.style.display = transcriptionData.srt || transcriptionData.vtt ? 'flex' : 'none';
+    }
+
+    this.updateAnalyticsPreview(contentData.analytics);
+    this.updateKeywordsPreview(contentData.keywords);
+
     // Show preview
     preview.style.display = 'block';
 
+    // Keep an open template preview in sync with the new video
+    this.updateTemplatePreview();
+
     // Show quick action buttons
     this.showQuickActionButtons();
   }
@@ -1008,73 +2697,12 @@ class TellaSidebarWebhook {
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
   }
 
-  /**
-   * Format timestamp from seconds to HH:MM:SS or MM:SS with leading zeros
-   */
-  formatTimestampWithLeadingZeros(seconds) {
-    if (typeof seconds !== 'number') return '00:00';
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const remainingSeconds = Math.floor(seconds % 60);
-    
-    if (hours > 0) {
-      return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
-    }
-    return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
-  }
-
-  /**
-   * Format chapters as markdown bulleted list
-   * Format: - 00:00 {ChapterName} - {description}
-   */
-  formatChaptersAsMarkdown(chapters) {
-    if (!chapters || !Array.isArray(chapters) || chapters.length === 0) {
-      return '';
-    }
-
-    return chapters
-      .map(chapter => {
-        // Get timestamp - prefer formatted version, or format from timestamp
-        let timestamp;
-        if (chapter.timestampFormatted) {
-          // Ensure leading zeros for consistency
-          timestamp = chapter.timestampFormatted;
-        } else if (chapter.timestamp !== undefined) {
-          timestamp = this.formatTimestampWithLeadingZeros(chapter.timestamp);
-        } else {
-          timestamp = '00:00';
-        }
-        
-        // Get title and description
-        const title = chapter.title || 'Untitled';
-        const description = chapter.description || '';
-        
-        // Format as: - 00:00 {ChapterName} - {description}
-        if (description) {
-          return `- ${timestamp} ${title} - ${description}`;
-        } else {
-          return `- ${timestamp} ${title}`;
-        }
-      })
-      .join('\n');
-  }
-
   /**
    * Build enhanced payload with chaptersMd added to content
    * @private
    */
-  _buildEnhancedPayload() {
-    const contentData = this.extractedData?.content || {};
-    const chapters = contentData.chapters || [];
-    const chaptersMd = this.formatChaptersAsMarkdown(chapters);
-    
-    return {
-      ...this.extractedData,
-      content: {
-        ...contentData,
-        chaptersMd: chaptersMd
-      }
-    };
+  _buildEnhancedPayload(data = this.extractedData) {
+    return TellaDataExtractor.buildPayloadData(data);
   }
 
   /**
@@ -1088,7 +2716,7 @@ class TellaSidebarWebhook {
    * Update interface based on current state
    */
   updateInterface() {
-    const hasWebhook = !!this.webhookUrl;
+    const hasWebhook = this.destinations.length > 0;
 
     const configSection = this.container.querySelector('#sidebar-config');
     const mainSection = this.container.querySelector('#sidebar-main');
@@ -1121,12 +2749,186 @@ class TellaSidebarWebhook {
     const configSection = this.container.querySelector('#sidebar-config');
     const mainSection = this.container.querySelector('#sidebar-main');
 
+    const historySection = this.container.querySelector('#sidebar-history');
+
+    this.renderDestinationList();
+    this.updateDoneButton();
+
+    this.renderRuleList();
+    this.loadLibrarySync();
+
+    if (historySection) historySection.style.display = 'none';
     if (configSection && mainSection) {
       configSection.style.display = 'block';
       mainSection.style.display = 'none';
     }
   }
 
+  /**
+   * Show the delivery history view
+   */
+  async showHistorySection() {
+    const historySection = this.container.querySelector('#sidebar-history');
+    const configSection = this.container.querySelector('#sidebar-config');
+    const mainSection = this.container.querySelector('#sidebar-main');
+
+    if (configSection) configSection.style.display = 'none';
+    if (mainSection) mainSection.style.display = 'none';
+    if (historySection) historySection.style.display = 'block';
+
+    // Destination filter options follow the current destinations
+    const destinationSelect = this.container.querySelector('#sidebar-history-destination');
+    if (destinationSelect) {
+      destinationSelect.innerHTML = `
+        <option value="">All destinations</option>
+        ${this.destinations.map(d => `
+          <option value="${d.id}" ${d.id === this.historyFilters.destinationId ? 'selected' : ''}>${this.escapeHtml(d.name)}</option>
+        `).join('')}
+      `;
+    }
+
+    const retentionInput = this.container.querySelector('#sidebar-history-retention');
+    if (retentionInput) {
+      retentionInput.value = await this.historyStore.getRetention();
+    }
+
+    await this.renderHistory();
+  }
+
+  hideHistorySection() {
+    const historySection = this.container.querySelector('#sidebar-history');
+    if (historySection) historySection.style.display = 'none';
+    this.updateInterface();
+  }
+
+  /**
+   * Render history entries matching the current filters
+   */
+  async renderHistory() {
+    const listEl = this.container.querySelector('#sidebar-history-list');
+    if (!listEl) return;
+
+    let entries = [];
+    try {
+      entries = await this.historyStore.list(this.historyFilters);
+    } catch (error) {
+      console.error('❌ Error loading history:', error);
+    }
+
+    if (entries.length === 0) {
+      listEl.innerHTML = '<div class="tella-history-empty">No deliveries yet</div>';
+      return;
+    }
+
+    const icons = { delivered: '✅', queued: '⏳', failed: '❌' };
+
+    listEl.innerHTML = entries.map(entry => {
+      const state = entry.outcome || (entry.success ? 'delivered' : 'failed');
+      return `
+      <div class="tella-history-item" data-history-id="${entry.id}" data-state="${state}">
+        <div class="tella-history-item-main">
+          <strong>${this.escapeHtml(entry.title || 'Unknown')}</strong>
+          <span class="tella-history-status">${icons[state]} ${entry.status || (state === 'delivered' ? 'OK' : (state === 'queued' ? 'Queued' : 'Error'))}</span>
+        </div>
+        <div class="tella-history-item-meta">
+          <span>${this.escapeHtml(entry.destinationName || this.maskUrl(entry.webhookUrl || ''))}</span>
+          <span>${new Date(entry.timestamp).toLocaleString()}</span>
+          <span>${this.formatBytes(entry.payloadSize || 0)}</span>
+          ${entry.details?.latencyMs != null ? `<span>${entry.details.latencyMs} ms</span>` : ''}
+          ${entry.source && entry.source !== 'sidebar' ? `<span>${this.escapeHtml(entry.source)}</span>` : ''}
+        </div>
+        ${entry.error ? `<div class="tella-history-error">${this.escapeHtml(entry.error)}</div>` : ''}
+        ${this.renderHistoryDetails(entry)}
+        ${entry.payload ? '<button class="tella-btn-link" data-action="resend" type="button">↻ Resend</button>' : ''}
+      </div>
+    `;
+    }).join('');
+
+    listEl.querySelectorAll('.tella-history-item').forEach(item => {
+      item.querySelector('[data-action="resend"]')?.addEventListener('click', (e) => {
+        this.resendHistoryEntry(item.getAttribute('data-history-id'), e.currentTarget);
+      });
+    });
+  }
+
+  /**
+   * Collapsible request/response details for a history entry (headers are already masked by the background)
+   */
+  renderHistoryDetails(entry) {
+    const details = entry.details;
+    if (!details && !entry.originalError) {
+      return '';
+    }
+
+    const headers = Object.entries(details?.request?.headers || {})
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('\n');
+    const attempts = (details?.attempts || [])
+      .map(a => `#${a.attempt} ${a.status || '-'} ${a.latencyMs != null ? `${a.latencyMs} ms` : ''}${a.error ? ` ${a.error}` : ''}`)
+      .join('\n');
+
+    return `
+      <details class="tella-history-details">
+        <summary>Details</summary>
+        ${entry.originalError && entry.originalError !== entry.error ? `<div><strong>Error:</strong> ${this.escapeHtml(entry.originalError)}</div>` : ''}
+        ${details?.request ? `<div><strong>Request:</strong> ${details.request.method} ${this.escapeHtml(this.maskUrl(details.request.url))}</div>` : ''}
+        ${headers ? `<pre>${this.escapeHtml(headers)}</pre>` : ''}
+        ${details?.response ? `<div><strong>Response:</strong> ${details.response.status} ${this.escapeHtml(details.response.statusText || '')}</div>` : ''}
+        ${details?.response?.body ? `<pre>${this.escapeHtml(details.response.body)}</pre>` : ''}
+        ${attempts ? `<div><strong>Attempts:</strong></div><pre>${this.escapeHtml(attempts)}</pre>` : ''}
+      </details>
+    `;
+  }
+
+  /**
+   * Replay a stored payload to the destination it was originally sent to
+   */
+  async resendHistoryEntry(historyId, button) {
+    const entry = await this.historyStore.get(historyId);
+    if (!entry || !entry.payload) {
+      this.showError('This delivery has no stored payload to resend');
+      return;
+    }
+
+    // Prefer the saved destination (current URL and credentials); fall back to the URL recorded at send time
+    const destination = this.destinations.find(d => d.id === entry.destinationId) || (entry.webhookUrl ? {
+      id: entry.destinationId || 'history',
+      name: entry.destinationName || this.maskUrl(entry.webhookUrl),
+      url: entry.webhookUrl,
+      maxAttempts: 5,
+      template: ''
+    } : null);
+
+    if (!destination) {
+      this.showError('The destination for this delivery no longer exists');
+      return;
+    }
+
+    if (button) {
+      button.disabled = true;
+      button.textContent = 'Resending…';
+    }
+
+    const envelope = { source: 'tella-extension-resend', data: { video: { title: entry.title, url: entry.url, id: entry.videoId } } };
+    const result = await this.sendToDestination(destination, entry.payload, { skipTemplate: true, historyEnvelope: envelope });
+
+    if (result.outcome === 'delivered') {
+      this.showSuccess(`✅ Resent "${entry.title}" to ${destination.name}`);
+    } else if (result.outcome === 'queued') {
+      this.showError(`⏳ Resend to ${destination.name} queued and will retry automatically`);
+    } else {
+      this.showError(`Resend to ${destination.name} failed`, result.error);
+    }
+
+    await this.renderHistory();
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
   /**
    * Show extract button (primary)
    */
@@ -1148,7 +2950,7 @@ class TellaSidebarWebhook {
    */
   showSendButton() {
     const sendButtonContainer = this.container.querySelector('#sidebar-primary-send');
-    if (sendButtonContainer && this.webhookUrl) {
+    if (sendButtonContainer && this.destinations.length > 0) {
       sendButtonContainer.style.display = 'block';
     }
   }
@@ -1203,6 +3005,35 @@ class TellaSidebarWebhook {
     if (tryAgainBtn) tryAgainBtn.style.display = 'block';
   }
 
+  /**
+   * Save the generated captions as a .srt or .vtt file
+   * @param {string} format - 'srt' or 'vtt'
+   */
+  downloadSubtitles(format) {
+    const transcription = this.extractedData?.content?.transcription || {};
+    const contents = transcription[format];
+
+    if (!contents) {
+      this.showError('No subtitles available - this video has no timed transcript yet');
+      return;
+    }
+
+    const title = this.extractedData?.video?.title || this.extractedData?.video?.id || 'tella-video';
+    const filename = `${title.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'tella-video'}.${format}`;
+    const mimeType = format === 'vtt' ? 'text/vtt' : 'application/x-subrip';
+
+    const blobUrl = URL.createObjectURL(new Blob([contents], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = blobUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+
+    console.log('🎬 Subtitles downloaded:', filename);
+  }
+
   /**
    * Show raw data
    */
@@ -1227,7 +3058,7 @@ class TellaSidebarWebhook {
       const payload = this.getWebhookPayload();
 
       const dataToCopy = {
-        webhookUrl: this.webhookUrl,
+        destinations: this.getSelectedDestinations().map(d => ({ name: d.name, url: d.url })),
         payload: payload
       };
 
@@ -1242,50 +3073,61 @@ class TellaSidebarWebhook {
 
   /**
    * Store sync history
+   * @param {Object} destination - Where it was sent
+   * @param {Object} video - title/url/videoId/source from describeHistoryVideo
+   * @param {Object} details - sentData (body actually delivered, kept for resends) and the background response
    */
-  async storeSyncHistory() {
+  async storeSyncHistory(destination, video, details = {}) {
     try {
-      const result = await chrome.storage.local.get(['syncHistory']);
-      const history = result.syncHistory || [];
-
-      const title = this.extractedData.video?.title ||
-                   this.extractedData.title ||
-                   'Unknown';
-      const url = this.extractedData.video?.url ||
-                  this.extractedData.videoUrl ||
-                  this.currentTab?.url;
-
-      history.unshift({
-        timestamp: new Date().toISOString(),
-        title: title,
-        url: url,
-        webhookUrl: this.webhookUrl,
-        success: true,
-        source: 'sidebar'
+      await this.historyStore.add({
+        ...video,
+        destinationId: destination?.id || null,
+        destinationName: destination?.name || null,
+        webhookUrl: destination?.url || null,
+        payload: details.sentData,
+        ...TellaSyncHistoryStore.describeResult(details.response)
       });
 
-      // Keep only last 20 syncs
-      if (history.length > 20) {
-        history.splice(20);
-      }
-
-      await chrome.storage.local.set({ syncHistory: history });
-
     } catch (error) {
       console.error('❌ Error storing sync history:', error);
     }
   }
 
+  /**
+   * Video title/URL/ID and send source for a history entry
+   * @param {Object} payload - Envelope the delivery was built from
+   */
+  describeHistoryVideo(payload) {
+    // Read from the payload that was sent - extractedData may already belong to another video (bulk mode)
+    const data = payload?.data || payload || this.extractedData || {};
+    const sources = {
+      'tella-extension-bulk': 'bulk',
+      'tella-extension-resend': 'resend',
+      'tella-extension-auto': 'auto',
+      'tella-extension-watcher': 'watcher',
+      'tella-extension-sync': 'sync'
+    };
+
+    return {
+      title: data.video?.title || data.title || 'Unknown',
+      url: data.video?.url || data.videoUrl || this.currentTab?.url || null,
+      videoId: data.video?.id || null,
+      source: sources[payload?.source] || 'sidebar'
+    };
+  }
+
   /**
    * Get webhook payload for external use
+   * @param {Object} data - Extracted data to send; defaults to the page's video (bulk mode passes its own)
    */
-  getWebhookPayload() {
-    if (!this.extractedData) return null;
+  getWebhookPayload(data = this.extractedData) {
+    if (!data) return null;
 
     // Add chaptersMd to the payload
-    const enhancedData = this._buildEnhancedPayload();
+    const enhancedData = this._buildEnhancedPayload(data);
 
     return {
+      schemaVersion: TellaPayloadSchema.VERSION,
       event: 'tella_data_extracted',
       timestamp: new Date().toISOString(),
       source: 'tella-extension-sidebar',
@@ -1293,11 +3135,33 @@ class TellaSidebarWebhook {
     };
   }
 
+  /**
+   * Escape user-provided text before inserting it into markup
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Shorten a webhook URL for display, hiding the secret-bearing path
+   */
+  maskUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const path = parsed.pathname.length > 12 ? parsed.pathname.slice(0, 8) + '…' : parsed.pathname;
+      return `${parsed.host}${path}`;
+    } catch (e) {
+      return url;
+    }
+  }
+
   /**
    * Check if interface is ready
    */
   isReady() {
-    return this.initialized && !!this.webhookUrl;
+    return this.initialized && this.destinations.length > 0;
   }
 
   /**
@@ -1305,6 +3169,10 @@ class TellaSidebarWebhook {
    */
   destroy() {
     this.initialized = false;
+    if (this.runtimeMessageListener && chrome?.runtime?.onMessage) {
+      chrome.runtime.onMessage.removeListener(this.runtimeMessageListener);
+      this.runtimeMessageListener = null;
+    }
     if (this.container) {
       this.container.innerHTML = '';
     }
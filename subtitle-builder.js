@@ -0,0 +1,191 @@
+/**
+ * Tella Subtitle Builder
+ * Turns word-level transcriptionWords ({text, start, end_, hidden} in ms) into SRT and WebVTT captions
+ */
+
+const DEFAULT_SUBTITLE_OPTIONS = {
+  maxLineLength: 42, // Characters per caption line (broadcast convention)
+  maxLines: 2,
+  maxCueDurationMs: 7000,
+  minCueDurationMs: 1000, // Short cues are extended (without overlapping the next one) so they stay readable
+  maxGapMs: 1500 // A pause longer than this always starts a new cue
+};
+
+class TellaSubtitleBuilder {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SUBTITLE_OPTIONS, ...options };
+  }
+
+  /**
+   * Group visible words into timed cues
+   * @returns {Array<{index: number, startMs: number, endMs: number, lines: string[]}>}
+   */
+  buildCues(words) {
+    if (!Array.isArray(words)) {
+      return [];
+    }
+
+    const visibleWords = words.filter(word =>
+      !word.hidden &&
+      word.text && word.text.trim().length > 0 &&
+      typeof word.start === 'number' && typeof word.end_ === 'number'
+    );
+
+    const cues = [];
+    let current = [];
+
+    const flush = () => {
+      if (current.length > 0) {
+        cues.push(this.createCue(current));
+        current = [];
+      }
+    };
+
+    visibleWords.forEach(word => {
+      const text = word.text.trim();
+
+      if (current.length > 0) {
+        const first = current[0];
+        const last = current[current.length - 1];
+        const candidate = [...current.map(w => w.text.trim()), text];
+        const candidateLength = candidate.join(' ').length;
+
+        // The total length isn't enough: uneven words can leave no break that fits both lines
+        const tooLong = !this.fitsLines(candidate);
+        const tooSlow = word.end_ - first.start > this.options.maxCueDurationMs;
+        const paused = word.start - last.end_ > this.options.maxGapMs;
+        const sentenceEnded = /[.!?]["')\]]?$/.test(last.text.trim()) && candidateLength > this.options.maxLineLength;
+
+        if (tooLong || tooSlow || paused || sentenceEnded) {
+          flush();
+        }
+      }
+
+      current.push(word);
+    });
+    flush();
+
+    // Enforce a minimum display time where there is room before the next cue
+    cues.forEach((cue, index) => {
+      const next = cues[index + 1];
+      if (cue.endMs - cue.startMs < this.options.minCueDurationMs) {
+        const limit = next ? next.startMs : Infinity;
+        cue.endMs = Math.min(cue.startMs + this.options.minCueDurationMs, limit);
+      }
+      cue.index = index + 1;
+    });
+
+    return cues;
+  }
+
+  createCue(words) {
+    return {
+      index: 0,
+      startMs: words[0].start,
+      endMs: Math.max(words[words.length - 1].end_, words[0].start),
+      lines: this.wrapLines(words.map(w => w.text.trim()))
+    };
+  }
+
+  /**
+   * Split cue text into at most maxLines lines, balancing line lengths
+   */
+  wrapLines(tokens) {
+    const text = tokens.join(' ');
+    if (text.length <= this.options.maxLineLength || this.options.maxLines < 2) {
+      return [text];
+    }
+
+    const breakIndex = this.findLineBreak(tokens);
+    if (breakIndex === -1) {
+      // Only a single word longer than a line gets here (buildCues never lets a cue outgrow
+      // its lines otherwise), and there is nowhere to break it
+      return [text];
+    }
+
+    return [tokens.slice(0, breakIndex).join(' '), tokens.slice(breakIndex).join(' ')];
+  }
+
+  /**
+   * Whether tokens fit on the allowed lines without any line exceeding maxLineLength
+   */
+  fitsLines(tokens) {
+    if (tokens.join(' ').length <= this.options.maxLineLength) {
+      return true;
+    }
+    return this.options.maxLines >= 2 && this.findLineBreak(tokens) !== -1;
+  }
+
+  /**
+   * Index of the token that starts the second line: the break that keeps both lines within the
+   * limit and closest in length, or -1 when no break does
+   */
+  findLineBreak(tokens) {
+    let bestIndex = -1;
+    let bestScore = Infinity;
+    for (let i = 1; i < tokens.length; i++) {
+      const first = tokens.slice(0, i).join(' ');
+      const second = tokens.slice(i).join(' ');
+      if (first.length > this.options.maxLineLength || second.length > this.options.maxLineLength) {
+        continue;
+      }
+      const score = Math.abs(first.length - second.length);
+      if (score < bestScore) {
+        bestScore = score;
+        bestIndex = i;
+      }
+    }
+
+    return bestIndex;
+  }
+
+  /**
+   * SubRip (.srt): numbered cues, "HH:MM:SS,mmm --> HH:MM:SS,mmm"
+   */
+  toSrt(cues) {
+    return cues
+      .map(cue => `${cue.index}\n${this.formatTime(cue.startMs, ',')} --> ${this.formatTime(cue.endMs, ',')}\n${cue.lines.join('\n')}`)
+      .join('\n\n') + (cues.length ? '\n' : '');
+  }
+
+  /**
+   * WebVTT (.vtt): "WEBVTT" header, "HH:MM:SS.mmm --> HH:MM:SS.mmm"
+   */
+  toVtt(cues) {
+    const body = cues
+      .map(cue => `${cue.index}\n${this.formatTime(cue.startMs, '.')} --> ${this.formatTime(cue.endMs, '.')}\n${cue.lines.map(line => this.escapeVtt(line)).join('\n')}`)
+      .join('\n\n');
+
+    return `WEBVTT\n\n${body}${cues.length ? '\n' : ''}`;
+  }
+
+  /**
+   * Build both formats in one pass
+   */
+  build(words) {
+    const cues = this.buildCues(words);
+    return {
+      cueCount: cues.length,
+      srt: this.toSrt(cues),
+      vtt: this.toVtt(cues)
+    };
+  }
+
+  formatTime(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}${separator}${String(millis).padStart(3, '0')}`;
+  }
+
+  // "-->" and markup characters have meaning in WebVTT cue text
+  escapeVtt(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
+
+// Export for content scripts
+self.TellaSubtitleBuilder = TellaSubtitleBuilder;
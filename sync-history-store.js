@@ -0,0 +1,177 @@
+/**
+ * Tella Sync History Store
+ * Delivery history persisted in chrome.storage.local, newest first, with a configurable retention limit
+ * Read anywhere; writes always run in the background service worker, because the lock that
+ * serializes them only covers one context. Other contexts forward them with a syncHistoryWrite message.
+ */
+
+const SYNC_HISTORY_STORAGE_KEY = 'syncHistory';
+const HISTORY_RETENTION_STORAGE_KEY = 'historyRetention';
+const DEFAULT_HISTORY_RETENTION = 50;
+const MAX_HISTORY_RETENTION = 500;
+const SYNC_HISTORY_WRITE_METHODS = ['add', 'clear', 'setRetention'];
+
+class TellaSyncHistoryStore {
+  constructor() {
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * History fields for a background sendToWebhook result
+   * (delivered, queued for a background retry, or failed)
+   */
+  static describeResult(result) {
+    result = result || {};
+    const outcome = result.success ? 'delivered' : (result.queued ? 'queued' : 'failed');
+
+    return {
+      outcome,
+      success: outcome === 'delivered',
+      status: result.status || null,
+      attempts: result.attempts || 1,
+      error: result.success ? null : (result.error || result.message || 'Unknown error'),
+      originalError: result.originalError || null,
+      details: result.details || null // Masked request headers, response status/body, latency, attempt log
+    };
+  }
+
+  /**
+   * Add a delivery to the top of the history
+   * @param {Object} entry - title, videoId, url, destinationId, destinationName, webhookUrl, source, payload
+   *                         and the describeResult fields
+   * @returns {Promise<Object>} The stored entry
+   */
+  async add(entry) {
+    if (!this.ownsWrites()) {
+      return this.forwardWrite('add', [entry]);
+    }
+
+    const stored = {
+      id: `hist_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: new Date().toISOString(),
+      payloadSize: entry.payload ? new Blob([JSON.stringify(entry.payload)]).size : 0,
+      ...entry
+    };
+
+    await this.withLock(async () => {
+      const [history, retention] = await Promise.all([this.readEntries(), this.getRetention()]);
+      history.unshift(stored);
+      await this.writeEntries(history.slice(0, retention));
+    });
+
+    return stored;
+  }
+
+  /**
+   * List entries, optionally filtered
+   * @param {Object} filters - {status: 'all'|'success'|'failed', destinationId, search}
+   */
+  async list(filters = {}) {
+    const history = await this.readEntries();
+    const search = (filters.search || '').trim().toLowerCase();
+
+    return history.filter(entry => {
+      if (filters.status === 'success' && !entry.success) return false;
+      if (filters.status === 'failed' && entry.success) return false;
+      if (filters.destinationId && entry.destinationId !== filters.destinationId) return false;
+      if (search && !`${entry.title || ''} ${entry.destinationName || ''} ${entry.videoId || ''}`.toLowerCase().includes(search)) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  async get(id) {
+    const history = await this.readEntries();
+    return history.find(entry => entry.id === id) || null;
+  }
+
+  async clear() {
+    if (!this.ownsWrites()) {
+      return this.forwardWrite('clear', []);
+    }
+
+    await this.withLock(() => this.writeEntries([]));
+  }
+
+  /**
+   * How many deliveries are kept
+   */
+  async getRetention() {
+    const result = await chrome.storage.local.get([HISTORY_RETENTION_STORAGE_KEY]);
+    return this.clampRetention(result[HISTORY_RETENTION_STORAGE_KEY]);
+  }
+
+  /**
+   * Change the retention limit, trimming existing history to match
+   */
+  async setRetention(limit) {
+    if (!this.ownsWrites()) {
+      return this.forwardWrite('setRetention', [limit]);
+    }
+
+    const retention = this.clampRetention(limit);
+
+    await this.withLock(async () => {
+      const history = await this.readEntries();
+      await chrome.storage.local.set({ [HISTORY_RETENTION_STORAGE_KEY]: retention });
+      await this.writeEntries(history.slice(0, retention));
+    });
+
+    return retention;
+  }
+
+  clampRetention(limit) {
+    const parsed = parseInt(limit, 10);
+    return parsed > 0 ? Math.min(parsed, MAX_HISTORY_RETENTION) : DEFAULT_HISTORY_RETENTION;
+  }
+
+  async readEntries() {
+    const result = await chrome.storage.local.get([SYNC_HISTORY_STORAGE_KEY]);
+    const history = result[SYNC_HISTORY_STORAGE_KEY] || [];
+
+    // Entries written before history had IDs
+    return history.map((entry, index) => (entry.id ? entry : { ...entry, id: `legacy_${index}_${entry.timestamp}` }));
+  }
+
+  async writeEntries(history) {
+    await chrome.storage.local.set({ [SYNC_HISTORY_STORAGE_KEY]: history });
+  }
+
+  ownsWrites() {
+    return typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+  }
+
+  /**
+   * Run a write in the background service worker (see handleWrite)
+   */
+  async forwardWrite(method, args) {
+    const response = await chrome.runtime.sendMessage({ action: 'syncHistoryWrite', method, args });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not update delivery history');
+    }
+    return response.result;
+  }
+
+  /**
+   * Apply a write forwarded by another context
+   */
+  async handleWrite(method, args = []) {
+    if (!SYNC_HISTORY_WRITE_METHODS.includes(method)) {
+      throw new Error(`Unknown history write: ${method}`);
+    }
+    return this[method](...args);
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the history key (within the background service worker)
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn, fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+}
+
+// Export for content scripts (window) and the background service worker (self)
+self.TellaSyncHistoryStore = TellaSyncHistoryStore;
@@ -1,18 +1,54 @@
 /**
  * Simple test server to receive webhook calls for testing
  * Run with: node test-webhook-server.js
+ *
+ * To verify signed requests, start it with the same signing secret configured in the extension:
+ *   WEBHOOK_SECRET=your-secret node test-webhook-server.js
  */
 
 const http = require('http');
 const url = require('url');
+const crypto = require('crypto');
 
 const PORT = 3000;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const SIGNATURE_TOLERANCE_SECONDS = 300; // Reject requests signed more than 5 minutes ago
+
+/**
+ * Verify X-Tella-Signature / X-Tella-Timestamp against the raw request body
+ * Signature is "sha256=" + hex(HMAC-SHA256(secret, timestamp + "." + rawBody))
+ */
+function verifySignature(headers, rawBody) {
+  const signature = headers['x-tella-signature'];
+  const timestamp = headers['x-tella-timestamp'];
+
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'Missing X-Tella-Signature or X-Tella-Timestamp header' };
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (isNaN(age) || age > SIGNATURE_TOLERANCE_SECONDS) {
+    return { valid: false, reason: `Timestamp outside ${SIGNATURE_TOLERANCE_SECONDS}s tolerance` };
+  }
+
+  const expected = 'sha256=' + crypto
+    .createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+  const valid = expectedBuffer.length === signatureBuffer.length &&
+                crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+
+  return valid ? { valid: true } : { valid: false, reason: 'Signature mismatch' };
+}
 
 const server = http.createServer((req, res) => {
   // Enable CORS for browser requests
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, User-Agent');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, User-Agent, X-Tella-Signature, X-Tella-Timestamp');
 
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
@@ -24,13 +60,32 @@ const server = http.createServer((req, res) => {
   const endpoint = parsedUrl.pathname;
 
   if (req.method === 'POST') {
-    let body = '';
+    const chunks = [];
 
     req.on('data', chunk => {
-      body += chunk.toString();
+      chunks.push(chunk);
     });
 
     req.on('end', () => {
+      // Keep the exact raw body - signatures are computed over it, not over re-serialized JSON
+      const body = Buffer.concat(chunks).toString('utf8');
+
+      if (WEBHOOK_SECRET) {
+        const verification = verifySignature(req.headers, body);
+        if (!verification.valid) {
+          console.error(`\n🔒 Rejected unsigned/invalid webhook at ${endpoint}: ${verification.reason}`);
+          res.writeHead(401, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            success: false,
+            error: 'Invalid signature',
+            reason: verification.reason,
+            receivedAt: new Date().toISOString()
+          }));
+          return;
+        }
+        console.log('\n🔒 Signature verified');
+      }
+
       try {
         const data = JSON.parse(body);
 
@@ -95,6 +150,9 @@ server.listen(PORT, () => {
   console.log(`   • Document: http://localhost:${PORT}/document`);
   console.log(`   • Transcription: http://localhost:${PORT}/transcription`);
   console.log('\n💡 Configure your extension with base URL: http://localhost:' + PORT);
+  console.log(WEBHOOK_SECRET
+    ? '🔒 Signature verification enabled (WEBHOOK_SECRET is set)'
+    : '🔓 Signature verification disabled (set WEBHOOK_SECRET to enable)');
   console.log('🔍 Visit http://localhost:' + PORT + ' for status\n');
 });
 
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+const PAGE_SCRIPTS = [
+  'destination-store.js',
+  'sync-history-store.js',
+  'change-tracker.js',
+  'routing-rules.js',
+  'payload-template.js',
+  'payload-schema.js',
+  'subtitle-builder.js',
+  'transcript-cleaner.js',
+  'keyword-extractor.js',
+  'transcript-analytics.js',
+  'data-extractor.js',
+  'sidebar-webhook.js',
+  'auto-sender.js'
+];
+
+/**
+ * Auto-sender in a video page, with history and change-tracking writes handled by a background
+ * context on the same storage, and webhook sends answered as delivered
+ */
+function createAutoSender() {
+  const storage = {
+    webhookDestinations: [{ id: 'dest-1', name: 'Zapier', url: 'https://hooks.example.com/tella', autoSend: true }]
+  };
+  const background = loadExtensionScripts(['sync-history-store.js', 'change-tracker.js'], { storage, serviceWorker: true }).context;
+  const stores = {
+    syncHistoryWrite: new background.TellaSyncHistoryStore(),
+    changeTrackerWrite: new background.TellaChangeTracker()
+  };
+
+  const { context } = loadExtensionScripts(PAGE_SCRIPTS, { storage, url: 'https://www.tella.tv/video/abc123/view' });
+  context.document = { createElement: () => ({ querySelector: () => null }) };
+
+  const sent = [];
+  context.chrome.runtime.sendMessage = (message, callback) => {
+    const respond = async () => {
+      if (message.action === 'sendToWebhook') {
+        sent.push(plain(message));
+        return { success: true, status: 200, attempts: 1 };
+      }
+      return { success: true, result: await stores[message.action].handleWrite(message.method, message.args) };
+    };
+    const response = respond();
+    if (callback) {
+      response.then(callback);
+    }
+    return response;
+  };
+
+  return { autoSender: new context.TellaAutoSender(), sent, storage };
+}
+
+// Data from the page fallback, which has no video.id
+function domData(title = 'Launch walkthrough') {
+  return {
+    video: { id: null, title, description: '', url: 'https://www.tella.tv/video/abc123/view', channelIDs: [] },
+    timing: { duration: 95 },
+    content: { chapters: [], sections: [], transcription: { transcript: 'Hello and welcome.' } },
+    metadata: { extractionMethod: 'dom' }
+  };
+}
+
+test('a second run with the same data sends nothing', async () => {
+  const { autoSender, sent, storage } = createAutoSender();
+
+  const first = await autoSender.run(domData(), 'abc123');
+  assert.equal(first.length, 1);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].data.event, 'tella_video_created');
+  assert.deepEqual(Object.keys(storage.deliverySnapshots), ['abc123:dest-1']);
+
+  assert.deepEqual(plain(await autoSender.run(domData(), 'abc123')), []);
+  assert.equal(sent.length, 1);
+});
+
+test('a changed video is sent again as an update', async () => {
+  const { autoSender, sent } = createAutoSender();
+
+  await autoSender.run(domData(), 'abc123');
+  await autoSender.run(domData('Launch walkthrough v2'), 'abc123');
+
+  assert.equal(sent.length, 2);
+  assert.equal(sent[1].data.event, 'tella_video_updated');
+  assert.equal(sent[1].data.changes.summary, 'Changed: title');
+});
+
+test('only destinations that opted in are sent to', async () => {
+  const { autoSender, sent, storage } = createAutoSender();
+  storage.webhookDestinations[0].autoSend = false;
+
+  assert.equal(await autoSender.run(domData(), 'abc123'), null);
+  assert.equal(sent.length, 0);
+});
@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+const FAST_RETRIES = { maxAttempts: 3, baseDelayMs: 1, jitterRatio: 0 };
+
+/**
+ * The background service worker with its own storage. fetch answers with the status respond() picks
+ * for each request (called with the request and how many came before it, and free to touch storage first);
+ * respond() can also return {status, body} to answer with a response body
+ */
+function createBackground(storage = {}, respond = async () => 200) {
+  const background = loadExtensionScripts(['background.js'], { storage, serviceWorker: true });
+  const requests = [];
+
+  background.context.fetch = async (url, init = {}) => {
+    const request = { url, ...init };
+    const answer = await respond(request, requests.length);
+    const { status, body = '' } = typeof answer === 'number' ? { status: answer } : answer;
+    requests.push(request);
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: status === 200 ? 'OK' : 'Error',
+      text: async () => body,
+      json: async () => ({}),
+      headers: { get: () => null }
+    };
+  };
+
+  return { ...background, requests };
+}
+
+test('credentials are read from the destination store for every attempt', async () => {
+  const storage = {
+    webhookDestinationCredentials: { 'dest-1': { auth: { type: 'bearer', token: 'old-token' }, headers: [{ name: 'X-Team', value: 'growth' }] } }
+  };
+  // The token is edited while the first attempt is in flight
+  const background = createBackground(storage, async (request, count) => {
+    if (count > 0) return 200;
+    storage.webhookDestinationCredentials['dest-1'].auth.token = 'new-token';
+    return 503;
+  });
+
+  const handleSendToWebhook = background.evaluate('handleSendToWebhook');
+  const result = await handleSendToWebhook('https://hooks.example.com/tella', { ok: true }, { destinationId: 'dest-1', retryPolicy: FAST_RETRIES });
+
+  assert.equal(result.success, true);
+  assert.equal(result.attempts, 2);
+  assert.equal(background.requests[0].headers.Authorization, 'Bearer old-token');
+  assert.equal(background.requests[1].headers.Authorization, 'Bearer new-token');
+  assert.equal(background.requests[1].headers['X-Team'], 'growth');
+});
+
+test('deliveries without a destination are sent without auth', async () => {
+  const background = createBackground();
+  const handleSendToWebhook = background.evaluate('handleSendToWebhook');
+
+  await handleSendToWebhook('https://hooks.example.com/tella', { ok: true }, { retryPolicy: FAST_RETRIES });
+  assert.equal(background.requests[0].headers.Authorization, undefined);
+});
+
+// Three destinations want transcript-ready events; rules route tutorials to dest-1 and webinars to dest-3
+function transcriptReadyStorage() {
+  return {
+    webhookDestinations: ['dest-1', 'dest-2', 'dest-3'].map(id => ({
+      id, name: id, url: `https://hooks.example.com/${id}`, notifyTranscriptReady: true
+    })),
+    routingRules: [
+      { id: 'rule-1', name: 'Tutorials', conditions: [{ field: 'title', operator: 'contains', value: 'tutorial' }], destinationIds: ['dest-1'] },
+      { id: 'rule-2', name: 'Webinars', conditions: [{ field: 'title', operator: 'contains', value: 'webinar' }], destinationIds: ['dest-3'] }
+    ]
+  };
+}
+
+const watch = { storyId: 'abc123', title: 'Exports tutorial', url: 'https://www.tella.tv/video/abc123/view', createdAt: new Date().toISOString(), checks: 0 };
+const webhookRequests = (requests) => requests.filter(request => request.url.startsWith('https://hooks.example.com/'));
+
+test('transcript-ready events follow the routing rules', async () => {
+  // The Tella API is unavailable, so the rules see what the watch knows
+  const background = createBackground(transcriptReadyStorage(), async (request) => (request.url.includes('tella.tv') ? 401 : 200));
+
+  await background.evaluate('sendTranscriptReady')(watch, { transcript: 'Hello.' });
+
+  assert.deepEqual(webhookRequests(background.requests).map(request => request.url), [
+    'https://hooks.example.com/dest-1',
+    'https://hooks.example.com/dest-2'
+  ]);
+});
+
+test('transcript-ready fails, so the watcher tries again, only when no destination took it', async () => {
+  const failing = createBackground(transcriptReadyStorage(), async () => 400);
+  await assert.rejects(failing.evaluate('sendTranscriptReady')(watch, { transcript: 'Hello.' }), /dest-1: .*; dest-2: /);
+
+  const partial = createBackground(transcriptReadyStorage(), async (request) => (request.url.endsWith('dest-1') ? 200 : 400));
+  await partial.evaluate('sendTranscriptReady')(watch, { transcript: 'Hello.' });
+});
+
+test('timeouts, rate limits and server errors are retryable; other client errors are not', () => {
+  const isRetryableStatus = createBackground().evaluate('isRetryableStatus');
+
+  assert.deepEqual([408, 429, 500, 503].map(isRetryableStatus), [true, true, true, true]);
+  assert.deepEqual([400, 401, 404, 422].map(isRetryableStatus), [false, false, false, false]);
+});
+
+test('Retry-After is read in seconds or as an HTTP date', () => {
+  const parseRetryAfter = createBackground().evaluate('parseRetryAfter');
+
+  assert.equal(parseRetryAfter('120'), 120000);
+  assert.equal(parseRetryAfter('0'), 0);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('soon'), null);
+
+  const inOneMinute = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+  // HTTP dates have one-second resolution
+  assert.ok(inOneMinute > 58000 && inOneMinute <= 60000, String(inOneMinute));
+  assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+});
+
+test('retry delays back off exponentially up to the cap, within the jitter', () => {
+  const background = createBackground();
+  const computeRetryDelay = background.evaluate('computeRetryDelay');
+  const policy = { ...background.evaluate('DEFAULT_RETRY_POLICY'), jitterRatio: 0 };
+
+  assert.deepEqual([1, 2, 3, 4, 5, 6, 10].map(attempt => computeRetryDelay(attempt, policy)),
+    [1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+
+  const jittered = { ...policy, jitterRatio: 0.2 };
+  for (let i = 0; i < 50; i++) {
+    const delay = computeRetryDelay(6, jittered);
+    assert.ok(delay >= 24000 && delay <= 36000, String(delay));
+  }
+});
+
+test('Retry-After replaces the backoff unless it asks for longer than the policy allows', () => {
+  const background = createBackground();
+  const computeRetryDelay = background.evaluate('computeRetryDelay');
+  const policy = background.evaluate('DEFAULT_RETRY_POLICY');
+
+  assert.equal(computeRetryDelay(1, policy, 5000), 5000);
+  assert.equal(computeRetryDelay(1, policy, policy.maxRetryAfterMs + 1), null);
+  assert.equal(computeRetryDelay(1, { ...policy, respectRetryAfter: false, jitterRatio: 0 }, 5000), 1000);
+});
+
+test('webhook bodies are signed with HMAC-SHA256 over "timestamp.body"', async () => {
+  const background = createBackground();
+  background.evaluate('Date.now = () => 1700000000000');
+
+  const signed = await background.evaluate('signWebhookBody')('whsec_test', '{"event":"tella_video_created"}');
+
+  // Known answer: echo -n '1700000000.{"event":"tella_video_created"}' | openssl dgst -sha256 -hmac whsec_test
+  assert.deepEqual({ ...signed }, {
+    timestamp: '1700000000',
+    signature: 'sha256=c56d1a551feb677f16b94123cf00987afd6e821d91097b4e755e985f8ce38f1e'
+  });
+});
+
+test('signed deliveries carry the timestamp and signature headers', async () => {
+  const background = createBackground({ webhookSigningSecrets: { 'dest-1': 'whsec_test' } });
+  background.evaluate('Date.now = () => 1700000000000');
+
+  await background.evaluate('handleSendToWebhook')('https://hooks.example.com/tella', { event: 'tella_video_created' }, { destinationId: 'dest-1' });
+
+  const { headers } = background.requests[0];
+  assert.equal(headers['X-Tella-Timestamp'], '1700000000');
+  assert.equal(headers['X-Tella-Signature'], 'sha256=c56d1a551feb677f16b94123cf00987afd6e821d91097b4e755e985f8ce38f1e');
+});
+
+test('each auth scheme becomes its request header', () => {
+  const buildCustomHeaders = createBackground().evaluate('buildCustomHeaders');
+
+  assert.deepEqual({ ...buildCustomHeaders({ auth: { type: 'basic', username: 'zoë', password: 'pw' }, headers: [] }) },
+    { Authorization: `Basic ${Buffer.from('zoë:pw').toString('base64')}` });
+  assert.deepEqual({ ...buildCustomHeaders({ auth: { type: 'apiKey', headerName: 'X-Key', apiKey: 'k' }, headers: [{ name: 'X-Team', value: 'a' }] }) },
+    { 'X-Team': 'a', 'X-Key': 'k' });
+  assert.deepEqual({ ...buildCustomHeaders(null) }, {});
+});
+
+test('failed deliveries are recorded in history with masked request and response details', async () => {
+  const storage = {
+    webhookDestinationCredentials: { 'dest-1': { auth: { type: 'bearer', token: 'secret-token' }, headers: [{ name: 'X-Api-Key', value: 'k' }, { name: 'X-Team', value: 'growth' }] } }
+  };
+  const background = createBackground(storage, async () => ({ status: 422, body: `{"error":"missing field"}${'x'.repeat(3000)}` }));
+  const destination = { id: 'dest-1', name: 'Zapier', url: 'https://hooks.example.com/tella?token=abc', maxAttempts: 1 };
+
+  const result = await background.evaluate('deliverFromBackground')(destination, { event: 'tella_video_created' }, { title: 'Launch', videoId: 'abc1' }, 'sync');
+
+  assert.equal(result.success, false);
+  const [entry] = storage.syncHistory;
+  assert.equal(entry.outcome, 'failed');
+  assert.equal(entry.status, 422);
+  assert.equal(entry.title, 'Launch');
+  assert.equal(entry.source, 'sync');
+  assert.equal(entry.originalError.startsWith('HTTP 422: Error - {"error":"missing field"}'), true);
+
+  const { request, response, attempts } = entry.details;
+  assert.equal(request.url, 'https://hooks.example.com/tella?token=%5BHIDDEN%5D');
+  assert.equal(request.headers.Authorization, 'Bearer [HIDDEN]');
+  assert.equal(request.headers['X-Api-Key'], '[HIDDEN]');
+  assert.equal(request.headers['X-Team'], 'growth');
+  assert.equal(response.status, 422);
+  // Response bodies are kept up to the history limit
+  assert.equal(response.body.length, background.evaluate('RESPONSE_BODY_HISTORY_LIMIT') + 1);
+  assert.ok(response.body.endsWith('…'));
+  assert.deepEqual(attempts.map(attempt => attempt.status), [422]);
+});
+
+test('history outcomes tell delivered, queued and failed sends apart', () => {
+  const { describeResult } = createBackground().context.TellaSyncHistoryStore;
+
+  assert.deepEqual(plain(describeResult({ success: true, status: 200, attempts: 2 })),
+    { outcome: 'delivered', success: true, status: 200, attempts: 2, error: null, originalError: null, details: null });
+  assert.equal(describeResult({ success: false, queued: true, error: 'HTTP 503' }).outcome, 'queued');
+  assert.equal(describeResult({ success: false, status: 404, error: 'Not found' }).error, 'Not found');
+  assert.equal(describeResult(null).error, 'Unknown error');
+});
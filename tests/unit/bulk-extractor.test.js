@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+const PAGE_SCRIPTS = [
+  'destination-store.js',
+  'sync-history-store.js',
+  'change-tracker.js',
+  'routing-rules.js',
+  'payload-template.js',
+  'payload-schema.js',
+  'subtitle-builder.js',
+  'transcript-cleaner.js',
+  'keyword-extractor.js',
+  'transcript-analytics.js',
+  'data-extractor.js',
+  'sidebar-webhook.js',
+  'bulk-extractor.js'
+];
+
+// Videos as the API extraction returns them, by story ID
+const videos = {
+  tut1: { video: { id: 'tut1', title: 'Exports tutorial', channelIDs: [] }, timing: { duration: 60 }, content: { chapters: [] } },
+  demo1: { video: { id: 'demo1', title: 'Customer demo', channelIDs: [] }, timing: { duration: 60 }, content: { chapters: [] } }
+};
+
+/**
+ * Bulk extractor whose API extraction returns the videos above and whose sends are recorded
+ */
+function createBulkExtractor() {
+  const { context } = loadExtensionScripts(PAGE_SCRIPTS, { url: 'https://www.tella.tv/library' });
+  context.document = { createElement: () => ({ querySelector: () => null }) };
+  context.TellaDataExtractor.prototype.extractFromAPI = async function () {
+    return videos[this.storyId];
+  };
+
+  const bulk = new context.TellaBulkExtractor();
+  const sent = [];
+  bulk.webhook.sendToDestination = async (destination, payload, options) => {
+    sent.push(plain({ destination, title: payload.data.video.title, options }));
+    return { outcome: 'delivered' };
+  };
+
+  const rules = [bulk.webhook.routingRules.normalize({
+    name: 'Tutorials',
+    conditions: [{ field: 'title', operator: 'contains', value: 'tutorial' }],
+    destinationIds: ['dest-1'],
+    template: '{"tutorial": "{{video.title}}"}'
+  })];
+
+  return { bulk, sent, rules };
+}
+
+const destination = { id: 'dest-1', name: 'Zapier', url: 'https://hooks.example.com/tella', template: '' };
+
+test('each video is sent with the template of the routing rule it matches', async () => {
+  const { bulk, sent, rules } = createBulkExtractor();
+  const items = ['tut1', 'demo1'].map(storyId => ({ storyId, title: storyId, status: 'running', error: null }));
+
+  for (const item of items) {
+    await bulk.processItem(item, destination, rules);
+  }
+
+  assert.deepEqual(sent.map(send => [send.title, send.destination.template]), [
+    ['Exports tutorial', '{"tutorial": "{{video.title}}"}'],
+    ['Customer demo', '']
+  ]);
+  assert.deepEqual(plain(items.map(item => item.status)), ['sent', 'sent']);
+});
+
+test('sends record their change baseline under the video they belong to', async () => {
+  const { bulk, sent } = createBulkExtractor();
+
+  await bulk.processItem({ storyId: 'demo1', title: 'demo1', status: 'running', error: null }, destination);
+  assert.deepEqual(sent[0].options, { storyId: 'demo1' });
+});
+
+test('videos the API cannot load fail without being sent', async () => {
+  const { bulk, sent } = createBulkExtractor();
+  const item = { storyId: 'missing', title: 'missing', status: 'running', error: null };
+
+  await bulk.processItem(item, destination);
+  assert.equal(item.status, 'failed');
+  assert.equal(sent.length, 0);
+});
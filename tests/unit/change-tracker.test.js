@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+// Baselines are only written in the background service worker
+function createTracker(storage = {}) {
+  const { context } = loadExtensionScripts(['change-tracker.js'], { storage, serviceWorker: true });
+  return { tracker: new context.TellaChangeTracker(), storage, EVENTS: context.TellaChangeTracker.EVENTS };
+}
+
+function videoData(overrides = {}) {
+  return {
+    video: { id: 'abc123', title: 'Launch walkthrough', description: 'What is new', url: 'https://www.tella.tv/video/abc123/view', channelIDs: ['b', 'a'] },
+    timing: { duration: 125 },
+    content: {
+      chapters: [{ title: 'Intro', timestamp: 0 }, { title: 'Pricing', timestamp: 65 }],
+      transcription: { transcript: 'Hello and welcome to the launch.' }
+    },
+    metadata: { extensionVersion: '1.0.0' },
+    ...overrides
+  };
+}
+
+test('a video never sent to a destination is created', async () => {
+  const { tracker, EVENTS } = createTracker();
+  const result = plain(await tracker.compare('abc123', 'dest-1', videoData()));
+
+  assert.equal(result.event, EVENTS.created);
+  assert.equal(result.changed, true);
+  assert.equal(result.changes.summary, 'New video');
+  assert.equal(result.snapshot['video.channelIDs'], 'a,b');
+  assert.equal(result.snapshot['content.transcription'].wordCount, 6);
+});
+
+test('resending unchanged data is an update with no changes, whatever the derived fields', async () => {
+  const { tracker, EVENTS } = createTracker();
+  await tracker.record('abc123', 'dest-1', await tracker.compare('abc123', 'dest-1', videoData()));
+
+  const resend = videoData({ metadata: { extensionVersion: '2.0.0', extractedAt: 'now' } });
+  resend.content.segments = [{ index: 0, text: 'Hello' }];
+  resend.content.chaptersMd = '- 0:00 Intro';
+  resend.content.transcription.transcriptClean = 'Hello, welcome.';
+  const result = plain(await tracker.compare('abc123', 'dest-1', resend));
+
+  assert.equal(result.event, EVENTS.updated);
+  assert.equal(result.changed, false);
+  assert.equal(result.changes.summary, 'No changes');
+  assert.ok(result.changes.previousSentAt);
+});
+
+test('an edited title is reported as the only change', async () => {
+  const { tracker } = createTracker();
+  await tracker.record('abc123', 'dest-1', await tracker.compare('abc123', 'dest-1', videoData()));
+
+  const edited = videoData();
+  edited.video.title = 'Launch walkthrough v2';
+  const result = plain(await tracker.compare('abc123', 'dest-1', edited));
+
+  assert.equal(result.changed, true);
+  assert.equal(result.changes.summary, 'Changed: title');
+  assert.deepEqual(result.changes.modified, [{ field: 'video.title', from: 'Launch walkthrough', to: 'Launch walkthrough v2' }]);
+});
+
+test('chapter and transcript changes are summarized', async () => {
+  const { tracker } = createTracker();
+  await tracker.record('abc123', 'dest-1', await tracker.compare('abc123', 'dest-1', videoData()));
+
+  const edited = videoData({ video: { id: 'abc123', title: 'Launch walkthrough', url: 'https://www.tella.tv/video/abc123/view', channelIDs: ['a', 'b'] } });
+  edited.content.chapters = [{ title: 'Intro', timestamp: 0 }, { title: 'Demo', timestamp: 30 }, { title: 'Pricing', timestamp: 65 }];
+  edited.content.transcription.transcript = 'Hello and welcome to the launch demo.';
+  const { changes } = plain(await tracker.compare('abc123', 'dest-1', edited));
+
+  assert.deepEqual(changes.removed, ['video.description']);
+  assert.deepEqual(changes.modified, [
+    { field: 'content.chapters', from: 2, to: 3, added: ['Demo'], removed: [] },
+    { field: 'content.transcription', from: { wordCount: 6 }, to: { wordCount: 7 } }
+  ]);
+  assert.equal(changes.summary, 'Changed: description, chapters, transcription');
+});
+
+test('a baseline with an outdated hash is compared by its snapshot', async () => {
+  const { tracker, storage } = createTracker();
+  const first = await tracker.compare('abc123', 'dest-1', videoData());
+  storage.deliverySnapshots = {
+    'abc123:dest-1': { hash: 'hash-of-the-whole-payload', snapshot: plain(first.snapshot), sentAt: '2025-01-01T00:00:00.000Z' }
+  };
+
+  const result = await tracker.compare('abc123', 'dest-1', videoData());
+  assert.equal(result.changed, false);
+});
+
+test('baselines are kept per destination and forgotten with it', async () => {
+  const { tracker, storage, EVENTS } = createTracker();
+  const comparison = await tracker.compare('abc123', 'dest-1', videoData());
+  await tracker.record('abc123', 'dest-1', comparison);
+  await tracker.record('abc123', 'dest-2', comparison);
+
+  assert.equal((await tracker.compare('abc123', 'dest-3', videoData())).event, EVENTS.created);
+
+  await tracker.forgetDestination('dest-1');
+  assert.deepEqual(Object.keys(storage.deliverySnapshots), ['abc123:dest-2']);
+});
+
+test('writes outside the service worker are forwarded to it', async () => {
+  const { context } = loadExtensionScripts(['change-tracker.js']);
+  const messages = [];
+  context.chrome.runtime.sendMessage = async (message) => {
+    messages.push(plain(message));
+    return { success: true };
+  };
+
+  await new context.TellaChangeTracker().forgetDestination('dest-1');
+  assert.deepEqual(messages, [{ action: 'changeTrackerWrite', method: 'forgetDestination', args: ['dest-1'] }]);
+
+  context.chrome.runtime.sendMessage = async () => ({ success: false, error: 'No receiver' });
+  await assert.rejects(new context.TellaChangeTracker().forgetDestination('dest-1'), /No receiver/);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+function createStore(storage = {}) {
+  const { context } = loadExtensionScripts(['destination-store.js'], { storage });
+  return { store: new context.TellaDestinationStore(), storage };
+}
+
+test('a legacy single webhook URL becomes a selected "Default" destination', async () => {
+  const { store, storage } = createStore({
+    webhookUrl: 'https://hook.make.com/abc',
+    retryPolicy: { maxAttempts: 3 },
+    webhookSigningSecrets: { 'https://hook.make.com/abc': 'whsec_legacy' }
+  });
+
+  const { destinations, selectedIds } = plain(await store.load());
+
+  assert.equal(destinations.length, 1);
+  assert.equal(destinations[0].name, 'Default');
+  assert.equal(destinations[0].url, 'https://hook.make.com/abc');
+  assert.equal(destinations[0].maxAttempts, 3);
+  assert.deepEqual(selectedIds, [destinations[0].id]);
+
+  // The secret is re-keyed from the URL to the destination ID and the legacy keys are removed
+  assert.deepEqual(storage.webhookSigningSecrets, { [destinations[0].id]: 'whsec_legacy' });
+  assert.ok(!('webhookUrl' in storage));
+  assert.deepEqual(plain(storage.webhookDestinations), destinations);
+});
+
+test('the legacy webhookConfig base URL is migrated too, and nothing is created without one', async () => {
+  const { store } = createStore({ webhookConfig: { baseUrl: 'https://hooks.zapier.com/1' } });
+  assert.equal((await store.load()).destinations[0].url, 'https://hooks.zapier.com/1');
+
+  const empty = createStore();
+  assert.deepEqual(plain(await empty.store.load()), { destinations: [], selectedIds: [] });
+  assert.ok(!('webhookDestinations' in empty.storage));
+});
+
+test('selections of deleted destinations are dropped, falling back to the first destination', async () => {
+  const { store } = createStore({
+    webhookDestinations: [{ id: 'dest-1', url: 'https://a.example.com' }, { id: 'dest-2', url: 'https://b.example.com' }],
+    selectedDestinationIds: ['gone']
+  });
+
+  assert.deepEqual(plain((await store.load()).selectedIds), ['dest-1']);
+});
+
+test('removing a destination removes its selection, secret and credentials', async () => {
+  const { store, storage } = createStore({
+    webhookDestinations: [{ id: 'dest-1', url: 'https://a.example.com' }, { id: 'dest-2', url: 'https://b.example.com' }],
+    selectedDestinationIds: ['dest-1', 'dest-2'],
+    webhookSigningSecrets: { 'dest-1': 'one', 'dest-2': 'two' },
+    webhookDestinationCredentials: { 'dest-1': { auth: { type: 'bearer', token: 't' }, headers: [] } }
+  });
+
+  await store.remove('dest-1');
+
+  assert.deepEqual(storage.webhookDestinations.map(d => d.id), ['dest-2']);
+  assert.deepEqual(storage.selectedDestinationIds, ['dest-2']);
+  assert.deepEqual(storage.webhookSigningSecrets, { 'dest-2': 'two' });
+  assert.deepEqual(storage.webhookDestinationCredentials, {});
+});
+
+test('older stored destinations get defaults and a name from their URL', () => {
+  const { store } = createStore();
+  const destination = plain(store.normalize({ url: ' https://www.hook.make.com/abc ', maxAttempts: '50' }));
+
+  assert.equal(destination.name, 'hook.make.com');
+  assert.equal(destination.url, 'https://www.hook.make.com/abc');
+  assert.equal(destination.maxAttempts, 10);
+  assert.equal(destination.template, '');
+  assert.equal(destination.autoSend, false);
+  assert.equal(store.normalize({ url: 'not a url' }).name, 'Webhook');
+});
+
+test('webhook URLs must be http or https', () => {
+  const { store } = createStore();
+
+  assert.equal(store.validateUrl('https://hook.make.com/abc'), null);
+  assert.equal(store.validateUrl(''), 'Please enter a webhook URL');
+  assert.equal(store.validateUrl('ftp://example.com'), 'Webhook URL must use http or https');
+  assert.equal(store.validateUrl('example.com/hook'), 'Please enter a valid webhook URL');
+});
+
+test('credentials keep only the fields of their auth scheme and named headers', () => {
+  const { store } = createStore();
+
+  assert.deepEqual(plain(store.normalizeCredentials({
+    auth: { type: 'bearer', token: 'abc', username: 'ignored' },
+    headers: [{ name: ' X-Team ', value: 'growth' }, { name: '', value: 'dropped' }]
+  })), { auth: { type: 'bearer', token: 'abc' }, headers: [{ name: 'X-Team', value: 'growth' }] });
+
+  assert.deepEqual(plain(store.normalizeCredentials({ auth: { type: 'apiKey', apiKey: 'k' } }).auth),
+    { type: 'apiKey', headerName: 'X-API-Key', apiKey: 'k' });
+  assert.deepEqual(plain(store.normalizeCredentials({ auth: { type: 'bearer' } }).auth), { type: 'none' });
+  assert.deepEqual(plain(store.normalizeCredentials({ auth: { type: 'oauth' } }).auth), { type: 'none' });
+});
+
+test('header names must be valid and can\'t replace the headers the extension sets', () => {
+  const { store } = createStore();
+
+  assert.equal(store.validateCredentials({ auth: { type: 'none' }, headers: [{ name: 'X-Team', value: 'a' }] }), null);
+  assert.equal(store.validateCredentials({ auth: { type: 'none' }, headers: [{ name: 'X Team', value: 'a' }] }),
+    '"X Team" is not a valid header name');
+  assert.equal(store.validateCredentials({ auth: { type: 'apiKey', headerName: 'X-Tella-Signature' }, headers: [] }),
+    'The X-Tella-Signature header is set by the extension and can\'t be overridden');
+  assert.equal(store.validateCredentials({ auth: { type: 'none' }, headers: [{ name: 'content-type', value: 'text/plain' }] }),
+    'The content-type header is set by the extension and can\'t be overridden');
+});
+
+test('saving empty credentials clears them', async () => {
+  const { store, storage } = createStore();
+
+  await store.setCredentials('dest-1', { auth: { type: 'basic', username: 'me', password: 'pw' } });
+  assert.deepEqual(plain(await store.getCredentials('dest-1')), { auth: { type: 'basic', username: 'me', password: 'pw' }, headers: [] });
+
+  await store.setCredentials('dest-1', { auth: { type: 'none' }, headers: [] });
+  assert.deepEqual(storage.webhookDestinationCredentials, {});
+  assert.deepEqual(plain(await store.getCredentials('dest-1')), { auth: { type: 'none' }, headers: [] });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain, readJson } = require('./helpers/extension-context');
+
+const { context } = loadExtensionScripts([
+  'dom-data-adapter.js',
+  'payload-schema.js',
+  'transcript-cleaner.js',
+  'keyword-extractor.js',
+  'data-extractor.js'
+], { url: 'https://www.tella.tv/video/abc1/view' });
+const adapter = new context.TellaDomDataAdapter();
+
+const readings = {
+  id: { value: 'abc1', source: 'location' },
+  title: { value: 'Launch walkthrough', source: 'document-title' },
+  description: null,
+  url: { value: 'https://www.tella.tv/video/launch-walkthrough-abc1/view', source: 'location' },
+  views: { value: 0, source: 'default' },
+  duration: { value: 95, source: 'longest-time' },
+  createdAt: { value: '2025-11-16T12:00:00.000Z', source: 'relative-date' },
+  chapters: { value: [{ timestamp: 0, timestampFormatted: '0:00', title: 'Intro' }], source: 'chapter-elements' },
+  transcript: { value: 'Hello and welcome.', source: 'transcript-panel' }
+};
+
+test('page readings are mapped into the API shape', () => {
+  const data = plain(adapter.adapt(readings, { pageUrl: 'https://www.tella.tv/video/launch-walkthrough-abc1/view', extensionVersion: '1.2.0' }));
+
+  assert.deepEqual(data.video, {
+    id: 'abc1',
+    title: 'Launch walkthrough',
+    description: '',
+    url: 'https://www.tella.tv/video/launch-walkthrough-abc1/view',
+    dimensions: null,
+    views: 0,
+    slug: null,
+    channelIDs: []
+  });
+  assert.equal(data.timing.durationMs, 95000);
+  assert.deepEqual(data.content.transcription, { transcript: 'Hello and welcome.' });
+  assert.equal(data.transcript, 'Hello and welcome.');
+  assert.equal(data.metadata.extractionMethod, 'dom');
+  assert.equal(data.metadata.extensionVersion, '1.2.0');
+});
+
+test('every field read from the page is described with its source and confidence', () => {
+  const { domFields } = plain(adapter.adapt(readings)).metadata;
+
+  assert.deepEqual(domFields, {
+    'video.id': { source: 'location', confidence: 'high' },
+    'video.title': { source: 'document-title', confidence: 'high' },
+    'video.url': { source: 'location', confidence: 'high' },
+    'video.views': { source: 'default', confidence: 'low' },
+    'timing.duration': { source: 'longest-time', confidence: 'low' },
+    'timing.createdAt': { source: 'relative-date', confidence: 'low' },
+    'content.chapters': { source: 'chapter-elements', confidence: 'medium' },
+    'content.transcription.transcript': { source: 'transcript-panel', confidence: 'medium' }
+  });
+});
+
+test('missing readings stay null and unknown sources are low confidence', () => {
+  const data = plain(adapter.adapt({}));
+
+  assert.equal(data.video.id, null);
+  assert.equal(data.video.title, null);
+  assert.equal(data.timing.duration, null);
+  assert.equal(data.timing.durationMs, null);
+  assert.deepEqual(data.content.chapters, []);
+  assert.deepEqual(data.content.transcription, {});
+  assert.deepEqual(data.metadata.domFields, {});
+  assert.equal(adapter.confidenceFor('video.title', 'tooltip'), 'low');
+});
+
+test('the extractor reads the video ID from the page URL', () => {
+  const extractor = new context.TellaDataExtractor();
+  ['findTitle', 'findDescription', 'findViews', 'findDuration', 'findCreatedDate', 'findChapters', 'findTranscript']
+    .forEach(method => { extractor[method] = () => null; });
+  extractor.extractVideoUrl = () => 'https://www.tella.tv/video/abc1/view';
+
+  const data = plain(adapter.adapt(extractor.readDomFields()));
+  assert.equal(data.video.id, 'abc1');
+  assert.deepEqual(data.metadata.domFields['video.id'], { source: 'location', confidence: 'high' });
+});
+
+test('adapted data matches the payload schema', () => {
+  const schema = readJson('payload-schema.json');
+  const envelope = {
+    schemaVersion: context.TellaPayloadSchema.VERSION,
+    event: 'tella_data_extracted',
+    timestamp: new Date().toISOString(),
+    source: 'tella-extension-sidebar',
+    data: plain(adapter.adapt(readings))
+  };
+
+  assert.deepEqual(plain(new context.TellaPayloadSchema().validate(envelope, schema)), []);
+  envelope.data = plain(adapter.adapt({}));
+  assert.deepEqual(plain(new context.TellaPayloadSchema().validate(envelope, schema)), []);
+});
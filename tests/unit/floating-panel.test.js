@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+// Panel in a 1280×800 viewport whose host is 380×500 px
+function createPanel(storage = {}) {
+  const { context } = loadExtensionScripts(['floating-panel.js'], { storage });
+  context.innerWidth = 1280;
+  context.innerHeight = 800;
+  context.removeEventListener = () => {};
+
+  const panel = new context.TellaFloatingPanel();
+  panel.host = { offsetWidth: 380, offsetHeight: 500, style: {} };
+  return { panel, context, storage };
+}
+
+test('the panel opens in the bottom-right corner', () => {
+  const { panel } = createPanel();
+  panel.applyPosition();
+
+  assert.deepEqual({ ...panel.host.style }, { left: '884px', top: '284px' });
+});
+
+test('saved and dragged positions are kept inside the viewport', () => {
+  const { panel, context } = createPanel();
+
+  panel.state = { ...panel.state, left: -100, top: 5000 };
+  panel.applyPosition();
+  assert.deepEqual({ ...panel.host.style }, { left: '16px', top: '284px' });
+
+  // A viewport narrower than the panel pins it to the top-left margin
+  context.innerWidth = 300;
+  context.innerHeight = 200;
+  panel.applyPosition();
+  assert.deepEqual({ ...panel.host.style }, { left: '16px', top: '16px' });
+});
+
+test('dragging moves the panel by the pointer, keeping the grab offset, and saves the position', async () => {
+  const { panel, storage } = createPanel();
+  panel.drag = { offsetX: 10, offsetY: 20 };
+
+  panel.onPointerMove({ clientX: 300, clientY: 220 });
+  assert.deepEqual({ ...panel.host.style }, { left: '290px', top: '200px' });
+
+  panel.onPointerUp();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(panel.drag, null);
+  assert.deepEqual(storage.floatingPanelState, { left: 290, top: 200, collapsed: false });
+});
+
+test('the saved position and collapsed state are restored', async () => {
+  const { panel } = createPanel({ floatingPanelState: { left: 40, top: 60, collapsed: true } });
+  await panel.loadState();
+
+  assert.deepEqual(plain(panel.state), { left: 40, top: 60, collapsed: true });
+});
@@ -0,0 +1,131 @@
+/**
+ * Loads extension scripts into a fresh VM context for unit tests.
+ * The scripts are classic scripts that share one global scope and export on self/window,
+ * so they run here the same way: in order, in one context whose self and window are the global.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..', '..');
+
+/**
+ * In-memory chrome.storage.local plus the few chrome.* calls the scripts make at load time
+ */
+function createChromeStub(storage = {}) {
+  const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const listeners = () => ({ addListener() {}, removeListener() {} });
+
+  return {
+    storage: {
+      local: {
+        get: async (keys) => {
+          const result = {};
+          [].concat(keys).forEach(key => {
+            if (key in storage) result[key] = copy(storage[key]);
+          });
+          return result;
+        },
+        set: async (items) => {
+          Object.assign(storage, copy(items));
+        },
+        remove: async (keys) => {
+          [].concat(keys).forEach(key => delete storage[key]);
+        }
+      },
+      onChanged: listeners()
+    },
+    runtime: {
+      getManifest: () => ({ version: '0.0.0-test' }),
+      getURL: (file) => `chrome-extension://test/${file}`,
+      sendMessage: async () => undefined,
+      openOptionsPage() {},
+      onMessage: listeners(),
+      onInstalled: listeners(),
+      onStartup: listeners()
+    },
+    tabs: {
+      sendMessage: async () => undefined
+    },
+    alarms: {
+      get: async () => null,
+      getAll: async () => [],
+      create() {},
+      clear: async () => true,
+      onAlarm: listeners()
+    }
+  };
+}
+
+/**
+ * @param {string[]} files - Script paths relative to the repository root, in load order
+ * @param {Object} options - storage: initial chrome.storage.local contents;
+ *                           serviceWorker: make the context pass `self instanceof ServiceWorkerGlobalScope`
+ *                           and provide importScripts, so background.js can be loaded;
+ *                           url: window.location.href for scripts that read the page URL
+ * @returns {{context: Object, storage: Object, evaluate: Function}}
+ */
+function loadExtensionScripts(files, options = {}) {
+  const storage = options.storage || {};
+  const silent = () => {};
+
+  const context = {
+    console: { log: silent, info: silent, warn: silent, error: silent, debug: silent },
+    chrome: createChromeStub(storage),
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    Blob,
+    URL,
+    setTimeout,
+    clearTimeout,
+    AbortController,
+    btoa,
+    // Tests that deliver webhooks replace this
+    fetch: async () => { throw new Error('fetch is not stubbed in this test'); }
+  };
+  context.self = context;
+  context.window = context;
+  context.location = { href: options.url || 'about:blank' };
+
+  if (options.serviceWorker) {
+    context.ServiceWorkerGlobalScope = class ServiceWorkerGlobalScope {};
+  }
+
+  vm.createContext(context);
+
+  if (options.serviceWorker) {
+    vm.runInContext('Object.setPrototypeOf(self, ServiceWorkerGlobalScope.prototype)', context);
+  }
+
+  const load = (file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  };
+
+  if (options.serviceWorker) {
+    context.importScripts = (...imported) => imported.forEach(load);
+  }
+
+  files.forEach(load);
+
+  return {
+    context,
+    storage,
+    // Top-level consts aren't properties of the global object, so read them through the context
+    evaluate: (code) => vm.runInContext(code, context)
+  };
+}
+
+/**
+ * Copy a value out of the VM context so assert.deepStrictEqual sees this realm's prototypes
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+module.exports = { loadExtensionScripts, plain, readJson, ROOT };
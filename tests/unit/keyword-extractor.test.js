@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+const { context } = loadExtensionScripts(['keyword-extractor.js']);
+const extractor = (settings) => new context.TellaKeywordExtractor(settings);
+
+const transcript = 'The pricing page is new. We redesigned the pricing page for teams. Teams love the pricing page. ' +
+  'Exports work with make.com and Zapier. Exports are fast.';
+const headings = ['Pricing page', 'Exports'];
+
+test('repeated phrases are ranked, chapter titles first, relative to the best keyword', () => {
+  assert.deepEqual(plain(extractor().extract(transcript, headings)), [
+    { keyword: 'pricing page', score: 1, count: 4, source: 'chapters' },
+    { keyword: 'exports', score: 0.287, count: 3, source: 'chapters' },
+    { keyword: 'teams', score: 0.128, count: 2, source: 'transcript' }
+  ]);
+});
+
+test('words mostly used inside a chosen phrase are not listed again', () => {
+  const keywords = plain(extractor().extract(transcript, headings)).map(item => item.keyword);
+
+  assert.ok(!keywords.includes('pricing'));
+  assert.ok(!keywords.includes('page'));
+});
+
+test('the allowlist always comes first, the blocklist is dropped and the list is capped', () => {
+  const keywords = plain(extractor({ allowlist: 'Zapier', blocklist: 'exports', maxKeywords: 2 }).extract(transcript, headings));
+
+  assert.deepEqual(keywords, [
+    { keyword: 'zapier', score: 1, count: 1, source: 'allowlist' },
+    { keyword: 'pricing page', score: 1, count: 4, source: 'chapters' }
+  ]);
+});
+
+test('ignored words are never keywords', () => {
+  const keywords = plain(extractor().extract('Um teams um teams. Um.', [], ['um'])).map(item => item.keyword);
+  assert.deepEqual(keywords, ['teams']);
+});
+
+test('candidate phrases split at stopwords and punctuation but keep domains and versions whole', () => {
+  const phrases = extractor().candidatePhrases('We use make.com and v2.1 - the new (beta) dashboard updates today', extractor().stopwords('en'));
+
+  assert.deepEqual(plain(phrases), [['use', 'make.com'], ['v2.1'], ['new'], ['beta'], ['dashboard', 'updates', 'today']]);
+});
+
+test('the language is detected from its stopwords, or set explicitly', () => {
+  assert.equal(extractor().detectLanguage('el precio de la página es nuevo y muy bueno para los equipos'.split(' ')), 'es');
+  assert.equal(extractor().detectLanguage(['Zapier']), 'en');
+  assert.equal(extractor({ language: 'fr' }).settings.language, 'fr');
+  assert.equal(extractor({ language: 'xx' }).settings.language, 'auto');
+});
+
+test('extraction can be turned off', () => {
+  assert.equal(extractor({ enabled: false }).extract(transcript, headings), null);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain, readJson } = require('./helpers/extension-context');
+
+const { context, storage } = loadExtensionScripts([
+  'transcript-cleaner.js',
+  'keyword-extractor.js',
+  'transcript-analytics.js',
+  'subtitle-builder.js',
+  'data-extractor.js',
+  'change-tracker.js',
+  'payload-schema.js'
+], { url: 'https://www.tella.tv/video/abc123/view' });
+
+const schema = readJson('payload-schema.json');
+const validator = new context.TellaPayloadSchema();
+validator.schema = schema;
+
+// An envelope built the way the sidebar builds one, from API responses
+function extractedEnvelope() {
+  const words = 'So um welcome to the launch. Today we cover pricing and exports. Thanks for watching.'
+    .split(' ')
+    .map((text, index) => ({ text, start: index * 400, end_: index * 400 + 300 }));
+  const extractor = new context.TellaDataExtractor();
+  const data = extractor.parseDocumentData(
+    {
+      story: {
+        id: 'abc123',
+        name: 'Launch walkthrough',
+        description: 'What is new',
+        duration: 8000,
+        channelIDs: ['chan-1'],
+        chapters: [{ id: 'ch-1', timestamp: 0, title: 'Intro' }, { id: 'ch-2', timestamp: 3, title: 'Pricing' }]
+      }
+    },
+    { transcriptions: ['done', [{ words }]] }
+  );
+
+  return {
+    schemaVersion: context.TellaPayloadSchema.VERSION,
+    event: 'tella_data_extracted',
+    timestamp: new Date().toISOString(),
+    source: 'tella-extension-sidebar',
+    data: plain(context.TellaDataExtractor.buildPayloadData(data))
+  };
+}
+
+test('the schema file and the module agree on the version', () => {
+  assert.equal(schema.properties.schemaVersion.const, context.TellaPayloadSchema.VERSION);
+});
+
+test('an envelope built from extracted data is valid', () => {
+  const envelope = extractedEnvelope();
+
+  assert.ok(envelope.data.content.analytics);
+  assert.ok(envelope.data.content.transcription.segments.length > 0);
+  assert.deepEqual(plain(validator.validate(envelope, schema)), []);
+});
+
+test('created/updated envelopes carry a valid change summary', async () => {
+  const envelope = extractedEnvelope();
+  const tracker = new context.TellaChangeTracker();
+  const comparison = await tracker.compare('abc123', 'dest-1', envelope.data);
+
+  envelope.event = comparison.event;
+  envelope.changes = plain(comparison.changes);
+  assert.deepEqual(plain(validator.validate(envelope, schema)), []);
+});
+
+test('wrong types, missing fields and unknown enum values are reported with their path', () => {
+  const envelope = extractedEnvelope();
+  envelope.event = 'tella_video_deleted';
+  envelope.data.video.title = 42;
+  delete envelope.data.video.url;
+  envelope.data.content.chapters[1].timestamp = -1;
+  envelope.data.content.keywords = [{ keyword: 'pricing', score: 1, count: 0, source: 'transcript' }];
+
+  assert.deepEqual(plain(validator.validate(envelope, schema)), [
+    'event: expected one of tella_data_extracted, tella_video_created, tella_video_updated, tella_transcript_ready, got "tella_video_deleted"',
+    'data.video.url: is required',
+    'data.video.title: expected string or null, got number',
+    'data.content.chapters[1].timestamp: must be at least 0, got -1',
+    'data.content.keywords[0].count: must be at least 1, got 0'
+  ]);
+});
+
+test('unknown values may be null where the schema says so', () => {
+  const envelope = extractedEnvelope();
+  envelope.data.video.id = null;
+  envelope.data.video.title = null;
+  envelope.data.timing.duration = null;
+  envelope.data.content.analytics = null;
+  envelope.data.content.keywords = null;
+  assert.deepEqual(plain(validator.validate(envelope, schema)), []);
+
+  envelope.data.video.description = null;
+  assert.deepEqual(plain(validator.validate(envelope, schema)), ['data.video.description: expected string, got null']);
+});
+
+test('additionalProperties schemas apply to every extra key', () => {
+  const envelope = extractedEnvelope();
+  envelope.data.metadata.domFields = { 'video.title': { source: 'document-title', confidence: 'certain' } };
+
+  assert.deepEqual(plain(validator.validate(envelope, schema)), [
+    'data.metadata.domFields.video.title.confidence: expected one of high, medium, low, got "certain"'
+  ]);
+});
+
+test('check honours the validation mode and skips unversioned payloads', async () => {
+  const invalid = { ...extractedEnvelope(), source: 'elsewhere' };
+
+  const warned = plain(await validator.check(invalid));
+  assert.equal(warned.mode, 'warn');
+  assert.equal(warned.valid, false);
+
+  assert.equal((await validator.check({ title: 'template output' })).checked, false);
+
+  storage.payloadValidation = 'off';
+  assert.equal((await validator.check(invalid)).checked, false);
+  delete storage.payloadValidation;
+});
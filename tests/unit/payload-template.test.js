@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+const { context } = loadExtensionScripts(['payload-template.js']);
+const { TellaPayloadTemplate } = context;
+
+const envelope = {
+  schemaVersion: '1.0',
+  event: 'tella_data_extracted',
+  timestamp: '2025-11-30T12:00:00.000Z',
+  source: 'tella-extension-sidebar',
+  data: {
+    video: { id: 'abc123', title: 'Launch "walkthrough"', description: 'A'.repeat(300), url: 'https://www.tella.tv/video/abc123/view' },
+    timing: { duration: 125 },
+    content: {
+      chapters: [
+        { title: 'Intro', timestamp: 0, timestampFormatted: '0:00', description: 'Hello' },
+        { title: 'Pricing', timestamp: 65 }
+      ],
+      transcription: { transcript: 'Hello and welcome.' },
+      keywords: [{ keyword: 'pricing', score: 1 }, { keyword: 'launch', score: 0.5 }]
+    }
+  }
+};
+
+const render = (source) => TellaPayloadTemplate.render(source, TellaPayloadTemplate.buildContext(envelope));
+
+test('data sections and envelope fields are both available', () => {
+  assert.equal(render('{{video.id}} {{data.video.id}} {{event}}'), 'abc123 abc123 tella_data_extracted');
+});
+
+test('values are escaped for JSON strings unless triple braces are used', () => {
+  assert.equal(render('{{video.title}}'), 'Launch \\"walkthrough\\"');
+  assert.equal(render('{{{video.title}}}'), 'Launch "walkthrough"');
+  assert.equal(render('{{video.missing}}'), '');
+});
+
+test('each exposes the item and loop locals, if/else branches', () => {
+  const output = render('{{#each content.chapters}}{{@number}}.{{title}}{{#if @last}}{{else}},{{/if}}{{/each}}');
+  assert.equal(output, '1.Intro,2.Pricing');
+  assert.equal(render('{{#each content.sections}}x{{else}}none{{/each}}'), 'none');
+  assert.equal(render('{{#if video.description}}yes{{else}}no{{/if}}'), 'yes');
+});
+
+test('filters', () => {
+  assert.equal(render('{{video.description | truncate:10}}'), 'AAAAAAAAA…');
+  assert.equal(render('{{video.slug | default:"none"}}'), 'none');
+  assert.equal(render('{{content.keywords | pluck:keyword | join}}'), 'pricing, launch');
+  assert.equal(render('{{content.keywords | pluck:keyword | join:" / "}}'), 'pricing / launch');
+  assert.equal(render('{{content.chapters | length}}'), '2');
+  assert.equal(render('{{timing.duration | timestamp}}'), '2:05');
+  assert.equal(render('{{content.chapters | markdown}}'), '- 0:00 Intro - Hello\\n- 1:05 Pricing');
+  assert.equal(render('{{video.id | upper}}'), 'ABC123');
+});
+
+test('the json filter emits a JSON literal', () => {
+  const data = TellaPayloadTemplate.renderJson('{"chapters": {{content.chapters | pluck:title | json}}, "none": {{video.slug | json}}}',
+    TellaPayloadTemplate.buildContext(envelope));
+  assert.deepEqual(plain(data), { chapters: ['Intro', 'Pricing'], none: null });
+});
+
+test('renderJson rejects output that is not JSON', () => {
+  assert.throws(() => TellaPayloadTemplate.renderJson('{"title": {{video.title}}}', TellaPayloadTemplate.buildContext(envelope)),
+    /not valid JSON/);
+});
+
+test('template syntax errors are reported', () => {
+  assert.throws(() => TellaPayloadTemplate.render('{{#each content.chapters}}', {}), /Unclosed \{\{#each content.chapters\}\}/);
+  assert.throws(() => TellaPayloadTemplate.render('{{/if}}', {}), /Unexpected \{\{\/if\}\}/);
+  assert.throws(() => TellaPayloadTemplate.render('{{else}}', {}), /outside of an/);
+  assert.throws(() => TellaPayloadTemplate.render('{{video.title | shout}}', {}), /Unknown filter "shout"/);
+});
+
+test('the example template renders valid JSON with the transcript filled in', () => {
+  const data = plain(TellaPayloadTemplate.renderJson(TellaPayloadTemplate.EXAMPLE, TellaPayloadTemplate.buildContext(envelope)));
+
+  assert.equal(data.title, 'Launch "walkthrough"');
+  assert.equal(data.durationSeconds, 125);
+  assert.deepEqual(data.chapters, [{ title: 'Intro', start: '0:00' }, { title: 'Pricing', start: '' }]);
+  assert.equal(data.transcript, 'Hello and welcome.');
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+const { context, storage } = loadExtensionScripts(['routing-rules.js']);
+const routing = new context.TellaRoutingRules();
+
+const video = {
+  video: { title: 'Product tutorial: exports', channelIDs: ['chan-1', 42] },
+  timing: { duration: 300 },
+  content: {
+    chapters: [{ title: 'Intro' }, { title: 'Exports' }, { title: 'Wrap up' }],
+    transcription: { transcript: 'Hello.' }
+  }
+};
+
+const rule = (fields) => routing.normalize({ name: 'Rule', destinationIds: ['dest-1'], ...fields });
+const passes = (field, operator, value, data = video) => routing.evaluateCondition({ field, operator, value }, data).passed;
+
+test('conditions on each field', () => {
+  assert.equal(passes('channel', 'is', 'chan-1'), true);
+  assert.equal(passes('channel', 'is', '42'), true);
+  assert.equal(passes('channel', 'is_not', 'chan-1'), false);
+  assert.equal(passes('title', 'contains', 'TUTORIAL'), true);
+  assert.equal(passes('title', 'not_contains', 'tutorial'), false);
+  assert.equal(passes('title', 'matches', '^product\\s'), true);
+  assert.equal(passes('duration', 'gte', '300'), true);
+  assert.equal(passes('duration', 'lte', '299'), false);
+  assert.equal(passes('chapters', 'eq', '3'), true);
+  assert.equal(passes('transcript', 'present', ''), true);
+  assert.equal(passes('transcript', 'absent', '', { title: 'DOM fallback' }), true);
+});
+
+test('each condition explains its outcome', () => {
+  const { reason } = routing.evaluateCondition({ field: 'duration', operator: 'gte', value: '600' }, video);
+  assert.equal(reason, 'duration 300s is not ≥ 600s');
+
+  const invalid = routing.evaluateCondition({ field: 'title', operator: 'matches', value: '(' }, video);
+  assert.deepEqual(plain(invalid), { passed: false, reason: 'invalid pattern /(/' });
+});
+
+test('DOM-fallback data is evaluated from its flat fields', () => {
+  const flat = { title: 'Weekly update', duration: '90', chapters: [{ title: 'One' }], transcript: 'Hi' };
+
+  assert.deepEqual(plain(routing.getFacts(flat)), {
+    channelIDs: [],
+    title: 'Weekly update',
+    duration: 90,
+    chapterCount: 1,
+    hasTranscript: true
+  });
+});
+
+test('all/any matching routes to every destination of the matching rules', () => {
+  const rules = [
+    rule({ name: 'Tutorials', conditions: [{ field: 'title', operator: 'contains', value: 'tutorial' }, { field: 'duration', operator: 'gte', value: '600' }], destinationIds: ['dest-1'] }),
+    rule({ name: 'Long or tutorial', match: 'any', conditions: [{ field: 'title', operator: 'contains', value: 'tutorial' }, { field: 'duration', operator: 'gte', value: '600' }], destinationIds: ['dest-1', 'dest-2'] })
+  ];
+  const { active, routes, results } = routing.evaluate(video, rules);
+
+  assert.equal(active, true);
+  assert.deepEqual(results.map(result => result.matched), [false, true]);
+  assert.deepEqual(plain(routes), {
+    'dest-1': { template: '', ruleNames: ['Long or tutorial'] },
+    'dest-2': { template: '', ruleNames: ['Long or tutorial'] }
+  });
+});
+
+test('the first matching rule with a template sets the template for a destination', () => {
+  const always = [{ field: 'transcript', operator: 'present' }];
+  const rules = [
+    rule({ name: 'No template', conditions: always }),
+    rule({ name: 'First template', conditions: always, template: '{"a": 1}' }),
+    rule({ name: 'Second template', conditions: always, template: '{"b": 2}' })
+  ];
+
+  assert.deepEqual(plain(routing.evaluate(video, rules).routes['dest-1']), {
+    template: '{"a": 1}',
+    ruleNames: ['No template', 'First template', 'Second template']
+  });
+});
+
+test('disabled rules are skipped and no enabled rules means routing is inactive', () => {
+  const disabled = rule({ enabled: false, conditions: [{ field: 'transcript', operator: 'present' }] });
+  const result = routing.evaluate(video, [disabled]);
+
+  assert.equal(result.active, false);
+  assert.deepEqual(plain(result.routes), {});
+});
+
+test('normalize drops unknown fields and falls back to the first operator', () => {
+  const normalized = rule({ conditions: [{ field: 'views', operator: 'gte', value: 1 }, { field: 'duration', operator: 'between', value: 60 }] });
+
+  assert.deepEqual(plain(normalized.conditions), [{ field: 'duration', operator: 'gte', value: '60' }]);
+  assert.equal(normalized.match, 'all');
+  assert.equal(normalized.enabled, true);
+});
+
+test('validate reports the first problem with a rule', () => {
+  assert.equal(routing.validate(rule({ conditions: [] })), 'Add at least one condition');
+  assert.equal(routing.validate(rule({ conditions: [{ field: 'transcript', operator: 'present' }], destinationIds: [] })),
+    'Choose at least one destination for this rule');
+  assert.equal(routing.validate(rule({ conditions: [{ field: 'duration', operator: 'gte', value: 'long' }] })), 'Duration (seconds) must be a number');
+  assert.match(routing.validate(rule({ conditions: [{ field: 'title', operator: 'matches', value: '[' }] })), /^Invalid title pattern/);
+  assert.equal(routing.validate(rule({ conditions: [{ field: 'transcript', operator: 'absent' }] })), null);
+});
+
+test('removing a destination drops it from saved rules', async () => {
+  await routing.save([rule({ id: 'rule-1', conditions: [{ field: 'transcript', operator: 'present' }], destinationIds: ['dest-1', 'dest-2'] })]);
+  await routing.removeDestination('dest-1');
+
+  assert.deepEqual(storage.routingRules[0].destinationIds, ['dest-2']);
+});
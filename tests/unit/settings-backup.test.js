@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+function createBackup(storage = {}) {
+  const { context } = loadExtensionScripts(['destination-store.js', 'routing-rules.js', 'settings-backup.js'], { storage });
+  return { backup: new context.TellaSettingsBackup(), storage };
+}
+
+// Two destinations, one with a secret and a bearer token, a rule and a couple of settings
+function configuredStorage() {
+  return {
+    webhookDestinations: [
+      { id: 'dest-1', name: 'Zapier', url: 'https://hooks.zapier.com/1' },
+      { id: 'dest-2', name: 'Make', url: 'https://hook.make.com/2' }
+    ],
+    selectedDestinationIds: ['dest-2'],
+    webhookSigningSecrets: { 'dest-1': 'whsec_1' },
+    webhookDestinationCredentials: { 'dest-1': { auth: { type: 'bearer', token: 'tok' }, headers: [] } },
+    routingRules: [{ id: 'rule-1', name: 'Tutorials', conditions: [{ field: 'title', operator: 'contains', value: 'tutorial' }], destinationIds: ['dest-1', 'dest-2'] }],
+    retryPolicy: { maxAttempts: 3 },
+    historyRetention: 100,
+    syncHistory: [{ title: 'not settings' }]
+  };
+}
+
+test('an export has destinations, selection, rules and settings but no secrets by default', async () => {
+  const exported = plain(await createBackup(configuredStorage()).backup.export());
+
+  assert.equal(exported.format, 'tella-webhooks-settings');
+  assert.equal(exported.version, 1);
+  assert.deepEqual(exported.destinations.map(d => d.id), ['dest-1', 'dest-2']);
+  assert.deepEqual(exported.selectedDestinationIds, ['dest-2']);
+  assert.deepEqual(exported.rules.map(r => r.id), ['rule-1']);
+  assert.deepEqual(exported.settings, { retryPolicy: { maxAttempts: 3 }, historyRetention: 100 });
+  assert.ok(!('secrets' in exported));
+});
+
+test('secrets are exported when asked for, only for destinations that have any', async () => {
+  const exported = plain(await createBackup(configuredStorage()).backup.export({ includeSecrets: true }));
+
+  assert.deepEqual(exported.secrets, {
+    'dest-1': { signingSecret: 'whsec_1', auth: { type: 'bearer', token: 'tok' }, headers: [] }
+  });
+});
+
+test('an export imported elsewhere restores the configuration and secrets', async () => {
+  const exported = plain(await createBackup(configuredStorage()).backup.export({ includeSecrets: true }));
+  const { backup, storage } = createBackup();
+
+  assert.deepEqual(plain(await backup.import(exported)), { destinations: 2, rules: 1, secrets: 1 });
+  assert.deepEqual(storage.webhookDestinations.map(d => d.name), ['Zapier', 'Make']);
+  assert.deepEqual(storage.selectedDestinationIds, ['dest-2']);
+  assert.deepEqual(storage.routingRules.map(r => r.name), ['Tutorials']);
+  assert.deepEqual(storage.retryPolicy, { maxAttempts: 3 });
+  assert.deepEqual(storage.webhookSigningSecrets, { 'dest-1': 'whsec_1' });
+  assert.deepEqual(storage.webhookDestinationCredentials['dest-1'].auth, { type: 'bearer', token: 'tok' });
+});
+
+test('merging keeps other destinations; the backup wins for the same ID', async () => {
+  const { backup, storage } = createBackup(configuredStorage());
+
+  await backup.import({
+    format: 'tella-webhooks-settings',
+    version: 1,
+    destinations: [{ id: 'dest-2', name: 'Make (new)', url: 'https://hook.make.com/new' }],
+    rules: []
+  });
+
+  assert.deepEqual(storage.webhookDestinations.map(d => [d.id, d.name]), [['dest-1', 'Zapier'], ['dest-2', 'Make (new)']]);
+  assert.equal(storage.routingRules.length, 1);
+  assert.deepEqual(storage.webhookSigningSecrets, { 'dest-1': 'whsec_1' });
+});
+
+test('replacing removes destinations missing from the backup, with their secrets and rule targets', async () => {
+  const { backup, storage } = createBackup(configuredStorage());
+
+  await backup.import({
+    format: 'tella-webhooks-settings',
+    version: 1,
+    destinations: [{ id: 'dest-2', name: 'Make', url: 'https://hook.make.com/2' }],
+    rules: [{ id: 'rule-2', name: 'Demos', destinationIds: ['dest-1', 'dest-2'] }],
+    settings: { historyRetention: 10, syncHistory: [] }
+  }, { replace: true });
+
+  assert.deepEqual(storage.webhookDestinations.map(d => d.id), ['dest-2']);
+  assert.deepEqual(storage.routingRules.map(r => [r.id, r.destinationIds]), [['rule-2', ['dest-2']]]);
+  assert.deepEqual(storage.webhookSigningSecrets, {});
+  assert.deepEqual(storage.webhookDestinationCredentials, {});
+  assert.equal(storage.historyRetention, 10);
+  // Only known settings keys are imported
+  assert.deepEqual(storage.syncHistory, [{ title: 'not settings' }]);
+});
+
+test('documents that are not usable backups are rejected before anything is written', async () => {
+  const { backup, storage } = createBackup(configuredStorage());
+  const base = { format: 'tella-webhooks-settings', version: 1, destinations: [], rules: [] };
+
+  assert.equal(backup.validate({ format: 'other' }), 'This file is not a Webhooks for Tella settings export');
+  assert.equal(backup.validate({ ...base, version: 2 }), 'This export was made by a newer version of the extension (format v2)');
+  assert.equal(backup.validate({ ...base, destinations: null }), 'The export is missing its destinations');
+  assert.equal(backup.validate({ ...base, destinations: [{ name: 'Bad', url: 'ftp://x' }] }), 'Destination "Bad" has an invalid webhook URL');
+
+  await assert.rejects(backup.import({ ...base, destinations: [{ url: 'nope' }] }), /invalid webhook URL/);
+  assert.equal(storage.webhookDestinations.length, 2);
+});
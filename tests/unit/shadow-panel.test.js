@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts } = require('./helpers/extension-context');
+
+// Just enough of an element for the shadow panel: attributes, classes and children
+function fakeElement(classes = []) {
+  const attributes = {};
+  return {
+    attributes,
+    children: [],
+    classList: { contains: (name) => classes.includes(name) },
+    getAttribute: (name) => (name in attributes ? attributes[name] : null),
+    setAttribute: (name, value) => { attributes[name] = String(value); },
+    appendChild(child) { this.children.push(child); },
+    querySelector(selector) { return this.children.find(child => `.${child.className}` === selector) || null; },
+    isConnected: true
+  };
+}
+
+function createShadowPanel({ htmlClasses = [], bodyTheme = null } = {}) {
+  const { context } = loadExtensionScripts(['shadow-panel.js']);
+  const body = fakeElement();
+  if (bodyTheme) body.setAttribute('data-theme', bodyTheme);
+  context.document = { documentElement: fakeElement(htmlClasses), body, createElement: () => fakeElement() };
+  context.MutationObserver = class { observe() {} disconnect() {} };
+
+  const host = fakeElement();
+  host.shadowRoot = null;
+  host.attachShadow = () => (host.shadowRoot = fakeElement());
+
+  return { shadowPanel: new context.TellaShadowPanel(host, { stylesheets: ['floating-panel.css'] }), host };
+}
+
+test('the panel stylesheet and extra stylesheets are loaded into the shadow root', () => {
+  const { shadowPanel, host } = createShadowPanel();
+  const root = shadowPanel.attach();
+
+  assert.equal(root.className, 'tella-webhook-root');
+  assert.equal(host.shadowRoot.innerHTML,
+    '<link rel="stylesheet" href="chrome-extension://test/webhook-panel.css">' +
+    '<link rel="stylesheet" href="chrome-extension://test/floating-panel.css">');
+});
+
+test('an existing shadow root is reused instead of attached again', () => {
+  const { shadowPanel, host } = createShadowPanel();
+  const root = shadowPanel.attach();
+
+  shadowPanel.destroy();
+  host.attachShadow = () => { throw new Error('attached twice'); };
+  assert.equal(shadowPanel.attach(), root);
+});
+
+test('the theme follows Tella\'s dark class or data-theme attribute', () => {
+  assert.equal(createShadowPanel().shadowPanel.detectTheme(), 'light');
+  assert.equal(createShadowPanel({ htmlClasses: ['dark'] }).shadowPanel.detectTheme(), 'dark');
+  assert.equal(createShadowPanel({ bodyTheme: 'dark' }).shadowPanel.detectTheme(), 'dark');
+
+  const { shadowPanel } = createShadowPanel({ htmlClasses: ['dark'] });
+  assert.equal(shadowPanel.attach().getAttribute('data-theme'), 'dark');
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+const { context } = loadExtensionScripts(['subtitle-builder.js']);
+const builder = new context.TellaSubtitleBuilder();
+
+// Words 300 ms apart, each spoken for 250 ms
+function timedWords(text, startMs = 0) {
+  return text.split(' ').map((word, index) => ({ text: word, start: startMs + index * 300, end_: startMs + index * 300 + 250 }));
+}
+
+test('builds numbered SRT and WebVTT cues', () => {
+  const { cueCount, srt, vtt } = builder.build(timedWords('Hello and welcome.'));
+
+  assert.equal(cueCount, 1);
+  assert.equal(srt, '1\n00:00:00,000 --> 00:00:01,000\nHello and welcome.\n');
+  assert.equal(vtt, 'WEBVTT\n\n1\n00:00:00.000 --> 00:00:01.000\nHello and welcome.\n');
+});
+
+test('hidden, empty and untimed words are left out', () => {
+  const cues = plain(builder.buildCues([
+    { text: 'Keep', start: 0, end_: 200 },
+    { text: 'cut', start: 300, end_: 500, hidden: true },
+    { text: ' ', start: 600, end_: 700 },
+    { text: 'this', start: 800, end_: 1000 },
+    { text: 'untimed' }
+  ]));
+
+  assert.deepEqual(cues.map(cue => cue.lines), [['Keep this']]);
+});
+
+test('long pauses start a new cue', () => {
+  const words = [...timedWords('First part'), ...timedWords('second part', 5000)];
+  const cues = plain(builder.buildCues(words));
+
+  assert.deepEqual(cues.map(cue => cue.lines[0]), ['First part', 'second part']);
+  assert.equal(cues[1].startMs, 5000);
+});
+
+test('cues are wrapped into at most two balanced lines of 42 characters', () => {
+  const text = 'This sentence is long enough that it needs to be wrapped over two lines of captions';
+  const cues = plain(builder.buildCues(timedWords(text)));
+
+  cues.forEach(cue => {
+    assert.ok(cue.lines.length <= 2);
+    cue.lines.forEach(line => assert.ok(line.length <= 42, line));
+  });
+  assert.equal(cues.map(cue => cue.lines.join(' ')).join(' '), text);
+});
+
+test('uneven words start a new cue when no break keeps both lines within 42 characters', () => {
+  // 20 + 30 + 30 characters is 82 in total, under two full lines, but no break fits both
+  const words = ['a'.repeat(20), 'b'.repeat(30), 'c'.repeat(30)].join(' ');
+  const cues = plain(builder.buildCues(timedWords(words)));
+
+  assert.deepEqual(cues.map(cue => cue.lines), [
+    ['a'.repeat(20), 'b'.repeat(30)],
+    ['c'.repeat(30)]
+  ]);
+});
+
+test('a word longer than a line gets a cue of its own', () => {
+  const long = 'x'.repeat(50);
+  const cues = plain(builder.buildCues(timedWords(`Visit ${long} now`)));
+
+  assert.deepEqual(cues.map(cue => cue.lines), [['Visit'], [long], ['now']]);
+});
+
+test('short cues are extended without overlapping the next one', () => {
+  const cues = plain(builder.buildCues([
+    { text: 'Hi.', start: 0, end_: 200 },
+    { text: 'Then', start: 1800, end_: 2000 }
+  ]));
+
+  assert.equal(cues[0].endMs, 1000);
+
+  // Only 400 ms before the next cue: the short cue ends where the next one starts
+  const narrow = new context.TellaSubtitleBuilder({ maxLineLength: 5, maxLines: 1 });
+  const crowded = plain(narrow.buildCues([
+    { text: 'Okay.', start: 0, end_: 200 },
+    { text: 'Next', start: 400, end_: 600 }
+  ]));
+  assert.equal(crowded.length, 2);
+  assert.equal(crowded[0].endMs, 400);
+});
+
+test('WebVTT cue text is escaped', () => {
+  const { vtt } = builder.build([{ text: '<b>&', start: 0, end_: 1000 }]);
+  assert.match(vtt, /&lt;b&gt;&amp;/);
+});
+
+test('timestamps past an hour', () => {
+  assert.equal(builder.formatTime(3723004, ','), '01:02:03,004');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+// History store in the background service worker, which owns the writes
+function createStore(storage = {}) {
+  const { context } = loadExtensionScripts(['sync-history-store.js'], { storage, serviceWorker: true });
+  return { store: new context.TellaSyncHistoryStore(), storage, context };
+}
+
+const delivery = (fields) => ({ success: true, outcome: 'delivered', destinationId: 'dest-1', destinationName: 'Zapier', ...fields });
+
+test('deliveries are listed newest first and filtered by status, destination and search', async () => {
+  const { store } = createStore();
+  await store.add(delivery({ title: 'Launch walkthrough', videoId: 'abc1' }));
+  await store.add(delivery({ title: 'Pricing update', videoId: 'def2', success: false, outcome: 'failed', destinationId: 'dest-2', destinationName: 'Make' }));
+
+  const titles = async (filters) => plain(await store.list(filters)).map(entry => entry.title);
+
+  assert.deepEqual(await titles(), ['Pricing update', 'Launch walkthrough']);
+  assert.deepEqual(await titles({ status: 'success' }), ['Launch walkthrough']);
+  assert.deepEqual(await titles({ status: 'failed' }), ['Pricing update']);
+  assert.deepEqual(await titles({ destinationId: 'dest-1' }), ['Launch walkthrough']);
+  assert.deepEqual(await titles({ search: 'MAKE' }), ['Pricing update']);
+  assert.deepEqual(await titles({ search: 'abc1' }), ['Launch walkthrough']);
+});
+
+test('entries get an ID, a timestamp and the payload size', async () => {
+  const { store } = createStore();
+  const stored = plain(await store.add(delivery({ payload: { title: 'é' } })));
+
+  assert.match(stored.id, /^hist_/);
+  assert.ok(!isNaN(Date.parse(stored.timestamp)));
+  // Size in bytes of the JSON, so non-ASCII characters count double
+  assert.equal(stored.payloadSize, 14);
+  assert.deepEqual(plain(await store.get(stored.id)), stored);
+});
+
+test('history is trimmed to the retention limit, which is clamped', async () => {
+  const { store, storage } = createStore();
+  for (let i = 0; i < 5; i++) {
+    await store.add(delivery({ title: `Video ${i}` }));
+  }
+
+  assert.equal(await store.setRetention(3), 3);
+  assert.deepEqual(storage.syncHistory.map(entry => entry.title), ['Video 4', 'Video 3', 'Video 2']);
+
+  await store.add(delivery({ title: 'Video 5' }));
+  assert.equal(storage.syncHistory.length, 3);
+
+  assert.equal(store.clampRetention('abc'), 50);
+  assert.equal(store.clampRetention(0), 50);
+  assert.equal(store.clampRetention(10000), 500);
+});
+
+test('concurrent adds are all kept', async () => {
+  const { store, storage } = createStore();
+  await Promise.all(Array.from({ length: 10 }, (_, i) => store.add(delivery({ title: `Video ${i}` }))));
+
+  assert.equal(storage.syncHistory.length, 10);
+});
+
+test('entries written before history had IDs get stable ones', async () => {
+  const { store } = createStore({ syncHistory: [{ title: 'Old', timestamp: '2025-01-01T00:00:00.000Z' }] });
+
+  assert.equal((await store.list())[0].id, 'legacy_0_2025-01-01T00:00:00.000Z');
+});
+
+test('writes from other contexts are forwarded to the background', async () => {
+  const { context } = loadExtensionScripts(['sync-history-store.js']);
+  const messages = [];
+  context.chrome.runtime.sendMessage = async (message) => {
+    messages.push(plain(message));
+    return { success: true, result: 7 };
+  };
+
+  assert.equal(await new context.TellaSyncHistoryStore().setRetention(7), 7);
+  assert.deepEqual(messages, [{ action: 'syncHistoryWrite', method: 'setRetention', args: [7] }]);
+
+  context.chrome.runtime.sendMessage = async () => ({ success: false, error: 'Storage quota exceeded' });
+  await assert.rejects(new context.TellaSyncHistoryStore().clear(), /Storage quota exceeded/);
+});
+
+test('only history writes can be run through handleWrite', async () => {
+  const { store } = createStore();
+  await assert.rejects(store.handleWrite('writeEntries', [[]]), /Unknown history write: writeEntries/);
+});
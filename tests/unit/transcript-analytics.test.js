@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+const { context } = loadExtensionScripts(['transcript-cleaner.js', 'keyword-extractor.js', 'transcript-analytics.js']);
+const analytics = new context.TellaTranscriptAnalytics(new context.TellaTranscriptCleaner(), new context.TellaKeywordExtractor());
+
+// Six words over five seconds with a two-second pause in the middle; the video runs a second longer
+const words = [
+  { text: 'Um', start: 0, end_: 500 },
+  { text: 'pricing', start: 500, end_: 1000 },
+  { text: 'matters.', start: 1000, end_: 1500 },
+  { text: 'Pricing', start: 3500, end_: 4000 },
+  { text: 'wins,', start: 4000, end_: 4500 },
+  { text: 'uh.', start: 4500, end_: 5000 }
+];
+const sections = [{ index: 0, chapterId: 'ch-1', title: 'All', wordCount: 6, startSeconds: 0, endSeconds: 6 }];
+
+test('pace, pauses and talk time come from the word timings', () => {
+  const result = plain(analytics.analyze(words, sections, 6000));
+
+  assert.equal(result.wordCount, 6);
+  assert.equal(result.wordsPerMinute, 72);
+  assert.deepEqual(result.chapters, [{ index: 0, chapterId: 'ch-1', title: 'All', wordCount: 6, wordsPerMinute: 60 }]);
+  assert.deepEqual(result.longestPauses, [{ startMs: 1500, endMs: 3500, durationMs: 2000, startFormatted: '0:01' }]);
+  assert.deepEqual(result.talkTime, { talkMs: 3000, silenceMs: 3000, talkRatio: 0.5 });
+  assert.deepEqual(result.readingTime, { minutes: 1, wordsPerMinute: 238 });
+});
+
+test('fillers are counted per word, and custom fillers included', () => {
+  assert.deepEqual(plain(analytics.analyze(words).fillers), { count: 2, per100Words: 33.3, perMinute: 24, words: { um: 1, uh: 1 } });
+
+  const custom = new context.TellaTranscriptAnalytics(new context.TellaTranscriptCleaner({ customFillers: ['pricing matters'] }), new context.TellaKeywordExtractor());
+  assert.deepEqual(plain(custom.analyze(words).fillers.words), { um: 1, 'pricing matters': 1, uh: 1 });
+});
+
+test('top terms leave out stopwords, fillers and words used once', () => {
+  assert.deepEqual(plain(analytics.analyze(words).topTerms), [{ term: 'pricing', count: 2 }]);
+});
+
+test('transcripts without timed words have no analytics', () => {
+  assert.equal(analytics.analyze([{ text: 'untimed' }]), null);
+  assert.equal(analytics.analyze([{ text: 'hidden', start: 0, end_: 100, hidden: true }]), null);
+  assert.equal(analytics.analyze(null), null);
+});
+
+test('timestamps past an hour', () => {
+  assert.equal(analytics.formatTimestamp(3723000), '1:02:03');
+});
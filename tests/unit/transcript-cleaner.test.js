@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+const { context } = loadExtensionScripts(['transcript-cleaner.js']);
+const cleaner = (settings) => new context.TellaTranscriptCleaner(settings);
+
+// Words 300 ms apart, each spoken for 250 ms
+function timedWords(text, startMs = 0) {
+  return text.split(' ').map((word, index) => ({ text: word, start: startMs + index * 300, end_: startMs + index * 300 + 250 }));
+}
+
+test('fillers and stuttered repeats are removed and sentences repaired', () => {
+  assert.equal(cleaner().cleanText('so um i think i think the the plan works, uh.'), 'So I think the plan works.');
+});
+
+test('legitimate double words and repeats across sentences are kept', () => {
+  assert.equal(cleaner().cleanText('I know that that works. Go. Go.'), 'I know that that works. Go. Go.');
+});
+
+test('custom fillers include phrases, longest first', () => {
+  const custom = cleaner({ customFillers: 'you know, like' });
+
+  assert.deepEqual(plain(custom.settings.customFillers), ['you know', 'like']);
+  assert.equal(custom.cleanText('It was, you know, like fast'), 'It was, fast.');
+});
+
+test('punctuation transcribed as its own word is attached to the word before it', () => {
+  assert.equal(cleaner().clean([{ text: 'Hello', start: 0, end_: 200 }, { text: '!', start: 200, end_: 250 }, { text: 'there', start: 300, end_: 500 }]),
+    'Hello! There.');
+});
+
+test('long pauses start a new paragraph at the next sentence end', () => {
+  const words = [...timedWords('First point here and'), ...timedWords('more. Second point.', 5000)];
+
+  assert.equal(cleaner().clean(words), 'First point here and more.\n\nSecond point.');
+  assert.equal(cleaner({ paragraphPause: 0 }).clean(words), 'First point here and more. Second point.');
+});
+
+test('transcripts without punctuation break at the pause itself', () => {
+  const words = [...timedWords('first part'), ...timedWords('second part', 5000)];
+  assert.equal(cleaner().clean(words), 'First part.\n\nSecond part.');
+});
+
+test('hidden words are skipped and each step can be turned off', () => {
+  assert.equal(cleaner().clean([{ text: 'keep', start: 0, end_: 100 }, { text: 'cut', start: 200, end_: 300, hidden: true }]), 'Keep.');
+  assert.equal(cleaner({ removeFillers: false, removeRepeats: false, fixSentences: false }).cleanText('um the the end'), 'um the the end');
+  assert.equal(cleaner({ enabled: false }).cleanText('um hello'), null);
+});
+
+test('words with their own capitals are left alone', () => {
+  assert.equal(cleaner().cleanText('iPhone sales grew. eBay too'), 'iPhone sales grew. eBay too.');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts, plain } = require('./helpers/extension-context');
+
+const { context } = loadExtensionScripts([
+  'transcript-cleaner.js',
+  'keyword-extractor.js',
+  'transcript-analytics.js',
+  'subtitle-builder.js',
+  'data-extractor.js'
+], { url: 'https://www.tella.tv/video/abc123/view' });
+const extractor = new context.TellaDataExtractor();
+
+// One word per second, each spoken for 500 ms
+function wordsEverySecond(text, startMs = 0) {
+  return text.split(' ').map((word, index) => ({ text: word, start: startMs + index * 1000, end_: startMs + index * 1000 + 500 }));
+}
+
+const segment = (words, options) => plain(extractor.getTranscriptSegmentsByTimestamp(words, options));
+
+test('the story ID is read from the page URL', () => {
+  assert.equal(extractor.storyId, 'abc123');
+});
+
+test('duration mode starts a segment every size seconds', () => {
+  const segments = segment(wordsEverySecond('one two three four five'), { mode: 'duration', size: 2 });
+
+  assert.deepEqual(segments.map(s => s.text), ['one two', 'three four', 'five']);
+  assert.deepEqual(segments[1], {
+    index: 1,
+    startMs: 2000,
+    endMs: 3500,
+    startFormatted: '0:02',
+    endFormatted: '0:03',
+    text: 'three four',
+    wordCount: 2
+  });
+});
+
+test('a number is a segment duration in milliseconds', () => {
+  const segments = segment(wordsEverySecond('one two three four five'), 3000);
+  assert.deepEqual(segments.map(s => s.text), ['one two three', 'four five']);
+});
+
+test('sentence mode groups size sentences per segment', () => {
+  const words = wordsEverySecond('Hi. How are you? Fine! Thanks. "Bye."');
+  const segments = segment(words, { mode: 'sentence', size: 2 });
+
+  assert.deepEqual(segments.map(s => s.text), ['Hi. How are you?', 'Fine! Thanks.', '"Bye."']);
+});
+
+test('silence mode splits at pauses of at least size seconds', () => {
+  const words = [...wordsEverySecond('first part'), ...wordsEverySecond('after pause', 5000)];
+  const segments = segment(words, { mode: 'silence', size: 1.5 });
+
+  assert.deepEqual(segments.map(s => s.text), ['first part', 'after pause']);
+  assert.equal(segments[1].startMs, 5000);
+});
+
+test('hidden and empty words are left out', () => {
+  const segments = segment([
+    { text: 'keep', start: 0, end_: 500 },
+    { text: 'um', start: 1000, end_: 1500, hidden: true },
+    { text: '  ', start: 2000, end_: 2500 },
+    { text: 'this', start: 3000, end_: 3500 }
+  ], { mode: 'duration', size: 30 });
+
+  assert.deepEqual(segments.map(s => [s.text, s.wordCount]), [['keep this', 2]]);
+  assert.deepEqual(segment(null), []);
+});
+
+test('unknown modes and invalid sizes fall back to the defaults', () => {
+  assert.deepEqual(plain(extractor.normalizeSegmentation({ mode: 'words', size: 5 })), { mode: 'duration', size: 5 });
+  assert.deepEqual(plain(extractor.normalizeSegmentation({ mode: 'sentence', size: 0 })), { mode: 'sentence', size: 3 });
+  assert.deepEqual(plain(extractor.normalizeSegmentation({ mode: 'silence', size: 'x' })), { mode: 'silence', size: 1.5 });
+  assert.deepEqual(plain(extractor.normalizeSegmentation(undefined)), { mode: 'duration', size: 30 });
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionScripts } = require('./helpers/extension-context');
+
+function createOutbox(deliver) {
+  const { context, storage } = loadExtensionScripts(['webhook-outbox.js']);
+  return { outbox: new context.TellaWebhookOutbox(deliver), storage };
+}
+
+test('a delivered entry is marked delivered and its payload dropped', async () => {
+  const { outbox, storage } = createOutbox(async () => ({ success: true, status: 200, attempts: 1 }));
+
+  const entry = await outbox.enqueue({ url: 'https://example.com/hook', data: { a: 1 } });
+  const result = await outbox.process(entry.id);
+
+  assert.equal(result.success, true);
+  assert.equal(result.outboxStatus, 'delivered');
+  assert.equal(storage.webhookOutbox[0].data, null);
+});
+
+test('queued entries keep the destination ID, never its credentials', async () => {
+  const delivered = [];
+  const { outbox, storage } = createOutbox(async (url, data, options) => {
+    delivered.push(options.destinationId);
+    return { success: false, retryable: true, status: 503, error: 'HTTP 503' };
+  });
+
+  const entry = await outbox.enqueue({ url: 'https://example.com/hook', data: {}, destinationId: 'dest-1', credentials: { auth: { type: 'bearer', token: 'secret' } } });
+  await outbox.process(entry.id);
+
+  assert.equal(storage.webhookOutbox[0].destinationId, 'dest-1');
+  assert.ok(!('credentials' in storage.webhookOutbox[0]));
+  assert.deepEqual(delivered, ['dest-1']);
+});
+
+test('credentials queued by older versions are dropped on the next write', async () => {
+  const { outbox, storage } = createOutbox(async () => ({ success: true, status: 200 }));
+  storage.webhookOutbox = [{ id: 'old', status: 'pending', nextAttemptAt: Date.now() + 60000, credentials: { auth: { type: 'bearer', token: 'secret' } } }];
+
+  await outbox.enqueue({ url: 'https://example.com/hook', data: {} });
+
+  assert.ok(storage.webhookOutbox.every(entry => !('credentials' in entry)));
+});
+
+test('a retryable failure is queued for the next run', async () => {
+  const { outbox } = createOutbox(async () => ({ success: false, retryable: true, status: 503, error: 'HTTP 503' }));
+
+  const entry = await outbox.enqueue({ url: 'https://example.com/hook', data: {} });
+  const before = Date.now();
+  const result = await outbox.process(entry.id);
+
+  assert.equal(result.queued, true);
+  assert.equal(result.outboxStatus, 'pending');
+  assert.ok(new Date(result.nextAttemptAt).getTime() >= before + 60 * 1000);
+});
+
+test('a run cut short by its deadline waits out the retry delay it was given', async () => {
+  const { outbox } = createOutbox(async () => ({ success: false, retryable: true, retryDelayMs: 10 * 60 * 1000, error: 'HTTP 429' }));
+
+  const entry = await outbox.enqueue({ url: 'https://example.com/hook', data: {} });
+  const before = Date.now();
+  const result = await outbox.process(entry.id);
+
+  assert.ok(new Date(result.nextAttemptAt).getTime() >= before + 10 * 60 * 1000);
+});
+
+test('a permanent failure is not retried', async () => {
+  const { outbox } = createOutbox(async () => ({ success: false, retryable: false, status: 400, error: 'HTTP 400' }));
+
+  const entry = await outbox.enqueue({ url: 'https://example.com/hook', data: {} });
+  const result = await outbox.process(entry.id);
+
+  assert.equal(result.queued, false);
+  assert.equal(result.outboxStatus, 'failed');
+});
+
+test('a delivery that throws is retried', async () => {
+  const { outbox } = createOutbox(async () => {
+    throw new Error('Failed to fetch');
+  });
+
+  const entry = await outbox.enqueue({ url: 'https://example.com/hook', data: {} });
+  const result = await outbox.process(entry.id);
+
+  assert.equal(result.outboxStatus, 'pending');
+  assert.equal(result.error, 'Failed to fetch');
+});
+
+test('an entry waiting between retries stays claimed past its original lease', async () => {
+  let release;
+  const waiting = new Promise(resolve => { release = resolve; });
+  let onAttemptCalled;
+  const attempted = new Promise(resolve => { onAttemptCalled = resolve; });
+
+  const { outbox } = createOutbox(async (url, data, options) => {
+    await options.onAttempt({ attempt: 1, willRetry: true, delayMs: 60 * 60 * 1000 });
+    onAttemptCalled();
+    await waiting;
+    return { success: true, status: 200 };
+  });
+  outbox.leaseMs = 0;
+
+  const entry = await outbox.enqueue({ url: 'https://example.com/hook', data: {} });
+  const processing = outbox.process(entry.id);
+  await attempted;
+
+  assert.equal((await outbox.claimDueEntries()).length, 0);
+
+  release();
+  assert.equal((await processing).success, true);
+});
+
+test('an in-flight entry whose lease expired is resumed by a drain', async () => {
+  const delivered = [];
+  const { outbox, storage } = createOutbox(async (url, data) => {
+    delivered.push(data.n);
+    return { success: true, status: 200 };
+  });
+
+  const entry = await outbox.enqueue({ url: 'https://example.com/hook', data: { n: 1 } });
+  storage.webhookOutbox[0].leaseExpiresAt = Date.now() - 1;
+
+  const results = await outbox.drain();
+
+  assert.equal(results.length, 1);
+  assert.equal(results[0].entry.id, entry.id);
+  assert.deepEqual(delivered, [1]);
+});
+
+test('entries whose lease is still running are not claimed again', async () => {
+  const { outbox } = createOutbox(async () => ({ success: true, status: 200 }));
+
+  await outbox.enqueue({ url: 'https://example.com/hook', data: {} });
+  assert.equal((await outbox.claimDueEntries()).length, 0);
+});
+
+test('runs back off 1, 5, 15 and 60 minutes apart, then the delivery fails', async () => {
+  const { outbox } = createOutbox(async () => ({ success: false, retryable: true, status: 503, error: 'HTTP 503' }));
+  const entry = await outbox.enqueue({ url: 'https://example.com/hook', data: {} });
+
+  const delaysMinutes = [];
+  for (let run = 1; run < outbox.maxRuns; run++) {
+    const before = Date.now();
+    const result = await outbox.process(entry.id);
+    delaysMinutes.push(Math.round((new Date(result.nextAttemptAt).getTime() - before) / 60000));
+  }
+  assert.deepEqual(delaysMinutes, [1, 5, 15, 60]);
+
+  const last = await outbox.process(entry.id);
+  assert.equal(last.outboxStatus, 'failed');
+  assert.equal(last.queued, false);
+});
+
+test('pruning keeps outstanding entries and only the most recent finished ones', () => {
+  const { outbox } = createOutbox(async () => ({ success: true }));
+  const finished = Array.from({ length: 25 }, (_, i) => ({
+    id: `done-${i}`,
+    status: i % 2 ? 'delivered' : 'failed',
+    data: { n: i },
+    updatedAt: new Date(2025, 0, 1, 0, i).toISOString()
+  }));
+  const pending = { id: 'pending', status: 'pending', data: { n: 'p' }, updatedAt: new Date(2024, 0, 1).toISOString() };
+
+  const pruned = outbox.prune([...finished, pending]);
+
+  assert.equal(pruned.length, 1 + outbox.maxFinishedEntries);
+  assert.equal(pruned[0].id, 'pending');
+  assert.equal(pruned[1].id, 'done-24');
+  assert.ok(!pruned.some(entry => entry.id === 'done-4'));
+  // Delivered payloads are dropped; failed ones are kept for resending
+  assert.equal(pruned.find(entry => entry.id === 'done-23').data, null);
+  assert.equal(pruned.find(entry => entry.id === 'done-24').data.n, 24);
+});
@@ -0,0 +1,160 @@
+/**
+ * Tella Transcript Analytics
+ * Speaking metrics for content.analytics, computed from word timings
+ * ({text, start, end_, hidden} in ms): pace overall and per chapter section, longest pauses,
+ * filler words, talk vs. silence time, most-used terms and reading time of the transcript.
+ * Fillers are the ones TellaTranscriptCleaner removes, including the custom list.
+ */
+
+const ANALYTICS_OPTIONS = {
+  silenceGapMs: 750, // Gaps between words at least this long count as silence rather than talk
+  pauseCount: 5, // Longest pauses listed
+  minPauseMs: 1000,
+  termCount: 10, // Most-used terms listed
+  minTermLength: 3,
+  readingWordsPerMinute: 238 // Average silent reading speed for non-fiction
+};
+
+// Spoken words that say little about the topic, left out of topTerms on top of the
+// transcript language's stopwords (see keyword-extractor.js)
+const ANALYTICS_STOPWORDS = new Set([
+  'yeah', 'okay', 'really', 'like', 'thing', 'things', 'something', 'actually', 'basically', 'kind', 'sort', 'lot',
+  'going', 'gonna', 'want', 'need', 'know', 'think', 'make', 'well', 'right', 'little', 'bit', 'still', 'see', 'use',
+  'way', 'yes', 'done'
+]);
+
+class TellaTranscriptAnalytics {
+  /**
+   * @param {TellaTranscriptCleaner} cleaner - Supplies the filler list and word normalization
+   * @param {TellaKeywordExtractor} keywordExtractor - Supplies the stopwords of the transcript's language
+   */
+  constructor(cleaner, keywordExtractor, options = {}) {
+    this.cleaner = cleaner;
+    this.keywordExtractor = keywordExtractor;
+    this.options = { ...ANALYTICS_OPTIONS, ...options };
+  }
+
+  /**
+   * @param {Array} words - transcriptionWords
+   * @param {Array} sections - content.sections (per-chapter pace)
+   * @param {number|null} durationMs - Video duration; silence before the first and after the last word counts too
+   * @returns {Object|null} null when there are no timed words
+   */
+  analyze(words, sections = [], durationMs = null) {
+    const timed = Array.isArray(words)
+      ? words.filter(word => !word.hidden && word.text && word.text.trim().length > 0 &&
+          typeof word.start === 'number' && typeof word.end_ === 'number')
+      : [];
+
+    if (timed.length === 0) {
+      return null;
+    }
+
+    const gaps = timed.slice(1).map((word, index) => ({
+      startMs: timed[index].end_,
+      endMs: word.start,
+      durationMs: Math.max(word.start - timed[index].end_, 0)
+    }));
+    const spanMs = timed[timed.length - 1].end_ - timed[0].start;
+    const totalMs = Math.max(durationMs || 0, timed[timed.length - 1].end_);
+
+    const silenceMs = timed[0].start +
+      (totalMs - timed[timed.length - 1].end_) +
+      gaps.filter(gap => gap.durationMs >= this.options.silenceGapMs).reduce((sum, gap) => sum + gap.durationMs, 0);
+    const talkMs = Math.max(totalMs - silenceMs, 0);
+
+    return {
+      wordCount: timed.length,
+      wordsPerMinute: this.wordsPerMinute(timed.length, spanMs),
+      chapters: (sections || []).map(section => ({
+        index: section.index,
+        chapterId: section.chapterId,
+        title: section.title,
+        wordCount: section.wordCount,
+        wordsPerMinute: this.wordsPerMinute(section.wordCount, (section.endSeconds - section.startSeconds) * 1000)
+      })),
+      longestPauses: gaps
+        .filter(gap => gap.durationMs >= this.options.minPauseMs)
+        .sort((a, b) => b.durationMs - a.durationMs)
+        .slice(0, this.options.pauseCount)
+        .map(gap => ({ ...gap, startFormatted: this.formatTimestamp(gap.startMs) })),
+      fillers: this.countFillers(timed, spanMs),
+      talkTime: {
+        talkMs,
+        silenceMs,
+        talkRatio: totalMs > 0 ? this.round(talkMs / totalMs, 2) : 0
+      },
+      topTerms: this.topTerms(timed),
+      readingTime: {
+        minutes: Math.max(Math.ceil(timed.length / this.options.readingWordsPerMinute), 1),
+        wordsPerMinute: this.options.readingWordsPerMinute
+      }
+    };
+  }
+
+  wordsPerMinute(wordCount, durationMs) {
+    return durationMs > 0 ? this.round(wordCount / (durationMs / 60000), 1) : 0;
+  }
+
+  countFillers(words, spanMs) {
+    const phrases = this.cleaner.fillerPhrases();
+    const counts = {};
+    let count = 0;
+
+    for (let i = 0; i < words.length;) {
+      const phrase = this.cleaner.matchFiller(words, i, phrases);
+      if (phrase) {
+        const key = phrase.join(' ');
+        counts[key] = (counts[key] || 0) + 1;
+        count++;
+        i += phrase.length;
+      } else {
+        i++;
+      }
+    }
+
+    return {
+      count,
+      per100Words: this.round(count / words.length * 100, 1),
+      perMinute: this.wordsPerMinute(count, spanMs),
+      words: counts
+    };
+  }
+
+  topTerms(words) {
+    const fillers = new Set(this.cleaner.fillerPhrases().filter(phrase => phrase.length === 1).map(phrase => phrase[0]));
+    const stopwords = this.keywordExtractor.stopwords(this.keywordExtractor.detectLanguage(words.map(word => word.text)));
+    const counts = new Map();
+
+    words.forEach(word => {
+      const term = this.cleaner.normalize(word.text).replace(/['’]s$/, '');
+      if (term.length < this.options.minTermLength || /^\d+$/.test(term) ||
+          stopwords.has(term) || ANALYTICS_STOPWORDS.has(term) || fillers.has(term)) {
+        return;
+      }
+      counts.set(term, (counts.get(term) || 0) + 1);
+    });
+
+    return [...counts.entries()]
+      .filter(([, count]) => count > 1)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, this.options.termCount)
+      .map(([term, count]) => ({ term, count }));
+  }
+
+  formatTimestamp(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+  }
+
+  round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+// Export for content scripts (window) and the background service worker (self)
+self.TellaTranscriptAnalytics = TellaTranscriptAnalytics;
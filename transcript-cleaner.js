@@ -0,0 +1,275 @@
+/**
+ * Tella Transcript Cleaner
+ * Produces content.transcription.transcriptClean, a readable version of the raw transcript:
+ * filler words ("um", "uh" and any custom ones) and stuttered repeats ("the the") are removed,
+ * long pauses in the word timings ({text, start, end_, hidden} in ms) start new paragraphs, and
+ * sentences are capitalized and closed with punctuation. The raw transcript is left untouched.
+ */
+
+const TRANSCRIPT_CLEANUP_STORAGE_KEY = 'transcriptCleanup';
+
+const DEFAULT_TRANSCRIPT_CLEANUP = {
+  enabled: true,
+  removeFillers: true,
+  removeRepeats: true,
+  paragraphPause: 2, // Seconds of silence that start a new paragraph; 0 keeps a single paragraph
+  fixSentences: true, // Capitalization and punctuation repair
+  customFillers: [] // Extra words or phrases removed alongside DEFAULT_FILLER_WORDS
+};
+
+const DEFAULT_FILLER_WORDS = ['um', 'umm', 'uh', 'uhh', 'uhm', 'er', 'erm', 'ah', 'hmm', 'mm', 'mhm'];
+
+// Words that are legitimately doubled in English ("I know that that works", "we had had")
+const ALLOWED_REPEATS = ['that', 'had'];
+
+// Longest phrase repeated back to back that still counts as a stutter ("I think I think")
+const MAX_REPEAT_WORDS = 3;
+
+class TellaTranscriptCleaner {
+  constructor(settings = {}) {
+    this.settings = this.normalizeSettings(settings);
+  }
+
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get([TRANSCRIPT_CLEANUP_STORAGE_KEY]);
+      this.settings = this.normalizeSettings(result[TRANSCRIPT_CLEANUP_STORAGE_KEY]);
+    } catch (error) {
+      console.warn('⚠️ Could not load transcript cleanup settings, using defaults:', error);
+      this.settings = this.normalizeSettings();
+    }
+    return this.settings;
+  }
+
+  async saveSettings(settings) {
+    this.settings = this.normalizeSettings(settings);
+    await chrome.storage.local.set({ [TRANSCRIPT_CLEANUP_STORAGE_KEY]: this.settings });
+    return this.settings;
+  }
+
+  normalizeSettings(settings = {}) {
+    const merged = { ...DEFAULT_TRANSCRIPT_CLEANUP, ...(settings || {}) };
+    const pause = parseFloat(merged.paragraphPause);
+    const fillers = Array.isArray(merged.customFillers) ? merged.customFillers : String(merged.customFillers || '').split(/[\n,]/);
+
+    return {
+      enabled: merged.enabled !== false,
+      removeFillers: merged.removeFillers !== false,
+      removeRepeats: merged.removeRepeats !== false,
+      paragraphPause: pause >= 0 ? pause : DEFAULT_TRANSCRIPT_CLEANUP.paragraphPause,
+      fixSentences: merged.fixSentences !== false,
+      customFillers: [...new Set(fillers.map(filler => String(filler).trim().toLowerCase()).filter(Boolean))]
+    };
+  }
+
+  /**
+   * Clean a word-timed transcript
+   * @returns {string|null} Paragraphs separated by a blank line, or null when cleanup is disabled
+   */
+  clean(words) {
+    if (!this.settings.enabled || !Array.isArray(words)) {
+      return null;
+    }
+
+    const tokens = words
+      .filter(word => !word.hidden && word.text && word.text.trim().length > 0)
+      .map(word => ({
+        text: word.text.trim(),
+        start: typeof word.start === 'number' ? word.start : null,
+        end: typeof word.end_ === 'number' ? word.end_ : null
+      }));
+
+    return this.render(this.process(tokens));
+  }
+
+  /**
+   * Clean a plain-text transcript (read from the page). Without timings it stays one paragraph.
+   */
+  cleanText(text) {
+    if (!this.settings.enabled || !text) {
+      return null;
+    }
+
+    const tokens = text.split(/\s+/).filter(Boolean).map(word => ({ text: word, start: null, end: null }));
+    return this.render(this.process(tokens));
+  }
+
+  process(tokens) {
+    let result = this.attachPunctuation(tokens);
+    if (this.settings.removeFillers) result = this.removeFillers(result);
+    if (this.settings.removeRepeats) result = this.removeRepeats(result);
+    return result;
+  }
+
+  /**
+   * Join punctuation that was transcribed as a word of its own onto the word before it
+   */
+  attachPunctuation(tokens) {
+    return tokens.reduce((result, token) => {
+      const previous = result[result.length - 1];
+      if (previous && !this.normalize(token.text)) {
+        result[result.length - 1] = { ...previous, text: previous.text + token.text, end: token.end ?? previous.end };
+      } else {
+        result.push({ ...token });
+      }
+      return result;
+    }, []);
+  }
+
+  /**
+   * Default and custom fillers as normalized word lists, longest first so "you know" wins over "you"
+   */
+  fillerPhrases() {
+    return [...DEFAULT_FILLER_WORDS, ...this.settings.customFillers]
+      .map(phrase => phrase.split(/\s+/).map(word => this.normalize(word)).filter(Boolean))
+      .filter(phrase => phrase.length > 0)
+      .sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * @param {Array<{text: string}>} tokens
+   * @returns {string[]|null} The filler phrase starting at tokens[index], if any
+   */
+  matchFiller(tokens, index, phrases = this.fillerPhrases()) {
+    return phrases.find(words => words.every((word, offset) => this.normalize(tokens[index + offset]?.text || '') === word)) || null;
+  }
+
+  removeFillers(tokens) {
+    const phrases = this.fillerPhrases();
+
+    const result = [];
+    for (let i = 0; i < tokens.length;) {
+      const phrase = this.matchFiller(tokens, i, phrases);
+
+      if (!phrase) {
+        result.push(tokens[i]);
+        i++;
+        continue;
+      }
+
+      // "…so, um." - keep the sentence end the filler carried
+      const ending = this.sentenceEnding(tokens[i + phrase.length - 1].text);
+      const previous = result[result.length - 1];
+      if (ending && previous && !this.endsSentence(previous.text)) {
+        previous.text = previous.text.replace(/[,;:]+$/, '') + ending;
+      }
+
+      i += phrase.length;
+    }
+
+    return result;
+  }
+
+  removeRepeats(tokens) {
+    const result = [];
+
+    tokens.forEach(token => {
+      result.push({ ...token });
+
+      for (let size = MAX_REPEAT_WORDS; size >= 1; size--) {
+        if (result.length < size * 2) continue;
+
+        const first = result.slice(-size * 2, -size);
+        const second = result.slice(-size);
+        const repeated = first.every((word, index) => {
+          const text = this.normalize(word.text);
+          return text && text === this.normalize(second[index].text);
+        });
+
+        // A repeat across a sentence end ("Go. Go.") or an allowed double word is intentional
+        if (!repeated || this.endsSentence(first[size - 1].text) ||
+            (size === 1 && ALLOWED_REPEATS.includes(this.normalize(first[0].text)))) {
+          continue;
+        }
+
+        // Keep the second occurrence (it carries the punctuation that follows) from where the first started
+        second[0].start = first[0].start;
+        result.splice(result.length - size * 2, size);
+        break;
+      }
+    });
+
+    return result;
+  }
+
+  render(tokens) {
+    if (tokens.length === 0) {
+      return '';
+    }
+
+    const pauseMs = this.settings.paragraphPause * 1000;
+    // Transcripts without sentence punctuation break at the pause itself
+    const punctuated = tokens.some(token => this.endsSentence(token.text));
+    const paragraphs = [[]];
+    let pendingBreak = false;
+
+    tokens.forEach((token, index) => {
+      const previous = tokens[index - 1];
+
+      if (previous && pauseMs > 0 && token.start !== null && previous.end !== null && token.start - previous.end >= pauseMs) {
+        pendingBreak = true;
+      }
+
+      // Paragraphs only end at a sentence end: a pause mid-sentence breaks after that sentence
+      if (pendingBreak && previous && (!punctuated || this.endsSentence(previous.text))) {
+        paragraphs.push([]);
+        pendingBreak = false;
+      }
+
+      paragraphs[paragraphs.length - 1].push(token.text);
+    });
+
+    return paragraphs
+      .map(words => this.settings.fixSentences ? this.fixSentences(words) : words.join(' '))
+      .join('\n\n');
+  }
+
+  /**
+   * Capitalize sentence starts and "I", tidy doubled punctuation and close the paragraph with a period
+   */
+  fixSentences(words) {
+    const fixed = words.map((word, index) => {
+      let text = word
+        .replace(/[,;:]+(?=[.!?])/g, '')
+        .replace(/([,;:])[,;:]+/g, '$1')
+        .replace(/([!?])\1+/g, '$1');
+
+      if (/^i(['’](m|ve|ll|d))?$/i.test(this.normalize(text))) {
+        text = text.replace('i', 'I');
+      }
+
+      const startsSentence = index === 0 || this.endsSentence(words[index - 1]);
+      // Leave words with their own capitals alone ("iPhone", "eBay")
+      if (startsSentence && !/\p{Lu}/u.test(text)) {
+        text = text.replace(/\p{Ll}/u, letter => letter.toUpperCase());
+      }
+
+      return text;
+    });
+
+    const last = fixed.length - 1;
+    if (!this.endsSentence(fixed[last])) {
+      fixed[last] = fixed[last].replace(/[,;:-]+$/, '') + '.';
+    }
+
+    return fixed.join(' ');
+  }
+
+  normalize(text) {
+    return text.toLowerCase().replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, '');
+  }
+
+  endsSentence(text) {
+    return /[.!?…]["'”’)\]]*$/.test(text);
+  }
+
+  sentenceEnding(text) {
+    return text.match(/[.!?…]+(?=["'”’)\]]*$)/)?.[0] || '';
+  }
+}
+
+TellaTranscriptCleaner.DEFAULTS = DEFAULT_TRANSCRIPT_CLEANUP;
+TellaTranscriptCleaner.FILLER_WORDS = DEFAULT_FILLER_WORDS;
+
+// Export for content scripts, extension pages (window) and the background service worker (self)
+self.TellaTranscriptCleaner = TellaTranscriptCleaner;
@@ -0,0 +1,235 @@
+/**
+ * Tella Transcript Watcher
+ * Polls the transcriptions endpoint from the background for videos whose transcript wasn't ready
+ * when they were extracted, and hands the words over once Tella finishes transcribing.
+ * Watches are persisted in chrome.storage.local and checked on a chrome.alarms schedule.
+ */
+
+const TRANSCRIPT_WATCH_STORAGE_KEY = 'transcriptWatches';
+const TRANSCRIPT_WATCH_ALARM_NAME = 'tella-transcript-watch';
+
+class TellaTranscriptWatcher {
+  /**
+   * @param {Function} onReady - async (watch, transcription) => void, called once words appear
+   */
+  constructor(onReady) {
+    this.onReady = onReady;
+    this.lock = Promise.resolve();
+    this.checking = false;
+
+    // Minutes between checks: quick at first, then backing off to hourly
+    this.checkDelaysMinutes = [1, 2, 4, 8, 15, 30, 60];
+    // Give up on videos that still have no transcript after this long
+    this.maxWatchMs = 24 * 60 * 60 * 1000;
+
+    console.log('📝 TellaTranscriptWatcher initialized');
+  }
+
+  /**
+   * Start watching a video (no-op if it is already being watched)
+   * @param {Object} video - {storyId, title, url}
+   */
+  async watch({ storyId, title, url }) {
+    const now = Date.now();
+
+    const watch = await this.withLock(async () => {
+      const watches = await this.readWatches();
+      const existing = watches.find(w => w.storyId === storyId);
+      if (existing) {
+        return existing;
+      }
+
+      const created = {
+        storyId,
+        title: title || null,
+        url: url || `https://www.tella.tv/video/${storyId}/view`,
+        checks: 0,
+        createdAt: new Date(now).toISOString(),
+        nextCheckAt: now + this.checkDelaysMinutes[0] * 60 * 1000
+      };
+      watches.push(created);
+      await this.writeWatches(watches);
+      return created;
+    });
+
+    await this.ensureAlarm();
+
+    console.log('📝 Watching for transcript:', storyId);
+    return watch;
+  }
+
+  /**
+   * Check every watch that is due
+   */
+  async checkDue() {
+    if (this.checking) {
+      return;
+    }
+    this.checking = true;
+
+    try {
+      const now = Date.now();
+      const due = (await this.readWatches()).filter(w => w.nextCheckAt <= now);
+
+      // One failing watch must not hold up the others
+      for (const watch of due) {
+        try {
+          await this.check(watch);
+        } catch (error) {
+          console.error('❌ Transcript watch check failed:', watch.storyId, error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Transcript watch check failed:', error);
+    } finally {
+      this.checking = false;
+      await this.ensureAlarm();
+    }
+  }
+
+  /**
+   * Poll one video; fire onReady and stop watching once words appear.
+   * If onReady throws, the watch stays on its backoff schedule and is tried again at the next check.
+   */
+  async check(watch) {
+    const words = await this.fetchWords(watch.storyId);
+
+    if (words && words.length > 0) {
+      console.log(`📝 Transcript ready for ${watch.storyId} (${words.length} words)`);
+      try {
+        await this.onReady(watch, this.describeTranscription(words));
+        await this.remove(watch.storyId);
+        return;
+      } catch (error) {
+        console.error('❌ Transcript ready handler failed, retrying later:', watch.storyId, error);
+      }
+    }
+
+    const checks = watch.checks + 1;
+    if (Date.now() - new Date(watch.createdAt).getTime() >= this.maxWatchMs) {
+      console.warn('📝 Giving up waiting for transcript:', watch.storyId);
+      await this.remove(watch.storyId);
+      return;
+    }
+
+    const delayMinutes = this.checkDelaysMinutes[Math.min(checks, this.checkDelaysMinutes.length - 1)];
+    await this.withLock(async () => {
+      const watches = await this.readWatches();
+      const stored = watches.find(w => w.storyId === watch.storyId);
+      if (stored) {
+        stored.checks = checks;
+        stored.lastCheckedAt = new Date().toISOString();
+        stored.nextCheckAt = Date.now() + delayMinutes * 60 * 1000;
+        await this.writeWatches(watches);
+      }
+    });
+  }
+
+  /**
+   * Fetch transcript words with the user's Tella session (host permission)
+   * @returns {Promise<Array|null>}
+   */
+  async fetchWords(storyId) {
+    try {
+      const response = await fetch(`https://www.tella.tv/api/stories/${storyId}/transcriptions`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        console.log('⚠️ Transcription API not ready:', storyId, response.status);
+        return null;
+      }
+
+      return this.findWords(await response.json());
+    } catch (error) {
+      console.log('⚠️ Transcription fetch error:', storyId, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Locate the word array - same structures as TellaDataExtractor.parseTranscriptionData
+   */
+  findWords(transcriptionData) {
+    if (!transcriptionData) return null;
+
+    if (Array.isArray(transcriptionData.words)) {
+      return transcriptionData.words;
+    }
+
+    const details = Array.isArray(transcriptionData.transcriptions) ? transcriptionData.transcriptions[1] : null;
+    if (Array.isArray(details) && details.length > 0 && Array.isArray(details[0].words)) {
+      return details[0].words;
+    }
+
+    return null;
+  }
+
+  /**
+   * Transcript fields matching content.transcription in the extracted data
+   */
+  describeTranscription(words) {
+    const transcript = words
+      .filter(word => !word.hidden && word.text)
+      .map(word => word.text.trim())
+      .filter(text => text.length > 0)
+      .join(' ');
+
+    return {
+      transcript,
+      transcriptWordCount: words.length,
+      transcriptDurationMs: words[words.length - 1].end_ || 0,
+      transcriptionWords: words
+    };
+  }
+
+  async remove(storyId) {
+    await this.withLock(async () => {
+      const watches = await this.readWatches();
+      await this.writeWatches(watches.filter(w => w.storyId !== storyId));
+    });
+  }
+
+  async list() {
+    return this.readWatches();
+  }
+
+  /**
+   * Keep the check alarm only while videos are being watched
+   */
+  async ensureAlarm() {
+    if (!chrome.alarms) return;
+
+    const watches = await this.readWatches();
+    const existing = await chrome.alarms.get(TRANSCRIPT_WATCH_ALARM_NAME);
+
+    if (watches.length > 0 && !existing) {
+      chrome.alarms.create(TRANSCRIPT_WATCH_ALARM_NAME, { periodInMinutes: 1 });
+      console.log('⏰ Transcript watch alarm scheduled');
+    } else if (watches.length === 0 && existing) {
+      await chrome.alarms.clear(TRANSCRIPT_WATCH_ALARM_NAME);
+      console.log('⏰ No transcripts pending, watch alarm cleared');
+    }
+  }
+
+  async readWatches() {
+    const result = await chrome.storage.local.get([TRANSCRIPT_WATCH_STORAGE_KEY]);
+    return result[TRANSCRIPT_WATCH_STORAGE_KEY] || [];
+  }
+
+  async writeWatches(watches) {
+    await chrome.storage.local.set({ [TRANSCRIPT_WATCH_STORAGE_KEY]: watches });
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the watches key (only the background service worker writes it)
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn, fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+}
+
+// Export for the background service worker
+self.TellaTranscriptWatcher = TellaTranscriptWatcher;
@@ -0,0 +1,325 @@
+/**
+ * Tella Webhook Outbox
+ * Durable delivery queue persisted in chrome.storage.local so payloads survive
+ * service worker restarts, closed tabs and browser restarts
+ */
+
+const OUTBOX_STORAGE_KEY = 'webhookOutbox';
+const OUTBOX_ALARM_NAME = 'tella-outbox-drain';
+
+class TellaWebhookOutbox {
+  /**
+   * @param {Function} deliver - async (url, data, options) => result, e.g. handleSendToWebhook
+   */
+  constructor(deliver) {
+    this.deliver = deliver;
+    this.lock = Promise.resolve();
+    this.draining = false;
+
+    // How long an in-flight entry is owned by a worker before it is considered abandoned.
+    // Renewed after every failed attempt to cover the retry wait, however long Retry-After asks for.
+    this.leaseMs = 5 * 60 * 1000;
+
+    // Background retry schedule between delivery runs (each run already retries internally)
+    this.runDelaysMinutes = [1, 5, 15, 60];
+    this.maxRuns = this.runDelaysMinutes.length + 1;
+
+    // Finished (delivered/failed) entries kept for inspection
+    this.maxFinishedEntries = 20;
+
+    console.log('📮 TellaWebhookOutbox initialized');
+  }
+
+  /**
+   * Persist a new delivery and claim it for immediate processing
+   */
+  async enqueue({ url, data, deliveryId, retryPolicy, source, destinationId, destinationName, history }) {
+    const now = Date.now();
+
+    const entry = {
+      id: deliveryId || `dlv_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      url,
+      destinationId: destinationId || null, // Credentials are looked up by this ID for every attempt, never stored here
+      destinationName: destinationName || null,
+      data,
+      retryPolicy: retryPolicy || null,
+      source: source || 'sidebar',
+      history: history || null, // Video title/URL/ID for delivery history entries recorded in the background
+      status: 'in_flight',
+      runs: 0,
+      attempts: 0,
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      nextAttemptAt: now,
+      leaseExpiresAt: now + this.leaseMs,
+      lastError: null,
+      lastStatus: null
+    };
+
+    await this.withLock(async () => {
+      const entries = await this.readEntries();
+      entries.push(entry);
+      await this.writeEntries(entries);
+    });
+
+    await this.ensureAlarm();
+
+    console.log('📮 Delivery queued:', entry.id);
+    return entry;
+  }
+
+  /**
+   * Deliver a claimed entry and record the outcome
+   * @param {string} id - Outbox entry ID (must already be claimed / in_flight)
+   * @param {Object} options - Passed through to the deliver function (e.g. onAttempt)
+   */
+  async process(id, options = {}) {
+    const entry = await this.getEntry(id);
+    if (!entry) {
+      return { success: false, error: 'Delivery not found in outbox' };
+    }
+
+    let result;
+    try {
+      result = await this.deliver(entry.url, entry.data, {
+        ...options,
+        onAttempt: async (progress) => {
+          // Keep the entry claimed through the wait so a concurrent drain doesn't deliver it again
+          if (progress.willRetry) {
+            await this.renewLease(id, progress.delayMs);
+          }
+          if (typeof options.onAttempt === 'function') {
+            options.onAttempt(progress);
+          }
+        },
+        retryPolicy: entry.retryPolicy || undefined,
+        destinationId: entry.destinationId || undefined
+      });
+    } catch (error) {
+      result = { success: false, retryable: true, error: error.message, originalError: error.message };
+    }
+
+    const runs = entry.runs + 1;
+    const attempts = entry.attempts + (result.attempts || 1);
+    const now = Date.now();
+
+    let changes;
+    if (result.success) {
+      changes = { status: 'delivered', deliveredAt: new Date(now).toISOString(), lastStatus: result.status || null };
+    } else if (result.retryable && runs < this.maxRuns) {
+      const delayMinutes = this.runDelaysMinutes[Math.min(runs - 1, this.runDelaysMinutes.length - 1)];
+      changes = {
+        status: 'pending',
+        // A run cut short by its caller's deadline still waits out the delay it was given (e.g. Retry-After)
+        nextAttemptAt: now + Math.max(delayMinutes * 60 * 1000, result.retryDelayMs || 0),
+        lastError: result.error,
+        lastStatus: result.status || null
+      };
+    } else {
+      changes = {
+        status: 'failed',
+        failedAt: new Date(now).toISOString(),
+        lastError: result.error,
+        lastStatus: result.status || null
+      };
+    }
+
+    const updated = await this.update(id, { ...changes, runs, attempts, leaseExpiresAt: null });
+
+    if (updated.status === 'pending') {
+      console.warn(`📮 Delivery ${id} will be retried at ${new Date(updated.nextAttemptAt).toISOString()}`);
+    } else {
+      console.log(`📮 Delivery ${id} ${updated.status}`);
+    }
+
+    return {
+      ...result,
+      outboxId: id,
+      outboxStatus: updated.status,
+      queued: updated.status === 'pending',
+      nextAttemptAt: updated.status === 'pending' ? new Date(updated.nextAttemptAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Deliver every due entry, including ones abandoned by a previous worker
+   * @returns {Array} Results for the entries that were processed
+   */
+  async drain() {
+    if (this.draining) {
+      console.log('📮 Outbox drain already running, skipping');
+      return [];
+    }
+
+    this.draining = true;
+    const results = [];
+
+    try {
+      const claimed = await this.claimDueEntries();
+      if (claimed.length > 0) {
+        console.log(`📮 Draining ${claimed.length} queued deliveries`);
+      }
+
+      // Deliver sequentially so a struggling endpoint isn't hammered in parallel
+      for (const entry of claimed) {
+        const result = await this.process(entry.id);
+        results.push({ entry, result });
+      }
+
+      await this.ensureAlarm();
+    } catch (error) {
+      console.error('❌ Outbox drain failed:', error);
+    } finally {
+      this.draining = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Mark due pending entries (and expired in-flight leases) as in_flight
+   */
+  async claimDueEntries() {
+    return this.withLock(async () => {
+      const entries = await this.readEntries();
+      const now = Date.now();
+      const claimed = [];
+
+      entries.forEach(entry => {
+        const isDue = entry.status === 'pending' && entry.nextAttemptAt <= now;
+        const isAbandoned = entry.status === 'in_flight' && (!entry.leaseExpiresAt || entry.leaseExpiresAt <= now);
+
+        if (isDue || isAbandoned) {
+          if (isAbandoned) {
+            console.warn('📮 Resuming delivery abandoned mid-send:', entry.id);
+          }
+          entry.status = 'in_flight';
+          entry.leaseExpiresAt = now + this.leaseMs;
+          entry.updatedAt = new Date(now).toISOString();
+          claimed.push(entry);
+        }
+      });
+
+      if (claimed.length > 0) {
+        await this.writeEntries(entries);
+      }
+
+      return claimed;
+    });
+  }
+
+  /**
+   * Extend an in-flight entry's lease past the next retry wait
+   */
+  async renewLease(id, waitMs = 0) {
+    return this.withLock(async () => {
+      const entries = await this.readEntries();
+      const entry = entries.find(e => e.id === id && e.status === 'in_flight');
+      if (!entry) {
+        return;
+      }
+
+      entry.leaseExpiresAt = Date.now() + waitMs + this.leaseMs;
+      await this.writeEntries(entries);
+    });
+  }
+
+  /**
+   * Apply changes to a single entry
+   */
+  async update(id, changes) {
+    return this.withLock(async () => {
+      const entries = await this.readEntries();
+      const entry = entries.find(e => e.id === id);
+      if (!entry) {
+        return null;
+      }
+
+      Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+      await this.writeEntries(entries);
+      return { ...entry };
+    });
+  }
+
+  /**
+   * Get a single entry by ID
+   */
+  async getEntry(id) {
+    const entries = await this.readEntries();
+    return entries.find(e => e.id === id) || null;
+  }
+
+  /**
+   * Summary counts by status
+   */
+  async getStats() {
+    const entries = await this.readEntries();
+    return entries.reduce((stats, entry) => {
+      stats[entry.status] = (stats[entry.status] || 0) + 1;
+      return stats;
+    }, { pending: 0, in_flight: 0, delivered: 0, failed: 0 });
+  }
+
+  /**
+   * Make sure the periodic drain alarm exists while work is outstanding
+   */
+  async ensureAlarm() {
+    if (!chrome.alarms) return;
+
+    const entries = await this.readEntries();
+    const hasOutstanding = entries.some(e => e.status === 'pending' || e.status === 'in_flight');
+    const existing = await chrome.alarms.get(OUTBOX_ALARM_NAME);
+
+    if (hasOutstanding && !existing) {
+      chrome.alarms.create(OUTBOX_ALARM_NAME, { periodInMinutes: 1 });
+      console.log('⏰ Outbox drain alarm scheduled');
+    } else if (!hasOutstanding && existing) {
+      await chrome.alarms.clear(OUTBOX_ALARM_NAME);
+      console.log('⏰ Outbox empty, drain alarm cleared');
+    }
+  }
+
+  /**
+   * Read all entries from storage
+   */
+  async readEntries() {
+    const result = await chrome.storage.local.get([OUTBOX_STORAGE_KEY]);
+    return result[OUTBOX_STORAGE_KEY] || [];
+  }
+
+  /**
+   * Write entries back, pruning old finished deliveries
+   */
+  async writeEntries(entries) {
+    await chrome.storage.local.set({ [OUTBOX_STORAGE_KEY]: this.prune(entries) });
+  }
+
+  /**
+   * Keep all outstanding entries plus the most recent finished ones.
+   * Delivered payloads are dropped to save space; failed payloads are kept for resending.
+   * Entries queued by older versions carried credentials; they are dropped on the next write.
+   */
+  prune(entries) {
+    const withoutCredentials = entries.map(({ credentials, ...entry }) => entry);
+    const outstanding = withoutCredentials.filter(e => e.status === 'pending' || e.status === 'in_flight');
+    const finished = withoutCredentials
+      .filter(e => e.status === 'delivered' || e.status === 'failed')
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .slice(0, this.maxFinishedEntries)
+      .map(e => (e.status === 'delivered' ? { ...e, data: null } : e));
+
+    return [...outstanding, ...finished];
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the outbox key (only the background service worker writes it)
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn, fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+}
+
+// Export for the background service worker
+self.TellaWebhookOutbox = TellaWebhookOutbox;